@@ -0,0 +1,17 @@
+-- EdSteward.ai - Certificate revocation
+--
+-- Records why, when and by whom an attestation certificate was revoked so that
+-- the revocation list can be rebuilt from the database at any time.
+
+ALTER TABLE attestation_certificates
+  ADD COLUMN IF NOT EXISTS revocation_reason VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS revocation_notes TEXT,
+  ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS revoked_by VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_attestation_certificates_regulation
+  ON attestation_certificates (regulation_id, regulation_version);
+
+CREATE INDEX IF NOT EXISTS idx_attestation_certificates_revoked_at
+  ON attestation_certificates (revoked_at)
+  WHERE revocation_status = 'revoked';
@@ -0,0 +1,25 @@
+-- EdSteward.ai - Regulation version acceptances
+--
+-- Records each time a client accepts a regulation version, including
+-- acceptances that knowingly override the authoritative current version.
+
+CREATE TABLE IF NOT EXISTS regulation_acceptances (
+  acceptance_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  regulation_id VARCHAR(255) NOT NULL,
+  version_id VARCHAR(255),
+  previous_version VARCHAR(50) NOT NULL,
+  accepted_version VARCHAR(50) NOT NULL,
+  authority_version VARCHAR(50) NOT NULL,
+  accepted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  accepted_by VARCHAR(255) NOT NULL,
+  acceptor_role VARCHAR(100),
+  acceptance_notes TEXT,
+  frontend_version VARCHAR(50),
+  is_overridden BOOLEAN NOT NULL DEFAULT false,
+  override_reason TEXT,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_regulation_acceptances_regulation
+  ON regulation_acceptances (regulation_id, accepted_at DESC);
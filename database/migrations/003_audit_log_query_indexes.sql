@@ -0,0 +1,16 @@
+-- EdSteward.ai - Audit log query indexes
+--
+-- Supports the /audit-logs query API: newest-first keyset pagination and
+-- the most common filters used by the compliance office.
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_timestamp
+  ON audit_logs (timestamp DESC, audit_id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_entity
+  ON audit_logs (entity_type, entity_id, timestamp DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_user
+  ON audit_logs (user_id, timestamp DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_event_type
+  ON audit_logs (event_type text_pattern_ops, timestamp DESC);
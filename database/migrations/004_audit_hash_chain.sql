@@ -0,0 +1,40 @@
+-- EdSteward.ai - Tamper-evident audit log
+--
+-- Links every audit log entry to the one before it with a SHA-256 hash and
+-- stores signed checkpoints of the chain head. Entries written before this
+-- migration keep a NULL sequence number and are not part of the chain.
+
+ALTER TABLE audit_logs
+  ADD COLUMN IF NOT EXISTS sequence_number BIGINT,
+  ADD COLUMN IF NOT EXISTS previous_hash CHAR(64),
+  ADD COLUMN IF NOT EXISTS entry_hash CHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_logs_sequence_number
+  ON audit_logs (sequence_number)
+  WHERE sequence_number IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS audit_checkpoints (
+  checkpoint_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  sequence_number BIGINT NOT NULL UNIQUE,
+  entry_hash CHAR(64) NOT NULL,
+  signature JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Audit history is append-only: reject edits and deletions outright so that
+-- tampering requires disabling this trigger, which is itself visible
+CREATE OR REPLACE FUNCTION reject_audit_log_modification() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_logs_append_only ON audit_logs;
+CREATE TRIGGER audit_logs_append_only
+  BEFORE UPDATE OR DELETE ON audit_logs
+  FOR EACH ROW EXECUTE FUNCTION reject_audit_log_modification();
+
+DROP TRIGGER IF EXISTS audit_checkpoints_append_only ON audit_checkpoints;
+CREATE TRIGGER audit_checkpoints_append_only
+  BEFORE UPDATE OR DELETE ON audit_checkpoints
+  FOR EACH ROW EXECUTE FUNCTION reject_audit_log_modification();
@@ -0,0 +1,47 @@
+-- EdSteward.ai - Level 3 contextual validation
+--
+-- Stores per-regulation decision trees for the in-process Level 3 validator
+-- and the queue of low-certainty validation results awaiting human review.
+
+CREATE TABLE IF NOT EXISTS regulation_decision_trees (
+  tree_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  regulation_id VARCHAR(255) NOT NULL,
+  version INTEGER NOT NULL,
+  tree JSONB NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT false,
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (regulation_id, version)
+);
+
+-- At most one active tree per regulation
+CREATE UNIQUE INDEX IF NOT EXISTS idx_regulation_decision_trees_active
+  ON regulation_decision_trees (regulation_id)
+  WHERE is_active;
+
+CREATE TABLE IF NOT EXISTS review_queue (
+  review_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  regulation_id VARCHAR(255) NOT NULL,
+  regulation_version VARCHAR(50),
+  validation_request_id VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'PENDING'
+    CHECK (status IN ('PENDING', 'CLAIMED', 'DECIDED')),
+  reason TEXT,
+  validation_result JSONB NOT NULL,
+  claimed_by VARCHAR(255),
+  claimed_at TIMESTAMPTZ,
+  decision VARCHAR(20) CHECK (decision IN ('APPROVE', 'REJECT')),
+  decision_reason TEXT,
+  decided_by VARCHAR(255),
+  decided_at TIMESTAMPTZ,
+  certificate_id VARCHAR(255),
+  annotations JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_queue_status
+  ON review_queue (status, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_review_queue_regulation
+  ON review_queue (regulation_id, created_at DESC);
@@ -0,0 +1,27 @@
+-- EdSteward.ai - Classification profiles
+--
+-- Stores versioned classification settings (factor weights, level thresholds
+-- and score adjustments). A profile applies globally, to one category, to one
+-- tenant, or to one category for one tenant; more specific profiles override
+-- broader ones.
+
+CREATE TABLE IF NOT EXISTS classification_profiles (
+  profile_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id VARCHAR(255),
+  category VARCHAR(100),
+  version INTEGER NOT NULL,
+  settings JSONB NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT false,
+  notes TEXT,
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Versions are numbered per scope
+CREATE UNIQUE INDEX IF NOT EXISTS idx_classification_profiles_version
+  ON classification_profiles (COALESCE(tenant_id, ''), COALESCE(category, ''), version);
+
+-- At most one active profile per scope
+CREATE UNIQUE INDEX IF NOT EXISTS idx_classification_profiles_active
+  ON classification_profiles (COALESCE(tenant_id, ''), COALESCE(category, ''))
+  WHERE is_active;
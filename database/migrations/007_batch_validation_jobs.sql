@@ -0,0 +1,53 @@
+-- EdSteward.ai - Batch validation jobs
+--
+-- Stores batch validation requests as jobs that are processed in the
+-- background, with one row per regulation to validate. Items are retried
+-- with a backoff until they succeed or run out of attempts.
+
+CREATE TABLE IF NOT EXISTS batch_jobs (
+  job_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id VARCHAR(255),
+  submitted_by VARCHAR(255),
+  request_id VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'QUEUED'
+    CHECK (status IN ('QUEUED', 'RUNNING', 'COMPLETED', 'FAILED')),
+  options JSONB NOT NULL DEFAULT '{}',
+  item_count INTEGER NOT NULL,
+  summary JSONB,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_batch_jobs_tenant
+  ON batch_jobs (tenant_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS batch_job_items (
+  item_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES batch_jobs (job_id) ON DELETE CASCADE,
+  item_index INTEGER NOT NULL,
+  regulation_id VARCHAR(255) NOT NULL,
+  regulation_version VARCHAR(50),
+  regulation_content JSONB NOT NULL,
+  validation_level INTEGER NOT NULL DEFAULT 1,
+  status VARCHAR(20) NOT NULL DEFAULT 'PENDING'
+    CHECK (status IN ('PENDING', 'RUNNING', 'SUCCEEDED', 'FAILED')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  result JSONB,
+  error JSONB,
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (job_id, item_index)
+);
+
+-- Workers claim the next pending items of a job
+CREATE INDEX IF NOT EXISTS idx_batch_job_items_pending
+  ON batch_job_items (job_id, next_attempt_at)
+  WHERE status = 'PENDING';
+
+CREATE INDEX IF NOT EXISTS idx_batch_job_items_status
+  ON batch_job_items (job_id, status, item_index);
@@ -0,0 +1,48 @@
+-- EdSteward.ai - Validation results
+--
+-- Stores the outcome of every validation, including batch job items, so that
+-- results can be retrieved later and certificates reference a stored
+-- validation. The full validator output is kept alongside the summary columns.
+
+CREATE TABLE IF NOT EXISTS validation_results (
+  validation_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  regulation_id VARCHAR(255) NOT NULL,
+  regulation_version VARCHAR(50),
+  compared_version VARCHAR(50),
+  tenant_id VARCHAR(255),
+  requested_by VARCHAR(255),
+  request_id VARCHAR(255),
+  batch_job_id UUID,
+  validation_level INTEGER NOT NULL,
+  requested_level INTEGER,
+  status VARCHAR(20) NOT NULL
+    CHECK (status IN ('VALID', 'INVALID', 'PARTIAL', 'PENDING_REVIEW', 'ERROR')),
+  is_valid BOOLEAN NOT NULL,
+  certainty_level INTEGER,
+  valid_sections JSONB NOT NULL DEFAULT '[]',
+  invalid_sections JSONB NOT NULL DEFAULT '[]',
+  warnings JSONB NOT NULL DEFAULT '[]',
+  validator_id VARCHAR(100),
+  validation_timestamp TIMESTAMPTZ NOT NULL,
+  execution_time_ms INTEGER,
+  certificate_id VARCHAR(255),
+  review_id UUID,
+  result JSONB NOT NULL,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_validation_results_regulation
+  ON validation_results (regulation_id, validation_timestamp DESC);
+
+CREATE INDEX IF NOT EXISTS idx_validation_results_tenant
+  ON validation_results (tenant_id, validation_timestamp DESC);
+
+CREATE INDEX IF NOT EXISTS idx_validation_results_review
+  ON validation_results (review_id)
+  WHERE review_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_validation_results_batch_job
+  ON validation_results (batch_job_id)
+  WHERE batch_job_id IS NOT NULL;
@@ -0,0 +1,39 @@
+-- EdSteward.ai - Validator registry
+--
+-- Stores the deployed validators the router can send regulations to, with
+-- the levels, jurisdictions and categories each one covers. Health check
+-- results and circuit breaker state are kept per validator in a separate
+-- table, which also covers validators configured through the environment.
+
+CREATE TABLE IF NOT EXISTS validators (
+  validator_id VARCHAR(100) PRIMARY KEY,
+  description TEXT,
+  function_arn VARCHAR(2048) NOT NULL,
+  levels INTEGER[] NOT NULL
+    CHECK (cardinality(levels) > 0 AND levels <@ ARRAY[1, 2, 3]),
+  jurisdictions TEXT[] NOT NULL DEFAULT '{}',
+  categories TEXT[] NOT NULL DEFAULT '{}',
+  capabilities TEXT[] NOT NULL DEFAULT '{}',
+  timeout_ms INTEGER CHECK (timeout_ms > 0),
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  updated_by VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS validator_health (
+  validator_id VARCHAR(100) PRIMARY KEY,
+  health_status VARCHAR(20) NOT NULL DEFAULT 'UNKNOWN'
+    CHECK (health_status IN ('UNKNOWN', 'HEALTHY', 'UNHEALTHY')),
+  health_checked_at TIMESTAMPTZ,
+  health_error TEXT,
+  -- A half-open circuit is an open one whose cooldown has passed
+  circuit_state VARCHAR(20) NOT NULL DEFAULT 'CLOSED'
+    CHECK (circuit_state IN ('CLOSED', 'OPEN')),
+  consecutive_failures INTEGER NOT NULL DEFAULT 0,
+  circuit_opened_at TIMESTAMPTZ,
+  last_success_at TIMESTAMPTZ,
+  last_failure_at TIMESTAMPTZ,
+  last_error TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
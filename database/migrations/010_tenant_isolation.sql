@@ -0,0 +1,99 @@
+-- EdSteward.ai - Tenant isolation
+--
+-- Keeps every institution's data to itself with row-level security. The
+-- orchestrator sets app.tenant_id to the caller's tenant (empty for callers
+-- without one) each time it checks out a connection, and the policies below
+-- only let queries see and write rows of that tenant. Reference data
+-- (regulations, their versions and decision trees, classification profiles)
+-- without a tenant is shared by all tenants. System tasks that span tenants,
+-- such as verifying the audit hash chain, set app.all_tenants to 'on'.
+--
+-- Rows written before this migration have no tenant and stay visible only
+-- to callers without a tenant until they are assigned one.
+--
+-- Validators, their health and the audit checkpoints are not tenant data
+-- and are left unrestricted.
+
+CREATE OR REPLACE FUNCTION current_tenant_id() RETURNS VARCHAR AS $$
+  SELECT NULLIF(current_setting('app.tenant_id', true), '')
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION all_tenants_allowed() RETURNS BOOLEAN AS $$
+  SELECT COALESCE(current_setting('app.all_tenants', true), '') = 'on'
+$$ LANGUAGE sql STABLE;
+
+-- Shared reference data: rows without a tenant are visible to every tenant,
+-- but a tenant can only write its own rows
+DO $$
+DECLARE
+  table_name TEXT;
+BEGIN
+  FOREACH table_name IN ARRAY ARRAY[
+    'regulations',
+    'regulation_versions',
+    'regulation_decision_trees',
+    'classification_profiles'
+  ] LOOP
+    EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(255)', table_name);
+    EXECUTE format('ALTER TABLE %I ALTER COLUMN tenant_id SET DEFAULT current_tenant_id()', table_name);
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', table_name);
+    EXECUTE format('ALTER TABLE %I FORCE ROW LEVEL SECURITY', table_name);
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', table_name);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation ON %I
+         USING (all_tenants_allowed() OR tenant_id IS NULL OR tenant_id = current_tenant_id())
+         WITH CHECK (all_tenants_allowed() OR tenant_id IS NOT DISTINCT FROM current_tenant_id())',
+      table_name
+    );
+  END LOOP;
+END;
+$$;
+
+-- Tenant data: rows are only visible to their own tenant
+DO $$
+DECLARE
+  table_name TEXT;
+BEGIN
+  FOREACH table_name IN ARRAY ARRAY[
+    'regulation_acceptances',
+    'attestation_certificates',
+    'validation_results',
+    'review_queue',
+    'batch_jobs',
+    'audit_logs'
+  ] LOOP
+    EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(255)', table_name);
+    EXECUTE format('ALTER TABLE %I ALTER COLUMN tenant_id SET DEFAULT current_tenant_id()', table_name);
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', table_name);
+    EXECUTE format('ALTER TABLE %I FORCE ROW LEVEL SECURITY', table_name);
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', table_name);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation ON %I
+         USING (all_tenants_allowed() OR tenant_id IS NOT DISTINCT FROM current_tenant_id())
+         WITH CHECK (all_tenants_allowed() OR tenant_id IS NOT DISTINCT FROM current_tenant_id())',
+      table_name
+    );
+  END LOOP;
+END;
+$$;
+
+-- Batch job items belong to the tenant of their job; the subquery is itself
+-- subject to the batch_jobs policy
+ALTER TABLE batch_job_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE batch_job_items FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON batch_job_items;
+CREATE POLICY tenant_isolation ON batch_job_items
+  USING (EXISTS (SELECT 1 FROM batch_jobs j WHERE j.job_id = batch_job_items.job_id))
+  WITH CHECK (EXISTS (SELECT 1 FROM batch_jobs j WHERE j.job_id = batch_job_items.job_id));
+
+CREATE INDEX IF NOT EXISTS idx_regulation_acceptances_tenant
+  ON regulation_acceptances (tenant_id, regulation_id);
+
+CREATE INDEX IF NOT EXISTS idx_attestation_certificates_tenant
+  ON attestation_certificates (tenant_id, regulation_id);
+
+CREATE INDEX IF NOT EXISTS idx_review_queue_tenant
+  ON review_queue (tenant_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_tenant
+  ON audit_logs (tenant_id, timestamp DESC);
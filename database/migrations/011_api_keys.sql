@@ -0,0 +1,41 @@
+-- EdSteward.ai - API keys
+--
+-- Stores the service credentials integrations (such as student information
+-- systems) use to call the API. A key is shown once when it is issued; only
+-- its SHA-256 hash is kept, together with the public prefix it is looked up
+-- by. Each key is bound to a tenant and grants the API scopes it was issued
+-- with. Keys stop working when they expire or are revoked; a rotated key
+-- keeps working until the end of its overlap period and points to its
+-- replacement through rotated_from.
+--
+-- Keys are tenant data under the policy of 010_tenant_isolation.sql.
+-- Authentication looks keys up across tenants, since the tenant is only
+-- known once the key is found.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  key_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id VARCHAR(255) DEFAULT current_tenant_id(),
+  name VARCHAR(255) NOT NULL,
+  key_prefix VARCHAR(32) NOT NULL UNIQUE,
+  key_hash CHAR(64) NOT NULL,
+  scopes TEXT[] NOT NULL CHECK (cardinality(scopes) > 0),
+  expires_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  rotated_from UUID REFERENCES api_keys (key_id),
+  revoked_at TIMESTAMPTZ,
+  revoked_by VARCHAR(255),
+  revocation_reason TEXT,
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_tenant
+  ON api_keys (tenant_id, created_at DESC);
+
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_keys FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON api_keys;
+CREATE POLICY tenant_isolation ON api_keys
+  USING (all_tenants_allowed() OR tenant_id IS NOT DISTINCT FROM current_tenant_id())
+  WITH CHECK (all_tenants_allowed() OR tenant_id IS NOT DISTINCT FROM current_tenant_id());
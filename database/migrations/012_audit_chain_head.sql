@@ -0,0 +1,19 @@
+-- EdSteward.ai - Audit chain head
+--
+-- All tenants share one audit hash chain, so appending an event links it to
+-- the latest entry of the chain whichever tenant that entry belongs to.
+-- audit_chain_head() returns just the sequence number and hash of that entry,
+-- so that audit events are written within their own tenant's scope rather
+-- than across all tenants. The function runs as its owner with
+-- app.all_tenants set for its duration only.
+
+CREATE OR REPLACE FUNCTION audit_chain_head()
+RETURNS TABLE (sequence_number BIGINT, entry_hash CHAR(64)) AS $$
+  SELECT a.sequence_number, a.entry_hash
+  FROM audit_logs a
+  WHERE a.sequence_number IS NOT NULL
+  ORDER BY a.sequence_number DESC
+  LIMIT 1
+$$ LANGUAGE sql STABLE SECURITY DEFINER
+  SET app.all_tenants = 'on'
+  SET search_path FROM CURRENT;
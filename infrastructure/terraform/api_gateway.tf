@@ -5,6 +5,9 @@ resource "aws_api_gateway_rest_api" "api" {
   name        = "${var.project_name}-${var.environment}-api"
   description = "EdSteward.ai API Gateway"
 
+  # Certificates can be downloaded as PDF
+  binary_media_types = ["application/pdf"]
+
   endpoint_configuration {
     types = ["REGIONAL"]
   }
@@ -126,6 +129,27 @@ resource "aws_api_gateway_resource" "certificate_verify" {
   path_part   = "verify"
 }
 
+# /certificates/{certificateId}/revoke resource
+resource "aws_api_gateway_resource" "certificate_revoke" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.certificate.id
+  path_part   = "revoke"
+}
+
+# /certificates/revoke resource
+resource "aws_api_gateway_resource" "certificates_revoke" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.certificates.id
+  path_part   = "revoke"
+}
+
+# /certificates/revocation-list resource
+resource "aws_api_gateway_resource" "certificates_revocation_list" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.certificates.id
+  path_part   = "revocation-list"
+}
+
 # /audit-logs resource
 resource "aws_api_gateway_resource" "audit_logs" {
   rest_api_id = aws_api_gateway_rest_api.api.id
@@ -140,6 +164,174 @@ resource "aws_api_gateway_resource" "audit_log" {
   path_part   = "{auditId}"
 }
 
+# /audit-logs/verify resource
+resource "aws_api_gateway_resource" "audit_logs_verify" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.audit_logs.id
+  path_part   = "verify"
+}
+
+# /reviews resource
+resource "aws_api_gateway_resource" "reviews" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_rest_api.api.root_resource_id
+  path_part   = "reviews"
+}
+
+# /reviews/{reviewId} resource
+resource "aws_api_gateway_resource" "review" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.reviews.id
+  path_part   = "{reviewId}"
+}
+
+# /reviews/{reviewId}/claim resource
+resource "aws_api_gateway_resource" "review_claim" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.review.id
+  path_part   = "claim"
+}
+
+# /reviews/{reviewId}/decision resource
+resource "aws_api_gateway_resource" "review_decision" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.review.id
+  path_part   = "decision"
+}
+
+# /reviews/{reviewId}/annotations resource
+resource "aws_api_gateway_resource" "review_annotations" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.review.id
+  path_part   = "annotations"
+}
+
+# /classification-profiles resource
+resource "aws_api_gateway_resource" "classification_profiles" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_rest_api.api.root_resource_id
+  path_part   = "classification-profiles"
+}
+
+# /classification-profiles/{profileId} resource
+resource "aws_api_gateway_resource" "classification_profile" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.classification_profiles.id
+  path_part   = "{profileId}"
+}
+
+# /classification-profiles/{profileId}/activate resource
+resource "aws_api_gateway_resource" "classification_profile_activate" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.classification_profile.id
+  path_part   = "activate"
+}
+
+# /validate/batch/{jobId} resource
+resource "aws_api_gateway_resource" "validate_batch_job" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.validate_batch.id
+  path_part   = "{jobId}"
+}
+
+# /validate/batch/{jobId}/items resource
+resource "aws_api_gateway_resource" "validate_batch_job_items" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.validate_batch_job.id
+  path_part   = "items"
+}
+
+# /validations resource
+resource "aws_api_gateway_resource" "validations" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_rest_api.api.root_resource_id
+  path_part   = "validations"
+}
+
+# /validations/{validationId} resource
+resource "aws_api_gateway_resource" "validation" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.validations.id
+  path_part   = "{validationId}"
+}
+
+# /regulations/{regulationId}/validations resource
+resource "aws_api_gateway_resource" "regulation_validations" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.regulation.id
+  path_part   = "validations"
+}
+
+# /analytics resource
+resource "aws_api_gateway_resource" "analytics" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_rest_api.api.root_resource_id
+  path_part   = "analytics"
+}
+
+# /analytics/compliance resource
+resource "aws_api_gateway_resource" "analytics_compliance" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.analytics.id
+  path_part   = "compliance"
+}
+
+# /validators resource
+resource "aws_api_gateway_resource" "validators" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_rest_api.api.root_resource_id
+  path_part   = "validators"
+}
+
+# /validators/{validatorId} resource
+resource "aws_api_gateway_resource" "validator" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.validators.id
+  path_part   = "{validatorId}"
+}
+
+# /api-keys resource
+resource "aws_api_gateway_resource" "api_keys" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_rest_api.api.root_resource_id
+  path_part   = "api-keys"
+}
+
+# /api-keys/{keyId} resource
+resource "aws_api_gateway_resource" "api_key" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.api_keys.id
+  path_part   = "{keyId}"
+}
+
+# /api-keys/{keyId}/rotate resource
+resource "aws_api_gateway_resource" "api_key_rotate" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.api_key.id
+  path_part   = "rotate"
+}
+
+# /api-keys/{keyId}/revoke resource
+resource "aws_api_gateway_resource" "api_key_revoke" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.api_key.id
+  path_part   = "revoke"
+}
+
+# /integrations resource
+resource "aws_api_gateway_resource" "integrations" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_rest_api.api.root_resource_id
+  path_part   = "integrations"
+}
+
+# /integrations/{proxy+} resource
+resource "aws_api_gateway_resource" "integrations_proxy" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  parent_id   = aws_api_gateway_resource.integrations.id
+  path_part   = "{proxy+}"
+}
+
 # /status resource
 resource "aws_api_gateway_resource" "status" {
   rest_api_id = aws_api_gateway_rest_api.api.id
@@ -211,6 +403,8 @@ resource "aws_api_gateway_method" "regulations_get" {
     "method.request.querystring.query"        = false
     "method.request.querystring.tags"         = false
     "method.request.querystring.active"       = false
+    "method.request.querystring.sortBy"       = false
+    "method.request.querystring.sortOrder"    = false
   }
 }
 
@@ -224,18 +418,818 @@ resource "aws_api_gateway_integration" "regulations_get" {
   uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
 }
 
-# GET /status (public endpoint)
-resource "aws_api_gateway_method" "status_get" {
+# GET /regulations/{regulationId}/versions
+resource "aws_api_gateway_method" "versions_get" {
   rest_api_id   = aws_api_gateway_rest_api.api.id
-  resource_id   = aws_api_gateway_resource.status.id
+  resource_id   = aws_api_gateway_resource.versions.id
   http_method   = "GET"
-  authorization_type = "NONE"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.regulationId" = true
+  }
 }
 
-resource "aws_api_gateway_integration" "status_get" {
+resource "aws_api_gateway_integration" "versions_get" {
   rest_api_id = aws_api_gateway_rest_api.api.id
-  resource_id = aws_api_gateway_resource.status.id
-  http_method = aws_api_gateway_method.status_get.http_method
+  resource_id = aws_api_gateway_resource.versions.id
+  http_method = aws_api_gateway_method.versions_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /regulations/{regulationId}/versions/{versionNumber}
+resource "aws_api_gateway_method" "version_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.version.id
+  http_method   = "GET"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.regulationId"  = true
+    "method.request.path.versionNumber" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "version_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.version.id
+  http_method = aws_api_gateway_method.version_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /regulations/{regulationId}/diff
+resource "aws_api_gateway_method" "diff_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.diff.id
+  http_method   = "GET"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.regulationId" = true
+    "method.request.querystring.from"  = false
+    "method.request.querystring.to"    = false
+  }
+}
+
+resource "aws_api_gateway_integration" "diff_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.diff.id
+  http_method = aws_api_gateway_method.diff_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# POST /versions/{regulationId}/check
+resource "aws_api_gateway_method" "version_check_post" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.version_check.id
+  http_method   = "POST"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.regulationId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "version_check_post" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.version_check.id
+  http_method = aws_api_gateway_method.version_check_post.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# POST /versions/{regulationId}/accept
+resource "aws_api_gateway_method" "version_accept_post" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.version_accept.id
+  http_method   = "POST"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.regulationId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "version_accept_post" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.version_accept.id
+  http_method = aws_api_gateway_method.version_accept_post.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /audit-logs
+resource "aws_api_gateway_method" "audit_logs_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.audit_logs.id
+  http_method   = "GET"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.querystring.eventType"  = false
+    "method.request.querystring.entityType" = false
+    "method.request.querystring.entityId"   = false
+    "method.request.querystring.userId"     = false
+    "method.request.querystring.clientId"   = false
+    "method.request.querystring.from"       = false
+    "method.request.querystring.to"         = false
+    "method.request.querystring.q"          = false
+    "method.request.querystring.cursor"     = false
+    "method.request.querystring.limit"      = false
+    "method.request.querystring.format"     = false
+  }
+}
+
+resource "aws_api_gateway_integration" "audit_logs_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.audit_logs.id
+  http_method = aws_api_gateway_method.audit_logs_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /audit-logs/{auditId}
+resource "aws_api_gateway_method" "audit_log_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.audit_log.id
+  http_method   = "GET"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.auditId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "audit_log_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.audit_log.id
+  http_method = aws_api_gateway_method.audit_log_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /audit-logs/verify
+resource "aws_api_gateway_method" "audit_logs_verify_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.audit_logs_verify.id
+  http_method   = "GET"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.querystring.fromSequence" = false
+    "method.request.querystring.toSequence"   = false
+  }
+}
+
+resource "aws_api_gateway_integration" "audit_logs_verify_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.audit_logs_verify.id
+  http_method = aws_api_gateway_method.audit_logs_verify_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /reviews
+resource "aws_api_gateway_method" "reviews_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.reviews.id
+  http_method   = "GET"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.querystring.status"       = false
+    "method.request.querystring.regulationId" = false
+    "method.request.querystring.claimedBy"    = false
+    "method.request.querystring.page"         = false
+    "method.request.querystring.limit"        = false
+    "method.request.querystring.sortBy"       = false
+    "method.request.querystring.sortOrder"    = false
+  }
+}
+
+resource "aws_api_gateway_integration" "reviews_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.reviews.id
+  http_method = aws_api_gateway_method.reviews_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /reviews/{reviewId}
+resource "aws_api_gateway_method" "review_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.review.id
+  http_method   = "GET"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.reviewId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "review_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.review.id
+  http_method = aws_api_gateway_method.review_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# POST /reviews/{reviewId}/claim
+resource "aws_api_gateway_method" "review_claim_post" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.review_claim.id
+  http_method   = "POST"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.reviewId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "review_claim_post" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.review_claim.id
+  http_method = aws_api_gateway_method.review_claim_post.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# POST /reviews/{reviewId}/decision
+resource "aws_api_gateway_method" "review_decision_post" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.review_decision.id
+  http_method   = "POST"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.reviewId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "review_decision_post" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.review_decision.id
+  http_method = aws_api_gateway_method.review_decision_post.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# POST /reviews/{reviewId}/annotations
+resource "aws_api_gateway_method" "review_annotations_post" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.review_annotations.id
+  http_method   = "POST"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.reviewId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "review_annotations_post" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.review_annotations.id
+  http_method = aws_api_gateway_method.review_annotations_post.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /classification-profiles
+resource "aws_api_gateway_method" "classification_profiles_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.classification_profiles.id
+  http_method   = "GET"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.querystring.category" = false
+  }
+}
+
+resource "aws_api_gateway_integration" "classification_profiles_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.classification_profiles.id
+  http_method = aws_api_gateway_method.classification_profiles_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# POST /classification-profiles
+resource "aws_api_gateway_method" "classification_profiles_post" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.classification_profiles.id
+  http_method   = "POST"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "classification_profiles_post" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.classification_profiles.id
+  http_method = aws_api_gateway_method.classification_profiles_post.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# POST /classification-profiles/{profileId}/activate
+resource "aws_api_gateway_method" "classification_profile_activate_post" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.classification_profile_activate.id
+  http_method   = "POST"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.profileId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "classification_profile_activate_post" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.classification_profile_activate.id
+  http_method = aws_api_gateway_method.classification_profile_activate_post.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /validate/batch/{jobId}
+resource "aws_api_gateway_method" "validate_batch_job_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.validate_batch_job.id
+  http_method   = "GET"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.jobId"                 = true
+    "method.request.querystring.includeDetails" = false
+  }
+}
+
+resource "aws_api_gateway_integration" "validate_batch_job_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.validate_batch_job.id
+  http_method = aws_api_gateway_method.validate_batch_job_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /validate/batch/{jobId}/items
+resource "aws_api_gateway_method" "validate_batch_job_items_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.validate_batch_job_items.id
+  http_method   = "GET"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.jobId"               = true
+    "method.request.querystring.page"         = false
+    "method.request.querystring.limit"        = false
+    "method.request.querystring.status"       = false
+    "method.request.querystring.regulationId" = false
+  }
+}
+
+resource "aws_api_gateway_integration" "validate_batch_job_items_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.validate_batch_job_items.id
+  http_method = aws_api_gateway_method.validate_batch_job_items_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /validations/{validationId}
+resource "aws_api_gateway_method" "validation_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.validation.id
+  http_method   = "GET"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.validationId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "validation_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.validation.id
+  http_method = aws_api_gateway_method.validation_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /regulations/{regulationId}/validations
+resource "aws_api_gateway_method" "regulation_validations_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.regulation_validations.id
+  http_method   = "GET"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.regulationId"           = true
+    "method.request.querystring.page"            = false
+    "method.request.querystring.limit"           = false
+    "method.request.querystring.status"          = false
+    "method.request.querystring.validationLevel" = false
+    "method.request.querystring.from"            = false
+    "method.request.querystring.to"              = false
+    "method.request.querystring.sortBy"          = false
+    "method.request.querystring.sortOrder"       = false
+    "method.request.querystring.includeDetails"  = false
+  }
+}
+
+resource "aws_api_gateway_integration" "regulation_validations_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.regulation_validations.id
+  http_method = aws_api_gateway_method.regulation_validations_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /analytics/compliance
+resource "aws_api_gateway_method" "analytics_compliance_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.analytics_compliance.id
+  http_method   = "GET"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.querystring.from"            = false
+    "method.request.querystring.to"              = false
+    "method.request.querystring.interval"        = false
+    "method.request.querystring.category"        = false
+    "method.request.querystring.jurisdiction"    = false
+    "method.request.querystring.validationLevel" = false
+  }
+}
+
+resource "aws_api_gateway_integration" "analytics_compliance_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.analytics_compliance.id
+  http_method = aws_api_gateway_method.analytics_compliance_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /validators
+resource "aws_api_gateway_method" "validators_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.validators.id
+  http_method   = "GET"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "validators_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.validators.id
+  http_method = aws_api_gateway_method.validators_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# PUT /validators/{validatorId}
+resource "aws_api_gateway_method" "validator_put" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.validator.id
+  http_method   = "PUT"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.validatorId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "validator_put" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.validator.id
+  http_method = aws_api_gateway_method.validator_put.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /api-keys
+resource "aws_api_gateway_method" "api_keys_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.api_keys.id
+  http_method   = "GET"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "api_keys_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.api_keys.id
+  http_method = aws_api_gateway_method.api_keys_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# POST /api-keys
+resource "aws_api_gateway_method" "api_keys_post" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.api_keys.id
+  http_method   = "POST"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "api_keys_post" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.api_keys.id
+  http_method = aws_api_gateway_method.api_keys_post.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# POST /api-keys/{keyId}/rotate
+resource "aws_api_gateway_method" "api_key_rotate_post" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.api_key_rotate.id
+  http_method   = "POST"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.keyId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "api_key_rotate_post" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.api_key_rotate.id
+  http_method = aws_api_gateway_method.api_key_rotate_post.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# POST /api-keys/{keyId}/revoke
+resource "aws_api_gateway_method" "api_key_revoke_post" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.api_key_revoke.id
+  http_method   = "POST"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.keyId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "api_key_revoke_post" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.api_key_revoke.id
+  http_method = aws_api_gateway_method.api_key_revoke_post.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /status (public endpoint)
+resource "aws_api_gateway_method" "status_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.status.id
+  http_method   = "GET"
+  authorization_type = "NONE"
+}
+
+resource "aws_api_gateway_integration" "status_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.status.id
+  http_method = aws_api_gateway_method.status_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /certificates/{certificateId}
+resource "aws_api_gateway_method" "certificate_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.certificate.id
+  http_method   = "GET"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.certificateId" = true
+    "method.request.querystring.format" = false
+  }
+}
+
+resource "aws_api_gateway_integration" "certificate_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.certificate.id
+  http_method = aws_api_gateway_method.certificate_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /certificates/{certificateId}/verify (public endpoint, target of the certificate QR code)
+resource "aws_api_gateway_method" "certificate_verify_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.certificate_verify.id
+  http_method   = "GET"
+  authorization_type = "NONE"
+
+  request_parameters = {
+    "method.request.path.certificateId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "certificate_verify_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.certificate_verify.id
+  http_method = aws_api_gateway_method.certificate_verify_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# POST /certificates/{certificateId}/verify (public endpoint for external auditors)
+resource "aws_api_gateway_method" "certificate_verify_post" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.certificate_verify.id
+  http_method   = "POST"
+  authorization_type = "NONE"
+
+  request_parameters = {
+    "method.request.path.certificateId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "certificate_verify_post" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.certificate_verify.id
+  http_method = aws_api_gateway_method.certificate_verify_post.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# POST /certificates/{certificateId}/revoke
+resource "aws_api_gateway_method" "certificate_revoke_post" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.certificate_revoke.id
+  http_method   = "POST"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.certificateId"  = true
+    "method.request.header.Content-Type" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "certificate_revoke_post" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.certificate_revoke.id
+  http_method = aws_api_gateway_method.certificate_revoke_post.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# POST /certificates/revoke
+resource "aws_api_gateway_method" "certificates_revoke_post" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.certificates_revoke.id
+  http_method   = "POST"
+  authorization_type = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.header.Content-Type" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "certificates_revoke_post" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.certificates_revoke.id
+  http_method = aws_api_gateway_method.certificates_revoke_post.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# GET /certificates/revocation-list (public endpoint for external verifiers)
+resource "aws_api_gateway_method" "certificates_revocation_list_get" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.certificates_revocation_list.id
+  http_method   = "GET"
+  authorization_type = "NONE"
+}
+
+resource "aws_api_gateway_integration" "certificates_revocation_list_get" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.certificates_revocation_list.id
+  http_method = aws_api_gateway_method.certificates_revocation_list_get.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.primary_mcp_orchestrator.invoke_arn
+}
+
+# ANY /integrations/{proxy+} (API key access for integrations; the
+# orchestrator authenticates the X-Api-Key header against its stored keys)
+resource "aws_api_gateway_method" "integrations_proxy_any" {
+  rest_api_id   = aws_api_gateway_rest_api.api.id
+  resource_id   = aws_api_gateway_resource.integrations_proxy.id
+  http_method   = "ANY"
+  authorization_type = "NONE"
+
+  request_parameters = {
+    "method.request.path.proxy" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "integrations_proxy_any" {
+  rest_api_id = aws_api_gateway_rest_api.api.id
+  resource_id = aws_api_gateway_resource.integrations_proxy.id
+  http_method = aws_api_gateway_method.integrations_proxy_any.http_method
 
   integration_http_method = "POST"
   type                    = "AWS_PROXY"
@@ -260,7 +1254,41 @@ resource "aws_api_gateway_deployment" "api" {
     aws_api_gateway_integration.validate_post,
     aws_api_gateway_integration.validate_batch_post,
     aws_api_gateway_integration.regulations_get,
-    aws_api_gateway_integration.status_get
+    aws_api_gateway_integration.versions_get,
+    aws_api_gateway_integration.version_get,
+    aws_api_gateway_integration.diff_get,
+    aws_api_gateway_integration.version_check_post,
+    aws_api_gateway_integration.version_accept_post,
+    aws_api_gateway_integration.audit_logs_get,
+    aws_api_gateway_integration.audit_log_get,
+    aws_api_gateway_integration.audit_logs_verify_get,
+    aws_api_gateway_integration.reviews_get,
+    aws_api_gateway_integration.review_get,
+    aws_api_gateway_integration.review_claim_post,
+    aws_api_gateway_integration.review_decision_post,
+    aws_api_gateway_integration.review_annotations_post,
+    aws_api_gateway_integration.classification_profiles_get,
+    aws_api_gateway_integration.classification_profiles_post,
+    aws_api_gateway_integration.classification_profile_activate_post,
+    aws_api_gateway_integration.validate_batch_job_get,
+    aws_api_gateway_integration.validate_batch_job_items_get,
+    aws_api_gateway_integration.validation_get,
+    aws_api_gateway_integration.regulation_validations_get,
+    aws_api_gateway_integration.analytics_compliance_get,
+    aws_api_gateway_integration.validators_get,
+    aws_api_gateway_integration.validator_put,
+    aws_api_gateway_integration.api_keys_get,
+    aws_api_gateway_integration.api_keys_post,
+    aws_api_gateway_integration.api_key_rotate_post,
+    aws_api_gateway_integration.api_key_revoke_post,
+    aws_api_gateway_integration.integrations_proxy_any,
+    aws_api_gateway_integration.status_get,
+    aws_api_gateway_integration.certificate_get,
+    aws_api_gateway_integration.certificate_verify_get,
+    aws_api_gateway_integration.certificate_verify_post,
+    aws_api_gateway_integration.certificate_revoke_post,
+    aws_api_gateway_integration.certificates_revoke_post,
+    aws_api_gateway_integration.certificates_revocation_list_get
   ]
 
   rest_api_id = aws_api_gateway_rest_api.api.id
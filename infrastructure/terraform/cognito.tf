@@ -243,6 +243,11 @@ resource "aws_cognito_resource_server" "api" {
     scope_description = "Read attestation certificates"
   }
   
+  scope {
+    scope_name        = "certificates.revoke"
+    scope_description = "Revoke attestation certificates"
+  }
+  
   scope {
     scope_name        = "audit.read"
     scope_description = "Read audit logs"
@@ -544,6 +549,22 @@ resource "aws_cognito_user_group" "viewer" {
   precedence   = 4
 }
 
+resource "aws_cognito_user_group" "reviewer" {
+  name         = "reviewer"
+  user_pool_id = aws_cognito_user_pool.main.id
+  description  = "Reviewer group deciding validations queued for human review"
+  precedence   = 4
+}
+
+# Platform operators manage what all tenants share, such as the validator
+# registry; members must not carry a custom:tenant_id
+resource "aws_cognito_user_group" "platform_operator" {
+  name         = "platform-operator"
+  user_pool_id = aws_cognito_user_pool.main.id
+  description  = "Platform operator group managing shared validators, without a tenant"
+  precedence   = 5
+}
+
 # Outputs
 output "cognito_user_pool_id" {
   description = "Cognito User Pool ID"
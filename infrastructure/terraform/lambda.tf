@@ -1,5 +1,16 @@
 # EdSteward.ai - Lambda Function Infrastructure
 
+data "aws_caller_identity" "current" {}
+
+data "aws_region" "current" {}
+
+locals {
+  # Stored validators are limited to the project's functions unless configured otherwise
+  validator_function_arn_prefixes = length(var.validator_function_arn_prefixes) > 0 ? var.validator_function_arn_prefixes : [
+    "arn:aws:lambda:${data.aws_region.current.name}:${data.aws_caller_identity.current.account_id}:function:${var.project_name}-${var.environment}-"
+  ]
+}
+
 # IAM role for Lambda execution
 resource "aws_iam_role" "lambda_execution_role" {
   name = "${var.project_name}-${var.environment}-lambda-execution-role"
@@ -31,7 +42,7 @@ resource "aws_iam_policy" "lambda_execution_policy" {
 
   policy = jsonencode({
     Version = "2012-10-17"
-    Statement = [
+    Statement = concat([
       {
         Effect = "Allow"
         Action = [
@@ -72,6 +83,26 @@ resource "aws_iam_policy" "lambda_execution_policy" {
           "${aws_s3_bucket.documents.arn}/*"
         ]
       },
+      {
+        # The orchestrator invokes itself to process batch validation jobs
+        Effect = "Allow"
+        Action = [
+          "lambda:InvokeFunction"
+        ]
+        Resource = [
+          "arn:aws:lambda:*:*:function:${var.project_name}-${var.environment}-primary-mcp-orchestrator"
+        ]
+      },
+      {
+        # Validators stored in the registry follow the project's function naming
+        Effect = "Allow"
+        Action = [
+          "lambda:InvokeFunction"
+        ]
+        Resource = [
+          "arn:aws:lambda:*:*:function:${var.project_name}-${var.environment}-*-validator"
+        ]
+      },
       {
         Effect = "Allow"
         Action = [
@@ -81,7 +112,38 @@ resource "aws_iam_policy" "lambda_execution_policy" {
         ]
         Resource = "*"
       }
-    ]
+    ], var.certificate_signing_provider == "kms" ? [
+      {
+        Effect = "Allow"
+        Action = [
+          "kms:Sign",
+          "kms:Verify",
+          "kms:GetPublicKey"
+        ]
+        Resource = [
+          var.certificate_signing_key_id
+        ]
+      }
+    ] : [], var.interpretation_provider == "lambda" && var.interpretation_provider_arn != "" ? [
+      {
+        Effect = "Allow"
+        Action = [
+          "lambda:InvokeFunction"
+        ]
+        Resource = [
+          var.interpretation_provider_arn
+        ]
+      }
+    ] : [], length(jsondecode(var.validator_registry)) > 0 ? [
+      {
+        # Specialised validators the router may send regulations to
+        Effect = "Allow"
+        Action = [
+          "lambda:InvokeFunction"
+        ]
+        Resource = [for validator in jsondecode(var.validator_registry) : validator.functionArn]
+      }
+    ] : [])
   })
 }
 
@@ -135,8 +197,19 @@ resource "aws_lambda_function" "primary_mcp_orchestrator" {
       DB_SECRET_ARN           = aws_secretsmanager_secret.db_credentials.arn
       DOCUMENTS_BUCKET_NAME   = aws_s3_bucket.documents.id
       LEVEL1_VALIDATOR_ARN    = aws_lambda_function.level1_validator.arn
-      VERSION_CONTROL_ARN     = aws_lambda_function.version_control.arn
-      AUDIT_LOG_ARN           = aws_lambda_function.audit_log.arn
+      CERT_SIGNING_PROVIDER   = var.certificate_signing_provider
+      CERT_SIGNING_KEY_ID     = var.certificate_signing_key_id
+      INTERPRETATION_PROVIDER     = var.interpretation_provider
+      INTERPRETATION_PROVIDER_ARN = var.interpretation_provider_arn
+      REVIEW_CERTAINTY_THRESHOLD  = var.review_certainty_threshold
+      REVIEW_APPROVAL_CERTAINTY_LEVEL = var.review_approval_certainty_level
+      BATCH_CONCURRENCY           = var.batch_concurrency
+      BATCH_MAX_ATTEMPTS          = var.batch_max_attempts
+      VALIDATOR_REGISTRY          = var.validator_registry
+      VALIDATOR_FUNCTION_PREFIXES = join(",", local.validator_function_arn_prefixes)
+      VALIDATOR_TIMEOUT_MS        = var.validator_timeout_ms
+      VALIDATOR_FAILURE_THRESHOLD = var.validator_failure_threshold
+      VALIDATOR_CIRCUIT_COOLDOWN_SECONDS = var.validator_circuit_cooldown_seconds
       LOG_LEVEL               = var.environment == "prod" ? "info" : "debug"
     }
   }
@@ -149,6 +222,14 @@ resource "aws_lambda_function" "primary_mcp_orchestrator" {
     aws_cloudwatch_log_group.lambda_logs["primary-mcp-orchestrator"]
   ]
 
+  # A KMS signer without a key would fail every certificate-grade validation
+  lifecycle {
+    precondition {
+      condition     = var.certificate_signing_provider != "kms" || var.certificate_signing_key_id != ""
+      error_message = "certificate_signing_key_id must be set to a KMS key ARN when certificate_signing_provider is kms."
+    }
+  }
+
   tags = {
     Environment = var.environment
     Project     = var.project_name
@@ -364,3 +445,24 @@ resource "aws_lambda_permission" "api_gateway_primary_mcp" {
   principal     = "apigateway.amazonaws.com"
   source_arn    = "${aws_api_gateway_rest_api.api.execution_arn}/*"
 }
+
+# Scheduled validator health checks
+resource "aws_cloudwatch_event_rule" "validator_health_check" {
+  name                = "${var.project_name}-${var.environment}-validator-health-check"
+  description         = "Ping registered validators and record their health"
+  schedule_expression = var.validator_health_check_schedule
+}
+
+resource "aws_cloudwatch_event_target" "validator_health_check" {
+  rule  = aws_cloudwatch_event_rule.validator_health_check.name
+  arn   = aws_lambda_function.primary_mcp_orchestrator.arn
+  input = jsonencode({ action = "checkValidatorHealth" })
+}
+
+resource "aws_lambda_permission" "validator_health_check" {
+  statement_id  = "AllowValidatorHealthCheckSchedule"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.primary_mcp_orchestrator.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.validator_health_check.arn
+}
@@ -130,6 +130,102 @@ variable "email_sending_account" {
   default     = "COGNITO_DEFAULT"
 }
 
+# Certificate Signing Configuration
+variable "certificate_signing_provider" {
+  description = "Signer used for attestation certificates (local or kms)"
+  type        = string
+  default     = "kms"
+  validation {
+    condition     = contains(["local", "kms"], var.certificate_signing_provider)
+    error_message = "Certificate signing provider must be one of: local, kms."
+  }
+}
+
+variable "certificate_signing_key_id" {
+  description = "KMS key ARN (or local key ID) used to sign attestation certificates; required when the provider is kms"
+  type        = string
+  default     = ""
+}
+
+# Contextual Validation Configuration
+variable "interpretation_provider" {
+  description = "Interpretation provider used by Level 3 validation (none, stub or lambda)"
+  type        = string
+  default     = "none"
+  validation {
+    condition     = contains(["none", "stub", "lambda"], var.interpretation_provider)
+    error_message = "Interpretation provider must be one of: none, stub, lambda."
+  }
+}
+
+variable "interpretation_provider_arn" {
+  description = "Lambda function ARN of the interpretation provider (lambda provider only)"
+  type        = string
+  default     = ""
+}
+
+variable "review_certainty_threshold" {
+  description = "Level 3 results below this certainty level are queued for human review"
+  type        = number
+  default     = 3
+}
+
+variable "review_approval_certainty_level" {
+  description = "Certainty level of results approved by a reviewer; 4 or above issues a certificate"
+  type        = number
+  default     = 3
+}
+
+# Batch Validation Configuration
+variable "batch_concurrency" {
+  description = "Number of batch job items validated at the same time by one worker"
+  type        = number
+  default     = 5
+}
+
+variable "batch_max_attempts" {
+  description = "Attempts per batch job item before it is recorded as failed"
+  type        = number
+  default     = 3
+}
+
+# Validator Routing Configuration
+variable "validator_registry" {
+  description = "JSON list of specialised validators, each with validatorId, validatorType (text, pattern or context), functionArn and optional jurisdictions and categories"
+  type        = string
+  default     = "[]"
+}
+
+variable "validator_function_arn_prefixes" {
+  description = "Function ARN prefixes validators may be registered with; defaults to the project's functions in the deployment account and region"
+  type        = list(string)
+  default     = []
+}
+
+variable "validator_timeout_ms" {
+  description = "Time allowed for a validator call when the validator sets no timeout of its own"
+  type        = number
+  default     = 10000
+}
+
+variable "validator_failure_threshold" {
+  description = "Consecutive failed calls that open a validator's circuit breaker"
+  type        = number
+  default     = 3
+}
+
+variable "validator_circuit_cooldown_seconds" {
+  description = "Time an open validator circuit stays open before a trial call is allowed"
+  type        = number
+  default     = 60
+}
+
+variable "validator_health_check_schedule" {
+  description = "Schedule expression for validator health checks"
+  type        = string
+  default     = "rate(5 minutes)"
+}
+
 # Multi-tenancy Configuration
 variable "enable_multi_tenancy" {
   description = "Whether to enable multi-tenancy features"
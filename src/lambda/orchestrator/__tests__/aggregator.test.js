@@ -0,0 +1,84 @@
+/**
+ * EdSteward.ai - Result Aggregator Module tests
+ */
+
+const { aggregateResults, formatResultsForResponse, mergeValidationResults } = require('../aggregator');
+
+/**
+ * Build a validator result
+ * 
+ * @param {Object} fields - Fields overriding a valid, certain Level 2 result
+ * @returns {Object} Validation result
+ */
+function buildResult(fields) {
+  return {
+    isValid: true,
+    certaintyLevel: 4,
+    validationTimestamp: '2025-01-01T00:00:00.000Z',
+    validationLevel: 2,
+    evidence: {},
+    details: { validatedSections: ['1'], invalidSections: [], warnings: [] },
+    ...fields
+  };
+}
+
+describe('mergeValidationResults', () => {
+  test('accepts a unanimous verdict at the lowest supporting certainty', () => {
+    const merged = mergeValidationResults([
+      buildResult({ validator: 'level2' }),
+      buildResult({ validator: 'level3', validationLevel: 3, certaintyLevel: 5 })
+    ]);
+    
+    expect(merged.isValid).toBe(true);
+    expect(merged.certaintyLevel).toBe(4);
+    expect(merged.validationLevel).toBe(3);
+    expect(merged.consensus.agreed).toBe(true);
+  });
+  
+  test('holds the merged result for review when any validator awaits one', () => {
+    const merged = mergeValidationResults([
+      buildResult({ validator: 'level3-a', validationLevel: 3, isValid: false, certaintyLevel: 2,
+        status: 'PENDING_REVIEW', reviewReason: 'Interpretation required' }),
+      buildResult({ validator: 'level3-b', validationLevel: 3, isValid: false, certaintyLevel: 2,
+        status: 'PENDING_REVIEW', reviewReason: 'Sections differ in meaning' }),
+      buildResult({ validator: 'level2' })
+    ], { policy: 'majority' });
+    
+    expect(merged.isValid).toBe(false);
+    expect(merged.status).toBe('PENDING_REVIEW');
+    expect(merged.review).toBeUndefined();
+    expect(merged.consensus.reviewReasons).toEqual([
+      'level3-a: Interpretation required',
+      'level3-b: Sections differ in meaning'
+    ]);
+  });
+});
+
+describe('formatResultsForResponse', () => {
+  const aggregated = aggregateResults([
+    { data: { regulationId: 'REG-1', validationResult: buildResult() } },
+    { data: { regulationId: 'REG-2', validationResult: buildResult({ isValid: false }) } },
+    { regulationId: 'REG-3', error: { message: 'Timed out' } }
+  ]);
+  
+  test('lists a summary line per item without details', () => {
+    const response = formatResultsForResponse(aggregated, 'request-1', false);
+    
+    expect(response.summary.totalCount).toBe(3);
+    expect(response.results.map(item => [item.regulationId, item.status])).toEqual([
+      ['REG-1', 'VALID'],
+      ['REG-2', 'INVALID'],
+      ['REG-3', 'ERROR']
+    ]);
+    expect(response.results.every(item => item.summary && !item.result)).toBe(true);
+    expect(response.detailsTruncated).toBeUndefined();
+  });
+  
+  test('includes full results for at most the detail limit', () => {
+    const response = formatResultsForResponse(aggregated, 'request-1', true, 2);
+    
+    expect(response.results.map(item => Boolean(item.result))).toEqual([true, true, false]);
+    expect(response.results[0].result.data.regulationId).toBe('REG-1');
+    expect(response.detailsTruncated).toBe(true);
+  });
+});
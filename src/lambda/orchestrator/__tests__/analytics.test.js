@@ -0,0 +1,257 @@
+/**
+ * EdSteward.ai - Compliance Analytics Module tests
+ */
+
+jest.mock('../db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../audit', () => ({
+  ...jest.requireActual('../audit'),
+  createAuditEvent: jest.fn(),
+  createAuthorizationAuditEvent: jest.fn()
+}));
+
+const { getDbConnection } = require('../db');
+const {
+  MAX_ANALYTICS_RECORDS,
+  countComplianceWindows,
+  resolveCompliancePeriod,
+  computeComplianceTrends,
+  computeRegulationStaleness
+} = require('../analytics');
+const { handler } = require('../index');
+
+// Two weeks, starting on a Monday
+const period = { from: '2025-01-06T00:00:00.000Z', to: '2025-01-19T23:59:59.999Z', interval: 'week' };
+
+/**
+ * Build a validation summary (as returned by db.listValidationHistory)
+ * 
+ * @param {string} regulationId - Regulation identifier
+ * @param {string} timestamp - Validation time (ISO 8601)
+ * @param {string} status - Stored validation status
+ * @param {number} [certaintyLevel] - Certainty level
+ * @returns {Object} Validation summary
+ */
+function buildRecord(regulationId, timestamp, status, certaintyLevel) {
+  return {
+    regulation_id: regulationId,
+    category: regulationId === 'REG-1' ? 'privacy' : 'safety',
+    jurisdiction: regulationId === 'REG-1' ? 'US-FED' : 'US-CA',
+    validation_level: regulationId === 'REG-1' ? 1 : 2,
+    validation_timestamp: timestamp,
+    status,
+    is_valid: status === 'VALID',
+    certainty_level: certaintyLevel === undefined ? null : certaintyLevel,
+    invalid_sections: []
+  };
+}
+
+const records = [
+  buildRecord('REG-1', '2025-01-15T00:00:00.000Z', 'ERROR'),
+  buildRecord('REG-1', '2025-01-07T00:00:00.000Z', 'VALID', 4),
+  buildRecord('REG-2', '2025-01-08T00:00:00.000Z', 'INVALID', 2),
+  buildRecord('REG-2', '2025-01-14T00:00:00.000Z', 'VALID', 4)
+];
+
+describe('resolveCompliancePeriod', () => {
+  test('covers the default period of the interval up to the given end', () => {
+    expect(resolveCompliancePeriod({ to: '2025-12-31T00:00:00.000Z', interval: 'month' })).toEqual({
+      from: '2024-12-31T00:00:00.000Z',
+      to: '2025-12-31T00:00:00.000Z',
+      interval: 'month'
+    });
+  });
+  
+  test('reports weekly up to now by default', () => {
+    const { from, to, interval } = resolveCompliancePeriod({});
+    
+    expect(interval).toBe('week');
+    expect(Date.now() - Date.parse(to)).toBeLessThan(1000);
+    expect(Date.parse(to) - Date.parse(from)).toBe(91 * 24 * 60 * 60 * 1000);
+  });
+  
+  test('passes invalid values through for validation', () => {
+    expect(resolveCompliancePeriod({ to: 'yesterday', interval: 'hour' })).toEqual({ from: undefined, to: 'yesterday', interval: 'hour' });
+  });
+});
+
+describe('countComplianceWindows', () => {
+  test.each([
+    ['day', 14],
+    ['week', 2],
+    ['month', 1]
+  ])('counts the %s windows a period touches', (interval, count) => {
+    expect(countComplianceWindows(period.from, period.to, interval)).toBe(count);
+  });
+  
+  test('aligns weeks on Monday and months on the first', () => {
+    expect(countComplianceWindows('2025-01-05T00:00:00.000Z', '2025-01-06T00:00:00.000Z', 'week')).toBe(2);
+    expect(countComplianceWindows('2024-12-31T00:00:00.000Z', '2025-02-01T00:00:00.000Z', 'month')).toBe(3);
+  });
+});
+
+describe('computeComplianceTrends', () => {
+  test('counts each window and the whole period with the batch aggregation', () => {
+    const trends = computeComplianceTrends(records, period);
+    
+    expect(trends.summary).toMatchObject({
+      totalCount: 4,
+      successCount: 2,
+      failureCount: 2,
+      averageCertainty: 3.3,
+      regulationCount: 2,
+      failingRegulationCount: 1,
+      byCategory: { privacy: { totalCount: 2, successCount: 1 }, safety: { totalCount: 2, successCount: 1, averageCertainty: 3 } },
+      byValidationLevel: { 1: { totalCount: 1 }, 2: { totalCount: 2 }, unspecified: { totalCount: 1, errorCount: 1 } }
+    });
+    expect(trends.windows).toEqual([
+      expect.objectContaining({
+        start: '2025-01-06T00:00:00.000Z',
+        end: '2025-01-13T00:00:00.000Z',
+        totalCount: 2,
+        successCount: 1,
+        averageCertainty: 3,
+        failingRegulations: ['REG-2']
+      }),
+      expect.objectContaining({
+        start: '2025-01-13T00:00:00.000Z',
+        end: '2025-01-20T00:00:00.000Z',
+        totalCount: 2,
+        successCount: 1,
+        averageCertainty: 4,
+        failingRegulations: ['REG-1']
+      })
+    ]);
+  });
+  
+  test('reports windows without validations', () => {
+    const { summary, windows } = computeComplianceTrends([], { ...period, interval: 'day' });
+    
+    expect(summary).toMatchObject({ totalCount: 0, regulationCount: 0, failingRegulationCount: 0 });
+    expect(windows).toHaveLength(14);
+    expect(windows[0]).toMatchObject({ totalCount: 0, successRate: 0, failingRegulations: [] });
+  });
+});
+
+describe('computeRegulationStaleness', () => {
+  const rows = [
+    { regulation_id: 'REG-2', category: 'safety', status: 'VALID', last_valid_at: '2025-01-14T00:00:00.000Z', validation_count: '2' },
+    { regulation_id: 'REG-1', category: 'privacy', status: 'ERROR', last_valid_at: '2025-01-07T00:00:00.000Z', validation_count: '2' },
+    { regulation_id: 'REG-3', category: 'privacy', status: 'INVALID', last_valid_at: null, validation_count: '1' }
+  ];
+  
+  test('lists regulations never validated first, then the longest since a valid validation', () => {
+    const staleness = computeRegulationStaleness(rows, '2025-01-19T00:00:00.000Z');
+    
+    expect(staleness.items.map(item => [item.regulationId, item.daysSinceLastValid, item.validationCount])).toEqual([
+      ['REG-3', null, 1],
+      ['REG-1', 12, 2],
+      ['REG-2', 5, 2]
+    ]);
+    expect(staleness.summary).toEqual({
+      totalCount: 3,
+      failingCount: 2,
+      neverValidCount: 1,
+      averageDaysSinceLastValid: 8.5,
+      maxDaysSinceLastValid: 12
+    });
+    expect(staleness.byCategory.privacy).toMatchObject({ totalCount: 2, failingCount: 2, neverValidCount: 1 });
+    expect(staleness.byJurisdiction).toEqual({ unspecified: expect.objectContaining({ totalCount: 3 }) });
+  });
+});
+
+describe('handler', () => {
+  beforeEach(() => {
+    getDbConnection.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  /**
+   * Request compliance analytics as a tenant viewer
+   * 
+   * @param {Object} query - Query string parameters
+   * @returns {Promise<Object>} Handler response
+   */
+  function getAnalytics(query) {
+    return handler({
+      resource: '/analytics/compliance',
+      httpMethod: 'GET',
+      queryStringParameters: query,
+      requestContext: {
+        authorizer: { claims: { sub: 'user-1', 'custom:tenant_id': 'tenant-a', 'cognito:groups': 'viewer' } }
+      }
+    }, { awsRequestId: 'request-1' });
+  }
+  
+  /**
+   * Build a database client holding a validation history
+   * 
+   * @param {Array<Object>} history - Validation summaries, newest first
+   * @returns {Object} Database client
+   */
+  function createFakeDb(history) {
+    return {
+      listValidationHistory: jest.fn(async () => history),
+      listRegulationComplianceStatus: jest.fn(async () => [])
+    };
+  }
+  
+  test('reports the trends of the tenant over the period', async () => {
+    const db = createFakeDb(records);
+    getDbConnection.mockResolvedValue(db);
+    
+    const response = await getAnalytics({ ...period, category: 'privacy' });
+    const { data } = JSON.parse(response.body);
+    
+    expect(response.statusCode).toBe(200);
+    expect(data).toMatchObject({
+      period: { ...period, completeFrom: period.from },
+      filters: { category: 'privacy' },
+      truncated: false,
+      summary: { totalCount: 4 },
+      regulations: { summary: { totalCount: 0 }, items: [] }
+    });
+    expect(data.windows).toHaveLength(2);
+    expect(db.listValidationHistory).toHaveBeenCalledWith(
+      'tenant-a',
+      { category: 'privacy', jurisdiction: undefined, validationLevel: undefined, from: period.from, to: period.to },
+      MAX_ANALYTICS_RECORDS + 1
+    );
+    expect(db.listRegulationComplianceStatus).toHaveBeenCalledWith(
+      'tenant-a',
+      { category: 'privacy', jurisdiction: undefined, validationLevel: undefined, to: period.to }
+    );
+    expect(getDbConnection).toHaveBeenCalledWith(undefined, { tenantId: 'tenant-a' });
+  });
+  
+  test('reports where a history cut short becomes complete', async () => {
+    const history = Array.from({ length: MAX_ANALYTICS_RECORDS + 1 }, (_, index) =>
+      buildRecord('REG-1', new Date(Date.parse(period.to) - index * 1000).toISOString(), 'VALID', 4));
+    getDbConnection.mockResolvedValue(createFakeDb(history));
+    
+    const { data } = JSON.parse((await getAnalytics(period)).body);
+    
+    expect(data.truncated).toBe(true);
+    expect(data.summary.totalCount).toBe(MAX_ANALYTICS_RECORDS);
+    expect(data.period.completeFrom).toBe(history[MAX_ANALYTICS_RECORDS - 1].validation_timestamp);
+  });
+  
+  test.each([
+    ['unknown intervals', { from: period.from, interval: 'hour' }, 'interval'],
+    ['reversed periods', { from: period.to, to: period.from }, 'from'],
+    ['periods with too many windows', { from: '2020-01-01T00:00:00.000Z', to: period.to, interval: 'day' }, 'interval'],
+    ['unknown validation levels', { validationLevel: '4' }, 'validationLevel']
+  ])('refuses %s', async (description, query, field) => {
+    const response = await getAnalytics(query);
+    
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).error).toMatchObject({
+      code: 'INVALID_PARAMETERS',
+      details: [expect.objectContaining({ field })]
+    });
+    expect(getDbConnection).not.toHaveBeenCalled();
+  });
+});
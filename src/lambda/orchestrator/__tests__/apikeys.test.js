@@ -0,0 +1,258 @@
+/**
+ * EdSteward.ai - API Key Module tests
+ */
+
+jest.mock('../db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../audit', () => ({
+  ...jest.requireActual('../audit'),
+  createAuditEvent: jest.fn(),
+  createAuthorizationAuditEvent: jest.fn()
+}));
+
+const { getDbConnection } = require('../db');
+const { createAuditEvent } = require('../audit');
+const { hashApiKey, generateApiKey, parseApiKey, authenticateApiKey } = require('../apikeys');
+const { handler } = require('../index');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a stored key for a generated API key
+ * 
+ * @param {Object} generated - Result of generateApiKey
+ * @param {Object} [fields] - Fields overriding an active validation key of tenant-a
+ * @returns {Object} api_keys row
+ */
+function buildStoredKey(generated, fields) {
+  return {
+    key_id: 'key-1',
+    tenant_id: 'tenant-a',
+    name: 'Student information system',
+    key_prefix: generated.keyPrefix,
+    key_hash: generated.keyHash,
+    scopes: ['validation.execute'],
+    expires_at: null,
+    revoked_at: null,
+    created_at: new Date(Date.now() - DAY_MS).toISOString(),
+    ...fields
+  };
+}
+
+/**
+ * Build a database client holding one stored key
+ * 
+ * @param {Object} storedKey - api_keys row
+ * @returns {Object} Database client
+ */
+function createFakeDb(storedKey) {
+  return {
+    getApiKeyByPrefix: jest.fn(async keyPrefix => (keyPrefix === storedKey.key_prefix ? storedKey : null)),
+    getApiKey: jest.fn(async keyId => (keyId === storedKey.key_id ? storedKey : null)),
+    recordApiKeyUse: jest.fn(async () => {})
+  };
+}
+
+describe('generateApiKey', () => {
+  test('generates esk_<prefix>_<secret> keys stored by the hash of the whole key', () => {
+    const { key, keyPrefix, keyHash } = generateApiKey();
+    
+    expect(key).toMatch(/^esk_[0-9a-f]{12}_[A-Za-z0-9_-]{43}$/);
+    expect(key.startsWith(`${keyPrefix}_`)).toBe(true);
+    expect(keyHash).toBe(hashApiKey(key));
+    expect(generateApiKey().key).not.toBe(key);
+  });
+});
+
+describe('parseApiKey', () => {
+  test('returns the prefix of well-formed keys only', () => {
+    const { key, keyPrefix } = generateApiKey();
+    
+    expect(parseApiKey(key)).toBe(keyPrefix);
+    expect(parseApiKey(key.slice(0, -1))).toBeNull();
+    expect(parseApiKey(key.replace('esk_', 'sk_'))).toBeNull();
+    expect(parseApiKey(undefined)).toBeNull();
+  });
+});
+
+describe('authenticateApiKey', () => {
+  test('authenticates a stored key and records its use', async () => {
+    const generated = generateApiKey();
+    const db = createFakeDb(buildStoredKey(generated));
+    
+    const authentication = await authenticateApiKey(db, generated.key);
+    
+    expect(authentication).toMatchObject({ authenticated: true, apiKey: { key_id: 'key-1' } });
+    expect(db.recordApiKeyUse).toHaveBeenCalledWith('key-1');
+  });
+  
+  test('refuses a key with the right prefix but the wrong secret', async () => {
+    const generated = generateApiKey();
+    const db = createFakeDb(buildStoredKey(generated));
+    const forged = `${generated.keyPrefix}${generateApiKey().key.slice(generated.keyPrefix.length)}`;
+    
+    expect(await authenticateApiKey(db, forged)).toEqual({ authenticated: false, reason: 'UNKNOWN' });
+    expect(db.recordApiKeyUse).not.toHaveBeenCalled();
+  });
+  
+  test('refuses a key with an unknown prefix', async () => {
+    const db = createFakeDb(buildStoredKey(generateApiKey()));
+    
+    expect(await authenticateApiKey(db, generateApiKey().key)).toEqual({ authenticated: false, reason: 'UNKNOWN' });
+  });
+  
+  test('refuses revoked and expired keys', async () => {
+    const generated = generateApiKey();
+    const revokedDb = createFakeDb(buildStoredKey(generated, { revoked_at: new Date().toISOString() }));
+    const expiredDb = createFakeDb(buildStoredKey(generated, { expires_at: new Date(Date.now() - 1000).toISOString() }));
+    
+    expect(await authenticateApiKey(revokedDb, generated.key)).toMatchObject({ authenticated: false, reason: 'REVOKED' });
+    expect(await authenticateApiKey(expiredDb, generated.key)).toMatchObject({ authenticated: false, reason: 'EXPIRED' });
+    expect(revokedDb.recordApiKeyUse).not.toHaveBeenCalled();
+    expect(expiredDb.recordApiKeyUse).not.toHaveBeenCalled();
+  });
+  
+  test('refuses missing and malformed keys without a lookup', async () => {
+    const db = createFakeDb(buildStoredKey(generateApiKey()));
+    
+    expect(await authenticateApiKey(db, undefined)).toEqual({ authenticated: false, reason: 'MISSING' });
+    expect(await authenticateApiKey(db, 'not-a-key')).toEqual({ authenticated: false, reason: 'MALFORMED' });
+    expect(db.getApiKeyByPrefix).not.toHaveBeenCalled();
+  });
+  
+  test('authenticates a key whose use cannot be recorded', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const generated = generateApiKey();
+    const db = createFakeDb(buildStoredKey(generated));
+    db.recordApiKeyUse.mockRejectedValue(new Error('Connection lost'));
+    
+    expect(await authenticateApiKey(db, generated.key)).toMatchObject({ authenticated: true });
+    expect(console.error).toHaveBeenCalledWith('Error recording use of API key key-1: Connection lost');
+    console.error.mockRestore();
+  });
+});
+
+describe('handler', () => {
+  beforeEach(() => {
+    getDbConnection.mockReset();
+    createAuditEvent.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  /**
+   * Build an integration request
+   * 
+   * @param {string} key - API key
+   * @param {string} proxy - Path of the route
+   * @returns {Object} API Gateway event
+   */
+  function buildIntegrationEvent(key, proxy) {
+    return {
+      resource: '/integrations/{proxy+}',
+      httpMethod: 'GET',
+      pathParameters: { proxy },
+      headers: { 'X-Api-Key': key },
+      requestContext: { identity: { sourceIp: '192.0.2.1' } }
+    };
+  }
+  
+  test('serves integration requests within the tenant and scopes of their key', async () => {
+    const generated = generateApiKey();
+    const db = {
+      ...createFakeDb(buildStoredKey(generated)),
+      getBatchJob: jest.fn(async () => ({ job_id: 'job-1', tenant_id: 'tenant-a', item_count: 0 })),
+      getBatchJobProgress: jest.fn(async () => ({ PENDING: 0, RUNNING: 0, SUCCEEDED: 0, FAILED: 0 })),
+      listBatchJobResults: jest.fn(async () => [])
+    };
+    getDbConnection.mockResolvedValue(db);
+    
+    const response = await handler(buildIntegrationEvent(generated.key, 'validate/batch/job-1'), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).data.jobId).toBe('job-1');
+    expect(getDbConnection).toHaveBeenCalledWith(undefined, { allTenants: true });
+    expect(getDbConnection).toHaveBeenCalledWith(undefined, { tenantId: 'tenant-a' });
+    expect(db.getBatchJob).toHaveBeenCalledWith('job-1');
+  });
+  
+  test('refuses routes outside the scopes of the key', async () => {
+    const generated = generateApiKey();
+    getDbConnection.mockResolvedValue(createFakeDb(buildStoredKey(generated, { scopes: ['regulations.read'] })));
+    
+    const response = await handler(buildIntegrationEvent(generated.key, 'validate/batch/job-1'), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(403);
+    expect(JSON.parse(response.body).error.code).toBe('AUTHORIZATION_FAILED');
+  });
+  
+  test('refuses revoked keys and audits the attempt', async () => {
+    const generated = generateApiKey();
+    getDbConnection.mockResolvedValue(createFakeDb(buildStoredKey(generated, { revoked_at: new Date().toISOString() })));
+    
+    const response = await handler(buildIntegrationEvent(generated.key, 'validate/batch/job-1'), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(401);
+    expect(JSON.parse(response.body).error).toMatchObject({
+      code: 'AUTHENTICATION_FAILED',
+      message: 'The API key is revoked'
+    });
+    expect(createAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      eventType: 'api_key.authentication_failed',
+      entityId: 'key-1',
+      tenantId: 'tenant-a',
+      ipAddress: '192.0.2.1',
+      metadata: { keyPrefix: generated.keyPrefix, reason: 'REVOKED', requestId: 'request-1' }
+    }));
+  });
+  
+  test('does not find paths outside the API', async () => {
+    const generated = generateApiKey();
+    getDbConnection.mockResolvedValue(createFakeDb(buildStoredKey(generated)));
+    
+    const response = await handler(buildIntegrationEvent(generated.key, 'unknown/path'), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(404);
+  });
+  
+  test('rotates a key into a replacement with the same scopes and lifetime', async () => {
+    const generated = generateApiKey();
+    const storedKey = buildStoredKey(generated, { expires_at: new Date(Date.now() + 29 * DAY_MS).toISOString() });
+    const db = {
+      ...createFakeDb(storedKey),
+      rotateApiKey: jest.fn(async (keyId, replacement, previousExpiresAt) => ({
+        previous: { ...storedKey, expires_at: previousExpiresAt.toISOString() },
+        key: buildStoredKey(replacement, {
+          key_id: 'key-2',
+          scopes: replacement.scopes,
+          expires_at: replacement.expiresAt.toISOString(),
+          rotated_from: keyId
+        })
+      }))
+    };
+    getDbConnection.mockResolvedValue(db);
+    const event = {
+      resource: '/api-keys/{keyId}/rotate',
+      httpMethod: 'POST',
+      pathParameters: { keyId: 'key-1' },
+      body: JSON.stringify({ overlapHours: 12 }),
+      requestContext: { authorizer: { claims: { sub: 'user-1', 'custom:tenant_id': 'tenant-a', 'cognito:groups': 'admin' } } }
+    };
+    
+    const response = await handler(event, { awsRequestId: 'request-1' });
+    const { data } = JSON.parse(response.body);
+    
+    expect(response.statusCode).toBe(201);
+    expect(parseApiKey(data.key)).toBe(data.keyPrefix);
+    expect(data.keyPrefix).not.toBe(generated.keyPrefix);
+    expect(data).toMatchObject({ keyId: 'key-2', scopes: ['validation.execute'], rotatedFrom: 'key-1' });
+    
+    const [, replacement, previousExpiresAt] = db.rotateApiKey.mock.calls[0];
+    expect(replacement.keyHash).toBe(hashApiKey(data.key));
+    expect(previousExpiresAt.getTime() - Date.now()).toBeGreaterThan(11.9 * 60 * 60 * 1000);
+    expect(previousExpiresAt.getTime() - Date.now()).toBeLessThanOrEqual(12 * 60 * 60 * 1000);
+    expect(replacement.expiresAt.getTime() - Date.now()).toBeGreaterThan(29.9 * DAY_MS);
+  });
+});
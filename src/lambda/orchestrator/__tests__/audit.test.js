@@ -0,0 +1,215 @@
+/**
+ * EdSteward.ai - Audit Logging Module tests
+ */
+
+jest.mock('../db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../audit', () => ({
+  ...jest.requireActual('../audit'),
+  createAuditEvent: jest.fn(),
+  createAuthorizationAuditEvent: jest.fn()
+}));
+
+const { getDbConnection } = require('../db');
+const { createAuditEvent, queryAuditEvents, auditEventsToCsv, auditEventsToNdjson } = require('../audit');
+const { handler } = require('../index');
+
+/**
+ * Build audit_logs rows, newest first
+ * 
+ * @param {number} count - Number of rows
+ * @returns {Array<Object>} Rows with their cursor timestamps
+ */
+function buildRows(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    audit_id: `audit-${count - index}`,
+    event_type: 'certificate.viewed',
+    entity_type: 'certificate',
+    entity_id: 'cert-1',
+    action: 'view',
+    tenant_id: 'tenant-a',
+    user_id: 'user-1',
+    timestamp: new Date(Date.UTC(2025, 0, 1, 0, count - index)),
+    cursor_timestamp: `2025-01-01 00:0${count - index}:00.123456+00`,
+    metadata: { format: 'json' }
+  }));
+}
+
+/**
+ * Build a database client holding audit_logs rows
+ * 
+ * @param {Array<Object>} rows - Rows returned by every query
+ * @returns {Object} Database client
+ */
+function createFakeDb(rows) {
+  return {
+    queryAuditEvents: jest.fn(async (filters, limit) => rows.slice(0, limit)),
+    getAuditEvent: jest.fn(async auditId => rows.find(row => row.audit_id === auditId))
+  };
+}
+
+beforeEach(() => {
+  getDbConnection.mockReset();
+});
+
+describe('queryAuditEvents', () => {
+  test('returns a page and a cursor to the rest, within the tenant', async () => {
+    const db = createFakeDb(buildRows(3));
+    getDbConnection.mockResolvedValue(db);
+    
+    const page = await queryAuditEvents({ entityType: 'certificate' }, { limit: 2, tenantId: 'tenant-a' });
+    
+    expect(page.events.map(event => event.auditId)).toEqual(['audit-3', 'audit-2']);
+    expect(page.nextCursor).toEqual(expect.any(String));
+    expect(db.queryAuditEvents).toHaveBeenCalledWith({ entityType: 'certificate' }, 3, null);
+    expect(getDbConnection).toHaveBeenCalledWith(undefined, { tenantId: 'tenant-a' });
+    
+    await queryAuditEvents({ entityType: 'certificate' }, { limit: 2, cursor: page.nextCursor, tenantId: 'tenant-a' });
+    
+    expect(db.queryAuditEvents).toHaveBeenLastCalledWith({ entityType: 'certificate' }, 3, {
+      timestamp: '2025-01-01 00:02:00.123456+00',
+      auditId: 'audit-2'
+    });
+  });
+  
+  test('returns no cursor on the last page', async () => {
+    getDbConnection.mockResolvedValue(createFakeDb(buildRows(2)));
+    
+    expect((await queryAuditEvents({}, { limit: 2 })).nextCursor).toBeNull();
+  });
+  
+  test.each([
+    ['not base64url JSON', 'not-a-cursor'],
+    ['missing the position', Buffer.from(JSON.stringify({ timestamp: 1 })).toString('base64url')]
+  ])('rejects cursors %s', async (description, cursor) => {
+    getDbConnection.mockResolvedValue(createFakeDb(buildRows(1)));
+    
+    await expect(queryAuditEvents({}, { cursor })).rejects.toMatchObject({ code: 'INVALID_QUERY', field: 'cursor' });
+  });
+});
+
+describe('auditEventsToCsv', () => {
+  test('writes a header row and one escaped row per event', () => {
+    const csv = auditEventsToCsv([{
+      auditId: 'audit-1',
+      timestamp: new Date('2025-01-01T00:00:00.000Z'),
+      eventType: 'review.decided',
+      userId: 'user-1',
+      metadata: { reason: 'Says "no", twice' }
+    }]);
+    
+    const [header, row, end] = csv.split('\r\n');
+    expect(header).toBe([
+      'auditId,timestamp,eventType,entityType,entityId,action,tenantId,userId,clientId,ipAddress',
+      'previousState,newState,metadata,sequenceNumber,previousHash,entryHash'
+    ].join(','));
+    expect(row).toBe('audit-1,2025-01-01T00:00:00.000Z,review.decided,,,,,user-1,,,,,"{""reason"":""Says \\""no\\"", twice""}",,,');
+    expect(end).toBe('');
+  });
+  
+  test('keeps spreadsheets from evaluating cells as formulas', () => {
+    const [, row] = auditEventsToCsv([{ auditId: 'audit-1', userId: '=HYPERLINK("http://example.com")', clientId: '-1' }]).split('\r\n');
+    
+    expect(row).toBe(`audit-1,,,,,,,"'=HYPERLINK(""http://example.com"")",'-1,,,,,,,`);
+  });
+});
+
+describe('auditEventsToNdjson', () => {
+  test('writes one JSON object per line', () => {
+    expect(auditEventsToNdjson([{ auditId: 'audit-1' }, { auditId: 'audit-2' }]))
+      .toBe('{"auditId":"audit-1"}\n{"auditId":"audit-2"}\n');
+  });
+});
+
+describe('handler', () => {
+  beforeEach(() => {
+    createAuditEvent.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  /**
+   * Build an audit log request from a tenant auditor
+   * 
+   * @param {string} resource - Audit log route
+   * @param {Object} [query] - Query string parameters
+   * @param {Object} [pathParameters] - Path parameters
+   * @returns {Object} API Gateway event
+   */
+  function buildEvent(resource, query, pathParameters) {
+    return {
+      resource,
+      httpMethod: 'GET',
+      queryStringParameters: query || null,
+      pathParameters: pathParameters || null,
+      requestContext: {
+        authorizer: { claims: { sub: 'user-1', 'custom:tenant_id': 'tenant-a', scope: 'audit.read' } }
+      }
+    };
+  }
+  
+  test('pages through the audit log of the tenant and audits the query', async () => {
+    getDbConnection.mockResolvedValue(createFakeDb(buildRows(3)));
+    
+    const response = await handler(buildEvent('/audit-logs', { eventType: 'certificate.*', limit: '2' }), { awsRequestId: 'request-1' });
+    const body = JSON.parse(response.body);
+    
+    expect(response.statusCode).toBe(200);
+    expect(body.data).toHaveLength(2);
+    expect(body.pagination).toEqual({ limit: 2, nextCursor: expect.any(String), hasMore: true });
+    expect(createAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      eventType: 'audit_logs.queried',
+      action: 'query',
+      tenantId: 'tenant-a',
+      metadata: { filters: { eventType: 'certificate.*' }, format: 'json', limit: 2, returned: 2 }
+    }));
+  });
+  
+  test('exports the audit log as CSV with the cursor in a header', async () => {
+    getDbConnection.mockResolvedValue(createFakeDb(buildRows(3)));
+    
+    const response = await handler(buildEvent('/audit-logs', { format: 'csv', limit: '1' }), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(200);
+    expect(response.headers).toMatchObject({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="audit-logs-request-1.csv"',
+      'X-Next-Cursor': expect.any(String)
+    });
+    expect(response.body.split('\r\n')).toHaveLength(3);
+    expect(createAuditEvent).toHaveBeenCalledWith(expect.objectContaining({ action: 'export' }));
+  });
+  
+  test.each([
+    ['unknown formats', { format: 'xml' }, 'format'],
+    ['limits above the page size', { limit: '101' }, 'limit'],
+    ['wildcards inside event types', { eventType: 'certificate.*.viewed' }, 'eventType'],
+    ['reversed date ranges', { from: '2025-02-01T00:00:00.000Z', to: '2025-01-01T00:00:00.000Z' }, 'from'],
+    ['malformed cursors', { cursor: 'not-a-cursor' }, 'cursor']
+  ])('refuses %s', async (description, query, field) => {
+    getDbConnection.mockResolvedValue(createFakeDb(buildRows(1)));
+    
+    const response = await handler(buildEvent('/audit-logs', query), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).error).toMatchObject({
+      code: 'INVALID_PARAMETERS',
+      details: [expect.objectContaining({ field })]
+    });
+  });
+  
+  test('serves a single entry of the tenant and does not find others', async () => {
+    getDbConnection.mockResolvedValue(createFakeDb(buildRows(1)));
+    
+    const found = await handler(buildEvent('/audit-logs/{auditId}', null, { auditId: 'audit-1' }), { awsRequestId: 'request-1' });
+    const missing = await handler(buildEvent('/audit-logs/{auditId}', null, { auditId: 'audit-2' }), { awsRequestId: 'request-1' });
+    
+    expect(found.statusCode).toBe(200);
+    expect(JSON.parse(found.body).data).toMatchObject({ auditId: 'audit-1', tenantId: 'tenant-a' });
+    expect(missing.statusCode).toBe(404);
+    expect(JSON.parse(missing.body).error.code).toBe('AUDIT_LOG_NOT_FOUND');
+    expect(getDbConnection).toHaveBeenCalledWith(undefined, { tenantId: 'tenant-a' });
+  });
+});
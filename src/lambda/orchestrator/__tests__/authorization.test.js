@@ -0,0 +1,235 @@
+/**
+ * EdSteward.ai - Authorization Module tests
+ */
+
+jest.mock('../audit', () => ({ createAuthorizationAuditEvent: jest.fn() }));
+
+const { createAuthorizationAuditEvent } = require('../audit');
+const {
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  getPrincipal,
+  getPermissions,
+  hasPermission,
+  getGrantableScopes,
+  matchRoute,
+  authorizeRequest
+} = require('../authorization');
+
+/**
+ * Build a caller
+ * 
+ * @param {Object} fields - Fields overriding a caller without a tenant or grants
+ * @returns {Object} Principal
+ */
+function buildPrincipal(fields) {
+  return { userId: 'user-1', tenantId: null, groups: [], scopes: [], ...fields };
+}
+
+/**
+ * Build an API Gateway event
+ * 
+ * @param {string} route - Method and resource
+ * @param {Object} authorizer - Authorizer context
+ * @returns {Object} Event
+ */
+function buildEvent(route, authorizer) {
+  const [httpMethod, resource] = route.split(' ');
+  return { httpMethod, resource, requestContext: { authorizer } };
+}
+
+describe('getPermissions', () => {
+  test.each([
+    ['admin', [PERMISSIONS.ADMIN]],
+    ['validator', [PERMISSIONS.VALIDATE, PERMISSIONS.VIEW_REGULATIONS]],
+    ['editor', [PERMISSIONS.ACCEPT_VERSIONS, PERMISSIONS.VIEW_REGULATIONS]],
+    ['viewer', [PERMISSIONS.VIEW_REGULATIONS]]
+  ])('grants the %s group its permissions', (group, permissions) => {
+    expect(getPermissions(buildPrincipal({ tenantId: 'tenant-a', groups: [group] }))).toEqual(permissions);
+  });
+  
+  test.each([
+    ['validation.execute', [PERMISSIONS.VALIDATE]],
+    ['regulations.read', [PERMISSIONS.VIEW_REGULATIONS]],
+    ['certificates.read', [PERMISSIONS.VIEW_REGULATIONS]],
+    ['versions.manage', [PERMISSIONS.ACCEPT_VERSIONS]],
+    ['certificates.revoke', [PERMISSIONS.REVOKE_CERTIFICATES]],
+    ['audit.read', [PERMISSIONS.READ_AUDIT_LOGS]],
+    ['system.manage', [PERMISSIONS.ADMIN]]
+  ])('grants the %s scope its permissions', (scope, permissions) => {
+    expect(getPermissions(buildPrincipal({ tenantId: 'tenant-a', scopes: [scope] }))).toEqual(permissions);
+  });
+  
+  test('grants unknown groups and scopes nothing', () => {
+    expect(getPermissions(buildPrincipal({ tenantId: 'tenant-a', groups: ['auditor'], scopes: ['openid'] }))).toEqual([]);
+  });
+  
+  test('combines the permissions of groups and scopes without duplicates', () => {
+    const principal = buildPrincipal({ tenantId: 'tenant-a', groups: ['validator'], scopes: ['regulations.read', 'audit.read'] });
+    
+    expect(getPermissions(principal)).toEqual([PERMISSIONS.VALIDATE, PERMISSIONS.VIEW_REGULATIONS, PERMISSIONS.READ_AUDIT_LOGS]);
+  });
+});
+
+describe('hasPermission', () => {
+  test('does not let tenant administrators operate the platform', () => {
+    const admin = buildPrincipal({ tenantId: 'tenant-a', groups: ['admin'] });
+    
+    expect(hasPermission(admin, PERMISSIONS.VALIDATE)).toBe(true);
+    expect(hasPermission(admin, PERMISSIONS.OPERATE_PLATFORM)).toBe(false);
+  });
+  
+  test('does not let API scopes operate the platform', () => {
+    const integration = buildPrincipal({ tenantId: 'tenant-a', scopes: ['system.manage'] });
+    
+    expect(hasPermission(integration, PERMISSIONS.OPERATE_PLATFORM)).toBe(false);
+  });
+  
+  test('lets platform operators without a tenant operate the platform', () => {
+    expect(hasPermission(buildPrincipal({ groups: ['platform-operator'] }), PERMISSIONS.OPERATE_PLATFORM)).toBe(true);
+  });
+  
+  test('drops the platform permission of operators with a tenant', () => {
+    const operator = buildPrincipal({ tenantId: 'tenant-a', groups: ['platform-operator', 'admin'] });
+    
+    expect(hasPermission(operator, PERMISSIONS.OPERATE_PLATFORM)).toBe(false);
+  });
+});
+
+describe('getGrantableScopes', () => {
+  test('never lets keys carry administration', () => {
+    const admin = buildPrincipal({ tenantId: 'tenant-a', groups: ['admin'] });
+    
+    expect(API_KEY_SCOPES).not.toContain('system.manage');
+    expect(getGrantableScopes(admin)).toEqual(API_KEY_SCOPES);
+  });
+  
+  test('limits keys to the permissions of their issuer', () => {
+    const editor = buildPrincipal({ tenantId: 'tenant-a', groups: ['editor'] });
+    
+    expect(getGrantableScopes(editor)).toEqual(['regulations.read', 'certificates.read', 'versions.manage']);
+  });
+});
+
+describe('getPrincipal', () => {
+  test('ignores scopes an API key may not carry', () => {
+    const principal = getPrincipal(buildEvent('GET /validators', {
+      principalId: 'api-key:key-1',
+      keyId: 'key-1',
+      tenantId: 'tenant-a',
+      scopes: 'validation.execute system.manage'
+    }));
+    
+    expect(principal.scopes).toEqual(['validation.execute']);
+    expect(hasPermission(principal, PERMISSIONS.ADMIN)).toBe(false);
+  });
+  
+  test('keeps qualified token scopes by name', () => {
+    const principal = getPrincipal(buildEvent('GET /audit-logs', {
+      claims: { sub: 'user-1', 'custom:tenant_id': 'tenant-a', scope: 'openid https://api.edsteward.ai/audit.read' }
+    }));
+    
+    expect(principal.scopes).toEqual(['openid', 'audit.read']);
+  });
+});
+
+describe('matchRoute', () => {
+  test('matches a path to its route and decodes its parameters', () => {
+    expect(matchRoute('GET', '/regulations/REG%201/versions/2.0.0')).toEqual({
+      resource: '/regulations/{regulationId}/versions/{versionNumber}',
+      pathParameters: { regulationId: 'REG 1', versionNumber: '2.0.0' }
+    });
+  });
+  
+  test('prefers routes with more literal segments', () => {
+    expect(matchRoute('GET', '/certificates/revocation-list').resource).toBe('/certificates/revocation-list');
+    expect(matchRoute('GET', '/certificates/cert-1').resource).toBe('/certificates/{certificateId}');
+    expect(matchRoute('GET', '/audit-logs/verify').resource).toBe('/audit-logs/verify');
+  });
+  
+  test('matches the method and the number of segments', () => {
+    expect(matchRoute('DELETE', '/regulations/REG-1')).toBeNull();
+    expect(matchRoute('GET', '/regulations/REG-1/unknown')).toBeNull();
+    expect(matchRoute('GET', '/')).toBeNull();
+  });
+  
+  test('does not match malformed path parameters', () => {
+    expect(matchRoute('GET', '/regulations/%E0%A4%A')).toBeNull();
+  });
+});
+
+describe('authorizeRequest', () => {
+  beforeEach(() => {
+    createAuthorizationAuditEvent.mockClear();
+  });
+  
+  test('allows and audits callers holding the permission of the route', async () => {
+    const event = buildEvent('POST /validate', {
+      claims: { sub: 'user-1', 'custom:tenant_id': 'tenant-a', 'cognito:groups': 'validator' }
+    });
+    
+    expect(await authorizeRequest(event)).toMatchObject({ allowed: true, permission: PERMISSIONS.VALIDATE });
+    expect(createAuthorizationAuditEvent).toHaveBeenCalledWith({
+      action: PERMISSIONS.VALIDATE,
+      resource: 'POST /validate',
+      userId: 'user-1',
+      tenantId: 'tenant-a',
+      allowed: true,
+      reason: undefined
+    });
+  });
+  
+  test('denies and audits callers lacking the permission of the route', async () => {
+    const event = buildEvent('POST /certificates/revoke', {
+      claims: { sub: 'user-1', 'custom:tenant_id': 'tenant-a', 'cognito:groups': 'viewer' }
+    });
+    
+    expect(await authorizeRequest(event)).toEqual({
+      allowed: false,
+      permission: PERMISSIONS.REVOKE_CERTIFICATES,
+      code: 'AUTHORIZATION_FAILED',
+      reason: 'The certificates:revoke permission is required'
+    });
+    expect(createAuthorizationAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      allowed: false,
+      userId: 'user-1',
+      reason: 'The certificates:revoke permission is required'
+    }));
+  });
+  
+  test.each([
+    'GET /status',
+    'GET /certificates/{certificateId}/verify',
+    'POST /certificates/{certificateId}/verify',
+    'GET /certificates/revocation-list'
+  ])('allows %s to anyone without an audit', async route => {
+    expect(await authorizeRequest(buildEvent(route, {}))).toEqual({ allowed: true, permission: null });
+    expect(createAuthorizationAuditEvent).not.toHaveBeenCalled();
+  });
+  
+  test('refuses validator registry changes to tenant administrators', async () => {
+    const event = buildEvent('PUT /validators/{validatorId}', {
+      claims: { sub: 'user-1', 'custom:tenant_id': 'tenant-a', 'cognito:groups': 'admin' }
+    });
+    
+    const decision = await authorizeRequest(event);
+    
+    expect(decision).toMatchObject({ allowed: false, permission: PERMISSIONS.OPERATE_PLATFORM });
+    expect(createAuthorizationAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      allowed: false,
+      tenantId: 'tenant-a',
+      resource: 'PUT /validators/{validatorId}'
+    }));
+  });
+  
+  test('lets platform operators manage the global classification profiles only', async () => {
+    const claims = { sub: 'user-1', 'cognito:groups': 'platform-operator' };
+    
+    expect(await authorizeRequest(buildEvent('POST /classification-profiles', { claims })))
+      .toMatchObject({ allowed: true, permission: PERMISSIONS.ADMIN });
+    expect(await authorizeRequest(buildEvent('POST /validate', { claims })))
+      .toMatchObject({ allowed: false, code: 'TENANT_REQUIRED' });
+    expect(await authorizeRequest(buildEvent('POST /classification-profiles', { claims: { sub: 'user-1', 'cognito:groups': 'admin' } })))
+      .toMatchObject({ allowed: false, code: 'TENANT_REQUIRED' });
+  });
+});
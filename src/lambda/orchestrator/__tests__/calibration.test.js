@@ -0,0 +1,63 @@
+/**
+ * EdSteward.ai - Classifier Calibration Module tests
+ */
+
+// Calibrating against a fixture must work offline, without the AWS SDK or pg
+jest.mock('aws-sdk', () => {
+  throw new Error('aws-sdk must not be loaded for calibration');
+});
+jest.mock('pg', () => {
+  throw new Error('pg must not be loaded for calibration');
+});
+
+const { deriveRequiredLevel, runCalibration } = require('../calibration');
+const { DEFAULT_CLASSIFICATION_PROFILE } = require('../profiles');
+
+const records = [
+  {
+    regulation: { regulation_id: 'REG-1', category: 'privacy', jurisdiction: 'federal' },
+    content: '1. Records. The institution must respond to a request within 45 days.',
+    versions: [{ version_number: '1.0.0', effective_date: '2024-01-01' }],
+    timestamp: '2025-01-01T00:00:00.000Z',
+    validationLevel: 1,
+    certaintyLevel: 5
+  },
+  {
+    regulation: { regulation_id: 'REG-2', category: 'finance', jurisdiction: 'state' },
+    content: '1. Fees. A fee of $25 shall be charged.\n(a) Refunds may be issued within 30 days.',
+    versions: [
+      { version_number: '1.0.0', effective_date: '2024-01-01' },
+      { version_number: '1.1.0', effective_date: '2025-01-01' }
+    ],
+    timestamp: '2025-02-01T00:00:00.000Z',
+    validationLevel: 2,
+    certaintyLevel: 2,
+    reviewDecision: 'APPROVE'
+  },
+  { regulationId: 'REG-3', validationLevel: 1, certaintyLevel: 5 }
+];
+
+describe('deriveRequiredLevel', () => {
+  test('takes reviewed validations to need level 3', () => {
+    expect(deriveRequiredLevel({ validationLevel: 1, certaintyLevel: 5, reviewId: 'review-1' })).toBe(3);
+  });
+  
+  test('keeps the level of conclusive results and moves inconclusive ones up', () => {
+    expect(deriveRequiredLevel({ validationLevel: 1, certaintyLevel: 5 })).toBe(1);
+    expect(deriveRequiredLevel({ validationLevel: 1, certaintyLevel: 3 })).toBe(2);
+    expect(deriveRequiredLevel({ validationLevel: 3, certaintyLevel: 2 })).toBe(3);
+  });
+});
+
+describe('runCalibration', () => {
+  test('scores fixture validations against the profile thresholds', () => {
+    const report = runCalibration(records, DEFAULT_CLASSIFICATION_PROFILE);
+    
+    expect(report.recordCount).toBe(3);
+    expect(report.scoredCount).toBe(2);
+    expect(report.skipped).toEqual([{ regulationId: 'REG-3', reason: 'Missing regulation or validation level' }]);
+    expect(report.current.thresholds).toEqual(DEFAULT_CLASSIFICATION_PROFILE.thresholds);
+    expect(report.validations.map(validation => validation.requiredLevel)).toEqual([1, 3]);
+    expect(report.suggestion.reliable).toBe(false);
+  });
+});
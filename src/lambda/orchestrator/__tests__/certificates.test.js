@@ -0,0 +1,567 @@
+/**
+ * EdSteward.ai - Attestation Certificate Module tests
+ */
+
+// The revocation list is published to and served from S3
+const mockS3 = { putObject: jest.fn(), getObject: jest.fn() };
+jest.mock('aws-sdk', () => ({
+  S3: jest.fn(() => mockS3),
+  Lambda: jest.fn(() => ({})),
+  SecretsManager: jest.fn(() => ({})),
+  KMS: jest.fn(() => ({}))
+}));
+jest.mock('../db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../audit', () => ({
+  ...jest.requireActual('../audit'),
+  createAuditEvent: jest.fn(),
+  createAuthorizationAuditEvent: jest.fn()
+}));
+jest.mock('../classifier', () => ({ classifyRegulation: jest.fn() }));
+jest.mock('../router', () => ({ ...jest.requireActual('../router'), routeToValidator: jest.fn() }));
+
+const crypto = require('crypto');
+const { getDbConnection } = require('../db');
+const { createAuditEvent } = require('../audit');
+const { classifyRegulation } = require('../classifier');
+const { routeToValidator } = require('../router');
+const { createSigner, setSigner, signCertificate, verifyDocumentSignature } = require('../signing');
+const { formatCertificate, verifyCertificate, buildRevocationList } = require('../certificates');
+const { handler } = require('../index');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const regulation = { regulation_id: 'REG-1', title: 'FERPA', current_version: '2.0.0' };
+
+/**
+ * Build a stored certificate signed by the active signer
+ * 
+ * @param {Object} [fields] - Fields overriding an active certificate of tenant-a
+ * @returns {Promise<Object>} attestation_certificates row
+ */
+async function buildCertificateRecord(fields) {
+  const issuedAt = new Date(Date.now() - DAY_MS).toISOString();
+  const expiresAt = new Date(Date.now() + 89 * DAY_MS).toISOString();
+  const signed = {
+    certificateId: 'cert-1',
+    regulationId: 'REG-1',
+    regulationVersion: '2.0.0',
+    validationResultHash: 'a'.repeat(64),
+    issuedAt,
+    expiresAt
+  };
+  
+  return {
+    certificate_id: signed.certificateId,
+    tenant_id: 'tenant-a',
+    validation_id: 'validation-1',
+    regulation_id: signed.regulationId,
+    regulation_version: signed.regulationVersion,
+    issued_at: issuedAt,
+    expires_at: expiresAt,
+    issuer: 'user-1',
+    metadata: { validationResultHash: signed.validationResultHash, certificateUrl: '/api/certificates/cert-1' },
+    cryptographic_signature: JSON.stringify(await signCertificate(signed)),
+    revocation_status: 'active',
+    revocation_reason: null,
+    revoked_at: null,
+    ...fields
+  };
+}
+
+beforeEach(() => {
+  const { privateKey } = crypto.generateKeyPairSync('ec', {
+    namedCurve: 'P-256',
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+  setSigner(createSigner({ provider: 'local', keyId: 'key-1', privateKey }));
+});
+
+afterEach(() => {
+  setSigner(null);
+});
+
+describe('verifyCertificate', () => {
+  test('accepts a genuine certificate of the current version', async () => {
+    const verdict = await verifyCertificate(formatCertificate(await buildCertificateRecord()), regulation);
+    
+    expect(verdict).toMatchObject({
+      certificateId: 'cert-1',
+      isValid: true,
+      checks: { signature: true, notExpired: true, notRevoked: true, versionCurrent: true },
+      reasons: [],
+      certificate: { regulationVersion: '2.0.0', currentRegulationVersion: '2.0.0', signingKeyId: 'key-1' }
+    });
+  });
+  
+  test('rejects a certificate changed after signing', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const record = await buildCertificateRecord();
+    const certificate = formatCertificate({ ...record, metadata: { ...record.metadata, validationResultHash: 'b'.repeat(64) } });
+    
+    const verdict = await verifyCertificate(certificate, regulation);
+    
+    expect(verdict.isValid).toBe(false);
+    expect(verdict.reasons.map(reason => reason.code)).toEqual(['INVALID_SIGNATURE']);
+    console.error.mockRestore();
+  });
+  
+  test('rejects certificates issued before signing', async () => {
+    const certificate = formatCertificate(await buildCertificateRecord({ cryptographic_signature: 'unsigned' }));
+    
+    expect(certificate.cryptographicSignature).toBeNull();
+    expect((await verifyCertificate(certificate, regulation)).checks.signature).toBe(false);
+  });
+  
+  test('reports every reason a certificate is no longer in force', async () => {
+    const record = await buildCertificateRecord({
+      expires_at: new Date(Date.now() - 1000).toISOString(),
+      revocation_status: 'revoked',
+      revocation_reason: 'superseded',
+      revoked_at: new Date().toISOString()
+    });
+    
+    const verdict = await verifyCertificate(formatCertificate(record), { ...regulation, current_version: '3.0.0' });
+    
+    expect(verdict.isValid).toBe(false);
+    expect(verdict.checks).toEqual({ signature: false, notExpired: false, notRevoked: false, versionCurrent: false });
+    expect(verdict.reasons.map(reason => reason.code)).toEqual([
+      'INVALID_SIGNATURE',
+      'ATTESTATION_EXPIRED',
+      'ATTESTATION_REVOKED',
+      'VERSION_SUPERSEDED'
+    ]);
+  });
+  
+  test('rejects certificates of a regulation that no longer exists', async () => {
+    const verdict = await verifyCertificate(formatCertificate(await buildCertificateRecord()), null);
+    
+    expect(verdict.checks.versionCurrent).toBe(false);
+    expect(verdict.reasons).toEqual([{ code: 'VERSION_SUPERSEDED', message: 'Regulation REG-1 is no longer available' }]);
+  });
+});
+
+describe('buildRevocationList', () => {
+  test('lists the revoked certificates under a signature over the list', async () => {
+    const revokedAt = new Date();
+    const db = {
+      listRevokedCertificates: jest.fn(async () => [{
+        certificate_id: 'cert-1',
+        regulation_id: 'REG-1',
+        regulation_version: '1.0.0',
+        revocation_reason: 'superseded',
+        revoked_at: revokedAt
+      }])
+    };
+    
+    const { signature, ...revocationList } = await buildRevocationList(db);
+    
+    expect(revocationList.revokedCertificates).toEqual([{
+      certificateId: 'cert-1',
+      regulationId: 'REG-1',
+      regulationVersion: '1.0.0',
+      reasonCode: 'superseded',
+      revokedAt: revokedAt.toISOString()
+    }]);
+    expect(new Date(revocationList.nextUpdate) - new Date(revocationList.issuedAt)).toBe(DAY_MS);
+    expect(signature.keyId).toBe('key-1');
+    expect(await verifyDocumentSignature(revocationList, signature)).toBe(true);
+    expect(await verifyDocumentSignature({ ...revocationList, revokedCertificates: [] }, signature)).toBe(false);
+  });
+});
+
+describe('handler', () => {
+  beforeEach(() => {
+    getDbConnection.mockReset();
+    createAuditEvent.mockReset();
+    mockS3.putObject.mockReset().mockReturnValue({ promise: async () => ({}) });
+    mockS3.getObject.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  /**
+   * Build a certificate verification request from an unauthenticated verifier
+   * 
+   * @param {string} certificateId - Certificate identifier
+   * @returns {Object} API Gateway event
+   */
+  function buildVerifyEvent(certificateId) {
+    return {
+      resource: '/certificates/{certificateId}/verify',
+      httpMethod: 'POST',
+      pathParameters: { certificateId },
+      requestContext: { identity: { sourceIp: '192.0.2.1' } }
+    };
+  }
+  
+  test('verifies certificates of any tenant for anyone and audits the check', async () => {
+    const record = await buildCertificateRecord();
+    getDbConnection.mockResolvedValue({
+      getCertificate: jest.fn(async () => record),
+      getRegulation: jest.fn(async () => regulation)
+    });
+    
+    const response = await handler(buildVerifyEvent('cert-1'), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).data).toMatchObject({ certificateId: 'cert-1', isValid: true });
+    expect(getDbConnection).toHaveBeenCalledWith(undefined, { allTenants: true });
+    expect(createAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      eventType: 'certificate.verified',
+      entityId: 'cert-1',
+      tenantId: 'tenant-a',
+      ipAddress: '192.0.2.1',
+      metadata: expect.objectContaining({ isValid: true, requestId: 'request-1' })
+    }));
+  });
+  
+  test('does not find unknown certificates', async () => {
+    getDbConnection.mockResolvedValue({ getCertificate: jest.fn(async () => null) });
+    
+    const response = await handler(buildVerifyEvent('cert-2'), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body).error.code).toBe('CERTIFICATE_NOT_FOUND');
+    expect(createAuditEvent).not.toHaveBeenCalled();
+  });
+  
+  /**
+   * Build a certificate retrieval request from a tenant viewer
+   * 
+   * @param {Object} [query] - Query string parameters
+   * @param {Object} [headers] - Request headers
+   * @returns {Object} API Gateway event
+   */
+  function buildGetEvent(query, headers) {
+    return {
+      resource: '/certificates/{certificateId}',
+      httpMethod: 'GET',
+      pathParameters: { certificateId: 'cert-1' },
+      queryStringParameters: query || null,
+      headers: headers || {},
+      requestContext: {
+        domainName: 'api.edsteward.ai',
+        stage: 'v1',
+        authorizer: { claims: { sub: 'user-1', 'custom:tenant_id': 'tenant-a', 'cognito:groups': 'viewer' } }
+      }
+    };
+  }
+  
+  test('serves a certificate of the tenant with its status and links', async () => {
+    const record = await buildCertificateRecord();
+    getDbConnection.mockResolvedValue({
+      getCertificate: jest.fn(async () => record),
+      getRegulation: jest.fn(async () => regulation)
+    });
+    
+    const response = await handler(buildGetEvent(), { awsRequestId: 'request-1' });
+    const { data } = JSON.parse(response.body);
+    
+    expect(response.statusCode).toBe(200);
+    expect(data).toMatchObject({
+      certificateId: 'cert-1',
+      status: 'ACTIVE',
+      regulationInfo: { regulationId: 'REG-1', currentVersion: '2.0.0' },
+      links: {
+        self: 'https://api.edsteward.ai/v1/certificates/cert-1',
+        verifyUrl: 'https://api.edsteward.ai/v1/certificates/cert-1/verify',
+        revocationListUrl: 'https://api.edsteward.ai/v1/certificates/revocation-list'
+      }
+    });
+    expect(getDbConnection).toHaveBeenCalledWith(undefined, { tenantId: 'tenant-a' });
+    expect(createAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      eventType: 'certificate.viewed',
+      entityId: 'cert-1',
+      metadata: { format: 'json', requestId: 'request-1' }
+    }));
+  });
+  
+  test.each([
+    ['the format parameter', { format: 'jsonld' }, {}],
+    ['the Accept header', null, { Accept: 'application/ld+json' }]
+  ])('serves a certificate as a verifiable credential by %s', async (description, query, headers) => {
+    const record = await buildCertificateRecord();
+    getDbConnection.mockResolvedValue({
+      getCertificate: jest.fn(async () => record),
+      getRegulation: jest.fn(async () => regulation)
+    });
+    
+    const response = await handler(buildGetEvent(query, headers), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['Content-Type']).toBe('application/ld+json');
+    expect(JSON.parse(response.body)).toMatchObject({
+      id: 'urn:edsteward:certificate:cert-1',
+      proof: { verificationMethod: 'key-1' }
+    });
+  });
+  
+  test('serves a certificate as a PDF', async () => {
+    const record = await buildCertificateRecord();
+    getDbConnection.mockResolvedValue({
+      getCertificate: jest.fn(async () => record),
+      getRegulation: jest.fn(async () => regulation)
+    });
+    
+    const response = await handler(buildGetEvent(null, { accept: 'application/pdf' }), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(200);
+    expect(response.isBase64Encoded).toBe(true);
+    expect(response.headers).toMatchObject({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': 'inline; filename="cert-1.pdf"'
+    });
+    expect(Buffer.from(response.body, 'base64').subarray(0, 5).toString('latin1')).toBe('%PDF-');
+  });
+  
+  test('refuses unknown formats', async () => {
+    const response = await handler(buildGetEvent({ format: 'xml' }), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).error.code).toBe('INVALID_PARAMETERS');
+    expect(getDbConnection).not.toHaveBeenCalled();
+  });
+  
+  test('does not find certificates outside the tenant', async () => {
+    getDbConnection.mockResolvedValue({ getCertificate: jest.fn(async () => null) });
+    
+    const response = await handler(buildGetEvent(), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body).error.code).toBe('CERTIFICATE_NOT_FOUND');
+  });
+  
+  /**
+   * Build a certificate revocation request from a tenant administrator
+   * 
+   * @param {string} resource - Revocation route
+   * @param {Object} body - Request body
+   * @param {Object} [pathParameters] - Path parameters
+   * @returns {Object} API Gateway event
+   */
+  function buildRevokeEvent(resource, body, pathParameters) {
+    return {
+      resource,
+      httpMethod: 'POST',
+      pathParameters: pathParameters || null,
+      body: JSON.stringify(body),
+      requestContext: { authorizer: { claims: { sub: 'user-1', 'custom:tenant_id': 'tenant-a', 'cognito:groups': 'admin' } } }
+    };
+  }
+  
+  test('revokes a certificate, audits it and republishes the revocation list', async () => {
+    const record = await buildCertificateRecord();
+    const revoked = { ...record, revocation_status: 'revoked', revocation_reason: 'validation_error', revoked_at: new Date() };
+    const db = {
+      getCertificate: jest.fn(async () => record),
+      revokeCertificates: jest.fn(async () => [revoked]),
+      listRevokedCertificates: jest.fn(async () => [revoked])
+    };
+    getDbConnection.mockResolvedValue(db);
+    
+    const response = await handler(buildRevokeEvent(
+      '/certificates/{certificateId}/revoke',
+      { reasonCode: 'validation_error', notes: 'Wrong version compared' },
+      { certificateId: 'cert-1' }
+    ), { awsRequestId: 'request-1' });
+    const { data } = JSON.parse(response.body);
+    
+    expect(response.statusCode).toBe(200);
+    expect(data).toMatchObject({ revokedCount: 1, revokedCertificates: [{ certificateId: 'cert-1', revocationStatus: 'revoked' }] });
+    expect(db.revokeCertificates).toHaveBeenCalledWith(
+      { certificateId: 'cert-1' },
+      { reasonCode: 'validation_error', notes: 'Wrong version compared', revokedBy: 'user-1' }
+    );
+    expect(getDbConnection).toHaveBeenCalledWith(undefined, { tenantId: 'tenant-a' });
+    expect(getDbConnection).toHaveBeenCalledWith(undefined, { allTenants: true });
+    
+    const published = JSON.parse(mockS3.putObject.mock.calls[0][0].Body);
+    expect(mockS3.putObject).toHaveBeenCalledWith(expect.objectContaining({ Key: 'certificates/revocation-list.json' }));
+    expect(published.issuedAt).toBe(data.revocationListIssuedAt);
+    expect(published.revokedCertificates.map(entry => entry.certificateId)).toEqual(['cert-1']);
+    expect(createAuditEvent.mock.calls.map(([auditEvent]) => auditEvent.eventType)).toEqual([
+      'certificate.revoked',
+      'certificate.revocation_list.published'
+    ]);
+    expect(createAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      eventType: 'certificate.revoked',
+      entityId: 'cert-1',
+      tenantId: 'tenant-a',
+      newState: { revocationStatus: 'revoked' }
+    }));
+  });
+  
+  test('refuses to revoke a certificate twice', async () => {
+    const db = {
+      getCertificate: jest.fn(async () => buildCertificateRecord({ revocation_status: 'revoked' })),
+      revokeCertificates: jest.fn()
+    };
+    getDbConnection.mockResolvedValue(db);
+    
+    const response = await handler(buildRevokeEvent(
+      '/certificates/{certificateId}/revoke',
+      { reasonCode: 'superseded' },
+      { certificateId: 'cert-1' }
+    ), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(409);
+    expect(JSON.parse(response.body).error.code).toBe('CERTIFICATE_ALREADY_REVOKED');
+    expect(db.revokeCertificates).not.toHaveBeenCalled();
+  });
+  
+  test('refuses unknown revocation reasons', async () => {
+    const response = await handler(buildRevokeEvent(
+      '/certificates/{certificateId}/revoke',
+      { reasonCode: 'expired' },
+      { certificateId: 'cert-1' }
+    ), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).error.details).toEqual([expect.objectContaining({ field: 'reasonCode' })]);
+    expect(getDbConnection).not.toHaveBeenCalled();
+  });
+  
+  test('revokes the certificates of a regulation version without republishing when none match', async () => {
+    const db = { revokeCertificates: jest.fn(async () => []) };
+    getDbConnection.mockResolvedValue(db);
+    
+    const response = await handler(buildRevokeEvent(
+      '/certificates/revoke',
+      { regulationId: 'REG-1', regulationVersion: '1.0.0', reasonCode: 'superseded' }
+    ), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).data).toEqual({ revokedCount: 0, revokedCertificates: [], revocationListIssuedAt: null });
+    expect(db.revokeCertificates).toHaveBeenCalledWith(
+      { regulationId: 'REG-1', regulationVersion: '1.0.0' },
+      expect.objectContaining({ reasonCode: 'superseded' })
+    );
+    expect(mockS3.putObject).not.toHaveBeenCalled();
+    expect(createAuditEvent).not.toHaveBeenCalled();
+  });
+  
+  test('serves the published revocation list to anyone', async () => {
+    const revocationList = { version: 1, issuedAt: '2025-01-01T00:00:00.000Z', revokedCertificates: [] };
+    mockS3.getObject.mockReturnValue({ promise: async () => ({ Body: Buffer.from(JSON.stringify(revocationList)) }) });
+    
+    const response = await handler({
+      resource: '/certificates/revocation-list',
+      httpMethod: 'GET',
+      requestContext: {}
+    }, { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['Cache-Control']).toBe('public, max-age=86400');
+    expect(JSON.parse(response.body)).toEqual(revocationList);
+    expect(getDbConnection).not.toHaveBeenCalled();
+  });
+  
+  test('publishes a revocation list when none has been published', async () => {
+    mockS3.getObject.mockReturnValue({
+      promise: async () => { throw Object.assign(new Error('Not found'), { code: 'NoSuchKey' }); }
+    });
+    getDbConnection.mockResolvedValue({ listRevokedCertificates: jest.fn(async () => []) });
+    
+    const response = await handler({
+      resource: '/certificates/revocation-list',
+      httpMethod: 'GET',
+      requestContext: {}
+    }, { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body)).toMatchObject({ revokedCertificates: [], signature: { keyId: 'key-1' } });
+    expect(getDbConnection).toHaveBeenCalledWith(undefined, { allTenants: true });
+    expect(mockS3.putObject).toHaveBeenCalledTimes(1);
+  });
+  
+  /**
+   * Build a database client for a validation of REG-1
+   * 
+   * @returns {Object} Database client
+   */
+  function createValidationDb() {
+    return {
+      getRegulation: jest.fn(async () => regulation),
+      createValidationResult: jest.fn(async () => ({ validation_id: 'validation-1' })),
+      createCertificate: jest.fn(async () => {}),
+      setValidationCertificate: jest.fn(async () => {})
+    };
+  }
+  
+  /**
+   * Validate REG-1 with a validator returning a result
+   * 
+   * @param {Object} db - Database client
+   * @param {Object} validationResponse - Fields overriding a valid result compared against 2.0.0
+   * @returns {Promise<Object>} Handler response
+   */
+  function validate(db, validationResponse) {
+    getDbConnection.mockResolvedValue(db);
+    classifyRegulation.mockResolvedValue({ validationLevel: 1, determinedLevel: 1, complexityScore: 10, profile: { sources: [] } });
+    routeToValidator.mockResolvedValue({
+      isValid: true,
+      certaintyLevel: 4,
+      evidence: { comparedVersion: '2.0.0' },
+      routing: { effectiveLevel: 1, validatorId: 'version-comparator', downgraded: false },
+      ...validationResponse
+    });
+    
+    return handler({
+      resource: '/validate',
+      httpMethod: 'POST',
+      body: JSON.stringify({ regulationId: 'REG-1', regulationVersion: '1.0.0', regulationContent: { text: '§ 1 Records' } }),
+      requestContext: { authorizer: { claims: { sub: 'user-1', 'custom:tenant_id': 'tenant-a', 'cognito:groups': 'validator' } } }
+    }, { awsRequestId: 'request-1', functionName: 'edsteward-orchestrator' });
+  }
+  
+  test('issues a signed certificate for the version the content was compared against', async () => {
+    const db = createValidationDb();
+    
+    const response = await validate(db);
+    const certificate = JSON.parse(response.body).data.attestationCertificate;
+    
+    expect(response.statusCode).toBe(200);
+    expect(certificate).toMatchObject({ validationId: 'validation-1', regulationId: 'REG-1', regulationVersion: '2.0.0' });
+    expect(new Date(certificate.expiresAt) - new Date(certificate.issuedAt)).toBeGreaterThanOrEqual(89 * DAY_MS);
+    expect(db.createCertificate).toHaveBeenCalledWith(certificate);
+    expect(db.setValidationCertificate).toHaveBeenCalledWith('validation-1', certificate.certificateId);
+    expect(getDbConnection).toHaveBeenCalledWith(undefined, { tenantId: 'tenant-a' });
+    expect(createAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      eventType: 'certificate.issued',
+      entityId: certificate.certificateId,
+      tenantId: 'tenant-a',
+      metadata: expect.objectContaining({ regulationVersion: '2.0.0', signingKeyId: 'key-1' })
+    }));
+    
+    // The issued certificate verifies once stored
+    const verdict = await verifyCertificate(formatCertificate({
+      certificate_id: certificate.certificateId,
+      regulation_id: certificate.regulationId,
+      regulation_version: certificate.regulationVersion,
+      issued_at: certificate.issuedAt,
+      expires_at: certificate.expiresAt,
+      metadata: { validationResultHash: certificate.validationResultHash },
+      cryptographic_signature: JSON.stringify(certificate.cryptographicSignature),
+      revocation_status: 'active'
+    }), regulation);
+    expect(verdict.isValid).toBe(true);
+  });
+  
+  test.each([
+    ['invalid results', { isValid: false }],
+    ['results below certainty level 4', { certaintyLevel: 3 }],
+    ['results without a compared version', { evidence: {} }]
+  ])('issues no certificate for %s', async (description, validationResponse) => {
+    const db = createValidationDb();
+    
+    const response = await validate(db, validationResponse);
+    
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).data.attestationCertificate).toBeUndefined();
+    expect(db.createCertificate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * EdSteward.ai - Audit Hash Chain Module tests
+ */
+
+const crypto = require('crypto');
+const { GENESIS_HASH, computeEntryHash, verifyChain } = require('../chain');
+const { createSigner, setSigner, signDocument } = require('../signing');
+
+/**
+ * Build chained audit_logs rows
+ * 
+ * @param {number} count - Number of entries
+ * @returns {Array<Object>} Rows linked into a hash chain
+ */
+function buildChain(count) {
+  const rows = [];
+  let previousHash = GENESIS_HASH;
+  
+  for (let sequenceNumber = 1; sequenceNumber <= count; sequenceNumber++) {
+    const entry = {
+      sequenceNumber,
+      timestamp: new Date(Date.UTC(2025, 0, 1, 0, sequenceNumber)).toISOString(),
+      eventType: 'validation.requested',
+      entityType: 'regulation',
+      entityId: `REG-${sequenceNumber}`,
+      tenantId: 'tenant-a',
+      userId: 'user-1',
+      action: 'validate',
+      metadata: { sequenceNumber },
+      previousHash
+    };
+    const entryHash = computeEntryHash(entry);
+    
+    rows.push({
+      audit_id: `audit-${sequenceNumber}`,
+      sequence_number: String(sequenceNumber),
+      timestamp: new Date(entry.timestamp),
+      event_type: entry.eventType,
+      entity_type: entry.entityType,
+      entity_id: entry.entityId,
+      tenant_id: entry.tenantId,
+      user_id: entry.userId,
+      client_id: null,
+      ip_address: null,
+      action: entry.action,
+      previous_state: null,
+      new_state: null,
+      metadata: entry.metadata,
+      previous_hash: previousHash,
+      entry_hash: entryHash
+    });
+    previousHash = entryHash;
+  }
+  
+  return rows;
+}
+
+/**
+ * Create a database client over in-memory chain rows
+ * 
+ * @param {Array<Object>} rows - Chained rows
+ * @param {Object} [unchained] - Counts of entries outside the chain
+ * @param {Array<Object>} [checkpoints] - audit_checkpoints rows
+ * @returns {Object} Database client
+ */
+function createFakeDb(rows, unchained = { beforeChain: 0, sinceChainStart: 0 }, checkpoints = []) {
+  return {
+    getAuditChainEntry: async sequenceNumber => rows.find(row => Number(row.sequence_number) === sequenceNumber),
+    listAuditChainEntries: async (afterSequence, limit, toSequence) => rows
+      .filter(row => Number(row.sequence_number) > afterSequence)
+      .filter(row => !toSequence || Number(row.sequence_number) <= toSequence)
+      .slice(0, limit),
+    listAuditCheckpoints: async () => checkpoints,
+    countUnchainedAuditEvents: async () => unchained
+  };
+}
+
+/**
+ * Sign a checkpoint of a chain entry
+ * 
+ * @param {Object} row - Chained row
+ * @returns {Promise<Object>} audit_checkpoints row
+ */
+async function buildCheckpoint(row) {
+  const checkpoint = {
+    sequenceNumber: Number(row.sequence_number),
+    entryHash: row.entry_hash,
+    createdAt: '2025-01-02T00:00:00.000Z'
+  };
+  
+  return {
+    checkpoint_id: `checkpoint-${row.sequence_number}`,
+    sequence_number: row.sequence_number,
+    entry_hash: row.entry_hash,
+    created_at: new Date(checkpoint.createdAt),
+    signature: await signDocument(checkpoint)
+  };
+}
+
+describe('verifyChain', () => {
+  test('accepts an intact chain', async () => {
+    const report = await verifyChain(createFakeDb(buildChain(5)));
+    
+    expect(report.isValid).toBe(true);
+    expect(report.entriesVerified).toBe(5);
+    expect(report.hasMore).toBe(false);
+    expect(report.firstBrokenLink).toBeNull();
+  });
+  
+  test('reports entries outside the chain without failing it', async () => {
+    const report = await verifyChain(createFakeDb(buildChain(3), { beforeChain: 12, sinceChainStart: 2 }));
+    
+    expect(report.isValid).toBe(true);
+    expect(report.unchainedEntries).toEqual({ beforeChain: 12, sinceChainStart: 2 });
+  });
+  
+  test('reports an edited entry as a hash mismatch', async () => {
+    const rows = buildChain(5);
+    rows[2] = { ...rows[2], action: 'approve' };
+    
+    const report = await verifyChain(createFakeDb(rows));
+    
+    expect(report.isValid).toBe(false);
+    expect(report.entriesVerified).toBe(2);
+    expect(report.firstBrokenLink).toMatchObject({ sequenceNumber: 3, reason: 'HASH_MISMATCH' });
+  });
+  
+  test('reports a deleted entry as a sequence gap', async () => {
+    const rows = buildChain(5);
+    rows.splice(1, 1);
+    
+    const report = await verifyChain(createFakeDb(rows));
+    
+    expect(report.isValid).toBe(false);
+    expect(report.firstBrokenLink).toMatchObject({ sequenceNumber: 2, reason: 'SEQUENCE_GAP' });
+  });
+  
+  test('verifies a range from the entry before it', async () => {
+    const report = await verifyChain(createFakeDb(buildChain(5)), { fromSequence: 3, toSequence: 4 });
+    
+    expect(report.isValid).toBe(true);
+    expect(report.range).toEqual({ fromSequence: 3, toSequence: 4 });
+    expect(report.entriesVerified).toBe(2);
+  });
+});
+
+describe('verifyChain bounds', () => {
+  beforeEach(() => {
+    const { privateKey } = crypto.generateKeyPairSync('ec', {
+      namedCurve: 'P-256',
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' }
+    });
+    setSigner(createSigner({ provider: 'local', keyId: 'key-1', privateKey }));
+  });
+  
+  afterEach(() => {
+    setSigner(null);
+  });
+  
+  test('starts at the latest signed checkpoint without a range', async () => {
+    const rows = buildChain(6);
+    const checkpoints = [await buildCheckpoint(rows[1]), await buildCheckpoint(rows[3])];
+    
+    const report = await verifyChain(createFakeDb(rows, undefined, checkpoints));
+    
+    expect(report.isValid).toBe(true);
+    expect(report.range).toEqual({ fromSequence: 4, toSequence: 6 });
+    expect(report.checkpoints).toEqual([
+      expect.objectContaining({ sequenceNumber: 4, signatureValid: true, matchesChain: true })
+    ]);
+  });
+  
+  test('verifies at most the configured number of entries per request', async () => {
+    let chain;
+    process.env.AUDIT_VERIFY_MAX_ENTRIES = '3';
+    jest.isolateModules(() => {
+      chain = require('../chain');
+    });
+    delete process.env.AUDIT_VERIFY_MAX_ENTRIES;
+    const db = createFakeDb(buildChain(5));
+    
+    const first = await chain.verifyChain(db);
+    expect(first.range).toEqual({ fromSequence: 1, toSequence: 3 });
+    expect(first.hasMore).toBe(true);
+    
+    const next = await chain.verifyChain(db, { fromSequence: 4 });
+    expect(next.isValid).toBe(true);
+    expect(next.range).toEqual({ fromSequence: 4, toSequence: 5 });
+    expect(next.hasMore).toBe(false);
+  });
+});
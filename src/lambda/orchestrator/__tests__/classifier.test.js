@@ -0,0 +1,171 @@
+/**
+ * EdSteward.ai - Regulation Classifier Module tests
+ */
+
+jest.mock('../db', () => ({ getDbConnection: jest.fn() }));
+
+const { getDbConnection } = require('../db');
+const {
+  classifyRegulation,
+  determineLevel,
+  analyzeComplexity,
+  analyzeChangeFrequency,
+  analyzeStructure
+} = require('../classifier');
+
+const REGULATION_TEXT = [
+  '§ 99.31 Disclosure',
+  '(a) An agency must disclose records within 45 days.',
+  '(1) The agency shall notify parents as required by § 99.7 and 34 CFR 99.',
+  '(2) Notices may be sent electronically.',
+  '§ 99.32 Records',
+  'The agency shall keep a record of each request.'
+].join('\n');
+
+const regulation = {
+  regulation_id: 'REG-1',
+  current_version: '1.0.0',
+  category: 'privacy',
+  jurisdiction: 'US-FED'
+};
+
+/**
+ * Build a database client holding the versions of REG-1
+ * 
+ * @param {string|null} content - Text of the current version
+ * @returns {Object} Database client
+ */
+function createFakeDb(content) {
+  return {
+    getActiveClassificationProfiles: jest.fn(async () => []),
+    getRegulationVersion: jest.fn(async () => (content ? { version_number: '1.0.0', content } : null)),
+    listRegulationVersions: jest.fn(async () => [{ version_number: '1.0.0', effective_date: '2015-01-01' }])
+  };
+}
+
+describe('analyzeComplexity', () => {
+  test('measures reading ease, requirements and size from the text', () => {
+    expect(analyzeComplexity(REGULATION_TEXT)).toEqual({
+      textComplexity: 23,
+      contentSize: 25,
+      metrics: {
+        contentAvailable: true,
+        wordCount: 45,
+        sentenceCount: 4,
+        readingEase: 65.7,
+        numericObligations: 1,
+        obligations: 4
+      }
+    });
+  });
+  
+  test('scores text that is unavailable as average', () => {
+    expect(analyzeComplexity(null)).toEqual({ textComplexity: 50, contentSize: 50, metrics: { contentAvailable: false } });
+  });
+});
+
+describe('analyzeStructure', () => {
+  test('counts sections, clause depth and cross-references outside headings', () => {
+    expect(analyzeStructure(REGULATION_TEXT)).toEqual({
+      score: 36,
+      metrics: { sectionCount: 5, maxClauseDepth: 2, crossReferences: 2 }
+    });
+  });
+  
+  test('scores text that is unavailable as average', () => {
+    expect(analyzeStructure(null)).toEqual({ score: 50, metrics: {} });
+  });
+});
+
+describe('analyzeChangeFrequency', () => {
+  test('counts changes within the window, not the original publication or future versions', () => {
+    const versions = ['2019-01-01', '2021-06-01', '2023-01-01', '2024-06-01', '2026-01-01']
+      .map(effectiveDate => ({ effective_date: effectiveDate }));
+    
+    expect(analyzeChangeFrequency(versions, 3, new Date('2025-01-01'))).toEqual({
+      score: 33,
+      metrics: {
+        versionCount: 5,
+        changesInWindow: 2,
+        changeWindowYears: 3,
+        changesPerYear: 0.67,
+        lastChangedAt: '2024-06-01T00:00:00.000Z'
+      }
+    });
+  });
+  
+  test('does not count a single publication as a change', () => {
+    const { score, metrics } = analyzeChangeFrequency([{ effective_date: '2024-06-01' }], 3, new Date('2025-01-01'));
+    
+    expect(score).toBe(0);
+    expect(metrics.lastChangedAt).toBeNull();
+  });
+});
+
+describe('determineLevel', () => {
+  test.each([
+    [29, 1],
+    [30, 2],
+    [69, 2],
+    [70, 3]
+  ])('places score %i at level %i', (score, level) => {
+    expect(determineLevel(score, { level2: 30, level3: 70 })).toBe(level);
+  });
+});
+
+describe('classifyRegulation', () => {
+  beforeEach(() => {
+    getDbConnection.mockReset();
+  });
+  
+  test('classifies the current version text and explains the drivers', async () => {
+    const db = createFakeDb(REGULATION_TEXT);
+    getDbConnection.mockResolvedValue(db);
+    
+    const classification = await classifyRegulation(regulation, 1, { tenantId: 'tenant-a' });
+    
+    expect(classification).toMatchObject({
+      regulationId: 'REG-1',
+      regulationVersion: '1.0.0',
+      validationLevel: 1,
+      determinedLevel: 1,
+      complexityScore: 19,
+      factors: { textComplexity: 23, contentSize: 25, changeFrequency: 0, structuralComplexity: 36 },
+      metrics: { wordCount: 45, sectionCount: 5, versionCount: 1 },
+      profile: { sources: [] },
+      validatorType: 'text'
+    });
+    expect(classification.explanation.drivers.map(driver => [driver.factor, driver.contribution])).toEqual([
+      ['structuralComplexity', 7.2],
+      ['textComplexity', 6.9],
+      ['contentSize', 5],
+      ['changeFrequency', 0]
+    ]);
+    expect(classification.explanation.summary).toBe(
+      'Complexity score 19 places the regulation at level 1, driven mainly by structuralComplexity and textComplexity'
+    );
+    expect(getDbConnection).toHaveBeenCalledWith(undefined, { tenantId: 'tenant-a' });
+    expect(db.getActiveClassificationProfiles).toHaveBeenCalledWith('tenant-a', 'privacy');
+    expect(db.getRegulationVersion).toHaveBeenCalledWith('REG-1', '1.0.0');
+  });
+  
+  test('uses a higher requested level and says so', async () => {
+    getDbConnection.mockResolvedValue(createFakeDb(REGULATION_TEXT));
+    
+    const classification = await classifyRegulation(regulation, 3);
+    
+    expect(classification).toMatchObject({ validationLevel: 3, determinedLevel: 1, validatorType: 'context' });
+    expect(classification.explanation.summary).toMatch(/; level 3 was used because it was requested$/);
+  });
+  
+  test('explains classifications made without the current version text', async () => {
+    getDbConnection.mockResolvedValue(createFakeDb(null));
+    
+    const classification = await classifyRegulation(regulation, 1);
+    
+    expect(classification.factors).toMatchObject({ textComplexity: 50, contentSize: 50, structuralComplexity: 50 });
+    expect(classification.metrics.contentAvailable).toBe(false);
+    expect(classification.explanation.drivers.find(driver => driver.factor === 'textComplexity').reason)
+      .toBe('Current version text is unavailable');
+  });
+});
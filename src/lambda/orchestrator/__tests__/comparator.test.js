@@ -0,0 +1,46 @@
+/**
+ * EdSteward.ai - Content Comparison Module tests
+ */
+
+const { validateContent } = require('../comparator');
+
+const REGULATION = { regulation_id: 'REG-1', current_version: '2.0.0' };
+const CONTENT = '1. Records. The institution must respond to a request within 45 days.';
+
+/**
+ * Build a database client holding regulation versions
+ * 
+ * @param {Object} versions - Content by version number
+ * @returns {Object} Database client
+ */
+function createFakeDb(versions) {
+  return {
+    getRegulationVersion: async (regulationId, versionNumber) => (
+      versions[versionNumber] ? { version_number: versionNumber, content: versions[versionNumber] } : undefined
+    )
+  };
+}
+
+describe('validateContent', () => {
+  test('certifies content matching the claimed version', async () => {
+    const result = await validateContent(createFakeDb({ '2.0.0': CONTENT }), REGULATION, { text: CONTENT }, '2.0.0');
+    
+    expect(result).toMatchObject({ isValid: true, certaintyLevel: 5 });
+    expect(result.evidence.comparedVersion).toBe('2.0.0');
+  });
+  
+  test('does not accept a claimed version the authority does not know', async () => {
+    const result = await validateContent(createFakeDb({ '2.0.0': CONTENT }), REGULATION, { text: CONTENT }, '9.9.9');
+    
+    expect(result.isValid).toBe(false);
+    expect(result.certaintyLevel).toBeLessThan(4);
+    expect(result.evidence.comparedVersion).toBe('2.0.0');
+    expect(result.details.warnings).toContain('Version 9.9.9 is unknown; compared against current version 2.0.0');
+  });
+  
+  test('compares content without a claimed version against the current version', async () => {
+    const result = await validateContent(createFakeDb({ '2.0.0': CONTENT }), REGULATION, { text: CONTENT });
+    
+    expect(result).toMatchObject({ isValid: true, certaintyLevel: 5 });
+  });
+});
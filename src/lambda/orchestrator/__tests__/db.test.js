@@ -0,0 +1,321 @@
+/**
+ * EdSteward.ai - Database Utility Module tests
+ */
+
+jest.mock('aws-sdk', () => ({
+  SecretsManager: jest.fn(() => ({
+    getSecretValue: () => ({
+      promise: async () => ({
+        SecretString: JSON.stringify({ host: 'db', port: 5432, dbname: 'edsteward', username: 'app', password: 'secret' })
+      })
+    })
+  }))
+}));
+jest.mock('pg', () => ({
+  Pool: jest.fn(() => ({ connect: async () => mockConnect() }))
+}));
+
+const { getDbConnection } = require('../db');
+const { GENESIS_HASH, computeRowHash } = require('../chain');
+
+const SET_TENANT_SCOPE = `SELECT set_config('app.tenant_id', $1, false), set_config('app.all_tenants', $2, false)`;
+
+// Connections checked out of the pool, in order
+const mockConnections = [];
+
+// Answers queries with rows; every query returns no rows unless set
+let mockRespond = null;
+
+/**
+ * Check out a pooled connection that records its queries
+ * 
+ * @returns {Object} Connection
+ */
+function mockConnect() {
+  const connection = {
+    queries: [],
+    query: jest.fn(async (text, params) => {
+      connection.queries.push({ text: text.trim(), params });
+      return mockRespond ? mockRespond(text.trim(), params) : { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  
+  mockConnections.push(connection);
+  return connection;
+}
+
+describe('getDbConnection', () => {
+  beforeAll(async () => {
+    // The first connection creates the pool and tests it
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await getDbConnection('secret-arn');
+    console.log.mockRestore();
+  });
+  
+  beforeEach(() => {
+    mockConnections.length = 0;
+  });
+  
+  test('scopes every checkout to the tenant of the client', async () => {
+    const db = await getDbConnection('secret-arn', { tenantId: 'tenant-a' });
+    
+    await db.query('SELECT 1');
+    await db.query('SELECT 2');
+    
+    expect(mockConnections).toHaveLength(2);
+    mockConnections.forEach((connection, index) => {
+      expect(connection.queries).toEqual([
+        { text: SET_TENANT_SCOPE, params: ['tenant-a', 'off'] },
+        { text: `SELECT ${index + 1}`, params: undefined }
+      ]);
+      expect(connection.release).toHaveBeenCalledTimes(1);
+    });
+  });
+  
+  test('spans all tenants only when asked to', async () => {
+    await (await getDbConnection('secret-arn', { allTenants: true })).query('SELECT 1');
+    await (await getDbConnection('secret-arn')).query('SELECT 1');
+    
+    expect(mockConnections.map(connection => connection.queries[0])).toEqual([
+      { text: SET_TENANT_SCOPE, params: ['', 'on'] },
+      { text: SET_TENANT_SCOPE, params: ['', 'off'] }
+    ]);
+  });
+  
+  test('scopes transactions before they begin', async () => {
+    const db = await getDbConnection('secret-arn', { tenantId: 'tenant-b' });
+    
+    const transaction = await db.beginTransaction();
+    await transaction.query('SELECT 1');
+    await transaction.commit();
+    
+    expect(mockConnections).toHaveLength(1);
+    expect(mockConnections[0].queries.map(query => query.text)).toEqual([SET_TENANT_SCOPE, 'BEGIN', 'SELECT 1', 'COMMIT']);
+    expect(mockConnections[0].queries[0].params).toEqual(['tenant-b', 'off']);
+    expect(mockConnections[0].release).toHaveBeenCalledTimes(1);
+  });
+  
+  test('does not carry the scope of one client over to the next', async () => {
+    const tenantDb = await getDbConnection('secret-arn', { tenantId: 'tenant-a' });
+    const otherDb = await getDbConnection('secret-arn', { tenantId: 'tenant-b' });
+    
+    await tenantDb.query('SELECT 1');
+    await otherDb.query('SELECT 1');
+    await tenantDb.query('SELECT 1');
+    
+    expect(mockConnections.map(connection => connection.queries[0].params[0])).toEqual(['tenant-a', 'tenant-b', 'tenant-a']);
+  });
+});
+
+describe('recordApiKeyUse', () => {
+  beforeEach(() => {
+    mockConnections.length = 0;
+  });
+  
+  test('stamps the last use of a key at most once a minute', async () => {
+    const db = await getDbConnection('secret-arn', { allTenants: true });
+    
+    await db.recordApiKeyUse('key-1');
+    
+    const [, update] = mockConnections[0].queries;
+    expect(update.params).toEqual(['key-1']);
+    expect(update.text).toMatch(/UPDATE api_keys\s+SET last_used_at = NOW\(\)\s+WHERE key_id = \$1/);
+    expect(update.text).toMatch(/last_used_at < NOW\(\) - INTERVAL '1 minute'/);
+  });
+});
+
+describe('queryAuditEvents', () => {
+  beforeEach(() => {
+    mockConnections.length = 0;
+  });
+  
+  test('matches event type prefixes and pages by keyset', async () => {
+    const db = await getDbConnection('secret-arn', { tenantId: 'tenant-a' });
+    
+    await db.queryAuditEvents(
+      { eventType: 'certificate.*', userId: 'user-1' },
+      51,
+      { timestamp: '2025-01-01 00:00:00.123456+00', auditId: 'audit-1' }
+    );
+    
+    const [, select] = mockConnections[0].queries;
+    expect(select.params).toEqual(['user-1', 'certificate.%', '2025-01-01 00:00:00.123456+00', 'audit-1', 51, 0]);
+    expect(select.text).toMatch(/event_type LIKE \$2/);
+    expect(select.text).toMatch(/\(timestamp, audit_id\) < \(\$3, \$4\)/);
+    expect(select.text).toMatch(/ORDER BY timestamp DESC, audit_id DESC/);
+  });
+});
+
+describe('createAuditEvent', () => {
+  const auditEvent = {
+    eventType: 'certificate.revoked',
+    entityType: 'certificate',
+    entityId: 'cert-1',
+    action: 'revoke',
+    tenantId: 'tenant-a',
+    userId: 'user-1',
+    newState: { revocationStatus: 'revoked' },
+    metadata: { reasonCode: 'superseded' }
+  };
+  
+  /**
+   * Rebuild the stored row from the parameters of the INSERT
+   * 
+   * @param {Array} params - INSERT parameters
+   * @returns {Object} audit_logs row
+   */
+  function toRow(params) {
+    return {
+      event_type: params[0],
+      entity_type: params[1],
+      entity_id: params[2],
+      user_id: params[3],
+      client_id: params[4],
+      ip_address: params[5],
+      action: params[6],
+      timestamp: params[7],
+      previous_state: params[8] && JSON.parse(params[8]),
+      new_state: params[9] && JSON.parse(params[9]),
+      metadata: JSON.parse(params[10]),
+      sequence_number: params[11],
+      previous_hash: params[12],
+      entry_hash: params[13],
+      tenant_id: params[14]
+    };
+  }
+  
+  beforeEach(() => {
+    mockConnections.length = 0;
+  });
+  
+  afterEach(() => {
+    mockRespond = null;
+  });
+  
+  test('links the entry to the chain head under the chain lock', async () => {
+    mockRespond = (text, params) => {
+      if (text.includes('audit_chain_head()')) {
+        return { rows: [{ sequence_number: '41', entry_hash: 'f'.repeat(64) }] };
+      }
+      return { rows: text.startsWith('INSERT') ? [toRow(params)] : [] };
+    };
+    const db = await getDbConnection('secret-arn', { tenantId: 'tenant-a' });
+    
+    const record = await db.createAuditEvent(auditEvent);
+    
+    const { queries } = mockConnections[0];
+    expect(mockConnections).toHaveLength(1);
+    expect(queries.map(query => query.text.split('\n')[0])).toEqual([
+      SET_TENANT_SCOPE,
+      'BEGIN',
+      'SELECT pg_advisory_xact_lock(hashtext($1))',
+      'SELECT sequence_number, entry_hash FROM audit_chain_head()',
+      'INSERT INTO audit_logs (',
+      'COMMIT'
+    ]);
+    expect(queries[2].params).toEqual(['audit_logs_chain']);
+    expect(record).toMatchObject({ sequence_number: 42, previous_hash: 'f'.repeat(64), tenant_id: 'tenant-a' });
+    expect(record.entry_hash).toBe(computeRowHash(record));
+  });
+  
+  test('starts the chain at the genesis hash', async () => {
+    mockRespond = (text, params) => ({ rows: text.startsWith('INSERT') ? [toRow(params)] : [] });
+    const db = await getDbConnection('secret-arn', { tenantId: 'tenant-a' });
+    
+    const record = await db.createAuditEvent(auditEvent);
+    
+    expect(record).toMatchObject({ sequence_number: 1, previous_hash: GENESIS_HASH });
+    expect(record.entry_hash).toBe(computeRowHash(record));
+  });
+  
+  test('rolls back and releases the lock when the entry cannot be written', async () => {
+    mockRespond = text => {
+      if (text.startsWith('INSERT')) {
+        throw new Error('duplicate key value violates unique constraint');
+      }
+      return { rows: [] };
+    };
+    const db = await getDbConnection('secret-arn', { tenantId: 'tenant-a' });
+    
+    await expect(db.createAuditEvent(auditEvent)).rejects.toThrow('duplicate key');
+    
+    expect(mockConnections[0].queries.map(query => query.text).pop()).toBe('ROLLBACK');
+    expect(mockConnections[0].release).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('activateClassificationProfile', () => {
+  beforeEach(() => {
+    mockConnections.length = 0;
+  });
+  
+  afterEach(() => {
+    mockRespond = null;
+  });
+  
+  test('locks the scope of the profile before switching the active version', async () => {
+    mockRespond = text => ({
+      rows: text.startsWith('SELECT tenant_id, category') ? [{ tenant_id: 'tenant-a', category: 'privacy' }]
+        : text.includes('RETURNING *') ? [{ profile_id: 'profile-1', is_active: true }]
+        : []
+    });
+    const db = await getDbConnection('secret-arn', { tenantId: 'tenant-a' });
+    
+    expect(await db.activateClassificationProfile('profile-1')).toEqual({ profile_id: 'profile-1', is_active: true });
+    
+    const queries = mockConnections[0].queries.slice(2);
+    expect(queries[1]).toEqual({
+      text: 'SELECT pg_advisory_xact_lock(hashtext($1))',
+      params: ['classification_profiles:tenant-a:privacy']
+    });
+    expect(queries[2].text).toMatch(/SET is_active = false/);
+    expect(queries[2].params).toEqual(['tenant-a', 'privacy']);
+    expect(queries[3].params).toEqual(['profile-1']);
+    expect(queries[4].text).toBe('COMMIT');
+  });
+  
+  test('takes the same lock as profile creation in the same scope', async () => {
+    mockRespond = text => ({ rows: text.includes('AS version') ? [{ version: 1 }] : [{}] });
+    const db = await getDbConnection('secret-arn');
+    
+    await db.createClassificationProfile({ tenantId: null, category: null, settings: {}, activate: true });
+    
+    expect(mockConnections[0].queries[2]).toEqual({
+      text: 'SELECT pg_advisory_xact_lock(hashtext($1))',
+      params: ['classification_profiles::']
+    });
+  });
+  
+  test('does not find unknown profiles', async () => {
+    const db = await getDbConnection('secret-arn', { tenantId: 'tenant-a' });
+    
+    expect(await db.activateClassificationProfile('profile-2')).toBeNull();
+    expect(mockConnections[0].queries.map(query => query.text).pop()).toBe('ROLLBACK');
+    expect(mockConnections[0].release).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('listValidationResults', () => {
+  beforeEach(() => {
+    mockConnections.length = 0;
+  });
+  
+  afterEach(() => {
+    mockRespond = null;
+  });
+  
+  test('lists the validations of one tenant and counts them with the same filters', async () => {
+    mockRespond = text => ({ rows: text.startsWith('SELECT COUNT(*)') ? [{ total: '21' }] : [{ validation_id: 'validation-1' }] });
+    const db = await getDbConnection('secret-arn', { tenantId: 'tenant-a' });
+    
+    const result = await db.listValidationResults('tenant-a', { regulationId: 'REG-1', validationLevel: '2' }, 3, 10);
+    
+    expect(result).toEqual({ items: [{ validation_id: 'validation-1' }], total: 21 });
+    const [select, count] = mockConnections.map(connection => connection.queries[1]);
+    expect(select.text).toMatch(/WHERE tenant_id IS NOT DISTINCT FROM \$1 AND regulation_id = \$2 AND validation_level = \$3/);
+    expect(select.text).toMatch(/ORDER BY validation_timestamp DESC, validation_id DESC/);
+    expect(select.params).toEqual(['tenant-a', 'REG-1', 2, 10, 20]);
+    expect(count.params).toEqual(['tenant-a', 'REG-1', 2]);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * EdSteward.ai - Regulation Diff Module tests
+ */
+
+jest.mock('../db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../audit', () => ({
+  ...jest.requireActual('../audit'),
+  createAuditEvent: jest.fn(),
+  createAuthorizationAuditEvent: jest.fn()
+}));
+
+const { getDbConnection } = require('../db');
+const { diffVersions, diffWords } = require('../differ');
+const { handler } = require('../index');
+
+/**
+ * Build a regulation version
+ * 
+ * @param {string} versionNumber - Version number
+ * @param {string} content - Regulation text
+ * @param {Object} [fields] - Fields overriding a version that is not current
+ * @returns {Object} regulation_versions row
+ */
+function buildVersion(versionNumber, content, fields) {
+  return { version_number: versionNumber, content, is_current: false, change_type: null, change_summary: null, ...fields };
+}
+
+describe('diffVersions', () => {
+  test('reports added, removed and changed sections in reading order', () => {
+    const fromVersion = buildVersion('1.0.0', [
+      '§ 1 Records shall be kept for 30 days.',
+      '§ 2 Notices are sent yearly.',
+      '§ 3 Parents may inspect records.'
+    ].join('\n'));
+    const toVersion = buildVersion('1.1.0', [
+      '§ 1 Records shall be kept for 60 days.',
+      '§ 3 Parents may inspect records.',
+      '§ 4 Students may request amendments.'
+    ].join('\n'), { change_type: 'MINOR', change_summary: 'Longer retention' });
+    
+    const diff = diffVersions(fromVersion, toVersion);
+    
+    expect(diff).toMatchObject({
+      fromVersion: '1.0.0',
+      toVersion: '1.1.0',
+      changeType: 'MINOR',
+      changeSummary: 'Longer retention',
+      summary: { added: 1, removed: 1, changed: 1, unchanged: 1 }
+    });
+    expect(diff.differences.map(difference => [difference.type, difference.sectionId])).toEqual([
+      ['MODIFICATION', '1'],
+      ['ADDITION', '4'],
+      ['DELETION', '2']
+    ]);
+    expect(diff.differences[0].wordDiff).toEqual([
+      { type: 'equal', text: '§ 1 Records shall be kept for' },
+      { type: 'delete', text: '30' },
+      { type: 'insert', text: '60' },
+      { type: 'equal', text: 'days.' }
+    ]);
+  });
+  
+  test('ignores changes of case, punctuation and spacing', () => {
+    const diff = diffVersions(
+      buildVersion('1.0.0', '§ 1 Records shall be kept.'),
+      buildVersion('1.0.1', '§ 1  records shall be kept')
+    );
+    
+    expect(diff.summary).toEqual({ added: 0, removed: 0, changed: 0, unchanged: 1 });
+    expect(diff.differences).toEqual([]);
+  });
+});
+
+describe('diffWords', () => {
+  test('keeps the new wording of words that compare equal', () => {
+    expect(diffWords('Parents may inspect records', 'parents may inspect records, promptly')).toEqual([
+      { type: 'equal', text: 'parents may inspect records,' },
+      { type: 'insert', text: 'promptly' }
+    ]);
+  });
+  
+  test('reports whole texts when either is empty', () => {
+    expect(diffWords('', 'New clause')).toEqual([{ type: 'insert', text: 'New clause' }]);
+    expect(diffWords('Old clause', '')).toEqual([{ type: 'delete', text: 'Old clause' }]);
+  });
+  
+  test('replaces texts too long to compare word by word as a whole', () => {
+    const oldText = Array.from({ length: 2001 }, (_, index) => `old${index}`).join(' ');
+    const newText = Array.from({ length: 2001 }, (_, index) => `new${index}`).join(' ');
+    
+    expect(diffWords(oldText, newText)).toEqual([
+      { type: 'delete', text: oldText },
+      { type: 'insert', text: newText }
+    ]);
+  });
+});
+
+describe('handler', () => {
+  const versions = [
+    buildVersion('2.0.0', '§ 1 Records shall be kept for 60 days.', { is_current: true }),
+    buildVersion('1.0.0', '§ 1 Records shall be kept for 30 days.')
+  ];
+  
+  beforeEach(() => {
+    getDbConnection.mockReset();
+    getDbConnection.mockResolvedValue({
+      listRegulationVersions: async () => versions,
+      getRegulationVersion: async (regulationId, versionNumber) =>
+        versions.find(version => version.version_number === versionNumber) || null
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  /**
+   * Build a regulation diff request
+   * 
+   * @param {Object} [query] - Query string parameters
+   * @returns {Object} API Gateway event
+   */
+  function buildDiffEvent(query) {
+    return {
+      resource: '/regulations/{regulationId}/diff',
+      httpMethod: 'GET',
+      pathParameters: { regulationId: 'REG-1' },
+      queryStringParameters: query || null,
+      requestContext: { authorizer: { claims: { sub: 'user-1', 'custom:tenant_id': 'tenant-a', 'cognito:groups': 'viewer' } } }
+    };
+  }
+  
+  test('compares the current version with the one before it by default', async () => {
+    const response = await handler(buildDiffEvent(), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body)).toMatchObject({ fromVersion: '1.0.0', toVersion: '2.0.0', summary: { changed: 1 } });
+  });
+  
+  test('does not find an unknown version to compare', async () => {
+    const response = await handler(buildDiffEvent({ to: '3.0.0' }), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body).error).toMatchObject({
+      code: 'VERSION_NOT_FOUND',
+      message: 'Version 3.0.0 of regulation REG-1 not found'
+    });
+  });
+  
+  test('refuses to compare the first version without a version to compare against', async () => {
+    const response = await handler(buildDiffEvent({ to: '1.0.0' }), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).error.code).toBe('INVALID_PARAMETERS');
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * EdSteward.ai - Validator Health Module tests
+ */
+
+// Validators are invoked and pinged through Lambda
+const mockLambda = { invoke: jest.fn() };
+jest.mock('aws-sdk', () => ({
+  S3: jest.fn(() => ({})),
+  Lambda: jest.fn(() => mockLambda),
+  SecretsManager: jest.fn(() => ({})),
+  KMS: jest.fn(() => ({}))
+}));
+jest.mock('../db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../audit', () => ({
+  ...jest.requireActual('../audit'),
+  createAuditEvent: jest.fn(),
+  createAuthorizationAuditEvent: jest.fn()
+}));
+
+const { getDbConnection } = require('../db');
+const { createAuditEvent } = require('../audit');
+const {
+  setValidatorStates,
+  getCircuitState,
+  getHealthStatus,
+  getUnavailableReason,
+  recordValidatorOutcome,
+  invokeValidatorFunction,
+  checkValidatorHealth
+} = require('../health');
+const { setValidatorRegistry } = require('../registry');
+const { handler } = require('../index');
+
+const NOW = Date.parse('2025-01-01T12:00:00.000Z');
+
+const deployed = { validatorId: 'ferpa-context', functionArn: 'arn:aws:lambda:us-east-1:123456789012:function:ferpa', enabled: true, local: false };
+const inProcess = { validatorId: 'in-process-level1', functionArn: null, enabled: true, local: true };
+
+/**
+ * Format a time relative to NOW
+ * 
+ * @param {number} seconds - Seconds before NOW
+ * @returns {string} ISO 8601 timestamp
+ */
+function secondsAgo(seconds) {
+  return new Date(NOW - seconds * 1000).toISOString();
+}
+
+/**
+ * Make Lambda invocations respond
+ * 
+ * @param {Object} response - Invocation response
+ */
+function respondWith(response) {
+  mockLambda.invoke.mockReturnValue({ promise: async () => response });
+}
+
+beforeEach(() => {
+  mockLambda.invoke.mockReset();
+  setValidatorStates([]);
+});
+
+describe('getCircuitState', () => {
+  test.each([
+    ['CLOSED', null],
+    ['CLOSED', { circuit_state: 'CLOSED', consecutive_failures: 2 }],
+    ['OPEN', { circuit_state: 'OPEN', circuit_opened_at: secondsAgo(59) }],
+    ['HALF_OPEN', { circuit_state: 'OPEN', circuit_opened_at: secondsAgo(60) }]
+  ])('reports %s', (circuitState, state) => {
+    expect(getCircuitState(state, NOW)).toBe(circuitState);
+  });
+});
+
+describe('getHealthStatus', () => {
+  test.each([
+    ['UNKNOWN', null],
+    ['UNKNOWN', { health_status: 'UNHEALTHY', health_checked_at: secondsAgo(901) }],
+    ['UNHEALTHY', { health_status: 'UNHEALTHY', health_checked_at: secondsAgo(900) }],
+    ['HEALTHY', { health_status: 'HEALTHY', health_checked_at: secondsAgo(60) }]
+  ])('reports %s', (healthStatus, state) => {
+    expect(getHealthStatus(state, NOW)).toBe(healthStatus);
+  });
+});
+
+describe('getUnavailableReason', () => {
+  test('skips open circuits, then unhealthy validators', () => {
+    setValidatorStates([{
+      validator_id: 'ferpa-context',
+      circuit_state: 'OPEN',
+      circuit_opened_at: secondsAgo(10),
+      health_status: 'UNHEALTHY',
+      health_checked_at: secondsAgo(10)
+    }]);
+    
+    expect(getUnavailableReason(deployed, NOW)).toBe('CIRCUIT_OPEN');
+    expect(getUnavailableReason(deployed, NOW + 60 * 1000)).toBe('UNHEALTHY');
+    expect(getUnavailableReason(inProcess, NOW)).toBeNull();
+  });
+  
+  test('allows a trial call once the cooldown has passed', () => {
+    setValidatorStates([{ validator_id: 'ferpa-context', circuit_state: 'OPEN', circuit_opened_at: secondsAgo(60) }]);
+    
+    expect(getUnavailableReason(deployed, NOW)).toBeNull();
+  });
+});
+
+describe('recordValidatorOutcome', () => {
+  /**
+   * Build a database client returning circuit states
+   * 
+   * @param {Object} state - Health record stored by every call
+   * @returns {Object} Database client
+   */
+  function createFakeDb(state) {
+    return {
+      recordValidatorFailure: jest.fn(async () => state),
+      recordValidatorSuccess: jest.fn(async () => state)
+    };
+  }
+  
+  test('opens the circuit when the stored failures reach the threshold', async () => {
+    const db = createFakeDb({ validator_id: 'ferpa-context', circuit_state: 'OPEN', circuit_opened_at: new Date().toISOString() });
+    
+    await recordValidatorOutcome(db, deployed, new Error('Validator did not respond within 10000 ms'));
+    
+    expect(db.recordValidatorFailure).toHaveBeenCalledWith('ferpa-context', 'Validator did not respond within 10000 ms', 3);
+    expect(getUnavailableReason(deployed)).toBe('CIRCUIT_OPEN');
+  });
+  
+  test('closes the circuit after a successful trial call', async () => {
+    setValidatorStates([{ validator_id: 'ferpa-context', circuit_state: 'OPEN', circuit_opened_at: secondsAgo(120) }]);
+    const db = createFakeDb({ validator_id: 'ferpa-context', circuit_state: 'CLOSED', consecutive_failures: 0 });
+    
+    await recordValidatorOutcome(db, deployed);
+    
+    expect(db.recordValidatorSuccess).toHaveBeenCalledWith('ferpa-context');
+    expect(getUnavailableReason(deployed)).toBeNull();
+  });
+  
+  test('keeps no circuit for in-process validators', async () => {
+    const db = createFakeDb({});
+    
+    await recordValidatorOutcome(db, inProcess, new Error('Comparison failed'));
+    
+    expect(db.recordValidatorFailure).not.toHaveBeenCalled();
+  });
+  
+  test('does not fail the validation when the outcome cannot be stored', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const db = { recordValidatorSuccess: jest.fn(async () => { throw new Error('connection lost'); }) };
+    
+    await expect(recordValidatorOutcome(db, deployed)).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith('Error recording outcome for validator ferpa-context: connection lost');
+    console.error.mockRestore();
+  });
+});
+
+describe('invokeValidatorFunction', () => {
+  test('gives up on validators that do not respond in time', async () => {
+    const abort = jest.fn();
+    mockLambda.invoke.mockReturnValue({ promise: () => new Promise(() => {}), abort });
+    
+    await expect(invokeValidatorFunction(deployed.functionArn, { action: 'validate' }, 10))
+      .rejects.toThrow('Validator did not respond within 10 ms');
+    expect(abort).toHaveBeenCalledTimes(1);
+    expect(mockLambda.invoke).toHaveBeenCalledWith({
+      FunctionName: deployed.functionArn,
+      InvocationType: 'RequestResponse',
+      Payload: '{"action":"validate"}'
+    });
+  });
+});
+
+describe('checkValidatorHealth', () => {
+  test('pings the enabled deployed validators and stores each outcome', async () => {
+    respondWith({ FunctionError: 'Unhandled' });
+    const db = {
+      recordValidatorHealth: jest.fn(async (validatorId, check) => ({
+        validator_id: validatorId,
+        health_status: check.healthy ? 'HEALTHY' : 'UNHEALTHY',
+        health_checked_at: new Date().toISOString(),
+        previous_status: null
+      }))
+    };
+    
+    const checks = await checkValidatorHealth(db, [deployed, inProcess, { ...deployed, validatorId: 'disabled', enabled: false }]);
+    
+    expect(checks).toEqual([{
+      validatorId: 'ferpa-context',
+      status: 'UNHEALTHY',
+      previousStatus: 'UNKNOWN',
+      error: 'Validator execution failed: Unhandled'
+    }]);
+    expect(mockLambda.invoke).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(mockLambda.invoke.mock.calls[0][0].Payload)).toEqual({ action: 'ping' });
+    expect(getUnavailableReason(deployed)).toBe('UNHEALTHY');
+  });
+});
+
+describe('handler', () => {
+  beforeEach(() => {
+    getDbConnection.mockReset();
+    createAuditEvent.mockReset();
+  });
+  
+  afterEach(() => {
+    setValidatorRegistry(null);
+  });
+  
+  test('audits the validators whose health changed', async () => {
+    const recovered = { ...deployed, validatorId: 'recovered' };
+    setValidatorRegistry([deployed, recovered, inProcess]);
+    respondWith({ Payload: '{}' });
+    getDbConnection.mockResolvedValue({
+      recordValidatorHealth: jest.fn(async validatorId => ({
+        validator_id: validatorId,
+        health_status: 'HEALTHY',
+        previous_status: validatorId === 'recovered' ? 'UNHEALTHY' : 'HEALTHY'
+      }))
+    });
+    
+    const outcome = await handler({ action: 'checkValidatorHealth' }, { awsRequestId: 'request-1' });
+    
+    expect(outcome).toEqual({ checked: 2, unhealthy: [] });
+    expect(createAuditEvent).toHaveBeenCalledTimes(1);
+    expect(createAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      eventType: 'validator.health_changed',
+      entityId: 'recovered',
+      previousState: { status: 'UNHEALTHY' },
+      newState: { status: 'HEALTHY' }
+    }));
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * EdSteward.ai - Pattern Validator Module tests
+ */
+
+const { compareRequirements, validatePatterns } = require('../patterns');
+
+const AUTHORITY = [
+  '1. Definitions. A student is any individual who is or has been in attendance at an institution.',
+  '2. Records. The institution must respond to a request within 45 days.'
+].join('\n');
+
+describe('compareRequirements', () => {
+  test('accepts sections whose requirements are all present', () => {
+    const { sections } = compareRequirements(AUTHORITY, AUTHORITY);
+    
+    expect(sections.map(section => section.status)).toEqual(['VALID', 'VALID']);
+  });
+  
+  test('reports a requirement stated differently as invalid', () => {
+    const client = AUTHORITY.replace('45 days', '60 days');
+    const { sections } = compareRequirements(client, AUTHORITY);
+    
+    expect(sections[1].status).toBe('INVALID');
+    expect(sections[1].requirements).toContainEqual(expect.objectContaining({ type: 'DEADLINE', status: 'INCONSISTENT' }));
+  });
+  
+  test('does not accept unrelated text for a section without requirements', () => {
+    const client = [
+      '1. Definitions. Parking permits are issued at the campus office to any individual.',
+      '2. Records. The institution must respond to a request within 45 days.'
+    ].join('\n');
+    const { sections } = compareRequirements(client, AUTHORITY);
+    
+    expect(sections[0].requirements).toEqual([]);
+    expect(sections[0].similarity).toBeLessThan(0.8);
+    expect(sections[0].status).toBe('UNVERIFIED');
+    expect(sections[1].status).toBe('VALID');
+  });
+  
+  test('accepts a section without requirements whose wording matches', () => {
+    const client = AUTHORITY.replace('an institution', 'the institution');
+    const { sections } = compareRequirements(client, AUTHORITY);
+    
+    expect(sections[0].status).toBe('VALID');
+  });
+  
+  test('reports sections the client lacks as missing', () => {
+    const client = '1. Definitions. A student is any individual who is or has been in attendance at an institution.';
+    const { sections, requirementSummary } = compareRequirements(client, AUTHORITY);
+    
+    expect(sections[1].status).toBe('MISSING');
+    expect(requirementSummary.missing).toBe(requirementSummary.total);
+  });
+  
+  test('reports sections the authority lacks as unexpected', () => {
+    const client = `${AUTHORITY}\n3. Waivers. A student may waive access to any record.`;
+    const { sections } = compareRequirements(client, AUTHORITY);
+    
+    expect(sections.map(section => [section.sectionId, section.status])).toEqual([['1', 'VALID'], ['2', 'VALID'], ['3', 'UNEXPECTED']]);
+  });
+});
+
+describe('validatePatterns', () => {
+  test('does not accept content with sections the authority lacks', async () => {
+    const db = { getRegulationVersion: async () => ({ version_number: '1.0.0', content: AUTHORITY }) };
+    const client = `${AUTHORITY}\n3. Waivers. A student may waive access to any record.`;
+    
+    const result = await validatePatterns(db, { regulation_id: 'REG-1', current_version: '1.0.0' }, { text: client }, '1.0.0');
+    
+    expect(result.isValid).toBe(false);
+    expect(result.details.invalidSections).toContainEqual(expect.objectContaining({ sectionId: '3', status: 'UNEXPECTED' }));
+  });
+});
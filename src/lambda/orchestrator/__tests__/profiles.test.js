@@ -0,0 +1,207 @@
+/**
+ * EdSteward.ai - Classification Profile Module tests
+ */
+
+jest.mock('../db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../audit', () => ({
+  ...jest.requireActual('../audit'),
+  createAuditEvent: jest.fn(),
+  createAuthorizationAuditEvent: jest.fn()
+}));
+
+const { getDbConnection } = require('../db');
+const { createAuditEvent } = require('../audit');
+const { DEFAULT_CLASSIFICATION_PROFILE, resolveClassificationProfile, validateProfileSettings } = require('../profiles');
+const { handler } = require('../index');
+
+const TENANT_WEIGHTS = { textComplexity: 0.4, contentSize: 0.1, changeFrequency: 0.4, structuralComplexity: 0.1 };
+
+/**
+ * Build a classification_profiles row
+ * 
+ * @param {Object} fields - Fields overriding an active global profile
+ * @returns {Object} Profile record
+ */
+function buildProfile(fields) {
+  return {
+    profile_id: 'profile-1',
+    tenant_id: null,
+    category: null,
+    version: 1,
+    settings: {},
+    is_active: true,
+    ...fields
+  };
+}
+
+describe('resolveClassificationProfile', () => {
+  test('applies profiles from the broadest scope to the most specific', async () => {
+    const db = {
+      getActiveClassificationProfiles: jest.fn(async () => [
+        buildProfile({ profile_id: 'tenant-category', tenant_id: 'tenant-a', category: 'privacy', settings: { categoryAdjustments: { privacy: 10 } } }),
+        buildProfile({ profile_id: 'tenant', tenant_id: 'tenant-a', version: 3, settings: { weights: TENANT_WEIGHTS } }),
+        buildProfile({ profile_id: 'global', settings: { thresholds: { level2: 20, level3: 60 }, categoryAdjustments: { privacy: 5, safety: 15 } } }),
+        buildProfile({ profile_id: 'category', category: 'privacy', settings: { changeWindowYears: 5 } })
+      ])
+    };
+    
+    const profile = await resolveClassificationProfile(db, { tenantId: 'tenant-a', category: 'privacy' });
+    
+    expect(db.getActiveClassificationProfiles).toHaveBeenCalledWith('tenant-a', 'privacy');
+    expect(profile.settings).toEqual({
+      weights: TENANT_WEIGHTS,
+      thresholds: { level2: 20, level3: 60 },
+      changeWindowYears: 5,
+      categoryAdjustments: { privacy: 10, safety: 15 },
+      jurisdictionAdjustments: {}
+    });
+    expect(profile.sources.map(source => [source.profileId, source.scope])).toEqual([
+      ['global', 'global'],
+      ['category', 'category'],
+      ['tenant', 'tenant'],
+      ['tenant-category', 'tenantCategory']
+    ]);
+  });
+  
+  test('uses the default profile when no stored profile applies', async () => {
+    const db = { getActiveClassificationProfiles: jest.fn(async () => []) };
+    
+    const profile = await resolveClassificationProfile(db, {});
+    
+    expect(db.getActiveClassificationProfiles).toHaveBeenCalledWith(null, null);
+    expect(profile).toEqual({ settings: DEFAULT_CLASSIFICATION_PROFILE, sources: [] });
+  });
+});
+
+describe('validateProfileSettings', () => {
+  test('accepts partial settings', () => {
+    expect(validateProfileSettings({ weights: TENANT_WEIGHTS, jurisdictionAdjustments: { 'US-CA': -10 } })).toEqual([]);
+  });
+  
+  test.each([
+    ['unknown settings', { levels: {} }, 'settings.levels'],
+    ['weights not summing to 1', { weights: { ...TENANT_WEIGHTS, contentSize: 0.2 } }, 'settings.weights'],
+    ['incomplete weights', { weights: { textComplexity: 1 } }, 'settings.weights'],
+    ['unordered thresholds', { thresholds: { level2: 70, level3: 30 } }, 'settings.thresholds'],
+    ['fractional change windows', { changeWindowYears: 2.5 }, 'settings.changeWindowYears'],
+    ['adjustments out of range', { categoryAdjustments: { privacy: 150 } }, 'settings.categoryAdjustments']
+  ])('rejects %s', (description, settings, field) => {
+    expect(validateProfileSettings(settings)).toEqual([expect.objectContaining({ field })]);
+  });
+});
+
+describe('handler', () => {
+  beforeEach(() => {
+    getDbConnection.mockReset();
+    createAuditEvent.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  /**
+   * Build a classification profile request
+   * 
+   * @param {string} route - Method and resource
+   * @param {Object} claims - Token claims of the caller
+   * @param {Object} body - Request body
+   * @returns {Object} API Gateway event
+   */
+  function buildEvent(route, claims, body) {
+    const [httpMethod, resource] = route.split(' ');
+    return {
+      resource,
+      httpMethod,
+      pathParameters: { profileId: 'profile-1' },
+      body: JSON.stringify(body),
+      requestContext: { authorizer: { claims } }
+    };
+  }
+  
+  const tenantAdmin = { sub: 'user-1', 'custom:tenant_id': 'tenant-a', 'cognito:groups': 'admin' };
+  const operator = { sub: 'operator-1', 'cognito:groups': 'platform-operator' };
+  
+  test('creates a new profile version for the tenant of the caller', async () => {
+    const db = {
+      createClassificationProfile: jest.fn(async profile => buildProfile({
+        tenant_id: profile.tenantId,
+        category: profile.category,
+        version: 2,
+        settings: profile.settings
+      }))
+    };
+    getDbConnection.mockResolvedValue(db);
+    
+    const response = await handler(buildEvent('POST /classification-profiles', tenantAdmin, {
+      category: 'privacy',
+      settings: { thresholds: { level2: 20, level3: 60 } }
+    }), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(201);
+    expect(JSON.parse(response.body).data).toMatchObject({ tenantId: 'tenant-a', scope: 'tenantCategory', version: 2 });
+    expect(db.createClassificationProfile).toHaveBeenCalledWith(expect.objectContaining({
+      tenantId: 'tenant-a',
+      category: 'privacy',
+      createdBy: 'user-1',
+      activate: true
+    }));
+    expect(createAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      eventType: 'classification_profile.created',
+      tenantId: 'tenant-a'
+    }));
+  });
+  
+  test.each([
+    ['tenant callers changing global profiles', tenantAdmin, { global: true }, 'Global classification profiles cannot be changed by tenant callers'],
+    ['operators without the global flag', operator, {}, 'Platform operators must set global to true to change global classification profiles']
+  ])('refuses activation by %s', async (description, claims, body, message) => {
+    const response = await handler(
+      buildEvent('POST /classification-profiles/{profileId}/activate', claims, body),
+      { awsRequestId: 'request-1' }
+    );
+    
+    expect(response.statusCode).toBe(403);
+    expect(JSON.parse(response.body).error).toMatchObject({ code: 'PROFILE_SCOPE_FORBIDDEN', message });
+    expect(getDbConnection).not.toHaveBeenCalled();
+  });
+  
+  test('does not find the profiles of other scopes', async () => {
+    const db = {
+      getClassificationProfile: jest.fn(async () => buildProfile({ tenant_id: 'tenant-b' })),
+      activateClassificationProfile: jest.fn()
+    };
+    getDbConnection.mockResolvedValue(db);
+    
+    const response = await handler(
+      buildEvent('POST /classification-profiles/{profileId}/activate', tenantAdmin, {}),
+      { awsRequestId: 'request-1' }
+    );
+    
+    expect(response.statusCode).toBe(404);
+    expect(db.activateClassificationProfile).not.toHaveBeenCalled();
+  });
+  
+  test('lets operators activate an earlier global profile', async () => {
+    const db = {
+      getClassificationProfile: jest.fn(async () => buildProfile({ is_active: false })),
+      activateClassificationProfile: jest.fn(async () => buildProfile())
+    };
+    getDbConnection.mockResolvedValue(db);
+    
+    const response = await handler(
+      buildEvent('POST /classification-profiles/{profileId}/activate', operator, { global: true }),
+      { awsRequestId: 'request-1' }
+    );
+    
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).data).toMatchObject({ scope: 'global', isActive: true });
+    expect(db.activateClassificationProfile).toHaveBeenCalledWith('profile-1');
+    expect(createAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      eventType: 'classification_profile.activated',
+      previousState: { isActive: false },
+      userId: 'operator-1'
+    }));
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * EdSteward.ai - Query Builder Module tests
+ */
+
+const { escapeLike, buildWhereClause, buildOrderByClause, buildPaginationClause } = require('../query');
+
+const FILTERS = {
+  category: { column: 'r.category' },
+  query: { columns: ['r.title', 'r.citation'], operator: 'contains' },
+  eventTypePrefix: { column: 'event_type', operator: 'prefix' },
+  tags: { column: 'r.tags', type: 'string[]', operator: 'overlaps' },
+  active: { column: 'r.is_active', type: 'boolean' },
+  minLevel: { column: 'certainty_level', type: 'integer', operator: 'gte' },
+  from: { column: 'timestamp', type: 'timestamp', operator: 'gte' }
+};
+
+const SORT_FIELDS = {
+  updatedAt: 'r.updated_at',
+  title: 'r.title'
+};
+
+const DEFAULT_SORT = { field: 'updatedAt', order: 'desc' };
+
+const INJECTIONS = [
+  'title; DROP TABLE regulations; --',
+  "title' OR '1'='1",
+  'r.title',
+  '1',
+  '(SELECT password FROM users)',
+  'title ASC, (SELECT 1)'
+];
+
+const invalidQuery = field => expect.objectContaining({ code: 'INVALID_QUERY', field });
+
+describe('buildOrderByClause', () => {
+  test('maps whitelisted fields to their columns', () => {
+    expect(buildOrderByClause({ field: 'title', order: 'ASC' }, SORT_FIELDS, DEFAULT_SORT, ['r.regulation_id']))
+      .toBe('ORDER BY r.title ASC, r.regulation_id ASC');
+    expect(buildOrderByClause({}, SORT_FIELDS, DEFAULT_SORT)).toBe('ORDER BY r.updated_at DESC');
+  });
+  
+  test.each(INJECTIONS)('rejects sortBy %p', (field) => {
+    expect(() => buildOrderByClause({ field, order: 'asc' }, SORT_FIELDS, DEFAULT_SORT)).toThrow(invalidQuery('sortBy'));
+  });
+  
+  test.each(['constructor', '__proto__', 'toString', 'hasOwnProperty'])('rejects inherited property %p as sortBy', (field) => {
+    expect(() => buildOrderByClause({ field }, SORT_FIELDS, DEFAULT_SORT)).toThrow(invalidQuery('sortBy'));
+  });
+  
+  test.each([
+    'asc; DROP TABLE regulations',
+    'DESC NULLS FIRST',
+    'desc, r.title',
+    'ascending',
+    'constructor',
+    ['asc'],
+    { toLowerCase: () => 'asc' },
+    1
+  ])('rejects sortOrder %p', (order) => {
+    expect(() => buildOrderByClause({ field: 'title', order }, SORT_FIELDS, DEFAULT_SORT)).toThrow(invalidQuery('sortOrder'));
+  });
+  
+  test('rejects non-string sort fields', () => {
+    expect(() => buildOrderByClause({ field: ['title'] }, SORT_FIELDS, DEFAULT_SORT)).toThrow(invalidQuery('sortBy'));
+    expect(() => buildOrderByClause({ field: { toString: () => 'title' } }, SORT_FIELDS, DEFAULT_SORT))
+      .toThrow(invalidQuery('sortBy'));
+  });
+});
+
+describe('buildWhereClause', () => {
+  test('passes values as parameters, never as SQL', () => {
+    const hostile = "x' OR 1=1; DROP TABLE regulations; --";
+    const where = buildWhereClause({ category: hostile, query: hostile }, FILTERS);
+    
+    expect(where.clause).toBe('WHERE r.category = $1 AND (r.title ILIKE $2 OR r.citation ILIKE $2)');
+    expect(where.clause).not.toContain(hostile);
+    expect(where.params).toEqual([hostile, `%${hostile}%`]);
+  });
+  
+  test('appends to existing parameters', () => {
+    const where = buildWhereClause({ category: 'fees' }, FILTERS, ['tenant-a']);
+    
+    expect(where.clause).toBe('WHERE r.category = $2');
+    expect(where.params).toEqual(['tenant-a', 'fees']);
+  });
+  
+  test('skips missing values', () => {
+    expect(buildWhereClause({ category: undefined, query: null, active: '' }, FILTERS))
+      .toEqual({ clause: '', conditions: [], params: [] });
+  });
+  
+  test.each([
+    'category; DROP TABLE regulations',
+    "category = 'x' OR 1=1 --",
+    'r.category',
+    'constructor',
+    '__proto__',
+    'hasOwnProperty'
+  ])('rejects filter key %p', (field) => {
+    expect(() => buildWhereClause({ [field]: 'x' }, FILTERS)).toThrow(invalidQuery(field));
+  });
+  
+  test('rejects filter keys set through the prototype', () => {
+    const filters = JSON.parse('{"__proto__": {"column": "1=1; --"}}');
+    
+    expect(() => buildWhereClause(filters, FILTERS)).toThrow(invalidQuery('__proto__'));
+  });
+  
+  test('escapes LIKE wildcards in pattern filters', () => {
+    const where = buildWhereClause({ eventTypePrefix: 'validation_%', query: '50%\\' }, FILTERS);
+    
+    expect(where.params).toEqual(['validation\\_\\%%', '%50\\%\\\\%']);
+    expect(escapeLike('a_b%c\\d')).toBe('a\\_b\\%c\\\\d');
+  });
+  
+  test.each([
+    ['category', { $ne: null }],
+    ['category', ['fees']],
+    ['category', 42],
+    ['query', { toString: () => "' OR 1=1 --" }],
+    ['active', 'true'],
+    ['active', 1],
+    ['minLevel', '1 OR 1=1'],
+    ['minLevel', '2.5'],
+    ['minLevel', '99999999999999999999'],
+    ['minLevel', true],
+    ['from', "2025-01-01' OR '1'='1"],
+    ['from', 1735689600000],
+    ['tags', 'fees'],
+    ['tags', ['fees', { $ne: null }]]
+  ])('rejects %s set to %p', (field, value) => {
+    expect(() => buildWhereClause({ [field]: value }, FILTERS)).toThrow(invalidQuery(field));
+  });
+  
+  test('rejects overlong strings', () => {
+    const long = 'x'.repeat(1001);
+    
+    expect(() => buildWhereClause({ category: long }, FILTERS)).toThrow(invalidQuery('category'));
+    expect(() => buildWhereClause({ tags: ['fees', long] }, FILTERS)).toThrow(invalidQuery('tags'));
+  });
+  
+  test('coerces typed values', () => {
+    const where = buildWhereClause({ minLevel: '3', active: false, from: '2025-01-01', tags: ['fees'] }, FILTERS);
+    
+    expect(where.clause).toBe('WHERE certainty_level >= $1 AND r.is_active = $2 AND timestamp >= $3 AND r.tags && $4::text[]');
+    expect(where.params).toEqual([3, false, '2025-01-01T00:00:00.000Z', ['fees']]);
+  });
+});
+
+describe('buildPaginationClause', () => {
+  test('passes limit and offset as parameters', () => {
+    const params = ['fees'];
+    
+    expect(buildPaginationClause({ limit: '20', offset: 40 }, params)).toBe('LIMIT $2 OFFSET $3');
+    expect(params).toEqual(['fees', 20, 40]);
+  });
+  
+  test.each([
+    [{ limit: '10; DROP TABLE regulations' }, 'limit'],
+    [{ limit: 'ALL' }, 'limit'],
+    [{ limit: 0 }, 'limit'],
+    [{ limit: 1001 }, 'limit'],
+    [{ limit: 10, offset: -1 }, 'offset'],
+    [{ limit: 10, offset: '0 UNION SELECT 1' }, 'offset']
+  ])('rejects %p', (pagination, field) => {
+    expect(() => buildPaginationClause(pagination, [])).toThrow(invalidQuery(field));
+  });
+});
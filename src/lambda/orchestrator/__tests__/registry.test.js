@@ -0,0 +1,79 @@
+/**
+ * EdSteward.ai - Validator Registry Module tests
+ */
+
+const ALLOWED_PREFIX = 'arn:aws:lambda:us-east-1:123456789012:function:edsteward-test-';
+
+/**
+ * Load the registry module with an environment
+ * 
+ * @param {Object} env - Environment variables
+ * @returns {Object} Registry module
+ */
+function loadRegistry(env) {
+  let registry;
+  const saved = { ...process.env };
+  
+  Object.assign(process.env, env);
+  jest.isolateModules(() => {
+    registry = require('../registry');
+  });
+  process.env = saved;
+  
+  return registry;
+}
+
+/**
+ * Build a validators table row
+ * 
+ * @param {Object} fields - Fields overriding an enabled level 2 validator
+ * @returns {Object} Stored validator
+ */
+function buildStoredValidator(fields) {
+  return {
+    validator_id: 'ferpa-patterns',
+    function_arn: `${ALLOWED_PREFIX}ferpa-validator`,
+    levels: [2],
+    jurisdictions: [],
+    categories: ['privacy'],
+    capabilities: [],
+    timeout_ms: null,
+    enabled: true,
+    ...fields
+  };
+}
+
+describe('isAllowedValidatorFunction', () => {
+  test('allows functions under a configured prefix only', () => {
+    const { isAllowedValidatorFunction } = loadRegistry({ VALIDATOR_FUNCTION_PREFIXES: ALLOWED_PREFIX });
+    
+    expect(isAllowedValidatorFunction(`${ALLOWED_PREFIX}ferpa-validator`)).toBe(true);
+    expect(isAllowedValidatorFunction('arn:aws:lambda:us-east-1:999999999999:function:edsteward-test-x')).toBe(false);
+    expect(isAllowedValidatorFunction('arn:aws:lambda:us-east-1:123456789012:function:other-validator')).toBe(false);
+    expect(isAllowedValidatorFunction(undefined)).toBe(false);
+  });
+  
+  test('allows no function without configured prefixes', () => {
+    const { isAllowedValidatorFunction } = loadRegistry({ VALIDATOR_FUNCTION_PREFIXES: '' });
+    
+    expect(isAllowedValidatorFunction(`${ALLOWED_PREFIX}ferpa-validator`)).toBe(false);
+  });
+});
+
+describe('createValidatorRegistry', () => {
+  test('leaves out stored validators outside the allowed prefixes', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { createValidatorRegistry } = loadRegistry({ VALIDATOR_FUNCTION_PREFIXES: ALLOWED_PREFIX });
+    
+    const registry = createValidatorRegistry({
+      stored: [
+        buildStoredValidator(),
+        buildStoredValidator({ validator_id: 'foreign', function_arn: 'arn:aws:lambda:us-east-1:999999999999:function:x' })
+      ]
+    });
+    
+    expect(registry.map(validator => validator.validatorId)).toContain('ferpa-patterns');
+    expect(registry.map(validator => validator.validatorId)).not.toContain('foreign');
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * EdSteward.ai - Certificate Renderer Module tests
+ */
+
+const { SIGNED_CERTIFICATE_FIELDS } = require('../signing');
+const { getCertificateStatus, toVerifiableCredential, renderCertificatePdf } = require('../renderer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const links = {
+  self: 'https://api.edsteward.ai/v1/certificates/cert-1',
+  verifyUrl: 'https://api.edsteward.ai/v1/certificates/cert-1/verify',
+  revocationListUrl: 'https://api.edsteward.ai/v1/certificates/revocation-list'
+};
+
+/**
+ * Build a certificate
+ * 
+ * @param {Object} [fields] - Fields overriding an active certificate
+ * @returns {Object} Certificate (as returned by formatCertificate)
+ */
+function buildCertificate(fields) {
+  return {
+    certificateId: 'cert-1',
+    validationId: 'validation-1',
+    regulationId: 'REG-1',
+    regulationVersion: '2.0.0',
+    issuedAt: new Date(Date.now() - DAY_MS).toISOString(),
+    expiresAt: new Date(Date.now() + DAY_MS).toISOString(),
+    validatedBy: 'edsteward-orchestrator',
+    validationResultHash: 'a'.repeat(64),
+    cryptographicSignature: { keyId: 'key-1', algorithm: 'ES256', value: 'c2lnbmF0dXJl' },
+    revocationStatus: 'active',
+    ...fields
+  };
+}
+
+describe('getCertificateStatus', () => {
+  test('reports revocation before expiry', () => {
+    expect(getCertificateStatus(buildCertificate())).toBe('ACTIVE');
+    expect(getCertificateStatus(buildCertificate({ expiresAt: new Date(Date.now() - 1000).toISOString() }))).toBe('EXPIRED');
+    expect(getCertificateStatus(buildCertificate({ expiresAt: null }))).toBe('EXPIRED');
+    expect(getCertificateStatus(buildCertificate({ revocationStatus: 'revoked', expiresAt: null }))).toBe('REVOKED');
+  });
+});
+
+describe('toVerifiableCredential', () => {
+  test('describes the certificate as a credential pointing at the revocation list', () => {
+    const certificate = buildCertificate();
+    
+    const credential = toVerifiableCredential(certificate, { title: 'FERPA' }, links);
+    
+    expect(credential).toMatchObject({
+      id: 'urn:edsteward:certificate:cert-1',
+      type: ['VerifiableCredential', 'RegulatoryAttestationCredential'],
+      issuanceDate: certificate.issuedAt,
+      expirationDate: certificate.expiresAt,
+      credentialSubject: {
+        id: 'urn:edsteward:regulation:REG-1',
+        regulationVersion: '2.0.0',
+        regulationTitle: 'FERPA',
+        validationResultHash: 'a'.repeat(64)
+      },
+      credentialStatus: {
+        id: `${links.revocationListUrl}#cert-1`,
+        statusListCredential: links.revocationListUrl
+      }
+    });
+    expect(credential['@context'][0]).toBe('https://www.w3.org/2018/credentials/v1');
+  });
+  
+  test('labels the proof as a signature over the certificate fields', () => {
+    const { proof } = toVerifiableCredential(buildCertificate(), null, links);
+    
+    expect(proof).toMatchObject({
+      type: 'EdStewardCertificateSignature2024',
+      signedFields: SIGNED_CERTIFICATE_FIELDS,
+      verificationMethod: 'key-1',
+      algorithm: 'ES256',
+      proofValue: 'c2lnbmF0dXJl',
+      service: links.verifyUrl
+    });
+  });
+  
+  test('renders certificates without a signature or regulation', () => {
+    const credential = toVerifiableCredential(buildCertificate({ cryptographicSignature: null }), null, links);
+    
+    expect(credential.credentialSubject.regulationTitle).toBeUndefined();
+    expect(credential.proof.proofValue).toBeUndefined();
+  });
+});
+
+describe('renderCertificatePdf', () => {
+  test('renders a PDF document', async () => {
+    const pdf = await renderCertificatePdf(buildCertificate(), { title: 'FERPA' }, links);
+    
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.subarray(0, 5).toString('latin1')).toBe('%PDF-');
+    expect(pdf.subarray(-6).toString('latin1')).toContain('%%EOF');
+  });
+});
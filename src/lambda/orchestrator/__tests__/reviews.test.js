@@ -0,0 +1,102 @@
+/**
+ * EdSteward.ai - Review decision tests
+ */
+
+jest.mock('../db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../audit', () => ({
+  ...jest.requireActual('../audit'),
+  createAuditEvent: jest.fn(),
+  createAuthorizationAuditEvent: jest.fn()
+}));
+
+const { getDbConnection } = require('../db');
+const { handler } = require('../index');
+
+/**
+ * Build a review decision request
+ * 
+ * @param {string} userId - Caller
+ * @param {string} groups - Cognito groups of the caller
+ * @returns {Object} API Gateway event
+ */
+function buildEvent(userId, groups) {
+  return {
+    resource: '/reviews/{reviewId}/decision',
+    httpMethod: 'POST',
+    pathParameters: { reviewId: 'review-1' },
+    body: JSON.stringify({ decision: 'REJECT', reason: 'Section 2 changes the deadline' }),
+    requestContext: {
+      authorizer: { claims: { sub: userId, 'custom:tenant_id': 'tenant-a', 'cognito:groups': groups } }
+    }
+  };
+}
+
+/**
+ * Build a database client holding a review claimed by a reviewer
+ * 
+ * @param {string} reviewerId - Reviewer who claimed the review
+ * @returns {Object} Database client
+ */
+function createFakeDb(reviewerId) {
+  const reviewItem = {
+    review_id: 'review-1',
+    regulation_id: 'REG-1',
+    regulation_version: '1.0.0',
+    status: 'CLAIMED',
+    claimed_by: reviewerId,
+    validation_result: { isValid: false, certaintyLevel: 2, evidence: { comparedVersion: '1.0.0' } }
+  };
+  
+  return {
+    getReviewItem: jest.fn(async () => reviewItem),
+    getValidationResultByReview: jest.fn(async () => ({ validation_id: 'validation-1', requested_by: 'user-1' })),
+    decideReviewItem: jest.fn(async (reviewId, decision) => ({
+      ...reviewItem,
+      status: 'DECIDED',
+      decision: decision.decision,
+      decided_by: decision.decidedBy
+    })),
+    recordValidationReview: jest.fn(async () => {})
+  };
+}
+
+describe('handler', () => {
+  beforeEach(() => {
+    getDbConnection.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('leaves review decisions to reviewers', async () => {
+    const response = await handler(buildEvent('user-2', 'validator'), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(403);
+    expect(JSON.parse(response.body).error.message).toBe('The reviews:decide permission is required');
+    expect(getDbConnection).not.toHaveBeenCalled();
+  });
+  
+  test('refuses decisions by the requester of the validation', async () => {
+    const db = createFakeDb('user-1');
+    getDbConnection.mockResolvedValue(db);
+    
+    const response = await handler(buildEvent('user-1', 'validator,reviewer'), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(403);
+    expect(JSON.parse(response.body).error.code).toBe('REVIEW_SELF_DECISION');
+    expect(db.decideReviewItem).not.toHaveBeenCalled();
+  });
+  
+  test('records the decision of another reviewer', async () => {
+    const db = createFakeDb('user-2');
+    getDbConnection.mockResolvedValue(db);
+    
+    const response = await handler(buildEvent('user-2', 'reviewer'), { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).data.review.status).toBe('DECIDED');
+    expect(db.recordValidationReview).toHaveBeenCalledWith('validation-1', expect.objectContaining({ status: 'INVALID' }));
+  });
+});
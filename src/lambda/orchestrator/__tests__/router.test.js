@@ -0,0 +1,260 @@
+/**
+ * EdSteward.ai - Validation Router Module tests
+ */
+
+jest.mock('../db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../audit', () => ({
+  ...jest.requireActual('../audit'),
+  createAuditEvent: jest.fn(),
+  createAuthorizationAuditEvent: jest.fn()
+}));
+jest.mock('../classifier', () => ({ classifyRegulation: jest.fn() }));
+jest.mock('../health', () => ({ ...jest.requireActual('../health'), invokeValidatorFunction: jest.fn() }));
+
+const { getDbConnection } = require('../db');
+const { createAuditEvent } = require('../audit');
+const { classifyRegulation } = require('../classifier');
+const { invokeValidatorFunction, setValidatorStates } = require('../health');
+const { setValidatorRegistry, resolveValidators } = require('../registry');
+const { routeToValidator } = require('../router');
+const { handler } = require('../index');
+
+const regulation = { regulation_id: 'REG-1', title: 'CCPA', category: 'privacy', jurisdiction: 'US-CA', current_version: '2.0.0' };
+
+// Classification of a complex regulation, requested at level 1
+const classification = { validationLevel: 3, determinedLevel: 3, validatorType: 'context', complexityScore: 80, profile: { sources: [] } };
+
+/**
+ * Build a registry entry
+ * 
+ * @param {string} validatorId - Validator identifier
+ * @param {Array<number>} levels - Supported validation levels
+ * @param {Object} [fields] - Fields overriding an enabled generic deployed validator
+ * @returns {Object} Registry entry
+ */
+function buildValidator(validatorId, levels, fields) {
+  return {
+    validatorId,
+    levels,
+    functionArn: `arn:aws:lambda:us-east-1:123456789012:function:${validatorId}`,
+    jurisdictions: [],
+    categories: [],
+    capabilities: [],
+    timeoutMs: null,
+    enabled: true,
+    local: false,
+    ...fields
+  };
+}
+
+/**
+ * Build a validator function response
+ * 
+ * @param {Object} result - Validation result
+ * @returns {Object} Lambda invocation response
+ */
+function respondWith(result) {
+  return { Payload: JSON.stringify(result) };
+}
+
+/**
+ * Build a database client storing validator outcomes
+ * 
+ * @returns {Object} Database client
+ */
+function createFakeDb() {
+  return {
+    recordValidatorSuccess: jest.fn(async validatorId => ({ validator_id: validatorId, circuit_state: 'CLOSED' })),
+    recordValidatorFailure: jest.fn(async validatorId => ({ validator_id: validatorId, circuit_state: 'CLOSED' }))
+  };
+}
+
+describe('resolveValidators', () => {
+  const registry = [
+    buildValidator('generic', [1, 2, 3]),
+    buildValidator('in-process-level3', [3], { functionArn: null, local: true }),
+    buildValidator('ca', [3], { jurisdictions: ['US-CA'] }),
+    buildValidator('ca-privacy', [3], { jurisdictions: ['US-CA'], categories: ['privacy'] }),
+    buildValidator('tx', [3], { jurisdictions: ['US-TX'] }),
+    buildValidator('disabled', [3], { enabled: false }),
+    buildValidator('in-process-level2', [2], { functionArn: null, local: true })
+  ];
+  
+  test('tries the most specific deployed validators of the level first, then lower levels', () => {
+    const validators = resolveValidators(registry, { validatorType: 'context', jurisdiction: 'US-CA', category: 'privacy' });
+    
+    expect(validators.map(validator => [validator.validatorId, validator.level, validator.validatorType])).toEqual([
+      ['ca-privacy', 3, 'context'],
+      ['ca', 3, 'context'],
+      ['generic', 3, 'context'],
+      ['in-process-level3', 3, 'context'],
+      ['generic', 2, 'pattern'],
+      ['in-process-level2', 2, 'pattern'],
+      ['generic', 1, 'text']
+    ]);
+  });
+  
+  test('never goes above the level of the validator type', () => {
+    const validators = resolveValidators(registry, { validatorType: 'pattern', jurisdiction: 'US-TX' });
+    
+    expect(validators.map(validator => [validator.validatorId, validator.level])).toEqual([
+      ['generic', 2],
+      ['in-process-level2', 2],
+      ['generic', 1]
+    ]);
+  });
+});
+
+describe('routeToValidator', () => {
+  let db;
+  
+  beforeEach(() => {
+    db = createFakeDb();
+    getDbConnection.mockReset();
+    getDbConnection.mockResolvedValue(db);
+    invokeValidatorFunction.mockReset();
+    setValidatorStates([]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    setValidatorRegistry(null);
+    jest.restoreAllMocks();
+  });
+  
+  /**
+   * Route REG-1, requested at level 1, with its classification
+   * 
+   * @returns {Promise<Object>} Validation result
+   */
+  function route() {
+    return routeToValidator({
+      classification,
+      regulation,
+      regulationContent: { text: '§ 1 Notice' },
+      validationLevel: 1,
+      options: {},
+      requestId: 'request-1',
+      tenantId: 'tenant-a'
+    });
+  }
+  
+  test('validates at the level of the classification rather than the requested one', async () => {
+    setValidatorRegistry([buildValidator('generic', [1, 3]), buildValidator('ca-privacy', [3], { jurisdictions: ['US-CA'], categories: ['privacy'] })]);
+    invokeValidatorFunction.mockResolvedValue(respondWith({ isValid: true, certaintyLevel: 5 }));
+    
+    const result = await route();
+    
+    expect(invokeValidatorFunction).toHaveBeenCalledTimes(1);
+    expect(invokeValidatorFunction).toHaveBeenCalledWith(
+      buildValidator('ca-privacy', [3]).functionArn,
+      expect.objectContaining({ action: 'validate', tenantId: 'tenant-a', regulationId: 'REG-1', regulationJurisdiction: 'US-CA' }),
+      undefined
+    );
+    expect(result.certaintyLevel).toBe(5);
+    expect(result.routing).toEqual({
+      requestedLevel: 1,
+      classifiedLevel: 3,
+      targetLevel: 3,
+      effectiveLevel: 3,
+      validatorType: 'context',
+      validatorId: 'ca-privacy',
+      fallbacks: [],
+      downgraded: false
+    });
+    expect(db.recordValidatorSuccess).toHaveBeenCalledWith('ca-privacy');
+    expect(getDbConnection).toHaveBeenCalledWith(undefined, { tenantId: 'tenant-a' });
+  });
+  
+  test('reports a downgrade and caps its certainty when a lower level is used', async () => {
+    setValidatorRegistry([buildValidator('context', [3]), buildValidator('patterns', [2])]);
+    invokeValidatorFunction
+      .mockResolvedValueOnce({ FunctionError: 'Unhandled', Payload: '{}' })
+      .mockResolvedValueOnce(respondWith({ isValid: true, certaintyLevel: 5, details: { warnings: ['Section 2 reordered'] } }));
+    
+    const result = await route();
+    
+    expect(result.certaintyLevel).toBe(3);
+    expect(result.details.warnings).toEqual([
+      'Section 2 reordered',
+      'Validated at level 2 instead of level 3 as called for by the classification'
+    ]);
+    expect(result.routing).toMatchObject({
+      targetLevel: 3,
+      effectiveLevel: 2,
+      validatorId: 'patterns',
+      downgraded: true,
+      fallbacks: [{ validatorId: 'context', validationLevel: 3, error: 'Validator execution failed: Unhandled' }]
+    });
+    expect(db.recordValidatorFailure).toHaveBeenCalledWith('context', 'Validator execution failed: Unhandled', 3);
+  });
+  
+  test('skips validators with an open circuit without calling them', async () => {
+    setValidatorRegistry([buildValidator('context', [3]), buildValidator('generic', [3])]);
+    setValidatorStates([{ validator_id: 'context', circuit_state: 'OPEN', circuit_opened_at: new Date().toISOString() }]);
+    invokeValidatorFunction.mockResolvedValue(respondWith({ isValid: true, certaintyLevel: 4 }));
+    
+    const result = await route();
+    
+    expect(invokeValidatorFunction).toHaveBeenCalledTimes(1);
+    expect(result.routing).toMatchObject({
+      effectiveLevel: 3,
+      validatorId: 'generic',
+      downgraded: false,
+      fallbacks: [{ validatorId: 'context', validationLevel: 3, skipped: 'CIRCUIT_OPEN' }]
+    });
+  });
+  
+  test('does not take an incomplete result for a verdict', async () => {
+    setValidatorRegistry([buildValidator('context', [3])]);
+    invokeValidatorFunction.mockResolvedValue(respondWith({ isValid: true }));
+    
+    await expect(route()).rejects.toThrow('No validator could validate regulation REG-1');
+    expect(db.recordValidatorFailure).toHaveBeenCalledWith('context', 'Validator returned an incomplete result', 3);
+  });
+});
+
+describe('handler', () => {
+  beforeEach(() => {
+    getDbConnection.mockReset();
+    createAuditEvent.mockReset();
+    invokeValidatorFunction.mockReset();
+    setValidatorStates([]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    setValidatorRegistry(null);
+    jest.restoreAllMocks();
+  });
+  
+  test('records the effective level in the response and the audit event', async () => {
+    const db = {
+      ...createFakeDb(),
+      getRegulation: jest.fn(async () => regulation),
+      createValidationResult: jest.fn(async () => ({ validation_id: 'validation-1' }))
+    };
+    getDbConnection.mockResolvedValue(db);
+    classifyRegulation.mockResolvedValue(classification);
+    setValidatorRegistry([buildValidator('patterns', [2])]);
+    invokeValidatorFunction.mockResolvedValue(respondWith({ isValid: true, certaintyLevel: 5, evidence: { comparedVersion: '2.0.0' } }));
+    
+    const response = await handler({
+      resource: '/validate',
+      httpMethod: 'POST',
+      body: JSON.stringify({ regulationId: 'REG-1', regulationVersion: '2.0.0', regulationContent: { text: '§ 1 Notice' }, validationLevel: 1 }),
+      requestContext: { authorizer: { claims: { sub: 'user-1', 'custom:tenant_id': 'tenant-a', 'cognito:groups': 'validator' } } }
+    }, { awsRequestId: 'request-1', functionName: 'edsteward-orchestrator' });
+    const { data } = JSON.parse(response.body);
+    
+    expect(response.statusCode).toBe(200);
+    expect(data.classification).toMatchObject({ validationLevel: 3, validatorType: 'context' });
+    expect(data.validationResult.routing).toMatchObject({ requestedLevel: 1, effectiveLevel: 2, downgraded: true });
+    expect(data.attestationCertificate).toBeUndefined();
+    expect(createAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      eventType: 'validation.completed',
+      metadata: expect.objectContaining({ validationLevel: 1, effectiveLevel: 2, validatorId: 'patterns', downgraded: true })
+    }));
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * EdSteward.ai - Certificate Signing Module tests
+ */
+
+const crypto = require('crypto');
+const {
+  createSigner,
+  setSigner,
+  signCertificate,
+  verifyCertificateSignature,
+  signDocument,
+  verifyDocumentSignature
+} = require('../signing');
+
+/**
+ * Generate a PEM key pair
+ * 
+ * @param {string} type - Key type ('ec', 'rsa' or 'ed25519')
+ * @returns {Object} PEM private and public keys
+ */
+function generatePemKeyPair(type) {
+  const options = {
+    ec: { namedCurve: 'P-256' },
+    rsa: { modulusLength: 2048 },
+    ed25519: {}
+  }[type];
+  
+  return crypto.generateKeyPairSync(type, {
+    ...options,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+}
+
+const certificateFields = {
+  certificateId: 'CERT-1',
+  regulationId: 'REG-1',
+  regulationVersion: '1.0.0',
+  validationResultHash: 'a'.repeat(64),
+  issuedAt: '2025-01-01T00:00:00.000Z',
+  expiresAt: '2026-01-01T00:00:00.000Z'
+};
+
+const revocationList = {
+  issuedAt: '2025-01-01T00:00:00.000Z',
+  revokedCertificates: [{ certificateId: 'CERT-2', reason: 'superseded' }]
+};
+
+let errorSpy;
+
+beforeEach(() => {
+  errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  errorSpy.mockRestore();
+  setSigner(null);
+});
+
+describe.each(['ec', 'rsa', 'ed25519'])('local %s signer', (type) => {
+  beforeEach(() => {
+    setSigner(createSigner({ provider: 'local', keyId: 'key-1', privateKey: generatePemKeyPair(type).privateKey }));
+  });
+  
+  test('verifies a signed document', async () => {
+    const signature = await signDocument(revocationList);
+    
+    expect(signature.keyId).toBe('key-1');
+    await expect(verifyDocumentSignature(revocationList, signature)).resolves.toBe(true);
+  });
+  
+  test('rejects a document changed after signing', async () => {
+    const signature = await signDocument(revocationList);
+    const tampered = { ...revocationList, revokedCertificates: [] };
+    
+    await expect(verifyDocumentSignature(tampered, signature)).resolves.toBe(false);
+  });
+  
+  test('verifies a signed certificate and rejects a changed one', async () => {
+    const signature = await signCertificate(certificateFields);
+    
+    await expect(verifyCertificateSignature(certificateFields, signature)).resolves.toBe(true);
+    await expect(verifyCertificateSignature({ ...certificateFields, regulationVersion: '2.0.0' }, signature))
+      .resolves.toBe(false);
+  });
+});
+
+describe('signature envelopes', () => {
+  beforeEach(() => {
+    setSigner(createSigner({ provider: 'local', keyId: 'key-1', privateKey: generatePemKeyPair('ec').privateKey }));
+  });
+  
+  test('bind the key ID into the signed content', async () => {
+    const signature = await signDocument(revocationList);
+    
+    await expect(verifyDocumentSignature(revocationList, { ...signature, keyId: 'key-2' })).resolves.toBe(false);
+  });
+  
+  test('are rejected when incomplete', async () => {
+    await expect(verifyDocumentSignature(revocationList, null)).resolves.toBe(false);
+    await expect(verifyDocumentSignature(revocationList, { keyId: 'key-1' })).resolves.toBe(false);
+  });
+  
+  test('derive a key ID from the public key when none is configured', () => {
+    const { privateKey } = generatePemKeyPair('ec');
+    const first = createSigner({ provider: 'local', privateKey });
+    const second = createSigner({ provider: 'local', privateKey });
+    
+    expect(first.keyId).toMatch(/^local-[0-9a-f]{16}$/);
+    expect(second.keyId).toBe(first.keyId);
+  });
+});
+
+describe('key rotation', () => {
+  const oldKey = generatePemKeyPair('ec');
+  const newKey = generatePemKeyPair('ed25519');
+  
+  test('keeps signatures of a retired key verifiable through its public key', async () => {
+    setSigner(createSigner({ provider: 'local', keyId: 'key-1', privateKey: oldKey.privateKey }));
+    const oldDocumentSignature = await signDocument(revocationList);
+    const oldCertificateSignature = await signCertificate(certificateFields);
+    
+    setSigner(createSigner({
+      provider: 'local',
+      keyId: 'key-2',
+      privateKey: newKey.privateKey,
+      publicKeys: { 'key-1': oldKey.publicKey }
+    }));
+    const newDocumentSignature = await signDocument(revocationList);
+    
+    expect(newDocumentSignature.keyId).toBe('key-2');
+    await expect(verifyDocumentSignature(revocationList, newDocumentSignature)).resolves.toBe(true);
+    await expect(verifyDocumentSignature(revocationList, oldDocumentSignature)).resolves.toBe(true);
+    await expect(verifyCertificateSignature(certificateFields, oldCertificateSignature)).resolves.toBe(true);
+  });
+  
+  test('rejects signatures of a key the signer does not know', async () => {
+    setSigner(createSigner({ provider: 'local', keyId: 'key-1', privateKey: oldKey.privateKey }));
+    const oldSignature = await signDocument(revocationList);
+    
+    setSigner(createSigner({ provider: 'local', keyId: 'key-2', privateKey: newKey.privateKey }));
+    
+    await expect(verifyDocumentSignature(revocationList, oldSignature)).resolves.toBe(false);
+  });
+  
+  test('rejects a signature made with another key under a known key ID', async () => {
+    const impostor = generatePemKeyPair('ec');
+    setSigner(createSigner({ provider: 'local', keyId: 'key-1', privateKey: impostor.privateKey }));
+    const forged = await signDocument(revocationList);
+    
+    setSigner(createSigner({
+      provider: 'local',
+      keyId: 'key-2',
+      privateKey: newKey.privateKey,
+      publicKeys: { 'key-1': oldKey.publicKey }
+    }));
+    
+    await expect(verifyDocumentSignature(revocationList, forged)).resolves.toBe(false);
+  });
+});
+
+describe('createSigner', () => {
+  test('requires a key ID for KMS', () => {
+    expect(() => createSigner({ provider: 'kms' })).toThrow('KMS certificate signer requires a key ID');
+  });
+  
+  test('requires a private key for a local signer', () => {
+    expect(() => createSigner({ provider: 'local' })).toThrow('Local certificate signer requires a PEM private key');
+  });
+  
+  test('rejects unknown providers', () => {
+    expect(() => createSigner({ provider: 'hsm' })).toThrow('Unknown certificate signing provider: hsm');
+  });
+});
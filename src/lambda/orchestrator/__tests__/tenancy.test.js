@@ -0,0 +1,136 @@
+/**
+ * EdSteward.ai - Tenancy Module tests
+ */
+
+jest.mock('../db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../audit', () => ({
+  ...jest.requireActual('../audit'),
+  createAuditEvent: jest.fn(),
+  createAuthorizationAuditEvent: jest.fn()
+}));
+
+const { getDbConnection } = require('../db');
+const { resolveTenant } = require('../tenancy');
+const { handler } = require('../index');
+
+const audit = jest.requireActual('../audit');
+
+/**
+ * Build an API Gateway event
+ * 
+ * @param {Object} authorizer - Authorizer context
+ * @returns {Object} Event for a batch job status request
+ */
+function buildEvent(authorizer) {
+  return {
+    resource: '/validate/batch/{jobId}',
+    httpMethod: 'GET',
+    pathParameters: { jobId: 'job-1' },
+    requestContext: { authorizer }
+  };
+}
+
+describe('resolveTenant', () => {
+  test('takes the tenant from the access token', () => {
+    const event = buildEvent({ claims: { sub: 'user-1', 'custom:tenant_id': 'tenant-a' } });
+    
+    expect(resolveTenant(event)).toEqual({ tenantId: 'tenant-a', source: 'token' });
+  });
+  
+  test('takes the tenant an API key is bound to', () => {
+    expect(resolveTenant(buildEvent({ tenantId: 'tenant-a' }))).toEqual({ tenantId: 'tenant-a', source: 'api-key' });
+  });
+  
+  test('accepts a token and an API key of the same tenant', () => {
+    const event = buildEvent({ claims: { 'custom:tenant_id': 'tenant-a' }, tenantId: 'tenant-a' });
+    
+    expect(resolveTenant(event)).toEqual({ tenantId: 'tenant-a', source: 'token' });
+  });
+  
+  test('resolves no tenant for callers without one', () => {
+    expect(resolveTenant(buildEvent({ claims: { sub: 'user-1' } }))).toEqual({ tenantId: null, source: null });
+    expect(resolveTenant({})).toEqual({ tenantId: null, source: null });
+  });
+  
+  test('rejects a token and an API key of different tenants', () => {
+    const event = buildEvent({ claims: { 'custom:tenant_id': 'tenant-a' }, tenantId: 'tenant-b' });
+    
+    expect(() => resolveTenant(event)).toThrow(expect.objectContaining({ code: 'TENANT_MISMATCH' }));
+  });
+});
+
+describe('handler', () => {
+  beforeEach(() => {
+    getDbConnection.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('refuses credentials of different tenants before touching the database', async () => {
+    const event = buildEvent({
+      claims: { sub: 'user-1', 'custom:tenant_id': 'tenant-a', 'cognito:groups': 'validator' },
+      tenantId: 'tenant-b'
+    });
+    
+    const response = await handler(event, { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(403);
+    expect(JSON.parse(response.body).error).toEqual({
+      code: 'TENANT_MISMATCH',
+      message: 'The access token and API key belong to different tenants',
+      requestId: 'request-1'
+    });
+    expect(getDbConnection).not.toHaveBeenCalled();
+  });
+  
+  test('refuses callers without a tenant on tenant routes', async () => {
+    const event = buildEvent({ claims: { sub: 'user-1', 'cognito:groups': 'validator,platform-operator' } });
+    
+    const response = await handler(event, { awsRequestId: 'request-1' });
+    
+    expect(response.statusCode).toBe(403);
+    expect(JSON.parse(response.body).error).toEqual({
+      code: 'TENANT_REQUIRED',
+      message: 'A tenant is required for this route',
+      requestId: 'request-1'
+    });
+    expect(getDbConnection).not.toHaveBeenCalled();
+  });
+  
+  test('queries within the tenant of the caller', async () => {
+    const db = { getBatchJob: jest.fn(async () => ({ job_id: 'job-1', tenant_id: 'tenant-b' })) };
+    getDbConnection.mockResolvedValue(db);
+    const event = buildEvent({ claims: { sub: 'user-1', 'custom:tenant_id': 'tenant-a', 'cognito:groups': 'validator' } });
+    
+    const response = await handler(event, { awsRequestId: 'request-1' });
+    
+    expect(getDbConnection).toHaveBeenCalledWith(undefined, { tenantId: 'tenant-a' });
+    expect(getDbConnection).not.toHaveBeenCalledWith(undefined, expect.objectContaining({ allTenants: true }));
+    expect(response.statusCode).toBe(404);
+  });
+});
+
+describe('createAuditEvent', () => {
+  beforeEach(() => {
+    getDbConnection.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('writes events within their tenant', async () => {
+    const db = { createAuditEvent: jest.fn(async () => ({ sequence_number: '1' })) };
+    getDbConnection.mockResolvedValue(db);
+    const event = { eventType: 'validation.requested', entityType: 'regulation', entityId: 'REG-1', tenantId: 'tenant-a' };
+    
+    await audit.createAuditEvent(event);
+    
+    expect(getDbConnection).toHaveBeenCalledWith(undefined, { tenantId: 'tenant-a' });
+    expect(db.createAuditEvent).toHaveBeenCalledWith(event);
+  });
+});
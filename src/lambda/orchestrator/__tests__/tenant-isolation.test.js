@@ -0,0 +1,172 @@
+/**
+ * EdSteward.ai - Tenant isolation policy tests
+ * 
+ * Applies database/migrations/010_tenant_isolation.sql and
+ * 012_audit_chain_head.sql to a fixture schema
+ * in the PostgreSQL database named by TEST_DATABASE_URL and queries it as an
+ * application role, which unlike the superuser is subject to row-level
+ * security. Skipped when TEST_DATABASE_URL is not set.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+const MIGRATIONS_DIR = path.join(__dirname, '../../../../database/migrations');
+const MIGRATIONS = ['010_tenant_isolation.sql', '012_audit_chain_head.sql'];
+
+// Schema and role names are unique per run, so that runs can share a database
+const FIXTURE_NAME = `tenant_isolation_test_${process.pid}`;
+
+// Tables the migration places under row-level security, with the columns the tests use
+const FIXTURE_SCHEMA = `
+  CREATE TABLE regulations (regulation_id VARCHAR(255) PRIMARY KEY, title TEXT);
+  CREATE TABLE regulation_versions (regulation_id VARCHAR(255), version_number VARCHAR(50));
+  CREATE TABLE regulation_decision_trees (regulation_id VARCHAR(255));
+  CREATE TABLE classification_profiles (profile_id SERIAL PRIMARY KEY);
+  CREATE TABLE regulation_acceptances (regulation_id VARCHAR(255));
+  CREATE TABLE attestation_certificates (certificate_id VARCHAR(255), regulation_id VARCHAR(255));
+  CREATE TABLE validation_results (validation_id SERIAL PRIMARY KEY);
+  CREATE TABLE review_queue (review_id SERIAL PRIMARY KEY, regulation_id VARCHAR(255), status VARCHAR(20));
+  CREATE TABLE batch_jobs (job_id SERIAL PRIMARY KEY, tenant_id VARCHAR(255));
+  CREATE TABLE batch_job_items (item_id SERIAL PRIMARY KEY, job_id INTEGER REFERENCES batch_jobs (job_id));
+  CREATE TABLE audit_logs (
+    audit_id SERIAL PRIMARY KEY,
+    timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    sequence_number BIGINT,
+    entry_hash CHAR(64)
+  );
+`;
+
+const describeWithDatabase = TEST_DATABASE_URL ? describe : describe.skip;
+
+describeWithDatabase('tenant isolation policies', () => {
+  let adminPool;
+  let appPool;
+  
+  beforeAll(async () => {
+    const { Pool } = require('pg');
+    adminPool = new Pool({ connectionString: TEST_DATABASE_URL, max: 1 });
+    
+    await adminPool.query(`CREATE SCHEMA ${FIXTURE_NAME}`);
+    await adminPool.query(`CREATE ROLE ${FIXTURE_NAME} NOLOGIN`);
+    await adminPool.query(`SET search_path TO ${FIXTURE_NAME}`);
+    await adminPool.query(FIXTURE_SCHEMA);
+    for (const migration of MIGRATIONS) {
+      await adminPool.query(fs.readFileSync(path.join(MIGRATIONS_DIR, migration), 'utf8'));
+    }
+    await adminPool.query(`
+      GRANT USAGE ON SCHEMA ${FIXTURE_NAME} TO ${FIXTURE_NAME};
+      GRANT SELECT, INSERT, UPDATE, DELETE ON ALL TABLES IN SCHEMA ${FIXTURE_NAME} TO ${FIXTURE_NAME};
+      GRANT USAGE ON ALL SEQUENCES IN SCHEMA ${FIXTURE_NAME} TO ${FIXTURE_NAME};
+    `);
+    
+    appPool = new Pool({
+      connectionString: TEST_DATABASE_URL,
+      max: 1,
+      options: `-c search_path=${FIXTURE_NAME} -c role=${FIXTURE_NAME}`
+    });
+  });
+  
+  afterAll(async () => {
+    if (appPool) {
+      await appPool.end();
+    }
+    if (adminPool) {
+      await adminPool.query(`DROP SCHEMA IF EXISTS ${FIXTURE_NAME} CASCADE`);
+      await adminPool.query(`DROP ROLE IF EXISTS ${FIXTURE_NAME}`);
+      await adminPool.end();
+    }
+  });
+  
+  /**
+   * Run a query in a tenant scope, the way the orchestrator's database client does
+   * 
+   * @param {Object} scope - { tenantId } or { allTenants: true }
+   * @param {string} text - SQL query text
+   * @param {Array} [params] - Query parameters
+   * @returns {Promise<Array<Object>>} Result rows
+   */
+  async function queryAs(scope, text, params) {
+    const client = await appPool.connect();
+    try {
+      await client.query(
+        `SELECT set_config('app.tenant_id', $1, false), set_config('app.all_tenants', $2, false)`,
+        [scope.tenantId || '', scope.allTenants ? 'on' : 'off']
+      );
+      const result = await client.query(text, params);
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+  
+  test('shows each tenant only its own rows', async () => {
+    await queryAs({ tenantId: 'tenant-a' }, `INSERT INTO review_queue (regulation_id) VALUES ('REG-A')`);
+    await queryAs({ tenantId: 'tenant-b' }, `INSERT INTO review_queue (regulation_id) VALUES ('REG-B')`);
+    
+    const query = 'SELECT regulation_id, tenant_id FROM review_queue ORDER BY regulation_id';
+    
+    expect(await queryAs({ tenantId: 'tenant-a' }, query)).toEqual([{ regulation_id: 'REG-A', tenant_id: 'tenant-a' }]);
+    expect(await queryAs({ tenantId: 'tenant-b' }, query)).toEqual([{ regulation_id: 'REG-B', tenant_id: 'tenant-b' }]);
+    expect(await queryAs({}, query)).toEqual([]);
+    expect(await queryAs({ allTenants: true }, query)).toHaveLength(2);
+  });
+  
+  test('rejects rows written for another tenant', async () => {
+    await expect(queryAs({ tenantId: 'tenant-a' },
+      `INSERT INTO audit_logs (tenant_id) VALUES ('tenant-b')`)).rejects.toThrow(/row-level security/);
+    
+    await queryAs({ tenantId: 'tenant-a' }, `INSERT INTO review_queue (regulation_id) VALUES ('REG-MOVE')`);
+    await expect(queryAs({ tenantId: 'tenant-a' },
+      `UPDATE review_queue SET tenant_id = 'tenant-b' WHERE regulation_id = 'REG-MOVE'`)).rejects.toThrow(/row-level security/);
+  });
+  
+  test('leaves rows of other tenants untouched by updates and deletes', async () => {
+    await queryAs({ tenantId: 'tenant-b' }, `INSERT INTO review_queue (regulation_id, status) VALUES ('REG-KEEP', 'PENDING')`);
+    
+    await queryAs({ tenantId: 'tenant-a' }, `UPDATE review_queue SET status = 'DECIDED' WHERE regulation_id = 'REG-KEEP'`);
+    await queryAs({ tenantId: 'tenant-a' }, `DELETE FROM review_queue WHERE regulation_id = 'REG-KEEP'`);
+    
+    expect(await queryAs({ tenantId: 'tenant-b' }, `SELECT status FROM review_queue WHERE regulation_id = 'REG-KEEP'`))
+      .toEqual([{ status: 'PENDING' }]);
+  });
+  
+  test('shares reference data without a tenant but keeps it read-only for tenants', async () => {
+    await queryAs({ allTenants: true }, `INSERT INTO regulations (regulation_id, tenant_id) VALUES ('REG-SHARED', NULL)`);
+    await queryAs({ tenantId: 'tenant-a' }, `INSERT INTO regulations (regulation_id) VALUES ('REG-OWN')`);
+    
+    const query = 'SELECT regulation_id FROM regulations ORDER BY regulation_id';
+    
+    expect(await queryAs({ tenantId: 'tenant-a' }, query)).toEqual([{ regulation_id: 'REG-OWN' }, { regulation_id: 'REG-SHARED' }]);
+    expect(await queryAs({ tenantId: 'tenant-b' }, query)).toEqual([{ regulation_id: 'REG-SHARED' }]);
+    
+    await expect(queryAs({ tenantId: 'tenant-a' },
+      `UPDATE regulations SET title = 'Changed' WHERE regulation_id = 'REG-SHARED'`)).rejects.toThrow(/row-level security/);
+    await expect(queryAs({ tenantId: 'tenant-a' },
+      `INSERT INTO regulations (regulation_id, tenant_id) VALUES ('REG-NEW', NULL)`)).rejects.toThrow(/row-level security/);
+  });
+  
+  test('keeps batch job items with the tenant of their job', async () => {
+    const [job] = await queryAs({ tenantId: 'tenant-a' }, 'INSERT INTO batch_jobs DEFAULT VALUES RETURNING job_id');
+    await queryAs({ tenantId: 'tenant-a' }, 'INSERT INTO batch_job_items (job_id) VALUES ($1)', [job.job_id]);
+    
+    const query = 'SELECT job_id FROM batch_job_items WHERE job_id = $1';
+    
+    expect(await queryAs({ tenantId: 'tenant-a' }, query, [job.job_id])).toHaveLength(1);
+    expect(await queryAs({ tenantId: 'tenant-b' }, query, [job.job_id])).toEqual([]);
+    await expect(queryAs({ tenantId: 'tenant-b' },
+      'INSERT INTO batch_job_items (job_id) VALUES ($1)', [job.job_id])).rejects.toThrow(/row-level security/);
+  });
+  
+  test('links audit events of one tenant to the chain head of another', async () => {
+    await queryAs({ tenantId: 'tenant-a' },
+      `INSERT INTO audit_logs (sequence_number, entry_hash) VALUES (1, repeat('a', 64))`);
+    
+    expect(await queryAs({ tenantId: 'tenant-b' }, 'SELECT sequence_number FROM audit_logs')).toEqual([]);
+    expect(await queryAs({ tenantId: 'tenant-b' }, 'SELECT sequence_number, entry_hash FROM audit_chain_head()'))
+      .toEqual([{ sequence_number: '1', entry_hash: 'a'.repeat(64) }]);
+    expect(await queryAs({ tenantId: 'tenant-b' }, `SELECT current_setting('app.all_tenants') AS all_tenants`))
+      .toEqual([{ all_tenants: 'off' }]);
+  });
+});
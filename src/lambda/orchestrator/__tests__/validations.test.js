@@ -0,0 +1,296 @@
+/**
+ * EdSteward.ai - Validation Result Storage tests
+ */
+
+jest.mock('../db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../audit', () => ({
+  ...jest.requireActual('../audit'),
+  createAuditEvent: jest.fn(),
+  createAuthorizationAuditEvent: jest.fn()
+}));
+jest.mock('../classifier', () => ({ classifyRegulation: jest.fn() }));
+jest.mock('../router', () => ({ ...jest.requireActual('../router'), routeToValidator: jest.fn() }));
+
+const { getDbConnection } = require('../db');
+const { createAuditEvent } = require('../audit');
+const { classifyRegulation } = require('../classifier');
+const { routeToValidator } = require('../router');
+const { handler } = require('../index');
+
+const claims = { sub: 'user-1', 'custom:tenant_id': 'tenant-a', 'cognito:groups': 'validator' };
+
+/**
+ * Build a validation_results row
+ * 
+ * @param {Object} [fields] - Fields overriding a valid validation of tenant-a
+ * @returns {Object} Validation record
+ */
+function buildValidationRecord(fields) {
+  return {
+    validation_id: 'validation-1',
+    regulation_id: 'REG-1',
+    regulation_version: '1.0.0',
+    compared_version: '2.0.0',
+    tenant_id: 'tenant-a',
+    request_id: 'request-1',
+    batch_job_id: null,
+    requested_by: 'user-1',
+    validation_level: 2,
+    requested_level: 1,
+    status: 'VALID',
+    is_valid: true,
+    certainty_level: 4,
+    valid_sections: ['1'],
+    invalid_sections: [],
+    warnings: [],
+    validator_id: 'version-comparator',
+    validation_timestamp: '2025-01-01T00:00:00.000Z',
+    execution_time_ms: 12,
+    certificate_id: 'cert-1',
+    review_id: null,
+    result: { isValid: true, certaintyLevel: 4 },
+    created_at: '2025-01-01T00:00:00.000Z',
+    updated_at: '2025-01-01T00:00:00.000Z',
+    ...fields
+  };
+}
+
+beforeEach(() => {
+  getDbConnection.mockReset();
+  createAuditEvent.mockReset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /validate', () => {
+  /**
+   * Validate REG-1 at level 1 with a validator returning a result
+   * 
+   * @param {Object} db - Database client
+   * @param {Object} validationResponse - Validator output
+   * @returns {Promise<Object>} Handler response
+   */
+  function validate(db, validationResponse) {
+    getDbConnection.mockResolvedValue(db);
+    classifyRegulation.mockResolvedValue({ validationLevel: 2, determinedLevel: 2, complexityScore: 40, profile: { sources: [] } });
+    routeToValidator.mockResolvedValue({
+      validator: 'version-comparator',
+      validationLevel: 2,
+      validationTimestamp: '2025-01-01T00:00:00.000Z',
+      routing: { effectiveLevel: 2, validatorId: 'version-comparator', downgraded: false },
+      ...validationResponse
+    });
+    
+    return handler({
+      resource: '/validate',
+      httpMethod: 'POST',
+      body: JSON.stringify({ regulationId: 'REG-1', regulationVersion: '1.0.0', regulationContent: { text: '§ 1 Records' } }),
+      requestContext: { authorizer: { claims } }
+    }, { awsRequestId: 'request-1', functionName: 'edsteward-orchestrator' });
+  }
+  
+  /**
+   * Build a database client for a validation of REG-1
+   * 
+   * @returns {Object} Database client
+   */
+  function createValidationDb() {
+    return {
+      getRegulation: jest.fn(async () => ({ regulation_id: 'REG-1', current_version: '2.0.0' })),
+      createValidationResult: jest.fn(async () => ({ validation_id: 'validation-1' }))
+    };
+  }
+  
+  test('stores the result with its levels, sections and timing and returns its id', async () => {
+    const db = createValidationDb();
+    
+    const response = await validate(db, {
+      isValid: false,
+      certaintyLevel: 3,
+      details: { validatedSections: ['1'], invalidSections: ['2'], warnings: ['Section 3 was not found'] }
+    });
+    
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).data.validationId).toBe('validation-1');
+    expect(db.createValidationResult).toHaveBeenCalledWith(expect.objectContaining({
+      regulationId: 'REG-1',
+      regulationVersion: '1.0.0',
+      tenantId: 'tenant-a',
+      requestedBy: 'user-1',
+      requestId: 'request-1',
+      validationLevel: 2,
+      requestedLevel: 1,
+      status: 'PARTIAL',
+      isValid: false,
+      certaintyLevel: 3,
+      validSections: ['1'],
+      invalidSections: ['2'],
+      warnings: ['Section 3 was not found'],
+      validatorId: 'version-comparator',
+      validationTimestamp: '2025-01-01T00:00:00.000Z',
+      executionTimeMs: expect.any(Number),
+      metadata: expect.objectContaining({ classifiedLevel: 2, complexityScore: 40 })
+    }));
+    expect(createAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      eventType: 'validation.completed',
+      metadata: expect.objectContaining({ validationId: 'validation-1' })
+    }));
+  });
+  
+  test.each([
+    ['VALID', { isValid: true, certaintyLevel: 3 }],
+    ['INVALID', { isValid: false, details: { validatedSections: [], invalidSections: ['1'] } }],
+    ['PENDING_REVIEW', { isValid: false, status: 'PENDING_REVIEW', review: { reviewId: 'review-1' } }]
+  ])('stores the status %s', async (status, validationResponse) => {
+    const db = createValidationDb();
+    
+    await validate(db, validationResponse);
+    
+    expect(db.createValidationResult.mock.calls[0][0].status).toBe(status);
+  });
+  
+  test('links results queued for review to the review', async () => {
+    const db = createValidationDb();
+    
+    await validate(db, { isValid: false, status: 'PENDING_REVIEW', review: { reviewId: 'review-1' } });
+    
+    expect(db.createValidationResult.mock.calls[0][0]).toMatchObject({ reviewId: 'review-1', validSections: [] });
+  });
+});
+
+describe('GET /validations/{validationId}', () => {
+  /**
+   * Request a stored validation
+   * 
+   * @param {Object} validation - Stored validation record or null
+   * @returns {Promise<Object>} Handler response
+   */
+  function getValidation(validation) {
+    getDbConnection.mockResolvedValue({ getValidationResult: jest.fn(async () => validation) });
+    
+    return handler({
+      resource: '/validations/{validationId}',
+      httpMethod: 'GET',
+      pathParameters: { validationId: 'validation-1' },
+      requestContext: { authorizer: { claims } }
+    }, { awsRequestId: 'request-1' });
+  }
+  
+  test('returns the stored validation with the full validator output', async () => {
+    const response = await getValidation(buildValidationRecord());
+    
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).data).toEqual({
+      validationId: 'validation-1',
+      regulationId: 'REG-1',
+      regulationVersion: '1.0.0',
+      comparedVersion: '2.0.0',
+      requestId: 'request-1',
+      batchJobId: null,
+      requestedBy: 'user-1',
+      validationLevel: 2,
+      requestedLevel: 1,
+      status: 'VALID',
+      isValid: true,
+      certaintyLevel: 4,
+      details: { validatedSections: ['1'], invalidSections: [], warnings: [] },
+      validator: 'version-comparator',
+      validationTimestamp: '2025-01-01T00:00:00.000Z',
+      executionTimeMs: 12,
+      certificateId: 'cert-1',
+      reviewId: null,
+      createdAt: '2025-01-01T00:00:00.000Z',
+      updatedAt: '2025-01-01T00:00:00.000Z',
+      validationResult: { isValid: true, certaintyLevel: 4 }
+    });
+    expect(getDbConnection).toHaveBeenCalledWith(undefined, { tenantId: 'tenant-a' });
+  });
+  
+  test.each([
+    ['unknown validations', null],
+    ['validations of other tenants', buildValidationRecord({ tenant_id: 'tenant-b' })]
+  ])('does not find %s', async (description, validation) => {
+    const response = await getValidation(validation);
+    
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body).error.code).toBe('VALIDATION_NOT_FOUND');
+  });
+});
+
+describe('GET /regulations/{regulationId}/validations', () => {
+  /**
+   * List the stored validations of REG-1
+   * 
+   * @param {Object} db - Database client
+   * @param {Object} [query] - Query string parameters
+   * @returns {Promise<Object>} Handler response
+   */
+  function listValidations(db, query) {
+    getDbConnection.mockResolvedValue(db);
+    
+    return handler({
+      resource: '/regulations/{regulationId}/validations',
+      httpMethod: 'GET',
+      pathParameters: { regulationId: 'REG-1' },
+      queryStringParameters: query || null,
+      requestContext: { authorizer: { claims } }
+    }, { awsRequestId: 'request-1' });
+  }
+  
+  /**
+   * Build a database client holding validations of REG-1
+   * 
+   * @param {Object|null} regulation - Stored regulation
+   * @returns {Object} Database client
+   */
+  function createListDb(regulation) {
+    return {
+      getRegulation: jest.fn(async () => regulation),
+      listValidationResults: jest.fn(async () => ({ items: [buildValidationRecord()], total: 21 }))
+    };
+  }
+  
+  test('lists the validations of the tenant with filters and pagination', async () => {
+    const db = createListDb({ regulation_id: 'REG-1' });
+    
+    const response = await listValidations(db, { page: '2', limit: '10', status: 'VALID', sortBy: 'certaintyLevel', sortOrder: 'asc' });
+    const body = JSON.parse(response.body);
+    
+    expect(response.statusCode).toBe(200);
+    expect(body.data.map(validation => validation.validationId)).toEqual(['validation-1']);
+    expect(body.data[0].validationResult).toBeUndefined();
+    expect(body.pagination).toEqual({ page: 2, limit: 10, total: 21, pages: 3 });
+    expect(db.listValidationResults).toHaveBeenCalledWith(
+      'tenant-a',
+      { regulationId: 'REG-1', status: 'VALID', validationLevel: undefined, from: undefined, to: undefined },
+      2,
+      10,
+      { field: 'certaintyLevel', order: 'asc' }
+    );
+  });
+  
+  test('includes the validator output when asked to', async () => {
+    const response = await listValidations(createListDb({ regulation_id: 'REG-1' }), { includeDetails: 'true' });
+    
+    expect(JSON.parse(response.body).data[0].validationResult).toEqual({ isValid: true, certaintyLevel: 4 });
+  });
+  
+  test('refuses invalid pagination', async () => {
+    const db = createListDb({ regulation_id: 'REG-1' });
+    
+    const response = await listValidations(db, { page: '0' });
+    
+    expect(response.statusCode).toBe(400);
+    expect(db.listValidationResults).not.toHaveBeenCalled();
+  });
+  
+  test('does not find unknown regulations', async () => {
+    const response = await listValidations(createListDb(null));
+    
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body).error.code).toBe('REGULATION_NOT_FOUND');
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * EdSteward.ai - Version Control Module tests
+ */
+
+const { isSemanticVersion, compareVersions, getChangeType, checkVersion } = require('../versions');
+
+describe('compareVersions', () => {
+  test('orders versions numerically', () => {
+    expect(compareVersions('1.10.0', '1.9.9')).toBeGreaterThan(0);
+    expect(compareVersions('1.2.3', '2.0.0')).toBeLessThan(0);
+    expect(compareVersions('3.0.1', '3.0.1')).toBe(0);
+  });
+  
+  test.each(['1.2', '1.2.3-beta', 'v1.2.3', '', null, 123])('rejects %p', (version) => {
+    expect(() => compareVersions(version, '1.0.0')).toThrow(expect.objectContaining({ code: 'INVALID_VERSION' }));
+    expect(() => compareVersions('1.0.0', version)).toThrow(expect.objectContaining({ code: 'INVALID_VERSION' }));
+  });
+});
+
+describe('getChangeType', () => {
+  test('names the most significant change', () => {
+    expect(getChangeType('1.2.3', '2.0.0')).toBe('MAJOR');
+    expect(getChangeType('1.2.3', '1.3.0')).toBe('MINOR');
+    expect(getChangeType('1.2.3', '1.2.4')).toBe('PATCH');
+    expect(getChangeType('1.2.3', '1.2.3')).toBeNull();
+  });
+  
+  test('rejects versions that are not semantic versions', () => {
+    expect(() => getChangeType('1.2', '1.3')).toThrow('Invalid semantic version: 1.2');
+  });
+});
+
+describe('isSemanticVersion', () => {
+  test('accepts only MAJOR.MINOR.PATCH strings', () => {
+    expect(isSemanticVersion('0.0.1')).toBe(true);
+    expect(isSemanticVersion('1.0')).toBe(false);
+    expect(isSemanticVersion(undefined)).toBe(false);
+  });
+});
+
+describe('checkVersion', () => {
+  const db = {
+    listRegulationVersions: async () => [
+      { version_number: '1.0.0', is_current: false },
+      { version_number: '2024-draft', is_current: false },
+      { version_number: '1.1.0', is_current: false },
+      { version_number: '2.0.0', is_current: true }
+    ],
+    getLatestRegulationAcceptance: async () => null
+  };
+  
+  test('lists the newer versions, leaving out stored versions that cannot be ordered', async () => {
+    const status = await checkVersion(db, { regulationId: 'REG-1', clientVersion: '1.0.0' });
+    
+    expect(status.isStale).toBe(true);
+    expect(status.changeType).toBe('MAJOR');
+    expect(status.newerVersions.map(version => version.versionNumber)).toEqual(['1.1.0', '2.0.0']);
+    expect(status.requiresAcceptance).toBe(true);
+  });
+  
+  test('treats a client version that cannot be ordered as stale', async () => {
+    const status = await checkVersion(db, { regulationId: 'REG-1', clientVersion: '2024-draft' });
+    
+    expect(status).toMatchObject({ comparable: false, isCurrent: false, isStale: true, changeType: null, newerVersions: [] });
+  });
+  
+  test('checks against a current version that cannot be ordered', async () => {
+    const draftDb = {
+      ...db,
+      listRegulationVersions: async () => [
+        { version_number: '1.0.0', is_current: false },
+        { version_number: '2024-draft', is_current: true }
+      ]
+    };
+    
+    expect(await checkVersion(draftDb, { regulationId: 'REG-1', clientVersion: '1.0.0' }))
+      .toMatchObject({ comparable: false, isCurrent: false, isStale: true, versionsBehind: 0 });
+    expect(await checkVersion(draftDb, { regulationId: 'REG-1', clientVersion: '2024-draft' }))
+      .toMatchObject({ comparable: false, isCurrent: true, isStale: false, requiresAcceptance: false });
+  });
+});
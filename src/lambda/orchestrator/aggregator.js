@@ -5,11 +5,30 @@
  * multiple validators and preparing the final response.
  */
 
+// Error types for section statuses reported by the validators
+const SECTION_ERROR_TYPES = {
+  MISSING: 'omission',
+  MODIFIED: 'inconsistency',
+  INVALID: 'inconsistency',
+  UNEXPECTED: 'addition'
+};
+
+// Error types for requirement check statuses
+const REQUIREMENT_ERROR_TYPES = {
+  MISSING: 'omission',
+  INCONSISTENT: 'inconsistency'
+};
+
 /**
  * Aggregate validation results from multiple sources
  * 
+ * Each result is an individual validation response, or an object with
+ * regulationId and error for a validation that could not be completed.
+ * Results may carry the regulation's category and jurisdiction for the
+ * breakdowns.
+ * 
  * @param {Array<Object>} results - Array of validation results
- * @returns {Object} Aggregated results with summary
+ * @returns {Object} Aggregated results with summary, raw results and per-item summaries
  */
 function aggregateResults(results) {
   if (!results || results.length === 0) {
@@ -18,9 +37,15 @@ function aggregateResults(results) {
         totalCount: 0,
         successCount: 0,
         failureCount: 0,
-        averageCertainty: 0
+        averageCertainty: 0,
+        successRate: 0,
+        errorSeverity: { critical: 0, major: 0, minor: 0 },
+        byCategory: {},
+        byJurisdiction: {},
+        byValidationLevel: {}
       },
-      results: []
+      results: [],
+      items: []
     };
   }
 
@@ -54,6 +79,15 @@ function aggregateResults(results) {
     ? Math.round((totalCertainty / validCertaintyCount) * 10) / 10 
     : 0;
 
+  // Summarize each result and roll up the severity of the issues found
+  const items = results.map(summarizeResult);
+  const errorSeverity = { critical: 0, major: 0, minor: 0 };
+  items.forEach(item => {
+    Object.keys(errorSeverity).forEach(severity => {
+      errorSeverity[severity] += item.issues[severity];
+    });
+  });
+  
   // Create summary object
   const summary = {
     totalCount: results.length,
@@ -62,15 +96,150 @@ function aggregateResults(results) {
     averageCertainty,
     successRate: results.length > 0 
       ? Math.round((successCount / results.length) * 100) 
-      : 0
+      : 0,
+    errorSeverity,
+    byCategory: buildBreakdown(items, 'category'),
+    byJurisdiction: buildBreakdown(items, 'jurisdiction'),
+    byValidationLevel: buildBreakdown(items, 'validationLevel')
   };
 
   return {
     summary,
-    results
+    results,
+    items
   };
 }
 
+/**
+ * Derive the errors of a validation result from its invalid sections
+ * 
+ * Results that list their own errors are used as they are.
+ * 
+ * @param {Object} validationResult - Validation result
+ * @returns {Array<Object>} Errors with type and section
+ */
+function collectValidationErrors(validationResult) {
+  if (Array.isArray(validationResult.errors)) {
+    return validationResult.errors;
+  }
+  
+  const errors = [];
+  const invalidSections = (validationResult.details && validationResult.details.invalidSections) || [];
+  
+  invalidSections.forEach(section => {
+    if (typeof section === 'string') {
+      errors.push({ type: 'inconsistency', sectionId: section });
+    } else if (section.requirements && section.requirements.length > 0) {
+      section.requirements.forEach(check => {
+        errors.push({
+          type: REQUIREMENT_ERROR_TYPES[check.status] || 'inconsistency',
+          sectionId: section.sectionId,
+          requirementType: check.type
+        });
+      });
+    } else {
+      errors.push({
+        type: SECTION_ERROR_TYPES[section.status] || 'inconsistency',
+        sectionId: section.sectionId
+      });
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Summarize one validation result for reporting
+ * 
+ * @param {Object} result - Validation response, or object with regulationId and error
+ * @returns {Object} Item summary with status, issue counts by severity and a summary line
+ */
+function summarizeResult(result) {
+  const validationResult = result && result.data ? result.data.validationResult : null;
+  const item = {
+    regulationId: result && (result.data ? result.data.regulationId : result.regulationId),
+    category: result && result.category,
+    jurisdiction: result && result.jurisdiction,
+    issues: { critical: 0, major: 0, minor: 0 }
+  };
+  
+  if (!validationResult) {
+    const message = result && result.error ? result.error.message : 'No result';
+    return {
+      ...item,
+      status: 'ERROR',
+      isValid: false,
+      summary: `Validation could not be completed: ${message}`
+    };
+  }
+  
+  const errors = collectValidationErrors(validationResult);
+  const categorized = categorizeErrors(errors);
+  Object.keys(item.issues).forEach(severity => {
+    item.issues[severity] = categorized[severity].length;
+  });
+  
+  let status = validationResult.isValid ? 'VALID' : 'INVALID';
+  if (validationResult.status === 'PENDING_REVIEW') {
+    status = 'PENDING_REVIEW';
+  }
+  
+  return {
+    ...item,
+    status,
+    isValid: validationResult.isValid,
+    certaintyLevel: validationResult.certaintyLevel,
+    validationLevel: validationResult.validationLevel,
+    summary: generateHumanReadableSummary({ ...validationResult, errors }).trim()
+  };
+}
+
+/**
+ * Count item outcomes grouped by a regulation attribute
+ * 
+ * @param {Array<Object>} items - Item summaries
+ * @param {string} field - 'category', 'jurisdiction' or 'validationLevel'
+ * @returns {Object} Counts keyed by attribute value ('unspecified' when missing)
+ */
+function buildBreakdown(items, field) {
+  const breakdown = {};
+  const certainty = {};
+  
+  items.forEach(item => {
+    const key = item[field] || 'unspecified';
+    if (!breakdown[key]) {
+      breakdown[key] = { totalCount: 0, successCount: 0, failureCount: 0, pendingReviewCount: 0, errorCount: 0 };
+      certainty[key] = { total: 0, count: 0 };
+    }
+    
+    const group = breakdown[key];
+    group.totalCount++;
+    if (item.certaintyLevel) {
+      certainty[key].total += item.certaintyLevel;
+      certainty[key].count++;
+    }
+    if (item.isValid) {
+      group.successCount++;
+    } else {
+      group.failureCount++;
+    }
+    if (item.status === 'PENDING_REVIEW') {
+      group.pendingReviewCount++;
+    } else if (item.status === 'ERROR') {
+      group.errorCount++;
+    }
+  });
+  
+  Object.entries(breakdown).forEach(([key, group]) => {
+    group.successRate = Math.round((group.successCount / group.totalCount) * 100);
+    group.averageCertainty = certainty[key].count > 0
+      ? Math.round((certainty[key].total / certainty[key].count) * 10) / 10
+      : 0;
+  });
+  
+  return breakdown;
+}
+
 /**
  * Aggregate version control results
  * 
@@ -126,13 +295,17 @@ function aggregateVersionResults(versionResults) {
 /**
  * Format aggregate results for API response
  * 
+ * Every item is listed with its summary line; the full validation response
+ * is only included with details, and then for at most detailLimit items.
+ * 
  * @param {Object} aggregatedResults - Aggregated validation results
  * @param {string} requestId - Request identifier
  * @param {boolean} includeDetails - Whether to include full details
+ * @param {number} [detailLimit] - Maximum number of items with full details
  * @returns {Object} Formatted API response
  */
-function formatResultsForResponse(aggregatedResults, requestId, includeDetails = true) {
-  const { summary, results } = aggregatedResults;
+function formatResultsForResponse(aggregatedResults, requestId, includeDetails = true, detailLimit = Infinity) {
+  const { summary, results, items } = aggregatedResults;
   
   const response = {
     requestId,
@@ -142,20 +315,117 @@ function formatResultsForResponse(aggregatedResults, requestId, includeDetails =
   };
   
   // Include detailed results if requested
+  response.results = items.map((item, index) => (
+    includeDetails && index < detailLimit ? { ...item, result: results[index] } : item
+  ));
   if (includeDetails) {
-    response.results = results;
+    response.detailsTruncated = results.length > detailLimit;
   }
   
   return response;
 }
 
+// Policies for reaching a verdict from several validators
+const CONSENSUS_POLICIES = ['unanimous', 'majority', 'weighted'];
+
+// A verdict some validators dispute is never certain enough for a certificate
+const DISPUTED_CERTAINTY_CAP = 3;
+
+/**
+ * Identify a section in a validation result's details
+ * 
+ * @param {string|Object} section - Section identifier or section result
+ * @returns {string} Section identifier
+ */
+function getSectionId(section) {
+  return typeof section === 'string' ? section : section.sectionId;
+}
+
+/**
+ * Decide the consensus verdict of several validation results
+ * 
+ * 'unanimous' requires every validator to find the content valid;
+ * 'majority' requires more than half of them; 'weighted' compares the
+ * validators' weights multiplied by their certainty on each side.
+ * 
+ * @param {Array<Object>} results - Validation results
+ * @param {string} policy - Consensus policy
+ * @param {Array<number>} weights - Weight of each result
+ * @returns {Object} Verdict with the vote tallies behind it
+ */
+function decideConsensus(results, policy, weights) {
+  const validCount = results.filter(result => result.isValid).length;
+  const votes = {
+    valid: validCount,
+    invalid: results.length - validCount
+  };
+  
+  if (policy === 'majority') {
+    return { isValid: validCount * 2 > results.length, votes };
+  }
+  
+  if (policy === 'weighted') {
+    const score = { valid: 0, invalid: 0 };
+    results.forEach((result, index) => {
+      score[result.isValid ? 'valid' : 'invalid'] += weights[index] * (result.certaintyLevel || 0);
+    });
+    
+    return {
+      isValid: score.valid > score.invalid,
+      votes,
+      score: {
+        valid: Math.round(score.valid * 100) / 100,
+        invalid: Math.round(score.invalid * 100) / 100
+      }
+    };
+  }
+  
+  return { isValid: validCount === results.length, votes };
+}
+
+/**
+ * List sections that some validators accepted and others rejected
+ * 
+ * @param {Array<Object>} results - Validation results
+ * @param {Array<string>} names - Name of each result's validator
+ * @returns {Array<Object>} Disputed sections with the validators on each side
+ */
+function findSectionDisagreements(results, names) {
+  const sections = new Map();
+  
+  results.forEach((result, index) => {
+    const details = result.details || {};
+    [['validatedSections', 'validatedBy'], ['invalidSections', 'rejectedBy']].forEach(([field, side]) => {
+      (details[field] || []).forEach(section => {
+        const sectionId = getSectionId(section);
+        if (!sections.has(sectionId)) {
+          sections.set(sectionId, { sectionId, validatedBy: [], rejectedBy: [] });
+        }
+        sections.get(sectionId)[side].push(names[index]);
+      });
+    });
+  });
+  
+  return Array.from(sections.values())
+    .filter(section => section.validatedBy.length > 0 && section.rejectedBy.length > 0);
+}
+
 /**
  * Merge multiple validation results for a single regulation
  * 
+ * The merged certainty is the lowest certainty among the validators that
+ * support the verdict, capped when any validator dissents. Disagreements
+ * between validators, both on the verdict and on individual sections, are
+ * reported under 'consensus'.
+ * 
  * @param {Array<Object>} results - Array of validation results
+ * @param {Object} [options] - Merge options
+ * @param {string} [options.policy] - 'unanimous' (default), 'majority' or 'weighted'
+ * @param {Array<number>} [options.weights] - Weight of each result for the 'weighted' policy (default 1)
+ * @param {Array<Object>} [options.failures] - Validators that failed to return a result
  * @returns {Object} Merged validation result
  */
-function mergeValidationResults(results) {
+function mergeValidationResults(results, options = {}) {
   if (!results || results.length === 0) {
     return {
       isValid: false,
@@ -166,18 +436,25 @@ function mergeValidationResults(results) {
     };
   }
   
-  // If only one result, return it
-  if (results.length === 1) {
-    return results[0];
-  }
+  const policy = options.policy || 'unanimous';
+  const weights = results.map((result, index) => (options.weights && options.weights[index]) || 1);
+  const names = results.map((result, index) => result.validator || `validator${index + 1}`);
   
-  // Determine overall validity
-  // A regulation is valid only if all validators agree it is valid
-  const isValid = results.every(result => result.isValid);
+  // Determine overall validity under the consensus policy
+  const { isValid, votes, score } = decideConsensus(results, policy, weights);
+  const supporting = results.filter(result => Boolean(result.isValid) === isValid);
+  const dissenting = results
+    .map((result, index) => ({ result, index }))
+    .filter(({ result }) => Boolean(result.isValid) !== isValid);
+  const agreed = dissenting.length === 0;
   
-  // Calculate minimum certainty level
-  // The overall certainty is limited by the least certain validator
-  const minCertainty = Math.min(...results.map(result => result.certaintyLevel || 0));
+  // The overall certainty is limited by the least certain supporting validator
+  let certaintyLevel = supporting.length > 0
+    ? Math.min(...supporting.map(result => result.certaintyLevel || 0))
+    : Math.min(...results.map(result => result.certaintyLevel || 0));
+  if (!agreed) {
+    certaintyLevel = Math.min(certaintyLevel, DISPUTED_CERTAINTY_CAP);
+  }
   
   // Find the highest validation level
   const maxValidationLevel = Math.max(...results.map(result => result.validationLevel || 0));
@@ -207,21 +484,79 @@ function mergeValidationResults(results) {
   
   // Add validation summary to evidence
   mergedEvidence.validatorCount = results.length;
-  mergedEvidence.validatorsAgreed = isValid;
+  mergedEvidence.validatorsAgreed = agreed;
+  
+  // A section counts as validated only if no validator rejected it
+  const sectionDisagreements = findSectionDisagreements(results, names);
+  const rejected = new Set();
+  const invalidSections = [];
+  results.forEach(result => {
+    ((result.details && result.details.invalidSections) || []).forEach(section => {
+      if (!rejected.has(getSectionId(section))) {
+        rejected.add(getSectionId(section));
+        invalidSections.push(section);
+      }
+    });
+  });
+  const validatedSections = Array.from(new Set([].concat(...results.map(result =>
+    ((result.details && result.details.validatedSections) || []).map(getSectionId)
+  )))).filter(sectionId => !rejected.has(sectionId));
+  const warnings = Array.from(new Set([].concat(...results.map(result =>
+    (result.details && result.details.warnings) || []
+  ))));
   
   // Create merged result
-  return {
+  const merged = {
     isValid,
-    certaintyLevel: minCertainty,
+    certaintyLevel,
     validationTimestamp: latestTimestamp,
     validationLevel: maxValidationLevel,
+    validator: 'consensus',
     evidence: mergedEvidence,
-    individualResults: results.map(r => ({
+    details: {
+      validatedSections,
+      invalidSections,
+      warnings
+    },
+    consensus: {
+      policy,
+      verdict: isValid ? 'VALID' : 'INVALID',
+      agreed,
+      votes,
+      score,
+      dissenters: dissenting.map(({ result, index }) => ({
+        validator: names[index],
+        validationLevel: result.validationLevel,
+        isValid: result.isValid,
+        certaintyLevel: result.certaintyLevel
+      })),
+      sectionDisagreements,
+      failures: options.failures || []
+    },
+    individualResults: results.map((r, index) => ({
+      validator: names[index],
       isValid: r.isValid,
       certaintyLevel: r.certaintyLevel,
-      validationLevel: r.validationLevel
+      validationLevel: r.validationLevel,
+      status: r.status,
+      weight: weights[index]
     }))
   };
+  
+  // Validators awaiting a human decision hold the merged result too; the
+  // caller queues a single review for it (see routeToConsensus)
+  const reviewReasons = results
+    .map((result, index) => (result.status === 'PENDING_REVIEW'
+      ? `${names[index]}: ${result.reviewReason || 'uncertain result'}`
+      : null))
+    .filter(Boolean);
+  if (reviewReasons.length > 0) {
+    merged.isValid = false;
+    merged.status = 'PENDING_REVIEW';
+    merged.consensus.reviewReasons = reviewReasons;
+  }
+  
+  return merged;
 }
 
 /**
@@ -369,9 +704,11 @@ function generateHumanReadableSummary(result) {
 
 module.exports = {
   aggregateResults,
+  summarizeResult,
   aggregateVersionResults,
   formatResultsForResponse,
   mergeValidationResults,
+  CONSENSUS_POLICIES,
   processValidationResponse,
   categorizeErrors,
   generateHumanReadableSummary
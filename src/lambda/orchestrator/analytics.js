@@ -0,0 +1,301 @@
+/**
+ * EdSteward.ai - Compliance Analytics Module
+ * 
+ * This module computes compliance trends from stored validations. The
+ * history is split into day, week or month windows and each window is
+ * counted with the aggregation used for batch results, giving pass rates,
+ * average certainty and breakdowns by category, jurisdiction and validation
+ * level over time. It also reports how long each regulation has gone
+ * without a valid validation.
+ */
+
+const { aggregateResults } = require('./aggregator');
+
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+// Period covered when no start date is given, by interval
+const DEFAULT_PERIOD_DAYS = {
+  day: 30,
+  week: 91,
+  month: 365
+};
+
+// Most windows one report may cover
+const MAX_ANALYTICS_WINDOWS = 366;
+
+// Most validations loaded for one report; the newest are kept
+const MAX_ANALYTICS_RECORDS = 20000;
+
+// Latest validation statuses that count a regulation as failing
+const FAILING_STATUSES = ['INVALID', 'PARTIAL', 'ERROR'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the start of the window containing a date
+ * 
+ * Windows are aligned in UTC: days at midnight, weeks on Monday and
+ * months on the first day of the month.
+ * 
+ * @param {Date} date - Date within the window
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @returns {Date} Window start
+ */
+function getWindowStart(date, interval) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+  
+  return start;
+}
+
+/**
+ * Get the start of the window following the one starting at a date
+ * 
+ * @param {Date} start - Window start
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @returns {Date} Next window start
+ */
+function getNextWindowStart(start, interval) {
+  const next = new Date(start.getTime());
+  
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  
+  return next;
+}
+
+/**
+ * Count the windows a period spans
+ * 
+ * @param {string} from - Period start (ISO 8601)
+ * @param {string} to - Period end (ISO 8601)
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @returns {number} Number of windows
+ */
+function countComplianceWindows(from, to, interval) {
+  const first = getWindowStart(new Date(from), interval);
+  const last = getWindowStart(new Date(to), interval);
+  
+  if (interval === 'month') {
+    return (last.getUTCFullYear() - first.getUTCFullYear()) * 12 + last.getUTCMonth() - first.getUTCMonth() + 1;
+  }
+  
+  return Math.round((last - first) / (interval === 'week' ? 7 * DAY_MS : DAY_MS)) + 1;
+}
+
+/**
+ * Fill in the defaults of a compliance report period
+ * 
+ * The period ends now and starts DEFAULT_PERIOD_DAYS before its end unless
+ * given. Invalid values are passed through for request validation to report.
+ * 
+ * @param {Object} params - Query parameters with optional from, to and interval
+ * @returns {Object} Period with from, to and interval
+ */
+function resolveCompliancePeriod(params) {
+  const interval = params.interval || 'week';
+  const to = params.to || new Date().toISOString();
+  let from = params.from;
+  
+  if (!from && !isNaN(Date.parse(to)) && DEFAULT_PERIOD_DAYS[interval]) {
+    from = new Date(Date.parse(to) - DEFAULT_PERIOD_DAYS[interval] * DAY_MS).toISOString();
+  }
+  
+  return { from, to, interval };
+}
+
+/**
+ * Convert a stored validation summary to a result for aggregation
+ * 
+ * @param {Object} record - Validation summary (see db.listValidationHistory)
+ * @returns {Object} Validation response, or object with regulationId and error
+ */
+function toAnalyticsResult(record) {
+  const attributes = {
+    category: record.category,
+    jurisdiction: record.jurisdiction
+  };
+  
+  if (record.status === 'ERROR') {
+    return {
+      ...attributes,
+      regulationId: record.regulation_id,
+      error: { message: 'Validation did not complete' }
+    };
+  }
+  
+  return {
+    ...attributes,
+    data: {
+      regulationId: record.regulation_id,
+      validationResult: {
+        isValid: record.is_valid,
+        certaintyLevel: record.certainty_level,
+        validationLevel: record.validation_level,
+        status: record.status === 'PENDING_REVIEW' ? 'PENDING_REVIEW' : undefined,
+        details: { invalidSections: record.invalid_sections || [] }
+      }
+    }
+  };
+}
+
+/**
+ * Find the regulations whose latest validation among records failed
+ * 
+ * @param {Array<Object>} records - Validation summaries, oldest first
+ * @returns {Array<string>} Failing regulation IDs
+ */
+function findFailingRegulations(records) {
+  const latest = new Map();
+  records.forEach(record => latest.set(record.regulation_id, record.status));
+  
+  return Array.from(latest.entries())
+    .filter(([, status]) => FAILING_STATUSES.includes(status))
+    .map(([regulationId]) => regulationId)
+    .sort();
+}
+
+/**
+ * Compute compliance trends over the windows of a period
+ * 
+ * @param {Array<Object>} records - Validation summaries within the period (see db.listValidationHistory)
+ * @param {Object} period - Period with from, to and interval
+ * @returns {Object} Summary of the whole period and one entry per window
+ */
+function computeComplianceTrends(records, period) {
+  const sorted = records.slice().sort((a, b) =>
+    new Date(a.validation_timestamp) - new Date(b.validation_timestamp));
+  
+  const windows = [];
+  const end = new Date(period.to);
+  for (let start = getWindowStart(new Date(period.from), period.interval); start <= end;
+       start = getNextWindowStart(start, period.interval)) {
+    windows.push({ start, end: getNextWindowStart(start, period.interval), records: [] });
+  }
+  
+  let index = 0;
+  sorted.forEach(record => {
+    const timestamp = new Date(record.validation_timestamp);
+    while (index < windows.length - 1 && timestamp >= windows[index].end) {
+      index++;
+    }
+    windows[index].records.push(record);
+  });
+  
+  const failing = findFailingRegulations(sorted);
+  
+  return {
+    summary: {
+      ...aggregateResults(sorted.map(toAnalyticsResult)).summary,
+      regulationCount: new Set(sorted.map(record => record.regulation_id)).size,
+      failingRegulationCount: failing.length
+    },
+    windows: windows.map(window => {
+      const windowFailing = findFailingRegulations(window.records);
+      
+      return {
+        start: window.start.toISOString(),
+        end: window.end.toISOString(),
+        ...aggregateResults(window.records.map(toAnalyticsResult)).summary,
+        regulationCount: new Set(window.records.map(record => record.regulation_id)).size,
+        failingRegulationCount: windowFailing.length,
+        failingRegulations: windowFailing
+      };
+    })
+  };
+}
+
+/**
+ * Summarize the time since the last valid validation of a group of regulations
+ * 
+ * @param {Array<Object>} regulations - Regulation compliance entries
+ * @returns {Object} Counts and average and longest days without a valid validation
+ */
+function summarizeStaleness(regulations) {
+  const validated = regulations.filter(regulation => regulation.daysSinceLastValid !== null);
+  const days = validated.map(regulation => regulation.daysSinceLastValid);
+  
+  return {
+    totalCount: regulations.length,
+    failingCount: regulations.filter(regulation => FAILING_STATUSES.includes(regulation.latestStatus)).length,
+    neverValidCount: regulations.length - validated.length,
+    averageDaysSinceLastValid: days.length > 0
+      ? Math.round((days.reduce((sum, value) => sum + value, 0) / days.length) * 10) / 10
+      : null,
+    maxDaysSinceLastValid: days.length > 0 ? Math.max(...days) : null
+  };
+}
+
+/**
+ * Report how long each regulation has gone without a valid validation
+ * 
+ * Regulations that have never been validated successfully come first,
+ * followed by the longest since a valid validation.
+ * 
+ * @param {Array<Object>} rows - Latest validation per regulation (see db.listRegulationComplianceStatus)
+ * @param {string} asOf - Time to measure from (ISO 8601)
+ * @returns {Object} Staleness summary, breakdowns and per-regulation entries
+ */
+function computeRegulationStaleness(rows, asOf) {
+  const reference = new Date(asOf).getTime();
+  
+  const regulations = rows.map(row => ({
+    regulationId: row.regulation_id,
+    title: row.title,
+    category: row.category,
+    jurisdiction: row.jurisdiction,
+    latestStatus: row.status,
+    latestValidationId: row.validation_id,
+    lastValidatedAt: row.validation_timestamp,
+    lastValidAt: row.last_valid_at,
+    daysSinceLastValid: row.last_valid_at
+      ? Math.round(((reference - new Date(row.last_valid_at).getTime()) / DAY_MS) * 10) / 10
+      : null,
+    validationCount: parseInt(row.validation_count, 10)
+  }));
+  
+  regulations.sort((a, b) => {
+    if (a.daysSinceLastValid === null || b.daysSinceLastValid === null) {
+      return (a.daysSinceLastValid === null ? 0 : 1) - (b.daysSinceLastValid === null ? 0 : 1);
+    }
+    return b.daysSinceLastValid - a.daysSinceLastValid;
+  });
+  
+  const groupBy = field => {
+    const groups = {};
+    regulations.forEach(regulation => {
+      const key = regulation[field] || 'unspecified';
+      (groups[key] = groups[key] || []).push(regulation);
+    });
+    
+    Object.keys(groups).forEach(key => {
+      groups[key] = summarizeStaleness(groups[key]);
+    });
+    return groups;
+  };
+  
+  return {
+    summary: summarizeStaleness(regulations),
+    byCategory: groupBy('category'),
+    byJurisdiction: groupBy('jurisdiction'),
+    items: regulations
+  };
+}
+
+module.exports = {
+  ANALYTICS_INTERVALS,
+  MAX_ANALYTICS_WINDOWS,
+  MAX_ANALYTICS_RECORDS,
+  countComplianceWindows,
+  resolveCompliancePeriod,
+  computeComplianceTrends,
+  computeRegulationStaleness
+};
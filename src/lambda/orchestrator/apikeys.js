@@ -0,0 +1,177 @@
+/**
+ * EdSteward.ai - API Key Module
+ * 
+ * This module issues and authenticates the API keys integrations (such as
+ * student information systems) use in place of a Cognito token. A key reads
+ * esk_<prefix>_<secret>: the prefix identifies the stored key and the secret
+ * is only known to the holder, since only the SHA-256 hash of the whole key
+ * is stored. Each key is bound to a tenant and grants the API scopes it was
+ * issued with (see authorization.js).
+ */
+
+const crypto = require('crypto');
+
+// Random bytes in the public prefix and in the secret of a key
+const PREFIX_BYTES = 6;
+const SECRET_BYTES = 32;
+
+const API_KEY_PATTERN = /^(esk_[0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+// Time a rotated key keeps working, so integrations can switch to its replacement
+const DEFAULT_ROTATION_OVERLAP_HOURS = 24;
+const MAX_ROTATION_OVERLAP_HOURS = 168;
+
+/**
+ * Hash an API key for storage and lookup
+ * 
+ * Keys carry 256 random bits, so a plain SHA-256 hash cannot be reversed
+ * by guessing.
+ * 
+ * @param {string} key - API key
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new API key
+ * 
+ * @returns {Object} Key (to be shown once), its public prefix and its hash
+ */
+function generateApiKey() {
+  const keyPrefix = `esk_${crypto.randomBytes(PREFIX_BYTES).toString('hex')}`;
+  const secret = crypto.randomBytes(SECRET_BYTES).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+  const key = `${keyPrefix}_${secret}`;
+  
+  return { key, keyPrefix, keyHash: hashApiKey(key) };
+}
+
+/**
+ * Get the public prefix of an API key
+ * 
+ * @param {string} key - API key
+ * @returns {string|null} Key prefix, or null if the key is malformed
+ */
+function parseApiKey(key) {
+  const match = typeof key === 'string' ? API_KEY_PATTERN.exec(key) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Get the status of a stored API key
+ * 
+ * @param {Object} apiKey - Stored key
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string} 'ACTIVE', 'EXPIRED' or 'REVOKED'
+ */
+function getApiKeyStatus(apiKey, now = Date.now()) {
+  if (apiKey.revoked_at) {
+    return 'REVOKED';
+  }
+  
+  if (apiKey.expires_at && new Date(apiKey.expires_at).getTime() <= now) {
+    return 'EXPIRED';
+  }
+  
+  return 'ACTIVE';
+}
+
+/**
+ * Authenticate an API key against the stored keys
+ * 
+ * The database client must span all tenants, as the tenant is only known
+ * once the key is found. Failing to record the use of a key is logged
+ * rather than failing the request.
+ * 
+ * @param {Object} db - Database client
+ * @param {string} key - API key presented with the request
+ * @returns {Promise<Object>} Outcome with authenticated flag, the stored key if one was
+ *   found, and for failures a reason ('MISSING', 'MALFORMED', 'UNKNOWN', 'EXPIRED' or 'REVOKED')
+ */
+async function authenticateApiKey(db, key) {
+  if (!key) {
+    return { authenticated: false, reason: 'MISSING' };
+  }
+  
+  const keyPrefix = parseApiKey(key);
+  if (!keyPrefix) {
+    return { authenticated: false, reason: 'MALFORMED' };
+  }
+  
+  const apiKey = await db.getApiKeyByPrefix(keyPrefix);
+  if (!apiKey || !crypto.timingSafeEqual(Buffer.from(hashApiKey(key), 'hex'), Buffer.from(apiKey.key_hash, 'hex'))) {
+    return { authenticated: false, reason: 'UNKNOWN' };
+  }
+  
+  const status = getApiKeyStatus(apiKey);
+  if (status !== 'ACTIVE') {
+    return { authenticated: false, reason: status, apiKey };
+  }
+  
+  try {
+    await db.recordApiKeyUse(apiKey.key_id);
+  } catch (error) {
+    console.error(`Error recording use of API key ${apiKey.key_id}: ${error.message}`);
+  }
+  
+  return { authenticated: true, apiKey };
+}
+
+/**
+ * Build the authorizer context of a request authenticated with an API key
+ * 
+ * The context has the shape of an API Gateway Lambda authorizer context, which
+ * tenancy.js and authorization.js read the key's tenant and scopes from.
+ * 
+ * @param {Object} apiKey - Stored key
+ * @returns {Object} Authorizer context with principalId, keyId, tenantId and scopes
+ */
+function getApiKeyAuthorizerContext(apiKey) {
+  return {
+    principalId: `api-key:${apiKey.key_id}`,
+    keyId: apiKey.key_id,
+    tenantId: apiKey.tenant_id,
+    scopes: apiKey.scopes.join(' ')
+  };
+}
+
+/**
+ * Format a stored API key for API responses
+ * 
+ * @param {Object} apiKey - Stored key
+ * @returns {Object} Formatted key, without its hash
+ */
+function formatApiKey(apiKey) {
+  return {
+    keyId: apiKey.key_id,
+    name: apiKey.name,
+    keyPrefix: apiKey.key_prefix,
+    tenantId: apiKey.tenant_id,
+    scopes: apiKey.scopes,
+    status: getApiKeyStatus(apiKey),
+    expiresAt: apiKey.expires_at,
+    lastUsedAt: apiKey.last_used_at,
+    rotatedFrom: apiKey.rotated_from,
+    createdBy: apiKey.created_by,
+    createdAt: apiKey.created_at,
+    revokedAt: apiKey.revoked_at,
+    revokedBy: apiKey.revoked_by,
+    revocationReason: apiKey.revocation_reason
+  };
+}
+
+module.exports = {
+  DEFAULT_ROTATION_OVERLAP_HOURS,
+  MAX_ROTATION_OVERLAP_HOURS,
+  hashApiKey,
+  generateApiKey,
+  parseApiKey,
+  getApiKeyStatus,
+  authenticateApiKey,
+  getApiKeyAuthorizerContext,
+  formatApiKey
+};
@@ -3,18 +3,17 @@
  * 
  * This module handles audit logging for all actions in the MCP system.
  * It creates comprehensive, immutable audit records for compliance tracking.
+ * Events are tagged with the tenant they belong to; all tenants share one
+ * hash chain, but each tenant can only read its own events.
  */
 
-const AWS = require('aws-sdk');
 const { getDbConnection } = require('./db');
-
-// Initialize AWS services
-const lambda = new AWS.Lambda();
+const { isCheckpointDue, createCheckpoint, verifyChain } = require('./chain');
+const { createQueryError } = require('./query');
 
 // Environment variables
 const ENVIRONMENT = process.env.ENVIRONMENT || 'dev';
 const DB_SECRET_ARN = process.env.DB_SECRET_ARN;
-const AUDIT_LOG_ARN = process.env.AUDIT_LOG_ARN;
 
 /**
  * Create an audit event record
@@ -25,6 +24,7 @@ const AUDIT_LOG_ARN = process.env.AUDIT_LOG_ARN;
  * @param {string} auditEvent.entityId - Identifier for the entity
  * @param {string} auditEvent.action - Action performed (e.g., 'validate')
  * @param {Object} [auditEvent.metadata] - Additional event metadata
+ * @param {string} [auditEvent.tenantId] - Tenant the event belongs to
  * @param {string} [auditEvent.userId] - User who performed the action
  * @param {string} [auditEvent.clientId] - Client system identifier
  * @param {string} [auditEvent.ipAddress] - Source IP address
@@ -35,55 +35,11 @@ const AUDIT_LOG_ARN = process.env.AUDIT_LOG_ARN;
 async function createAuditEvent(auditEvent) {
   console.log(`Creating audit event: ${auditEvent.eventType} for ${auditEvent.entityType}:${auditEvent.entityId}`);
   
-  // If we have a dedicated audit logging service, use it
-  if (AUDIT_LOG_ARN) {
-    try {
-      return await createAuditEventViaService(auditEvent);
-    } catch (error) {
-      console.error(`Error using audit service, falling back to direct DB: ${error.message}`);
-      // Fall back to direct DB logging on error
-    }
-  }
-  
-  // Otherwise, log directly to the database
+  // Events are always written here rather than handed to the audit logging
+  // service, which neither links them into the hash chain nor tags their tenant
   return await createAuditEventDirectly(auditEvent);
 }
 
-/**
- * Create an audit event using the dedicated audit logging service
- * 
- * @param {Object} auditEvent - Audit event data
- * @returns {Promise<Object>} Created audit event record
- */
-async function createAuditEventViaService(auditEvent) {
-  try {
-    // Invoke the audit logging service
-    const invokeParams = {
-      FunctionName: AUDIT_LOG_ARN,
-      InvocationType: 'Event', // Asynchronous invocation for better performance
-      Payload: JSON.stringify({
-        action: 'createAuditEvent',
-        auditEvent
-      })
-    };
-    
-    const response = await lambda.invoke(invokeParams).promise();
-    
-    // For async invocation, we won't have the actual audit record
-    // Return a simplified response
-    return {
-      eventType: auditEvent.eventType,
-      entityType: auditEvent.entityType,
-      entityId: auditEvent.entityId,
-      timestamp: new Date().toISOString(),
-      logged: true
-    };
-  } catch (error) {
-    console.error(`Error invoking audit service: ${error.message}`);
-    throw error;
-  }
-}
-
 /**
  * Create an audit event directly in the database
  * 
@@ -92,11 +48,23 @@ async function createAuditEventViaService(auditEvent) {
  */
 async function createAuditEventDirectly(auditEvent) {
   try {
-    // Connect to the database
-    const db = await getDbConnection(DB_SECRET_ARN);
+    // Events are written within their tenant; the chain head is read
+    // through audit_chain_head(), which spans all tenants
+    const db = await getDbConnection(DB_SECRET_ARN, { tenantId: auditEvent.tenantId });
     
     // Create the audit event record
-    return await db.createAuditEvent(auditEvent);
+    const record = await db.createAuditEvent(auditEvent);
+    
+    // Pin the chain head with a signed checkpoint at regular intervals
+    if (isCheckpointDue(record.sequence_number)) {
+      try {
+        await createCheckpoint(db);
+      } catch (checkpointError) {
+        console.error(`Error creating audit checkpoint: ${checkpointError.message}`);
+      }
+    }
+    
+    return record;
   } catch (error) {
     console.error(`Error creating audit event directly: ${error.message}`);
     
@@ -123,47 +91,214 @@ async function createAuditEventDirectly(auditEvent) {
  * @param {Object} [options] - Query options
  * @param {number} [options.limit] - Maximum number of events to return
  * @param {number} [options.offset] - Offset for pagination
- * @param {string} [options.sortBy] - Field to sort by
+ * @param {string} [options.sortBy] - Field to sort by ('timestamp', 'eventType', 'action', ...)
  * @param {string} [options.sortOrder] - Sort order ('asc' or 'desc')
+ * @param {string} [options.tenantId] - Caller's tenant, whose events are returned
  * @returns {Promise<Array<Object>>} Audit events for the entity
+ * @throws {Error} INVALID_QUERY if a sort or pagination option is not allowed
  */
 async function getAuditEvents(entityType, entityId, options = {}) {
   try {
     // Connect to the database
-    const db = await getDbConnection(DB_SECRET_ARN);
+    const db = await getDbConnection(DB_SECRET_ARN, { tenantId: options.tenantId });
     
-    // Default query options
-    const queryOptions = {
+    // Sort fields and orders are whitelisted by the query builder
+    return await db.listAuditEvents(entityType, entityId, {
       limit: options.limit || 100,
       offset: options.offset || 0,
-      sortBy: options.sortBy || 'timestamp',
-      sortOrder: options.sortOrder || 'desc'
-    };
-    
-    // Build query
-    const query = `
-      SELECT *
-      FROM audit_logs
-      WHERE entity_type = $1 AND entity_id = $2
-      ORDER BY ${queryOptions.sortBy} ${queryOptions.sortOrder}
-      LIMIT $3 OFFSET $4
-    `;
-    
-    // Execute query
-    const result = await db.query(query, [
-      entityType,
-      entityId,
-      queryOptions.limit,
-      queryOptions.offset
-    ]);
-    
-    return result.rows;
+      sort: {
+        field: options.sortBy || 'timestamp',
+        order: options.sortOrder || 'desc'
+      }
+    });
   } catch (error) {
     console.error(`Error retrieving audit events: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Query audit events across entities, newest first
+ * 
+ * @param {Object} filters - Query filters (see db.queryAuditEvents)
+ * @param {Object} [options] - Query options
+ * @param {number} [options.limit] - Maximum number of events to return
+ * @param {string} [options.cursor] - Cursor returned with the previous page
+ * @param {string} [options.tenantId] - Caller's tenant, whose events are returned
+ * @returns {Promise<Object>} Formatted events and the cursor for the next page
+ */
+async function queryAuditEvents(filters, options = {}) {
+  const limit = options.limit || 100;
+  const after = options.cursor ? decodeAuditCursor(options.cursor) : null;
+  
+  const db = await getDbConnection(DB_SECRET_ARN, { tenantId: options.tenantId });
+  
+  // Fetch one extra row to learn whether another page exists
+  const rows = await db.queryAuditEvents(filters, limit + 1, after);
+  const hasMore = rows.length > limit;
+  const pageRows = hasMore ? rows.slice(0, limit) : rows;
+  const lastRow = pageRows[pageRows.length - 1];
+  
+  return {
+    events: pageRows.map(formatAuditEvent),
+    nextCursor: hasMore ? encodeAuditCursor(lastRow) : null
+  };
+}
+
+/**
+ * Verify the audit hash chain and its signed checkpoints
+ * 
+ * The chain links the events of all tenants, so it is verified as a whole
+ * and the report is only for platform operators.
+ * 
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.fromSequence] - First sequence number to verify
+ * @param {number} [options.toSequence] - Last sequence number to verify
+ * @returns {Promise<Object>} Verification report with the first broken link, if any
+ */
+async function verifyAuditChain(options = {}) {
+  const db = await getDbConnection(DB_SECRET_ARN, { allTenants: true });
+  return await verifyChain(db, options);
+}
+
+/**
+ * Get a single audit event
+ * 
+ * @param {string} auditId - Audit event identifier
+ * @param {string} [tenantId] - Caller's tenant; events of other tenants are not found
+ * @returns {Promise<Object|null>} Formatted audit event, or null if not found
+ */
+async function getAuditEvent(auditId, tenantId) {
+  const db = await getDbConnection(DB_SECRET_ARN, { tenantId });
+  const row = await db.getAuditEvent(auditId);
+  
+  return row ? formatAuditEvent(row) : null;
+}
+
+/**
+ * Format an audit log row for API responses
+ * 
+ * @param {Object} row - audit_logs row
+ * @returns {Object} Audit event
+ */
+function formatAuditEvent(row) {
+  return {
+    auditId: row.audit_id,
+    sequenceNumber: row.sequence_number,
+    eventType: row.event_type,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    action: row.action,
+    tenantId: row.tenant_id,
+    userId: row.user_id,
+    clientId: row.client_id,
+    ipAddress: row.ip_address,
+    timestamp: row.timestamp,
+    previousState: row.previous_state,
+    newState: row.new_state,
+    metadata: row.metadata,
+    previousHash: row.previous_hash,
+    entryHash: row.entry_hash
+  };
+}
+
+/**
+ * Encode a pagination cursor pointing after an audit log row
+ * 
+ * @param {Object} row - Last audit_logs row of the page
+ * @returns {string} Opaque cursor
+ */
+function encodeAuditCursor(row) {
+  return Buffer.from(JSON.stringify({
+    timestamp: row.cursor_timestamp,
+    auditId: row.audit_id
+  })).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * 
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object} Keyset position with timestamp and auditId
+ * @throws {Error} INVALID_QUERY if the cursor is malformed
+ */
+function decodeAuditCursor(cursor) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createQueryError('cursor', 'Invalid audit log cursor');
+  }
+  
+  if (!position || typeof position.timestamp !== 'string' || typeof position.auditId !== 'string') {
+    throw createQueryError('cursor', 'Invalid audit log cursor');
+  }
+  
+  return position;
+}
+
+// Columns included in CSV exports, in order
+const AUDIT_EXPORT_FIELDS = [
+  'auditId',
+  'timestamp',
+  'eventType',
+  'entityType',
+  'entityId',
+  'action',
+  'tenantId',
+  'userId',
+  'clientId',
+  'ipAddress',
+  'previousState',
+  'newState',
+  'metadata',
+  'sequenceNumber',
+  'previousHash',
+  'entryHash'
+];
+
+/**
+ * Serialize audit events as CSV
+ * 
+ * @param {Array<Object>} events - Formatted audit events
+ * @returns {string} CSV document with a header row
+ */
+function auditEventsToCsv(events) {
+  const escape = value => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    
+    let text = value instanceof Date ? value.toISOString()
+      : typeof value === 'object' ? JSON.stringify(value)
+      : String(value);
+    
+    // Keep spreadsheet applications from evaluating cell contents as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  
+  const lines = [AUDIT_EXPORT_FIELDS.join(',')];
+  events.forEach(event => {
+    lines.push(AUDIT_EXPORT_FIELDS.map(field => escape(event[field])).join(','));
+  });
+  
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Serialize audit events as newline-delimited JSON
+ * 
+ * @param {Array<Object>} events - Formatted audit events
+ * @returns {string} One JSON object per line
+ */
+function auditEventsToNdjson(events) {
+  return events.map(event => `${JSON.stringify(event)}\n`).join('');
+}
+
 /**
  * Create an authorization audit event
  * 
@@ -171,6 +306,7 @@ async function getAuditEvents(entityType, entityId, options = {}) {
  * @param {string} authEvent.action - Action attempted
  * @param {string} authEvent.resource - Resource accessed
  * @param {string} authEvent.userId - User identifier
+ * @param {string} [authEvent.tenantId] - User's tenant
  * @param {boolean} authEvent.allowed - Whether access was allowed
  * @param {string} [authEvent.reason] - Reason for denial (if not allowed)
  * @returns {Promise<Object>} Created audit event
@@ -181,6 +317,7 @@ async function createAuthorizationAuditEvent(authEvent) {
     entityType: 'authorization',
     entityId: `${authEvent.userId}:${Date.now()}`,
     action: 'authorize',
+    tenantId: authEvent.tenantId,
     userId: authEvent.userId,
     metadata: {
       resource: authEvent.resource,
@@ -211,6 +348,12 @@ async function createSystemAuditEvent(action, details) {
 module.exports = {
   createAuditEvent,
   getAuditEvents,
+  queryAuditEvents,
+  getAuditEvent,
+  verifyAuditChain,
+  formatAuditEvent,
+  auditEventsToCsv,
+  auditEventsToNdjson,
   createAuthorizationAuditEvent,
   createSystemAuditEvent
 };
@@ -0,0 +1,341 @@
+/**
+ * EdSteward.ai - Authorization Module
+ * 
+ * This module decides whether a caller may use an API route. Each route
+ * requires a permission; callers hold permissions through their Cognito
+ * groups or through the OAuth scopes of their access token or API key
+ * (see apikeys.js).
+ * Administrators hold every permission within their tenant. Platform
+ * permissions cover what all tenants share, such as the validator registry
+ * and the audit hash chain; they are only held by platform operators, who
+ * act for no tenant. Other callers without a tenant are refused on tenant
+ * routes rather than acting outside every tenant. Every decision on a route
+ * that requires a permission is recorded in the audit log.
+ */
+
+const { createAuthorizationAuditEvent } = require('./audit');
+const { resolveTenant } = require('./tenancy');
+
+const PERMISSIONS = {
+  VALIDATE: 'validate',
+  VIEW_REGULATIONS: 'regulations:read',
+  ACCEPT_VERSIONS: 'versions:accept',
+  REVOKE_CERTIFICATES: 'certificates:revoke',
+  READ_AUDIT_LOGS: 'audit:read',
+  REVIEW: 'reviews:decide',
+  ADMIN: 'admin',
+  OPERATE_PLATFORM: 'platform:operate'
+};
+
+// Permissions over the platform as a whole; they are not implied by admin
+// and never held by a caller acting for a tenant
+const PLATFORM_PERMISSIONS = [PERMISSIONS.OPERATE_PLATFORM];
+
+// Permissions of the Cognito user groups (see cognito.tf)
+const GROUP_PERMISSIONS = {
+  admin: [PERMISSIONS.ADMIN],
+  validator: [PERMISSIONS.VALIDATE, PERMISSIONS.VIEW_REGULATIONS],
+  editor: [PERMISSIONS.ACCEPT_VERSIONS, PERMISSIONS.VIEW_REGULATIONS],
+  viewer: [PERMISSIONS.VIEW_REGULATIONS],
+  reviewer: [PERMISSIONS.REVIEW, PERMISSIONS.VIEW_REGULATIONS],
+  'platform-operator': [PERMISSIONS.OPERATE_PLATFORM]
+};
+
+// Permissions of the API scopes (see the Cognito resource server in cognito.tf);
+// certificates are read along with the regulations they attest to
+const SCOPE_PERMISSIONS = {
+  'validation.execute': [PERMISSIONS.VALIDATE],
+  'regulations.read': [PERMISSIONS.VIEW_REGULATIONS],
+  'certificates.read': [PERMISSIONS.VIEW_REGULATIONS],
+  'versions.manage': [PERMISSIONS.ACCEPT_VERSIONS],
+  'certificates.revoke': [PERMISSIONS.REVOKE_CERTIFICATES],
+  'audit.read': [PERMISSIONS.READ_AUDIT_LOGS],
+  'system.manage': [PERMISSIONS.ADMIN]
+};
+
+// Permission required by each route, keyed by method and resource; routes
+// with a null permission are public (certificate verification and the
+// revocation list serve third parties) and exempt from authorization audits
+const ROUTE_PERMISSIONS = {
+  'POST /validate': PERMISSIONS.VALIDATE,
+  'POST /validate/batch': PERMISSIONS.VALIDATE,
+  'GET /validate/batch/{jobId}': PERMISSIONS.VALIDATE,
+  'GET /validate/batch/{jobId}/items': PERMISSIONS.VALIDATE,
+  'GET /regulations': PERMISSIONS.VIEW_REGULATIONS,
+  'GET /regulations/{regulationId}': PERMISSIONS.VIEW_REGULATIONS,
+  'POST /versions/{regulationId}/check': PERMISSIONS.VIEW_REGULATIONS,
+  'POST /versions/{regulationId}/accept': PERMISSIONS.ACCEPT_VERSIONS,
+  'GET /certificates/{certificateId}': PERMISSIONS.VIEW_REGULATIONS,
+  'GET /certificates/{certificateId}/verify': null,
+  'POST /certificates/{certificateId}/verify': null,
+  'POST /certificates/{certificateId}/revoke': PERMISSIONS.REVOKE_CERTIFICATES,
+  'POST /certificates/revoke': PERMISSIONS.REVOKE_CERTIFICATES,
+  'GET /certificates/revocation-list': null,
+  'GET /validations/{validationId}': PERMISSIONS.VIEW_REGULATIONS,
+  'GET /regulations/{regulationId}/validations': PERMISSIONS.VIEW_REGULATIONS,
+  'GET /analytics/compliance': PERMISSIONS.VIEW_REGULATIONS,
+  'GET /regulations/{regulationId}/versions': PERMISSIONS.VIEW_REGULATIONS,
+  'GET /regulations/{regulationId}/versions/{versionNumber}': PERMISSIONS.VIEW_REGULATIONS,
+  'GET /regulations/{regulationId}/diff': PERMISSIONS.VIEW_REGULATIONS,
+  'GET /audit-logs': PERMISSIONS.READ_AUDIT_LOGS,
+  'GET /audit-logs/verify': PERMISSIONS.OPERATE_PLATFORM,
+  'GET /audit-logs/{auditId}': PERMISSIONS.READ_AUDIT_LOGS,
+  'GET /reviews': PERMISSIONS.REVIEW,
+  'GET /reviews/{reviewId}': PERMISSIONS.REVIEW,
+  'POST /reviews/{reviewId}/claim': PERMISSIONS.REVIEW,
+  'POST /reviews/{reviewId}/decision': PERMISSIONS.REVIEW,
+  'POST /reviews/{reviewId}/annotations': PERMISSIONS.REVIEW,
+  'GET /classification-profiles': PERMISSIONS.ADMIN,
+  'POST /classification-profiles': PERMISSIONS.ADMIN,
+  'POST /classification-profiles/{profileId}/activate': PERMISSIONS.ADMIN,
+  'GET /validators': PERMISSIONS.OPERATE_PLATFORM,
+  'PUT /validators/{validatorId}': PERMISSIONS.OPERATE_PLATFORM,
+  'GET /api-keys': PERMISSIONS.ADMIN,
+  'POST /api-keys': PERMISSIONS.ADMIN,
+  'POST /api-keys/{keyId}/rotate': PERMISSIONS.ADMIN,
+  'POST /api-keys/{keyId}/revoke': PERMISSIONS.ADMIN,
+  'GET /status': null
+};
+
+// Tenant routes platform operators use without a tenant, to manage the
+// global classification profiles all tenants share
+const OPERATOR_ROUTES = [
+  'GET /classification-profiles',
+  'POST /classification-profiles',
+  'POST /classification-profiles/{profileId}/activate'
+];
+
+// API scopes
+const SCOPES = Object.keys(SCOPE_PERMISSIONS);
+
+// Scopes an API key may carry; scopes granting administration stay with
+// interactive users
+const API_KEY_SCOPES = SCOPES.filter(scope => !SCOPE_PERMISSIONS[scope].includes(PERMISSIONS.ADMIN));
+
+/**
+ * Split a claim holding several values into a list
+ * 
+ * Claims arrive from API Gateway as strings: groups comma separated (or
+ * bracketed and space separated) and scopes space separated.
+ * 
+ * @param {string|Array<string>} [value] - Claim value
+ * @returns {Array<string>} Values
+ */
+function parseListClaim(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  
+  if (typeof value !== 'string') {
+    return [];
+  }
+  
+  return value.replace(/^\[|\]$/g, '').split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Get the identity and grants of the caller of a request
+ * 
+ * Scopes may be qualified with the resource server identifier
+ * (https://api.edsteward.ai/audit.read); only the scope name is kept.
+ * Callers authenticated with an API key are identified by the key, and
+ * only the scopes an API key may carry count for them.
+ * 
+ * @param {Object} event - API Gateway event
+ * @returns {Object} Caller with userId, tenantId, groups and scopes
+ */
+function getPrincipal(event) {
+  const authorizer = (event.requestContext && event.requestContext.authorizer) || {};
+  const claims = authorizer.claims || {};
+  const scopes = parseListClaim(claims.scope || authorizer.scopes)
+    .map(scope => scope.slice(scope.lastIndexOf('/') + 1));
+  
+  return {
+    userId: claims.sub || authorizer.principalId,
+    tenantId: resolveTenant(event).tenantId,
+    groups: parseListClaim(claims['cognito:groups']),
+    scopes: authorizer.keyId ? scopes.filter(scope => API_KEY_SCOPES.includes(scope)) : scopes
+  };
+}
+
+/**
+ * Get the permissions a caller holds
+ * 
+ * Platform permissions are dropped for callers with a tenant, so that
+ * membership of the operator group cannot be combined with a tenant.
+ * 
+ * @param {Object} principal - Caller (see getPrincipal)
+ * @returns {Array<string>} Permissions
+ */
+function getPermissions(principal) {
+  const permissions = new Set();
+  
+  principal.groups.forEach(group => {
+    (GROUP_PERMISSIONS[group] || []).forEach(permission => permissions.add(permission));
+  });
+  
+  principal.scopes.forEach(scope => {
+    (SCOPE_PERMISSIONS[scope] || []).forEach(permission => permissions.add(permission));
+  });
+  
+  if (principal.tenantId) {
+    PLATFORM_PERMISSIONS.forEach(permission => permissions.delete(permission));
+  }
+  
+  return Array.from(permissions);
+}
+
+/**
+ * Check whether a caller holds a permission
+ * 
+ * @param {Object} principal - Caller (see getPrincipal)
+ * @param {string} permission - Required permission
+ * @returns {boolean} True if the caller holds the permission, or is an administrator
+ *   and the permission is not a platform permission
+ */
+function hasPermission(principal, permission) {
+  const permissions = getPermissions(principal);
+  
+  if (PLATFORM_PERMISSIONS.includes(permission)) {
+    return permissions.includes(permission);
+  }
+  
+  return permissions.includes(PERMISSIONS.ADMIN) || permissions.includes(permission);
+}
+
+/**
+ * Get the scopes a caller may issue API keys with
+ * 
+ * A key never grants more than its issuer holds.
+ * 
+ * @param {Object} principal - Caller (see getPrincipal)
+ * @returns {Array<string>} Scopes among API_KEY_SCOPES whose permissions the caller holds
+ */
+function getGrantableScopes(principal) {
+  return API_KEY_SCOPES.filter(scope => (
+    SCOPE_PERMISSIONS[scope].every(permission => hasPermission(principal, permission))
+  ));
+}
+
+/**
+ * Find the route a request path belongs to
+ * 
+ * Like API Gateway, a route with more literal path segments takes precedence
+ * (/certificates/revocation-list over /certificates/{certificateId}).
+ * 
+ * @param {string} httpMethod - HTTP method
+ * @param {string} path - Request path (e.g. /regulations/REG-1/versions)
+ * @returns {Object|null} Route resource and pathParameters, or null if no route matches
+ */
+function matchRoute(httpMethod, path) {
+  const segments = path.split('/').filter(Boolean);
+  let match = null;
+  let matchLiterals = -1;
+  
+  Object.keys(ROUTE_PERMISSIONS).forEach(route => {
+    const [method, resource] = route.split(' ');
+    const templateSegments = resource.split('/').filter(Boolean);
+    if (method !== httpMethod || templateSegments.length !== segments.length) {
+      return;
+    }
+    
+    const pathParameters = {};
+    let literals = 0;
+    const matches = templateSegments.every((templateSegment, index) => {
+      const parameter = /^\{(\w+)\}$/.exec(templateSegment);
+      if (parameter) {
+        try {
+          pathParameters[parameter[1]] = decodeURIComponent(segments[index]);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      }
+      
+      literals++;
+      return templateSegment === segments[index];
+    });
+    
+    if (matches && literals > matchLiterals) {
+      match = { resource, pathParameters };
+      matchLiterals = literals;
+    }
+  });
+  
+  return match;
+}
+
+/**
+ * Decide whether a caller may use a route
+ * 
+ * Routes requiring a tenant permission are refused to callers without a
+ * tenant, except for platform operators on OPERATOR_ROUTES.
+ * 
+ * @param {Object} principal - Caller (see getPrincipal)
+ * @param {string} route - Method and resource
+ * @param {string} permission - Permission the route requires
+ * @returns {Object} Decision with allowed, and code and reason for denials
+ */
+function decideRoute(principal, route, permission) {
+  if (!principal.tenantId && !PLATFORM_PERMISSIONS.includes(permission)) {
+    if (OPERATOR_ROUTES.includes(route) && hasPermission(principal, PERMISSIONS.OPERATE_PLATFORM)) {
+      return { allowed: true };
+    }
+    
+    return { allowed: false, code: 'TENANT_REQUIRED', reason: 'A tenant is required for this route' };
+  }
+  
+  if (!hasPermission(principal, permission)) {
+    return { allowed: false, code: 'AUTHORIZATION_FAILED', reason: `The ${permission} permission is required` };
+  }
+  
+  return { allowed: true };
+}
+
+/**
+ * Authorize a request against the permission its route requires
+ * 
+ * Routes without an entry in ROUTE_PERMISSIONS are left to the router to
+ * reject. Decisions for routes that require a permission are audited.
+ * Public routes are exempt: anyone may call them, so their decisions carry
+ * no caller, and auditing them would let anonymous callers grow the audit
+ * chain at will. Certificate verifications are audited by their handler.
+ * 
+ * @param {Object} event - API Gateway event
+ * @returns {Promise<Object>} Decision with allowed, permission, and code and reason for denials
+ */
+async function authorizeRequest(event) {
+  const route = `${event.httpMethod} ${event.resource}`;
+  const permission = ROUTE_PERMISSIONS[route];
+  
+  if (!permission) {
+    return { allowed: true, permission: null };
+  }
+  
+  const principal = getPrincipal(event);
+  const { allowed, code, reason } = decideRoute(principal, route, permission);
+  
+  await createAuthorizationAuditEvent({
+    action: permission,
+    resource: route,
+    userId: principal.userId,
+    tenantId: principal.tenantId,
+    allowed,
+    reason
+  });
+  
+  return { allowed, permission, code, reason };
+}
+
+module.exports = {
+  PERMISSIONS,
+  PLATFORM_PERMISSIONS,
+  SCOPES,
+  API_KEY_SCOPES,
+  getPrincipal,
+  getPermissions,
+  hasPermission,
+  getGrantableScopes,
+  matchRoute,
+  authorizeRequest
+};
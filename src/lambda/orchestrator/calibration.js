@@ -0,0 +1,318 @@
+/**
+ * EdSteward.ai - Classifier Calibration Module
+ * 
+ * This module backtests the regulation classifier against historical
+ * validations. It replays each validation through the classifier, compares
+ * the level the classifier picks with the level the validation turned out to
+ * need, and searches for level thresholds that fit the history better.
+ */
+
+const { scoreRegulation, determineLevel } = require('./classifier');
+
+const LEVELS = [1, 2, 3];
+
+// Certainty level at which a validation result is conclusive without further checks
+const CONCLUSIVE_CERTAINTY = 4;
+
+// Under-classification sends a regulation to a validator that cannot settle it,
+// so it counts for more than the extra cost of over-classification
+const UNDER_CLASSIFICATION_COST = 2;
+
+// Fewer validations than this are too few to base a threshold change on
+const MIN_RELIABLE_SAMPLE = 30;
+
+/**
+ * Determine the validation level a historical validation actually needed
+ * 
+ * A result that went to human review needed context-sensitive (level 3)
+ * validation. A conclusive result shows the level used was enough. An
+ * inconclusive result needed at least the next level up.
+ * 
+ * @param {Object} record - Historical validation
+ * @param {number} record.validationLevel - Level the validation ran at
+ * @param {number} record.certaintyLevel - Certainty of the result
+ * @param {string} [record.reviewDecision] - Human review decision, if reviewed
+ * @param {string} [record.reviewId] - Review queue item, if queued for review
+ * @returns {number} Required validation level (1-3)
+ */
+function deriveRequiredLevel(record) {
+  if (record.reviewDecision || record.reviewId) {
+    return 3;
+  }
+  
+  if (record.certaintyLevel >= CONCLUSIVE_CERTAINTY) {
+    return record.validationLevel;
+  }
+  
+  return Math.min(3, record.validationLevel + 1);
+}
+
+/**
+ * Build a confusion matrix of required against predicted levels
+ * 
+ * @param {Array<Object>} outcomes - Outcomes with requiredLevel and predictedLevel
+ * @returns {Object} Matrix keyed by required then predicted level, with summary counts
+ */
+function buildConfusionMatrix(outcomes) {
+  const matrix = {};
+  LEVELS.forEach(required => {
+    matrix[required] = {};
+    LEVELS.forEach(predicted => {
+      matrix[required][predicted] = 0;
+    });
+  });
+  
+  let correct = 0;
+  let underClassified = 0;
+  let overClassified = 0;
+  
+  outcomes.forEach(({ requiredLevel, predictedLevel }) => {
+    matrix[requiredLevel][predictedLevel]++;
+    if (predictedLevel === requiredLevel) {
+      correct++;
+    } else if (predictedLevel < requiredLevel) {
+      underClassified++;
+    } else {
+      overClassified++;
+    }
+  });
+  
+  return {
+    matrix,
+    total: outcomes.length,
+    correct,
+    underClassified,
+    overClassified,
+    accuracy: outcomes.length > 0 ? Math.round((correct / outcomes.length) * 1000) / 1000 : null,
+    cost: overClassified + UNDER_CLASSIFICATION_COST * underClassified
+  };
+}
+
+/**
+ * Evaluate level thresholds against scored validations
+ * 
+ * @param {Array<Object>} scored - Validations with complexityScore and requiredLevel
+ * @param {Object} thresholds - Scores at which level 2 and level 3 begin
+ * @returns {Object} Confusion matrix for the thresholds
+ */
+function evaluateThresholds(scored, thresholds) {
+  return buildConfusionMatrix(scored.map(item => ({
+    requiredLevel: item.requiredLevel,
+    predictedLevel: determineLevel(item.complexityScore, thresholds)
+  })));
+}
+
+/**
+ * Search for the level thresholds with the lowest misclassification cost
+ * 
+ * Ties are broken in favour of thresholds closest to the current ones, so
+ * that a suggestion only moves thresholds as far as the history supports.
+ * 
+ * @param {Array<Object>} scored - Validations with complexityScore and requiredLevel
+ * @param {Object} currentThresholds - Thresholds in use
+ * @returns {Object} Suggested thresholds and their confusion matrix
+ */
+function suggestThresholds(scored, currentThresholds) {
+  let best = null;
+  
+  for (let level2 = 0; level2 < 100; level2++) {
+    for (let level3 = level2 + 1; level3 <= 100; level3++) {
+      const thresholds = { level2, level3 };
+      const evaluation = evaluateThresholds(scored, thresholds);
+      const distance = Math.abs(level2 - currentThresholds.level2) + Math.abs(level3 - currentThresholds.level3);
+      
+      if (!best || evaluation.cost < best.evaluation.cost ||
+          (evaluation.cost === best.evaluation.cost && distance < best.distance)) {
+        best = { thresholds, evaluation, distance };
+      }
+    }
+  }
+  
+  return {
+    thresholds: best.thresholds,
+    confusion: best.evaluation,
+    changed: best.distance > 0,
+    reliable: scored.length >= MIN_RELIABLE_SAMPLE
+  };
+}
+
+/**
+ * Backtest the classifier against historical validations
+ * 
+ * @param {Array<Object>} records - Historical validations with regulation, content and versions
+ * @param {Object} settings - Classification profile settings to test
+ * @returns {Object} Calibration report
+ */
+function runCalibration(records, settings) {
+  const scored = [];
+  const skipped = [];
+  
+  records.forEach(record => {
+    if (!record.regulation || !LEVELS.includes(record.validationLevel)) {
+      skipped.push({ regulationId: record.regulationId, reason: 'Missing regulation or validation level' });
+      return;
+    }
+    
+    const { complexityScore } = scoreRegulation(record.regulation, {
+      content: record.content || null,
+      versions: record.versions || [],
+      settings,
+      asOf: record.timestamp
+    });
+    
+    scored.push({
+      regulationId: record.regulation.regulation_id,
+      timestamp: record.timestamp,
+      complexityScore,
+      predictedLevel: determineLevel(complexityScore, settings.thresholds),
+      requiredLevel: deriveRequiredLevel(record)
+    });
+  });
+  
+  const current = evaluateThresholds(scored, settings.thresholds);
+  const suggestion = scored.length > 0 ? suggestThresholds(scored, settings.thresholds) : null;
+  
+  return {
+    generatedAt: new Date().toISOString(),
+    recordCount: records.length,
+    scoredCount: scored.length,
+    skipped,
+    settings,
+    current: {
+      thresholds: settings.thresholds,
+      confusion: current
+    },
+    suggestion,
+    validations: scored
+  };
+}
+
+/**
+ * Load historical validations from the audit trail
+ * 
+ * Each 'validation.completed' event is joined with its review decision and
+ * the regulation text and version history it was validated against.
+ * 
+ * @param {Object} db - Database client
+ * @param {Object} [options] - Selection options
+ * @param {string} [options.from] - Earliest validation timestamp (ISO 8601)
+ * @param {string} [options.to] - Latest validation timestamp (ISO 8601)
+ * @param {number} [options.limit] - Maximum number of validations
+ * @returns {Promise<Array<Object>>} Historical validations
+ */
+async function loadValidationHistory(db, options = {}) {
+  const limit = options.limit || 1000;
+  const pageSize = Math.min(limit, 500);
+  const events = [];
+  let after = null;
+  
+  while (events.length < limit) {
+    const rows = await db.queryAuditEvents({
+      eventType: 'validation.completed',
+      from: options.from,
+      to: options.to
+    }, pageSize, after);
+    
+    events.push(...rows.slice(0, limit - events.length));
+    if (rows.length < pageSize) {
+      break;
+    }
+    
+    const last = rows[rows.length - 1];
+    after = { timestamp: last.cursor_timestamp, auditId: last.audit_id };
+  }
+  
+  const regulations = new Map();
+  const records = [];
+  
+  for (const event of events) {
+    const metadata = event.metadata || {};
+    const regulationId = event.entity_id;
+    
+    if (!regulations.has(regulationId)) {
+      const regulation = await db.getRegulation(regulationId);
+      const versions = regulation ? await db.listRegulationVersions(regulationId) : [];
+      regulations.set(regulationId, { regulation, versions, content: new Map() });
+    }
+    
+    const cached = regulations.get(regulationId);
+    const versionNumber = metadata.regulationVersion || (cached.regulation && cached.regulation.current_version);
+    
+    if (cached.regulation && versionNumber && !cached.content.has(versionNumber)) {
+      const version = await db.getRegulationVersion(regulationId, versionNumber);
+      cached.content.set(versionNumber, version ? version.content : null);
+    }
+    
+    const review = metadata.reviewId ? await db.getReviewItem(metadata.reviewId) : null;
+    
+    records.push({
+      regulationId,
+      regulation: cached.regulation,
+      content: cached.content.get(versionNumber) || null,
+      versions: cached.versions,
+      timestamp: event.timestamp,
+      // Events before routing followed the classification only record the requested level
+      validationLevel: metadata.effectiveLevel || metadata.validationLevel,
+      certaintyLevel: metadata.certaintyLevel,
+      isValid: metadata.isValid,
+      classifiedLevel: metadata.classifiedLevel,
+      reviewId: metadata.reviewId,
+      reviewDecision: review ? review.decision : undefined
+    });
+  }
+  
+  return records;
+}
+
+/**
+ * Format a calibration report as text
+ * 
+ * @param {Object} report - Calibration report
+ * @returns {string} Human-readable report
+ */
+function formatCalibrationReport(report) {
+  const lines = [
+    'Classifier calibration report',
+    `Generated: ${report.generatedAt}`,
+    `Validations: ${report.scoredCount} scored, ${report.skipped.length} skipped`,
+    ''
+  ];
+  
+  const describe = (title, thresholds, confusion) => {
+    lines.push(`${title}: level2 >= ${thresholds.level2}, level3 >= ${thresholds.level3}`);
+    const header = '  required \\ predicted';
+    lines.push(`${header}${LEVELS.map(level => `L${level}`.padStart(6)).join('')}`);
+    LEVELS.forEach(required => {
+      const row = LEVELS.map(predicted => String(confusion.matrix[required][predicted]).padStart(6)).join('');
+      lines.push(`${`  L${required}`.padEnd(header.length)}${row}`);
+    });
+    lines.push(`  accuracy ${confusion.accuracy === null ? 'n/a' : confusion.accuracy}, ` +
+      `under-classified ${confusion.underClassified}, over-classified ${confusion.overClassified}`);
+    lines.push('');
+  };
+  
+  describe('Current thresholds', report.current.thresholds, report.current.confusion);
+  
+  if (!report.suggestion) {
+    lines.push('No validations to calibrate against.');
+  } else if (!report.suggestion.changed) {
+    lines.push('The current thresholds already fit the history best.');
+  } else {
+    describe('Suggested thresholds', report.suggestion.thresholds, report.suggestion.confusion);
+    if (!report.suggestion.reliable) {
+      lines.push(`Note: fewer than ${MIN_RELIABLE_SAMPLE} validations; treat the suggestion as indicative only.`);
+    }
+  }
+  
+  return lines.join('\n');
+}
+
+module.exports = {
+  deriveRequiredLevel,
+  buildConfusionMatrix,
+  evaluateThresholds,
+  suggestThresholds,
+  runCalibration,
+  loadValidationHistory,
+  formatCalibrationReport
+};
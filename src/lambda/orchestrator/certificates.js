@@ -0,0 +1,258 @@
+/**
+ * EdSteward.ai - Attestation Certificate Module
+ * 
+ * This module handles verification and revocation of stored attestation
+ * certificates so that external auditors can confirm a certificate is genuine
+ * and still in force.
+ */
+
+const AWS = require('aws-sdk');
+const { verifyCertificateSignature, signDocument } = require('./signing');
+
+// Initialize AWS services
+const s3 = new AWS.S3();
+
+// Environment variables
+const DOCUMENTS_BUCKET_NAME = process.env.DOCUMENTS_BUCKET_NAME;
+const REVOCATION_LIST_KEY = process.env.REVOCATION_LIST_KEY || 'certificates/revocation-list.json';
+
+// How long verifiers may cache a revocation list before fetching a new one
+const REVOCATION_LIST_TTL_HOURS = 24;
+
+// Reasons a certificate may be revoked
+const REVOCATION_REASONS = [
+  'superseded',          // Regulation version superseded
+  'validation_error',    // Underlying validation found to be wrong
+  'key_compromise',      // Signing key compromised
+  'regulation_withdrawn',
+  'other'
+];
+
+/**
+ * Convert a database certificate row into the certificate shape used in responses
+ * 
+ * @param {Object} row - Row from attestation_certificates
+ * @returns {Object} Certificate
+ */
+function formatCertificate(row) {
+  const metadata = row.metadata || {};
+  
+  return {
+    certificateId: row.certificate_id,
+    validationId: row.validation_id,
+    regulationId: row.regulation_id,
+    regulationVersion: row.regulation_version,
+    issuedAt: toISOString(row.issued_at),
+    expiresAt: toISOString(row.expires_at),
+    validatedBy: row.issuer,
+    validationResultHash: metadata.validationResultHash,
+    cryptographicSignature: parseSignature(row.cryptographic_signature),
+    revocationStatus: row.revocation_status,
+    revocationReason: row.revocation_reason || null,
+    revokedAt: toISOString(row.revoked_at),
+    certificateUrl: metadata.certificateUrl
+  };
+}
+
+/**
+ * Verify a stored certificate
+ * 
+ * Checks the signature, expiry, revocation status and whether the certified
+ * regulation version is still the current version.
+ * 
+ * @param {Object} certificate - Certificate (as returned by formatCertificate)
+ * @param {Object|null} regulation - Current regulation record, or null if it no longer exists
+ * @returns {Promise<Object>} Verification verdict
+ */
+async function verifyCertificate(certificate, regulation) {
+  const now = new Date();
+  const reasons = [];
+  
+  // Signature over the canonical certificate fields
+  const signatureValid = await verifyCertificateSignature({
+    certificateId: certificate.certificateId,
+    regulationId: certificate.regulationId,
+    regulationVersion: certificate.regulationVersion,
+    validationResultHash: certificate.validationResultHash,
+    issuedAt: certificate.issuedAt,
+    expiresAt: certificate.expiresAt
+  }, certificate.cryptographicSignature);
+  
+  if (!signatureValid) {
+    reasons.push({ code: 'INVALID_SIGNATURE', message: 'Certificate signature could not be verified' });
+  }
+  
+  // Expiry
+  const expired = !certificate.expiresAt || new Date(certificate.expiresAt) <= now;
+  if (expired) {
+    reasons.push({ code: 'ATTESTATION_EXPIRED', message: `Certificate expired at ${certificate.expiresAt}` });
+  }
+  
+  // Revocation
+  const revoked = certificate.revocationStatus !== 'active';
+  if (revoked) {
+    reasons.push({
+      code: 'ATTESTATION_REVOKED',
+      message: certificate.revocationReason
+        ? `Certificate was revoked at ${certificate.revokedAt} (${certificate.revocationReason})`
+        : `Certificate status is ${certificate.revocationStatus}`
+    });
+  }
+  
+  // Regulation version currency
+  const currentVersion = regulation ? regulation.current_version : null;
+  const versionCurrent = currentVersion !== null && currentVersion === certificate.regulationVersion;
+  if (!versionCurrent) {
+    reasons.push({
+      code: 'VERSION_SUPERSEDED',
+      message: currentVersion
+        ? `Regulation version ${certificate.regulationVersion} has been superseded by ${currentVersion}`
+        : `Regulation ${certificate.regulationId} is no longer available`
+    });
+  }
+  
+  return {
+    certificateId: certificate.certificateId,
+    isValid: reasons.length === 0,
+    verificationTimestamp: now.toISOString(),
+    checks: {
+      signature: signatureValid,
+      notExpired: !expired,
+      notRevoked: !revoked,
+      versionCurrent
+    },
+    reasons,
+    certificate: {
+      regulationId: certificate.regulationId,
+      regulationVersion: certificate.regulationVersion,
+      currentRegulationVersion: currentVersion,
+      issuedAt: certificate.issuedAt,
+      expiresAt: certificate.expiresAt,
+      issuer: certificate.validatedBy,
+      signingKeyId: certificate.cryptographicSignature ? certificate.cryptographicSignature.keyId : null,
+      revocationStatus: certificate.revocationStatus
+    }
+  };
+}
+
+/**
+ * Build and sign a revocation list from the revoked certificates in the database
+ * 
+ * @param {Object} db - Database client
+ * @returns {Promise<Object>} Signed revocation list
+ */
+async function buildRevocationList(db) {
+  const revoked = await db.listRevokedCertificates();
+  
+  const issuedAt = new Date();
+  const nextUpdate = new Date(issuedAt);
+  nextUpdate.setHours(issuedAt.getHours() + REVOCATION_LIST_TTL_HOURS);
+  
+  const revocationList = {
+    version: 1,
+    issuer: 'EdSteward.ai',
+    issuedAt: issuedAt.toISOString(),
+    nextUpdate: nextUpdate.toISOString(),
+    revokedCertificates: revoked.map(row => ({
+      certificateId: row.certificate_id,
+      regulationId: row.regulation_id,
+      regulationVersion: row.regulation_version,
+      reasonCode: row.revocation_reason,
+      revokedAt: toISOString(row.revoked_at)
+    }))
+  };
+  
+  revocationList.signature = await signDocument({ ...revocationList });
+  
+  return revocationList;
+}
+
+/**
+ * Build, sign and publish the revocation list to the documents bucket
+ * 
+ * @param {Object} db - Database client
+ * @returns {Promise<Object>} Published revocation list
+ */
+async function publishRevocationList(db) {
+  const revocationList = await buildRevocationList(db);
+  
+  await s3.putObject({
+    Bucket: DOCUMENTS_BUCKET_NAME,
+    Key: REVOCATION_LIST_KEY,
+    Body: JSON.stringify(revocationList),
+    ContentType: 'application/json',
+    CacheControl: `public, max-age=${REVOCATION_LIST_TTL_HOURS * 3600}`
+  }).promise();
+  
+  console.log(`Published revocation list with ${revocationList.revokedCertificates.length} entries`);
+  
+  return revocationList;
+}
+
+/**
+ * Get the most recently published revocation list
+ * 
+ * @returns {Promise<Object|null>} Revocation list, or null if none has been published
+ */
+async function getPublishedRevocationList() {
+  try {
+    const response = await s3.getObject({
+      Bucket: DOCUMENTS_BUCKET_NAME,
+      Key: REVOCATION_LIST_KEY
+    }).promise();
+    
+    return JSON.parse(response.Body.toString('utf8'));
+  } catch (error) {
+    if (error.code === 'NoSuchKey') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parse a stored signature envelope
+ * 
+ * @param {string|Object} value - Stored signature
+ * @returns {Object|null} Signature envelope, or null if it is not a signed envelope
+ */
+function parseSignature(value) {
+  if (!value) {
+    return null;
+  }
+  
+  if (typeof value === 'object') {
+    return value;
+  }
+  
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    // Certificates issued before signing was introduced carry a placeholder
+    return null;
+  }
+}
+
+/**
+ * Normalize a database timestamp to an ISO 8601 string
+ * 
+ * @param {Date|string} value - Timestamp
+ * @returns {string|null} ISO 8601 string
+ */
+function toISOString(value) {
+  if (!value) {
+    return null;
+  }
+  
+  return new Date(value).toISOString();
+}
+
+module.exports = {
+  REVOCATION_REASONS,
+  REVOCATION_LIST_TTL_HOURS,
+  formatCertificate,
+  verifyCertificate,
+  buildRevocationList,
+  publishRevocationList,
+  getPublishedRevocationList
+};
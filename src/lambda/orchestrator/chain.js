@@ -0,0 +1,339 @@
+/**
+ * EdSteward.ai - Audit Hash Chain Module
+ * 
+ * This module makes the audit log tamper-evident. Every entry carries a hash
+ * of its own content and of the entry before it, so editing, inserting or
+ * deleting a row breaks the chain from that point on. Signed checkpoints pin
+ * the chain head at regular intervals so that truncation and wholesale
+ * rewrites are detected as well.
+ */
+
+const crypto = require('crypto');
+const { canonicalize, signDocument, verifyDocumentSignature } = require('./signing');
+
+// Previous hash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// A signed checkpoint is written every this many entries
+const CHECKPOINT_INTERVAL = parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL || '1000', 10);
+
+// Entries read from the database per round trip while verifying
+const VERIFY_BATCH_SIZE = 1000;
+
+// Most entries verified by one request, keeping verification within the API timeout
+const MAX_VERIFY_ENTRIES = parseInt(process.env.AUDIT_VERIFY_MAX_ENTRIES || '20000', 10);
+
+/**
+ * Build the hashed representation of an audit entry
+ * 
+ * JSON columns are round-tripped through JSON so the hash computed before
+ * insertion matches the one recomputed from the stored row. The tenant is
+ * only included when set, so that entries written before events were
+ * tagged with a tenant keep their hashes.
+ * 
+ * @param {Object} entry - Audit entry
+ * @returns {Object} Chain entry
+ */
+function toChainEntry(entry) {
+  const json = value => (value === null || value === undefined ? null : JSON.parse(JSON.stringify(value)));
+  
+  return {
+    sequenceNumber: Number(entry.sequenceNumber),
+    timestamp: new Date(entry.timestamp).toISOString(),
+    eventType: entry.eventType,
+    entityType: entry.entityType,
+    entityId: entry.entityId === null || entry.entityId === undefined ? null : String(entry.entityId),
+    userId: entry.userId || null,
+    clientId: entry.clientId || null,
+    ipAddress: entry.ipAddress || null,
+    action: entry.action,
+    previousState: json(entry.previousState),
+    newState: json(entry.newState),
+    metadata: json(entry.metadata) || {},
+    previousHash: entry.previousHash,
+    ...(entry.tenantId ? { tenantId: entry.tenantId } : {})
+  };
+}
+
+/**
+ * Compute the hash of an audit entry, including the previous entry's hash
+ * 
+ * @param {Object} entry - Audit entry (camelCase fields, see toChainEntry)
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function computeEntryHash(entry) {
+  return crypto
+    .createHash('sha256')
+    .update(canonicalize(toChainEntry(entry)))
+    .digest('hex');
+}
+
+/**
+ * Recompute the hash of a stored audit_logs row
+ * 
+ * @param {Object} row - audit_logs row
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function computeRowHash(row) {
+  return computeEntryHash({
+    sequenceNumber: row.sequence_number,
+    timestamp: row.timestamp,
+    eventType: row.event_type,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    tenantId: row.tenant_id,
+    userId: row.user_id,
+    clientId: row.client_id,
+    ipAddress: row.ip_address,
+    action: row.action,
+    previousState: row.previous_state,
+    newState: row.new_state,
+    metadata: row.metadata,
+    previousHash: row.previous_hash
+  });
+}
+
+/**
+ * Determine whether a checkpoint is due after an entry was appended
+ * 
+ * @param {number|string} sequenceNumber - Sequence number of the new entry
+ * @returns {boolean} True if a checkpoint should be written
+ */
+function isCheckpointDue(sequenceNumber) {
+  return CHECKPOINT_INTERVAL > 0 && Number(sequenceNumber) % CHECKPOINT_INTERVAL === 0;
+}
+
+/**
+ * Sign and store a checkpoint of the current chain head
+ * 
+ * @param {Object} db - Database client
+ * @returns {Promise<Object|null>} Stored checkpoint, or null if the chain is empty
+ */
+async function createCheckpoint(db) {
+  const head = await db.getAuditChainHead();
+  if (!head) {
+    return null;
+  }
+  
+  const checkpoint = {
+    sequenceNumber: Number(head.sequence_number),
+    entryHash: head.entry_hash,
+    createdAt: new Date().toISOString()
+  };
+  
+  const signature = await signDocument(checkpoint);
+  
+  return await db.createAuditCheckpoint({ ...checkpoint, signature });
+}
+
+/**
+ * Walk the audit chain and report the first broken link
+ * 
+ * At most MAX_VERIFY_ENTRIES entries are verified; the report's hasMore
+ * flag tells whether entries beyond the verified range remain. Without a
+ * range, verification starts at the latest signed checkpoint and covers the
+ * entries written since; earlier entries are verified by requesting them.
+ * 
+ * @param {Object} db - Database client
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.fromSequence] - First sequence number to verify
+ *   (default: latest checkpoint, or the start of the chain)
+ * @param {number} [options.toSequence] - Last sequence number to verify (default: chain head)
+ * @returns {Promise<Object>} Verification report
+ */
+async function verifyChain(db, options = {}) {
+  const checkpoints = await db.listAuditCheckpoints();
+  const toSequence = options.toSequence || null;
+  const fromSequence = options.fromSequence || getDefaultFromSequence(checkpoints, toSequence);
+  const limitSequence = toSequence
+    ? Math.min(toSequence, fromSequence + MAX_VERIFY_ENTRIES - 1)
+    : fromSequence + MAX_VERIFY_ENTRIES - 1;
+  
+  // Anchor on the entry before the range, or the genesis hash
+  let expectedPreviousHash = GENESIS_HASH;
+  if (fromSequence > 1) {
+    const anchor = await db.getAuditChainEntry(fromSequence - 1);
+    if (!anchor) {
+      return buildReport(fromSequence, fromSequence - 1, 0, {
+        sequenceNumber: fromSequence - 1,
+        reason: 'MISSING_ENTRY',
+        message: `Entry ${fromSequence - 1} preceding the requested range is missing`
+      }, [], { beforeChain: 0, sinceChainStart: 0 });
+    }
+    expectedPreviousHash = anchor.entry_hash;
+  }
+  
+  let expectedSequence = fromSequence;
+  let entriesVerified = 0;
+  let firstBrokenLink = null;
+  const hashesBySequence = new Map();
+  
+  const checkpointSequences = new Set(checkpoints.map(checkpoint => Number(checkpoint.sequence_number)));
+  
+  while (!firstBrokenLink) {
+    const rows = await db.listAuditChainEntries(expectedSequence - 1, VERIFY_BATCH_SIZE, limitSequence);
+    if (rows.length === 0) {
+      break;
+    }
+    
+    for (const row of rows) {
+      const sequenceNumber = Number(row.sequence_number);
+      
+      if (sequenceNumber !== expectedSequence) {
+        firstBrokenLink = {
+          sequenceNumber: expectedSequence,
+          reason: 'SEQUENCE_GAP',
+          message: `Entries ${expectedSequence} to ${sequenceNumber - 1} are missing`
+        };
+      } else if (row.previous_hash !== expectedPreviousHash) {
+        firstBrokenLink = {
+          sequenceNumber,
+          auditId: row.audit_id,
+          reason: 'PREVIOUS_HASH_MISMATCH',
+          message: 'Entry does not link to the preceding entry'
+        };
+      } else if (computeRowHash(row) !== row.entry_hash) {
+        firstBrokenLink = {
+          sequenceNumber,
+          auditId: row.audit_id,
+          reason: 'HASH_MISMATCH',
+          message: 'Entry content does not match its hash'
+        };
+      }
+      
+      if (firstBrokenLink) {
+        break;
+      }
+      
+      if (checkpointSequences.has(sequenceNumber)) {
+        hashesBySequence.set(sequenceNumber, row.entry_hash);
+      }
+      
+      expectedPreviousHash = row.entry_hash;
+      expectedSequence++;
+      entriesVerified++;
+    }
+  }
+  
+  const lastSequence = expectedSequence - 1;
+  
+  // Checkpoints inside the verified range must be genuine and match the chain
+  const checkpointResults = [];
+  for (const checkpoint of checkpoints) {
+    const sequenceNumber = Number(checkpoint.sequence_number);
+    if (sequenceNumber < fromSequence || sequenceNumber > limitSequence) {
+      continue;
+    }
+    
+    const signatureValid = await verifyDocumentSignature({
+      sequenceNumber,
+      entryHash: checkpoint.entry_hash,
+      createdAt: new Date(checkpoint.created_at).toISOString()
+    }, checkpoint.signature);
+    const verified = hashesBySequence.has(sequenceNumber);
+    const matchesChain = verified && hashesBySequence.get(sequenceNumber) === checkpoint.entry_hash;
+    
+    checkpointResults.push({
+      checkpointId: checkpoint.checkpoint_id,
+      sequenceNumber,
+      createdAt: checkpoint.created_at,
+      signatureValid,
+      matchesChain: verified ? matchesChain : null
+    });
+    
+    if (firstBrokenLink) {
+      continue;
+    }
+    
+    if (!signatureValid) {
+      firstBrokenLink = {
+        sequenceNumber,
+        reason: 'CHECKPOINT_SIGNATURE_INVALID',
+        message: `Checkpoint ${checkpoint.checkpoint_id} has an invalid signature`
+      };
+    } else if (!verified) {
+      // A signed checkpoint beyond the end of the chain means entries were removed
+      firstBrokenLink = {
+        sequenceNumber: lastSequence + 1,
+        reason: 'CHAIN_TRUNCATED',
+        message: `Chain ends at entry ${lastSequence} but checkpoint covers entry ${sequenceNumber}`
+      };
+    } else if (!matchesChain) {
+      firstBrokenLink = {
+        sequenceNumber,
+        reason: 'CHECKPOINT_MISMATCH',
+        message: `Entry ${sequenceNumber} does not match the hash recorded in checkpoint ${checkpoint.checkpoint_id}`
+      };
+    }
+  }
+  
+  // Entries past the limit are left to a request for the following range
+  const hasMore = !firstBrokenLink && lastSequence === limitSequence && limitSequence !== toSequence &&
+    (await db.listAuditChainEntries(limitSequence, 1, toSequence)).length > 0;
+  
+  // Entries written without a hash (before the chain existed, or by services
+  // that bypass it) cannot be vouched for, but do not break the chain either
+  const unchainedEntries = await db.countUnchainedAuditEvents();
+  
+  return buildReport(fromSequence, lastSequence, entriesVerified, firstBrokenLink, checkpointResults, unchainedEntries, hasMore);
+}
+
+/**
+ * Choose where to start verifying when no start is requested
+ * 
+ * @param {Array<Object>} checkpoints - Stored checkpoints
+ * @param {number|null} toSequence - Last sequence number to verify
+ * @returns {number} Sequence number of the latest checkpoint up to toSequence, or
+ *   the start of the window of MAX_VERIFY_ENTRIES entries ending at toSequence
+ */
+function getDefaultFromSequence(checkpoints, toSequence) {
+  const latest = checkpoints
+    .map(checkpoint => Number(checkpoint.sequence_number))
+    .filter(sequenceNumber => !toSequence || sequenceNumber <= toSequence)
+    .reduce((max, sequenceNumber) => Math.max(max, sequenceNumber), 0);
+  
+  if (latest > 0) {
+    return latest;
+  }
+  
+  return toSequence ? Math.max(1, toSequence - MAX_VERIFY_ENTRIES + 1) : 1;
+}
+
+/**
+ * Build a chain verification report
+ * 
+ * @param {number} fromSequence - First sequence number in the range
+ * @param {number} lastSequence - Last sequence number reached
+ * @param {number} entriesVerified - Number of entries that verified
+ * @param {Object|null} firstBrokenLink - First failure found
+ * @param {Array<Object>} checkpoints - Checkpoint results
+ * @param {Object} unchainedEntries - Counts of entries without a chain hash
+ * @param {boolean} [hasMore] - Whether entries beyond the verified range remain
+ * @returns {Object} Verification report; isValid only reflects the chained entries
+ */
+function buildReport(fromSequence, lastSequence, entriesVerified, firstBrokenLink, checkpoints, unchainedEntries, hasMore = false) {
+  return {
+    isValid: !firstBrokenLink,
+    verificationTimestamp: new Date().toISOString(),
+    range: {
+      fromSequence,
+      toSequence: lastSequence
+    },
+    entriesVerified,
+    hasMore,
+    firstBrokenLink,
+    checkpoints,
+    unchainedEntries
+  };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  CHECKPOINT_INTERVAL,
+  MAX_VERIFY_ENTRIES,
+  computeEntryHash,
+  computeRowHash,
+  isCheckpointDue,
+  createCheckpoint,
+  verifyChain
+};
@@ -1,11 +1,25 @@
 /**
  * EdSteward.ai - Regulation Classifier Module
  * 
- * This module is responsible for classifying regulations based on their 
+ * This module is responsible for classifying regulations based on their
  * complexity, structure, and change frequency to determine the appropriate
- * validation approach.
+ * validation approach. All factors are measured from the current version text
+ * and the version history in regulation_versions.
  */
 
+const { parseSections, tokenize } = require('./parser');
+const { extractRequirements, splitSentences } = require('./patterns');
+const { resolveClassificationProfile } = require('./profiles');
+
+// Environment variables
+const DB_SECRET_ARN = process.env.DB_SECRET_ARN;
+
+// Score used for a factor that cannot be measured because content is unavailable
+const UNKNOWN_FACTOR_SCORE = 50;
+
+// References to other provisions: "§ 99.31", "section 4(b)", "paragraph (a)(2)", "34 CFR 99", "20 U.S.C. 1232g"
+const CROSS_REFERENCE_PATTERN = /(§+\s*\d+(?:\.\d+)*|\b(?:sections?|subsections?|paragraphs?|clauses?|articles?)\s+(?:\d+(?:\.\d+)*|\([a-z0-9]+\))|\b\d+\s+(?:CFR|C\.F\.R\.|U\.S\.C\.|USC)\b)/gi;
+
 /**
  * Classification levels:
  * - Level 1: Static text regulations (simple, rarely change)
@@ -16,32 +30,42 @@
 /**
  * Classify a regulation to determine the appropriate validation level
  * 
+ * Weights, thresholds and adjustments come from the classification profile
+ * for the tenant and the regulation's category.
+ * 
  * @param {Object} regulation - Regulation data
  * @param {number} requestedLevel - Requested validation level (can be overridden)
+ * @param {Object} [options] - Classification options
+ * @param {string} [options.tenantId] - Tenant whose classification profile applies
  * @returns {Promise<Object>} Classification result
  */
-async function classifyRegulation(regulation, requestedLevel = 1) {
-  // Get classification factors
-  const complexityFactors = analyzeComplexity(regulation);
-  const changeFrequency = await analyzeChangeFrequency(regulation);
-  const structuralComplexity = analyzeStructure(regulation);
+async function classifyRegulation(regulation, requestedLevel = 1, options = {}) {
+  // Loaded here so that scoring alone (e.g. offline calibration) does not need the AWS SDK or pg
+  const { getDbConnection } = require('./db');
+  const { getValidatorType } = require('./registry');
+  
+  // Read the current text and the version history
+  const db = await getDbConnection(DB_SECRET_ARN, { tenantId: options.tenantId });
+  const profile = await resolveClassificationProfile(db, {
+    tenantId: options.tenantId,
+    category: regulation.category
+  });
+  const { weights, thresholds } = profile.settings;
+  const currentVersion = regulation.current_version
+    ? await db.getRegulationVersion(regulation.regulation_id, regulation.current_version)
+    : null;
+  const versions = await db.listRegulationVersions(regulation.regulation_id);
+  const content = currentVersion ? currentVersion.content : null;
   
-  // Calculate overall complexity score (0-100)
-  const complexityScore = calculateComplexityScore(
+  // Score the regulation and determine validation level based on complexity score
+  const {
     complexityFactors,
     changeFrequency,
-    structuralComplexity
-  );
-  
-  // Determine validation level based on complexity score
-  let determinedLevel;
-  if (complexityScore < 30) {
-    determinedLevel = 1; // Simple static validation
-  } else if (complexityScore < 70) {
-    determinedLevel = 2; // Semi-structured validation
-  } else {
-    determinedLevel = 3; // Complex validation
-  }
+    structuralComplexity,
+    adjustments,
+    complexityScore
+  } = scoreRegulation(regulation, { content, versions, settings: profile.settings });
+  const determinedLevel = determineLevel(complexityScore, thresholds);
   
   // Use the higher of the requested level and determined level
   const validationLevel = Math.max(requestedLevel, determinedLevel);
@@ -49,108 +73,266 @@ async function classifyRegulation(regulation, requestedLevel = 1) {
   // Prepare classification result
   const classification = {
     regulationId: regulation.regulation_id,
+    regulationVersion: regulation.current_version,
     validationLevel,
+    determinedLevel,
     complexityScore,
     factors: {
       textComplexity: complexityFactors.textComplexity,
       contentSize: complexityFactors.contentSize,
+      changeFrequency: changeFrequency.score,
+      structuralComplexity: structuralComplexity.score
+    },
+    metrics: {
+      ...complexityFactors.metrics,
+      ...structuralComplexity.metrics,
+      ...changeFrequency.metrics
+    },
+    explanation: explainClassification({
+      complexityFactors,
       changeFrequency,
-      structuralComplexity
+      structuralComplexity,
+      complexityScore,
+      determinedLevel,
+      requestedLevel,
+      contentAvailable: !!content,
+      weights,
+      adjustments
+    }),
+    // Record exactly which settings produced this classification
+    profile: {
+      sources: profile.sources,
+      settings: profile.settings
     },
     // Determine the validator function to use
-    validatorType: validationLevel === 1 ? 'text' : 
-                   validationLevel === 2 ? 'pattern' : 'context'
+    validatorType: getValidatorType(validationLevel)
   };
   
   return classification;
 }
 
 /**
- * Analyze the complexity of regulation text
+ * Score a regulation from its text and version history
  * 
  * @param {Object} regulation - Regulation data
+ * @param {Object} inputs - Scoring inputs
+ * @param {string|null} inputs.content - Regulation text
+ * @param {Array<Object>} inputs.versions - Version summaries with effective_date
+ * @param {Object} inputs.settings - Classification profile settings
+ * @param {Date} [inputs.asOf] - Date to measure change frequency at (defaults to now)
+ * @returns {Object} Factor analyses, adjustments and the complexity score (0-100)
+ */
+function scoreRegulation(regulation, inputs) {
+  const { content, versions, settings, asOf } = inputs;
+  
+  // Get classification factors
+  const complexityFactors = analyzeComplexity(content);
+  const changeFrequency = analyzeChangeFrequency(versions, settings.changeWindowYears, asOf);
+  const structuralComplexity = analyzeStructure(content);
+  
+  // Calculate overall complexity score (0-100), then apply the profile's adjustments
+  const adjustments = getScoreAdjustments(regulation, settings);
+  const complexityScore = clampScore(calculateComplexityScore(
+    complexityFactors,
+    changeFrequency.score,
+    structuralComplexity.score,
+    settings.weights
+  ) + adjustments.reduce((total, adjustment) => total + adjustment.value, 0));
+  
+  return {
+    complexityFactors,
+    changeFrequency,
+    structuralComplexity,
+    adjustments,
+    complexityScore
+  };
+}
+
+/**
+ * Determine the validation level for a complexity score
+ * 
+ * @param {number} complexityScore - Complexity score (0-100)
+ * @param {Object} thresholds - Scores at which level 2 and level 3 begin
+ * @returns {number} Validation level (1-3)
+ */
+function determineLevel(complexityScore, thresholds) {
+  if (complexityScore < thresholds.level2) {
+    return 1; // Simple static validation
+  } else if (complexityScore < thresholds.level3) {
+    return 2; // Semi-structured validation
+  }
+  
+  return 3; // Complex validation
+}
+
+/**
+ * Analyze the complexity of regulation text
+ * 
+ * @param {string|null} content - Current version text
  * @returns {Object} Complexity factors
  */
-function analyzeComplexity(regulation) {
-  // Text complexity factors
-  const hasComplexLanguage = /\b(shall|must|according\sto|pursuant\sto|in\saccordance\swith)\b/i.test(regulation.title);
-  const hasNumericRequirements = /\b\d+(\.\d+)?%|\b\d+\s+days\b|\$\s*\d+|\b\d+\s+years\b/i.test(regulation.title);
-  const hasTechnicalTerms = /\b(compliance|threshold|requirement|standard|procedure|protocol)\b/i.test(regulation.title);
-  
-  // Estimate content size (using title as proxy since we don't have content here)
-  const contentSize = regulation.title.length > 100 ? 'large' : 
-                     regulation.title.length > 50 ? 'medium' : 'small';
-  
-  // Calculate text complexity (0-100)
-  const textComplexityScore = 
-    (hasComplexLanguage ? 20 : 0) +
-    (hasNumericRequirements ? 20 : 0) +
-    (hasTechnicalTerms ? 20 : 0) +
-    (contentSize === 'large' ? 30 : 
-     contentSize === 'medium' ? 15 : 0) +
-    (regulation.category === 'Financial' ? 20 : 
-     regulation.category === 'Policy' ? 15 : 10);
+function analyzeComplexity(content) {
+  if (!content) {
+    return {
+      textComplexity: UNKNOWN_FACTOR_SCORE,
+      contentSize: UNKNOWN_FACTOR_SCORE,
+      metrics: {
+        contentAvailable: false
+      }
+    };
+  }
+  
+  const words = tokenize(content.replace(/[^\p{L}\p{N}\s'-]+/gu, ' '));
+  const sentences = splitSentences(content);
+  const requirements = extractRequirements(content);
+  const numericObligations = requirements.filter(requirement => requirement.type !== 'OBLIGATION').length;
+  const obligations = requirements.filter(requirement => requirement.type === 'OBLIGATION').length;
+  const readingEase = calculateReadingEase(words, sentences.length);
+  
+  // Harder reading, more numeric requirements and more obligations all add complexity
+  const readingDifficulty = clampScore(100 - readingEase);
+  const textComplexity = clampScore(
+    readingDifficulty * 0.4 +
+    Math.min(100, numericObligations * 10) * 0.3 +
+    Math.min(100, obligations * 5) * 0.3
+  );
+  
+  const wordCount = words.length;
+  const contentSize = wordCount > 5000 ? 100 :
+                      wordCount > 2000 ? 75 :
+                      wordCount > 500 ? 50 : 25;
   
   return {
-    textComplexity: textComplexityScore,
-    contentSize: contentSize === 'large' ? 100 : 
-                contentSize === 'medium' ? 50 : 25,
-    hasComplexLanguage,
-    hasNumericRequirements,
-    hasTechnicalTerms
+    textComplexity,
+    contentSize,
+    metrics: {
+      contentAvailable: true,
+      wordCount,
+      sentenceCount: sentences.length,
+      readingEase: Math.round(readingEase * 10) / 10,
+      numericObligations,
+      obligations
+    }
   };
 }
 
 /**
- * Analyze the change frequency of a regulation
+ * Calculate the Flesch reading ease of a text
  * 
- * @param {Object} regulation - Regulation data
- * @returns {Promise<number>} Change frequency score (0-100)
+ * @param {Array<string>} words - Words in the text
+ * @param {number} sentenceCount - Number of sentences
+ * @returns {number} Reading ease (higher is easier; legal text is often below 30)
  */
-async function analyzeChangeFrequency(regulation) {
-  // For now, use the category as a proxy for change frequency
-  // In a real implementation, this would query version history
-  
-  // Categories with typically high change frequency
-  const highChangeCategories = [
-    'Technology', 'Financial', 'Healthcare', 'Cybersecurity'
-  ];
-  
-  // Categories with typically medium change frequency
-  const mediumChangeCategories = [
-    'Academic', 'Policy', 'Admissions', 'Student'
-  ];
-  
-  // Determine change frequency score
-  if (highChangeCategories.includes(regulation.category)) {
-    return 75;
-  } else if (mediumChangeCategories.includes(regulation.category)) {
-    return 50;
-  } else {
-    return 25;
+function calculateReadingEase(words, sentenceCount) {
+  if (words.length === 0) {
+    return 100;
   }
+  
+  const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+  return 206.835 -
+    1.015 * (words.length / Math.max(1, sentenceCount)) -
+    84.6 * (syllables / words.length);
+}
+
+/**
+ * Estimate the number of syllables in a word
+ * 
+ * @param {string} word - Word
+ * @returns {number} Estimated syllables (at least 1)
+ */
+function countSyllables(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length <= 3) {
+    return 1;
+  }
+  
+  const groups = letters
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '')
+    .match(/[aeiouy]{1,2}/g);
+  
+  return groups ? groups.length : 1;
+}
+
+/**
+ * Analyze the change frequency of a regulation
+ * 
+ * Counts the versions that took effect within the change window, not
+ * counting the original publication.
+ * 
+ * @param {Array<Object>} versions - Version summaries with effective_date
+ * @param {number} changeWindowYears - Period over which changes are counted
+ * @param {Date} [asOf] - Date to measure at (defaults to now)
+ * @returns {Object} Change frequency score (0-100) and metrics
+ */
+function analyzeChangeFrequency(versions, changeWindowYears, asOf) {
+  const now = asOf ? new Date(asOf) : new Date();
+  const windowStart = new Date(now);
+  windowStart.setFullYear(now.getFullYear() - changeWindowYears);
+  
+  const effectiveDates = versions
+    .map(version => new Date(version.effective_date))
+    .filter(date => !isNaN(date) && date <= now)
+    .sort((a, b) => a - b);
+  
+  // The oldest version is the original publication, not a change
+  const changes = effectiveDates.slice(1).filter(date => date >= windowStart).length;
+  const changesPerYear = changes / changeWindowYears;
+  const lastChanged = effectiveDates.length > 1 ? effectiveDates[effectiveDates.length - 1] : null;
+  
+  return {
+    // Two or more changes a year is treated as the most volatile
+    score: clampScore(changesPerYear * 50),
+    metrics: {
+      versionCount: versions.length,
+      changesInWindow: changes,
+      changeWindowYears,
+      changesPerYear: Math.round(changesPerYear * 100) / 100,
+      lastChangedAt: lastChanged ? lastChanged.toISOString() : null
+    }
+  };
 }
 
 /**
  * Analyze the structural complexity of a regulation
  * 
- * @param {Object} regulation - Regulation data
- * @returns {number} Structural complexity score (0-100)
+ * @param {string|null} content - Current version text
+ * @returns {Object} Structural complexity score (0-100) and metrics
  */
-function analyzeStructure(regulation) {
-  // For now, use the jurisdiction as a proxy for structural complexity
-  // In a real implementation, this would analyze the actual structure
-  
-  // Jurisdictions with typically complex structure
-  if (regulation.jurisdiction === 'Federal') {
-    return 80;
-  } else if (regulation.jurisdiction === 'State') {
-    return 60;
-  } else if (regulation.jurisdiction === 'Accreditation') {
-    return 70;
-  } else {
-    return 40; // Local, institutional, etc.
+function analyzeStructure(content) {
+  if (!content) {
+    return {
+      score: UNKNOWN_FACTOR_SCORE,
+      metrics: {}
+    };
   }
+  
+  const sections = parseSections(content);
+  
+  // Section headings match the reference pattern too, so only look past them
+  const body = content.replace(/^[ \t]*(?:§+\s*\d+(?:\.\d+)*[a-z]?|section\s+\d+(?:\.\d+)*[a-z]?)/gim, '');
+  const crossReferences = (body.match(CROSS_REFERENCE_PATTERN) || []).length;
+  
+  // Depth counts the clause markers nested under a section: "99.31(a)(1)" is depth 2
+  const maxDepth = sections.reduce((depth, section) => {
+    const clauses = (section.id.match(/\([^)]+\)/g) || []).length;
+    return Math.max(depth, clauses);
+  }, 0);
+  
+  const score = clampScore(
+    Math.min(100, sections.length * 5) * 0.4 +
+    Math.min(100, maxDepth * 33) * 0.3 +
+    Math.min(100, crossReferences * 10) * 0.3
+  );
+  
+  return {
+    score,
+    metrics: {
+      sectionCount: sections.length,
+      maxClauseDepth: maxDepth,
+      crossReferences
+    }
+  };
 }
 
 /**
@@ -159,27 +341,132 @@ function analyzeStructure(regulation) {
  * @param {Object} complexityFactors - Text complexity factors
  * @param {number} changeFrequency - Change frequency score
  * @param {number} structuralComplexity - Structural complexity score
+ * @param {Object} weights - Weight of each factor (summing to 1)
  * @returns {number} Overall complexity score (0-100)
  */
-function calculateComplexityScore(complexityFactors, changeFrequency, structuralComplexity) {
-  // Weight factors
-  const weights = {
-    textComplexity: 0.3,
-    contentSize: 0.2,
-    changeFrequency: 0.3,
-    structuralComplexity: 0.2
-  };
-  
+function calculateComplexityScore(complexityFactors, changeFrequency, structuralComplexity, weights) {
   // Calculate weighted score
-  const score = 
+  const score =
     (complexityFactors.textComplexity * weights.textComplexity) +
     (complexityFactors.contentSize * weights.contentSize) +
     (changeFrequency * weights.changeFrequency) +
     (structuralComplexity * weights.structuralComplexity);
   
-  return Math.min(100, Math.max(0, Math.round(score)));
+  return clampScore(score);
+}
+
+/**
+ * Get the profile's score adjustments for a regulation's category and jurisdiction
+ * 
+ * @param {Object} regulation - Regulation data
+ * @param {Object} settings - Classification profile settings
+ * @returns {Array<Object>} Applicable adjustments with source and value
+ */
+function getScoreAdjustments(regulation, settings) {
+  const adjustments = [];
+  
+  if (settings.categoryAdjustments[regulation.category] !== undefined) {
+    adjustments.push({
+      source: `category:${regulation.category}`,
+      value: settings.categoryAdjustments[regulation.category]
+    });
+  }
+  
+  if (settings.jurisdictionAdjustments[regulation.jurisdiction] !== undefined) {
+    adjustments.push({
+      source: `jurisdiction:${regulation.jurisdiction}`,
+      value: settings.jurisdictionAdjustments[regulation.jurisdiction]
+    });
+  }
+  
+  return adjustments;
+}
+
+/**
+ * Explain which factors drove the classification
+ * 
+ * @param {Object} analysis - Factor analyses, scores and levels
+ * @returns {Object} Summary and factors ordered by their contribution to the score
+ */
+function explainClassification(analysis) {
+  const {
+    complexityFactors,
+    changeFrequency,
+    structuralComplexity,
+    complexityScore,
+    determinedLevel,
+    requestedLevel,
+    contentAvailable,
+    weights,
+    adjustments
+  } = analysis;
+  const text = complexityFactors.metrics;
+  const structure = structuralComplexity.metrics;
+  const changes = changeFrequency.metrics;
+  
+  const drivers = [
+    {
+      factor: 'textComplexity',
+      score: complexityFactors.textComplexity,
+      reason: contentAvailable
+        ? `Reading ease ${text.readingEase}, ${text.numericObligations} numeric requirements and ${text.obligations} obligations`
+        : 'Current version text is unavailable'
+    },
+    {
+      factor: 'contentSize',
+      score: complexityFactors.contentSize,
+      reason: contentAvailable ? `${text.wordCount} words` : 'Current version text is unavailable'
+    },
+    {
+      factor: 'changeFrequency',
+      score: changeFrequency.score,
+      reason: `${changes.changesInWindow} changes in the last ${changes.changeWindowYears} years`
+    },
+    {
+      factor: 'structuralComplexity',
+      score: structuralComplexity.score,
+      reason: contentAvailable
+        ? `${structure.sectionCount} sections, clause depth ${structure.maxClauseDepth}, ${structure.crossReferences} cross-references`
+        : 'Current version text is unavailable'
+    }
+  ].map(driver => ({
+    ...driver,
+    weight: weights[driver.factor],
+    contribution: Math.round(driver.score * weights[driver.factor] * 10) / 10
+  })).sort((a, b) => b.contribution - a.contribution);
+  
+  let summary = `Complexity score ${complexityScore} places the regulation at level ${determinedLevel}, ` +
+    `driven mainly by ${drivers[0].factor} and ${drivers[1].factor}`;
+  if (adjustments.length > 0) {
+    summary += ` (adjusted by ${adjustments.map(adjustment => `${adjustment.value > 0 ? '+' : ''}${adjustment.value} for ${adjustment.source}`).join(', ')})`;
+  }
+  if (requestedLevel > determinedLevel) {
+    summary += `; level ${requestedLevel} was used because it was requested`;
+  }
+  
+  return {
+    summary,
+    drivers,
+    adjustments
+  };
+}
+
+/**
+ * Round a score and clamp it to 0-100
+ * 
+ * @param {number} value - Raw score
+ * @returns {number} Score between 0 and 100
+ */
+function clampScore(value) {
+  return Math.min(100, Math.max(0, Math.round(value)));
 }
 
 module.exports = {
-  classifyRegulation
+  classifyRegulation,
+  scoreRegulation,
+  determineLevel,
+  analyzeComplexity,
+  analyzeChangeFrequency,
+  analyzeStructure,
+  calculateComplexityScore
 };
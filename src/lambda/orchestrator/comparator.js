@@ -0,0 +1,267 @@
+/**
+ * EdSteward.ai - Content Comparison Module
+ * 
+ * This module is the in-process Level 1 validator. It compares the text a
+ * client holds against the authoritative regulation_versions content, using
+ * exact and normalized hashes for the whole document and per-section
+ * evidence, so that only text matching the authority is ever approved.
+ */
+
+const crypto = require('crypto');
+const { parseSections, normalizeText, tokenize } = require('./parser');
+
+/**
+ * Hash text with SHA-256
+ * 
+ * @param {string} text - Text to hash
+ * @returns {string} Hex-encoded hash
+ */
+function hashText(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * Measure how much two texts share, ignoring case, whitespace and punctuation
+ * 
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Dice coefficient over normalized words (0 to 1)
+ */
+function textSimilarity(a, b) {
+  const wordsA = tokenize(normalizeText(a));
+  const wordsB = tokenize(normalizeText(b));
+  
+  if (wordsA.length === 0 && wordsB.length === 0) {
+    return 1;
+  }
+  
+  const counts = new Map();
+  wordsA.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  
+  let shared = 0;
+  wordsB.forEach(word => {
+    const count = counts.get(word) || 0;
+    if (count > 0) {
+      shared++;
+      counts.set(word, count - 1);
+    }
+  });
+  
+  return (2 * shared) / (wordsA.length + wordsB.length);
+}
+
+/**
+ * Compare client text with authoritative text
+ * 
+ * @param {string} clientText - Text held by the client
+ * @param {string} authorityText - Authoritative regulation text
+ * @returns {Object} Comparison evidence
+ */
+function compareContent(clientText, authorityText) {
+  const normalizedClient = normalizeText(clientText);
+  const normalizedAuthority = normalizeText(authorityText);
+  
+  const authoritySections = parseSections(authorityText);
+  const clientSections = parseSections(clientText);
+  const clientById = new Map(clientSections.map(section => [section.id, section]));
+  const authorityIds = new Set(authoritySections.map(section => section.id));
+  
+  // Evidence for each authoritative section, in document order
+  const sections = authoritySections.map(section => {
+    const clientSection = clientById.get(section.id);
+    const authorityHash = hashText(normalizeText(section.text));
+    
+    if (!clientSection) {
+      return {
+        sectionId: section.id,
+        heading: section.heading,
+        status: 'MISSING',
+        similarity: 0,
+        authorityHash,
+        clientHash: null
+      };
+    }
+    
+    const clientHash = hashText(normalizeText(clientSection.text));
+    const matches = clientHash === authorityHash;
+    
+    return {
+      sectionId: section.id,
+      heading: section.heading,
+      status: matches ? 'MATCH' : 'MODIFIED',
+      similarity: matches ? 1 : roundSimilarity(textSimilarity(clientSection.text, section.text)),
+      authorityHash,
+      clientHash
+    };
+  });
+  
+  // Sections the client has that the authority does not
+  clientSections
+    .filter(section => !authorityIds.has(section.id))
+    .forEach(section => {
+      sections.push({
+        sectionId: section.id,
+        heading: section.heading,
+        status: 'UNEXPECTED',
+        similarity: 0,
+        authorityHash: null,
+        clientHash: hashText(normalizeText(section.text))
+      });
+    });
+  
+  const count = status => sections.filter(section => section.status === status).length;
+  
+  return {
+    exactMatch: clientText === authorityText,
+    normalizedMatch: normalizedClient.length > 0 && normalizedClient === normalizedAuthority,
+    similarity: roundSimilarity(textSimilarity(clientText, authorityText)),
+    hashes: {
+      client: hashText(clientText),
+      authority: hashText(authorityText),
+      normalizedClient: hashText(normalizedClient),
+      normalizedAuthority: hashText(normalizedAuthority)
+    },
+    sectionSummary: {
+      total: authoritySections.length,
+      matched: count('MATCH'),
+      modified: count('MODIFIED'),
+      missing: count('MISSING'),
+      unexpected: count('UNEXPECTED')
+    },
+    sections
+  };
+}
+
+/**
+ * Round a similarity score for reporting
+ * 
+ * @param {number} value - Similarity (0 to 1)
+ * @returns {number} Similarity rounded to four decimals
+ */
+function roundSimilarity(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Load the authoritative version to compare against
+ * 
+ * @param {Object} db - Database client
+ * @param {Object} regulation - Regulation data
+ * @param {string} [regulationVersion] - Version the client claims to hold
+ * @returns {Promise<Object|null>} The claimed version if the authority knows it, else the current version
+ */
+async function loadAuthorityVersion(db, regulation, regulationVersion) {
+  let authority = null;
+  if (regulationVersion) {
+    authority = await db.getRegulationVersion(regulation.regulation_id, regulationVersion);
+  }
+  if (!authority && regulation.current_version) {
+    authority = await db.getRegulationVersion(regulation.regulation_id, regulation.current_version);
+  }
+  
+  return authority || null;
+}
+
+/**
+ * Check whether the client claimed a version the authority does not know
+ * 
+ * Such content is compared against the current version instead, which says
+ * nothing about the version the client holds.
+ * 
+ * @param {Object} authority - Compared regulation_versions row
+ * @param {string} [regulationVersion] - Version the client claims to hold
+ * @returns {boolean} True if a version was claimed and another one was compared
+ */
+function isUnknownVersion(authority, regulationVersion) {
+  return Boolean(regulationVersion) && authority.version_number !== regulationVersion;
+}
+
+/**
+ * Validate client content against the authoritative regulation text
+ * 
+ * The client's claimed version is compared when the authority knows it;
+ * otherwise the current version is used and the result is invalid, below
+ * the certainty a certificate requires. Without authoritative content the
+ * result is always invalid.
+ * 
+ * @param {Object} db - Database client
+ * @param {Object} regulation - Regulation data
+ * @param {Object} regulationContent - Regulation content to validate
+ * @param {string} [regulationVersion] - Version the client claims to hold
+ * @returns {Promise<Object>} Level 1 validation result
+ */
+async function validateContent(db, regulation, regulationContent, regulationVersion) {
+  const clientText = (regulationContent && regulationContent.text) || '';
+  const validationTimestamp = new Date().toISOString();
+  
+  const authority = await loadAuthorityVersion(db, regulation, regulationVersion);
+  
+  if (!authority || !authority.content) {
+    return {
+      isValid: false,
+      certaintyLevel: 1,
+      validationTimestamp,
+      validationLevel: 1,
+      validator: 'in-process-level1',
+      evidence: {
+        authorityContentAvailable: false
+      },
+      details: {
+        validatedSections: [],
+        invalidSections: [],
+        warnings: ['Authoritative content is unavailable; the content could not be compared']
+      }
+    };
+  }
+  
+  const comparison = compareContent(clientText, authority.content);
+  const unknownVersion = isUnknownVersion(authority, regulationVersion);
+  const isValid = comparison.normalizedMatch && !unknownVersion;
+  
+  const warnings = [];
+  if (isValid && !comparison.exactMatch) {
+    warnings.push('Content matches the authority only after ignoring case, whitespace and punctuation');
+  }
+  if (authority.version_number !== regulationVersion) {
+    warnings.push(`Version ${regulationVersion || '(none)'} is unknown; compared against current version ${authority.version_number}`);
+  }
+  
+  return {
+    isValid,
+    // Exact and mismatching results are deterministic; a normalized-only match
+    // leaves room for punctuation that changes meaning, and a comparison
+    // against another version than the claimed one proves nothing about it
+    certaintyLevel: unknownVersion ? 3 : (isValid && !comparison.exactMatch ? 4 : 5),
+    validationTimestamp,
+    validationLevel: 1,
+    validator: 'in-process-level1',
+    evidence: {
+      authorityContentAvailable: true,
+      comparedVersion: authority.version_number,
+      ...comparison,
+      metrics: {
+        contentLength: clientText.length,
+        authorityLength: authority.content.length,
+        wordCount: tokenize(clientText).length
+      }
+    },
+    details: {
+      validatedSections: comparison.sections
+        .filter(section => section.status === 'MATCH')
+        .map(section => section.sectionId),
+      invalidSections: comparison.sections
+        .filter(section => section.status !== 'MATCH')
+        .map(section => ({ sectionId: section.sectionId, status: section.status, similarity: section.similarity })),
+      warnings
+    }
+  };
+}
+
+module.exports = {
+  hashText,
+  textSimilarity,
+  compareContent,
+  loadAuthorityVersion,
+  isUnknownVersion,
+  validateContent
+};
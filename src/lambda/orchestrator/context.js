@@ -0,0 +1,404 @@
+/**
+ * EdSteward.ai - Contextual Validator Module
+ * 
+ * This module is the in-process Level 3 validator. It builds on the Level 2
+ * requirement checks, runs a rule-based decision tree for the regulation,
+ * consults the interpretation provider where the rules cannot decide, and
+ * queues results it is not certain about for human review.
+ */
+
+const { parseSections } = require('./parser');
+const { loadAuthorityVersion, isUnknownVersion } = require('./comparator');
+const { compareRequirements } = require('./patterns');
+const { getInterpretationProvider } = require('./interpretation');
+const { createAuditEvent } = require('./audit');
+
+// Results below this certainty level are queued for human review
+const REVIEW_CERTAINTY_THRESHOLD = parseInt(process.env.REVIEW_CERTAINTY_THRESHOLD || '3', 10);
+
+// Provider confidence needed to accept its interpretation without review
+const INTERPRETATION_CONFIDENCE_THRESHOLD = 0.9;
+
+// Guard against cycles in stored decision trees
+const MAX_DECISION_DEPTH = 50;
+
+const DECISION_OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  neq: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual)
+};
+
+/**
+ * Decision tree used for regulations without one of their own
+ * 
+ * Nodes test a fact and continue with 'then' or 'else', which name either
+ * another node or an outcome. Outcomes decide VALID, INVALID, INTERPRET
+ * (ask the interpretation provider) or REVIEW (ask a human).
+ */
+const DEFAULT_DECISION_TREE = {
+  root: 'missingRequirements',
+  nodes: {
+    missingRequirements: {
+      condition: { fact: 'requirements.missing', operator: 'gt', value: 0 },
+      then: 'rejectMissing',
+      else: 'inconsistentRequirements'
+    },
+    inconsistentRequirements: {
+      condition: { fact: 'requirements.inconsistent', operator: 'gt', value: 0 },
+      then: 'rejectInconsistent',
+      else: 'missingSections'
+    },
+    missingSections: {
+      condition: { fact: 'sections.missing', operator: 'gt', value: 0 },
+      then: 'rejectMissingSections',
+      else: 'unexpectedSections'
+    },
+    unexpectedSections: {
+      condition: { fact: 'sections.unexpected', operator: 'gt', value: 0 },
+      then: 'rejectUnexpectedSections',
+      else: 'wording'
+    },
+    wording: {
+      condition: { fact: 'similarity.minimum', operator: 'gte', value: 0.95 },
+      then: 'accept',
+      else: 'interpret'
+    }
+  },
+  outcomes: {
+    rejectMissing: {
+      decision: 'INVALID',
+      certaintyLevel: 4,
+      reason: 'Required provisions are missing from the client content'
+    },
+    rejectInconsistent: {
+      decision: 'INVALID',
+      certaintyLevel: 4,
+      reason: 'Client content states requirements inconsistently with the authority'
+    },
+    rejectMissingSections: {
+      decision: 'INVALID',
+      certaintyLevel: 4,
+      reason: 'Sections of the regulation are missing from the client content'
+    },
+    rejectUnexpectedSections: {
+      decision: 'INVALID',
+      certaintyLevel: 4,
+      reason: 'Client content has sections the regulation does not'
+    },
+    accept: {
+      decision: 'VALID',
+      certaintyLevel: 4,
+      reason: 'All requirements are present and the wording matches closely'
+    },
+    interpret: {
+      decision: 'INTERPRET',
+      reason: 'Wording differs beyond the extracted requirements'
+    }
+  }
+};
+
+/**
+ * Derive the facts a decision tree can test from a requirement comparison
+ * 
+ * @param {Object} comparison - Result of compareRequirements
+ * @param {Object} regulation - Regulation data
+ * @returns {Object} Facts keyed by dotted name
+ */
+function buildFacts(comparison, regulation) {
+  const present = comparison.sections.filter(section => section.status !== 'MISSING' && section.status !== 'UNEXPECTED');
+  const similarities = present.map(section => section.similarity);
+  const count = status => comparison.sections.filter(section => section.status === status).length;
+  
+  return {
+    'requirements.total': comparison.requirementSummary.total,
+    'requirements.present': comparison.requirementSummary.present,
+    'requirements.inconsistent': comparison.requirementSummary.inconsistent,
+    'requirements.missing': comparison.requirementSummary.missing,
+    'sections.total': comparison.sections.length - count('UNEXPECTED'),
+    'sections.valid': count('VALID'),
+    'sections.invalid': count('INVALID'),
+    'sections.missing': count('MISSING'),
+    'sections.unexpected': count('UNEXPECTED'),
+    'similarity.minimum': similarities.length > 0 ? Math.min(...similarities) : 0,
+    'similarity.average': similarities.length > 0
+      ? similarities.reduce((sum, value) => sum + value, 0) / similarities.length
+      : 0,
+    'regulation.category': regulation.category,
+    'regulation.jurisdiction': regulation.jurisdiction
+  };
+}
+
+/**
+ * Evaluate a decision tree against a set of facts
+ * 
+ * @param {Object} tree - Decision tree (see DEFAULT_DECISION_TREE)
+ * @param {Object} facts - Facts keyed by dotted name
+ * @returns {Object} Outcome and the path of nodes taken
+ * @throws {Error} If the tree is malformed
+ */
+function evaluateDecisionTree(tree, facts) {
+  const path = [];
+  let current = tree.root;
+  
+  while (path.length < MAX_DECISION_DEPTH) {
+    if (tree.outcomes && tree.outcomes[current]) {
+      return { outcomeId: current, outcome: tree.outcomes[current], path };
+    }
+    
+    const node = tree.nodes && tree.nodes[current];
+    if (!node || !node.condition) {
+      throw new Error(`Decision tree references unknown node: ${current}`);
+    }
+    
+    const { fact, operator, value } = node.condition;
+    const compare = DECISION_OPERATORS[operator];
+    if (!compare) {
+      throw new Error(`Decision tree node ${current} uses unknown operator: ${operator}`);
+    }
+    
+    const passed = compare(facts[fact], value);
+    path.push({ node: current, fact, actual: facts[fact], operator, value, passed });
+    current = passed ? node.then : node.else;
+  }
+  
+  throw new Error(`Decision tree exceeds ${MAX_DECISION_DEPTH} steps`);
+}
+
+/**
+ * Ask the interpretation provider about sections whose wording differs
+ * 
+ * @param {Object} provider - Interpretation provider
+ * @param {Object} regulation - Regulation data
+ * @param {Object} authority - Authoritative regulation version
+ * @param {string} clientText - Client text
+ * @param {Object} comparison - Result of compareRequirements
+ * @returns {Promise<Object>} Provider result
+ */
+async function interpretDifferences(provider, regulation, authority, clientText, comparison) {
+  const authorityById = new Map(parseSections(authority.content).map(section => [section.id, section]));
+  const clientById = new Map(parseSections(clientText).map(section => [section.id, section]));
+  
+  const sections = comparison.sections
+    .filter(section => section.similarity < 1)
+    .map(section => ({
+      sectionId: section.sectionId,
+      heading: section.heading,
+      authorityText: authorityById.has(section.sectionId) ? authorityById.get(section.sectionId).text : null,
+      clientText: clientById.has(section.sectionId) ? clientById.get(section.sectionId).text : null
+    }));
+  
+  return await provider.interpret({
+    regulationId: regulation.regulation_id,
+    regulationTitle: regulation.title,
+    regulationVersion: authority.version_number,
+    sections
+  });
+}
+
+/**
+ * Validate client content in context
+ * 
+ * @param {Object} db - Database client
+ * @param {Object} params - Validation parameters
+ * @param {Object} params.regulation - Regulation data
+ * @param {Object} params.regulationContent - Regulation content to validate
+ * @param {string} [params.regulationVersion] - Version the client claims to hold
+ * @param {string} [params.requestId] - Validation request identifier, recorded on review items
+ * @param {string} [params.tenantId] - Tenant the validation is for, recorded on review audit events
+ * @param {Object|null} [params.provider] - Interpretation provider to use instead of the configured one
+ * @param {boolean} [params.deferReview] - Mark uncertain results for review without queuing them,
+ *   for a caller that queues one review for several results (see routeToConsensus)
+ * @returns {Promise<Object>} Level 3 validation result
+ */
+async function validateInContext(db, params) {
+  const { regulation, regulationContent, regulationVersion, requestId, tenantId } = params;
+  const clientText = (regulationContent && regulationContent.text) || '';
+  const validationTimestamp = new Date().toISOString();
+  const authority = await loadAuthorityVersion(db, regulation, regulationVersion);
+  
+  if (!authority || !authority.content) {
+    return {
+      isValid: false,
+      certaintyLevel: 1,
+      validationTimestamp,
+      validationLevel: 3,
+      validator: 'in-process-level3',
+      evidence: {
+        authorityContentAvailable: false
+      },
+      details: {
+        validatedSections: [],
+        invalidSections: [],
+        warnings: ['Authoritative content is unavailable; the content could not be validated']
+      }
+    };
+  }
+  
+  const comparison = compareRequirements(clientText, authority.content);
+  const facts = buildFacts(comparison, regulation);
+  const warnings = [];
+  
+  // Run the regulation's own decision tree, or the default one
+  const storedTree = await db.getActiveDecisionTree(regulation.regulation_id);
+  let decision;
+  try {
+    decision = evaluateDecisionTree(storedTree ? storedTree.tree : DEFAULT_DECISION_TREE, facts);
+  } catch (error) {
+    console.error(`Error evaluating decision tree: ${error.message}`);
+    warnings.push(`Decision tree could not be evaluated: ${error.message}`);
+    decision = {
+      outcomeId: 'treeError',
+      outcome: { decision: 'REVIEW', reason: 'Decision tree could not be evaluated' },
+      path: []
+    };
+  }
+  
+  let { decision: verdict, certaintyLevel = 2, reason } = decision.outcome;
+  let interpretation = null;
+  
+  if (verdict === 'INTERPRET') {
+    const provider = params.provider !== undefined ? params.provider : getInterpretationProvider();
+    
+    if (!provider) {
+      verdict = 'REVIEW';
+      reason = `${reason}; no interpretation provider is configured`;
+    } else {
+      try {
+        interpretation = await interpretDifferences(provider, regulation, authority, clientText, comparison);
+        interpretation.provider = provider.name;
+        
+        // Model interpretations never reach certificate-level certainty on their own
+        if (interpretation.confidence >= INTERPRETATION_CONFIDENCE_THRESHOLD) {
+          verdict = interpretation.isEquivalent ? 'VALID' : 'INVALID';
+          certaintyLevel = 3;
+        } else {
+          verdict = 'REVIEW';
+        }
+        reason = interpretation.rationale || reason;
+      } catch (error) {
+        console.error(`Error calling interpretation provider: ${error.message}`);
+        warnings.push(`Interpretation provider failed: ${error.message}`);
+        verdict = 'REVIEW';
+      }
+    }
+  }
+  
+  if (authority.version_number !== regulationVersion) {
+    warnings.push(`Version ${regulationVersion || '(none)'} is unknown; compared against current version ${authority.version_number}`);
+  }
+  
+  // A comparison against another version than the claimed one is left to a reviewer
+  if (isUnknownVersion(authority, regulationVersion) && verdict !== 'INVALID') {
+    verdict = 'REVIEW';
+    reason = `Version ${regulationVersion} is unknown to the authority`;
+  }
+  
+  // Sections the authority does not have are never certified, whatever a stored tree decides
+  if (verdict === 'VALID' && comparison.sections.some(section => section.status === 'UNEXPECTED')) {
+    verdict = 'INVALID';
+    reason = 'Client content has sections the regulation does not';
+  }
+  
+  const result = {
+    isValid: verdict === 'VALID',
+    certaintyLevel: verdict === 'REVIEW' ? Math.min(certaintyLevel, 2) : certaintyLevel,
+    validationTimestamp,
+    validationLevel: 3,
+    validator: 'in-process-level3',
+    evidence: {
+      authorityContentAvailable: true,
+      comparedVersion: authority.version_number,
+      decision: {
+        verdict,
+        reason,
+        outcome: decision.outcomeId,
+        treeId: storedTree ? storedTree.tree_id : 'default',
+        treeVersion: storedTree ? storedTree.version : null,
+        path: decision.path
+      },
+      facts,
+      interpretation,
+      requirementSummary: comparison.requirementSummary,
+      sections: comparison.sections
+    },
+    details: {
+      validatedSections: comparison.sections
+        .filter(section => section.status === 'VALID')
+        .map(section => section.sectionId),
+      invalidSections: comparison.sections
+        .filter(section => section.status !== 'VALID')
+        .map(section => ({
+          sectionId: section.sectionId,
+          status: section.status,
+          requirements: section.requirements.filter(check => check.status !== 'PRESENT')
+        })),
+      warnings
+    }
+  };
+  
+  // Uncertain results wait for a human decision and are never approved meanwhile
+  if (verdict === 'REVIEW' || result.certaintyLevel < REVIEW_CERTAINTY_THRESHOLD) {
+    result.isValid = false;
+    result.status = 'PENDING_REVIEW';
+    result.reviewReason = reason;
+    
+    if (params.deferReview) {
+      return result;
+    }
+    
+    result.review = await queueForReview(db, {
+      regulationId: regulation.regulation_id,
+      regulationVersion: regulationVersion || authority.version_number,
+      validationRequestId: requestId,
+      tenantId,
+      reason,
+      validationResult: result
+    });
+  }
+  
+  return result;
+}
+
+/**
+ * Queue a validation result for human review
+ * 
+ * @param {Object} db - Database client
+ * @param {Object} item - Review item data
+ * @param {string} [item.tenantId] - Tenant the validation is for
+ * @returns {Promise<Object>} Review reference with reviewId and status
+ */
+async function queueForReview(db, item) {
+  const reviewItem = await db.createReviewItem(item);
+  
+  await createAuditEvent({
+    eventType: 'review.queued',
+    entityType: 'review',
+    entityId: reviewItem.review_id,
+    action: 'queue',
+    tenantId: item.tenantId,
+    metadata: {
+      regulationId: item.regulationId,
+      regulationVersion: item.regulationVersion,
+      validationRequestId: item.validationRequestId,
+      reason: item.reason
+    }
+  });
+  
+  return {
+    reviewId: reviewItem.review_id,
+    status: reviewItem.status,
+    reason: item.reason
+  };
+}
+
+module.exports = {
+  DEFAULT_DECISION_TREE,
+  buildFacts,
+  evaluateDecisionTree,
+  validateInContext,
+  queueForReview
+};
@@ -7,6 +7,97 @@
 
 const AWS = require('aws-sdk');
 const { Pool } = require('pg');
+const { GENESIS_HASH, computeEntryHash } = require('./chain');
+const { buildWhereClause, buildOrderByClause, buildPaginationClause } = require('./query');
+
+// Filters accepted by listRegulations
+const REGULATION_FILTERS = {
+  category: { column: 'r.category' },
+  jurisdiction: { column: 'r.jurisdiction' },
+  query: { columns: ['r.title', 'r.citation'], operator: 'contains' },
+  tags: { column: 'r.tags', type: 'string[]', operator: 'overlaps' },
+  active: { column: 'r.is_active', type: 'boolean' }
+};
+
+// Sort fields accepted by listRegulations
+const REGULATION_SORT_FIELDS = {
+  updatedAt: 'r.updated_at',
+  title: 'r.title',
+  category: 'r.category',
+  jurisdiction: 'r.jurisdiction',
+  citation: 'r.citation'
+};
+
+// Sort fields for regulation versions
+const VERSION_SORT_FIELDS = {
+  effectiveDate: 'effective_date'
+};
+
+// Filters accepted by the audit log queries
+const AUDIT_FILTERS = {
+  eventType: { column: 'event_type' },
+  eventTypePrefix: { column: 'event_type', operator: 'prefix' },
+  entityType: { column: 'entity_type' },
+  entityId: { column: 'entity_id' },
+  userId: { column: 'user_id' },
+  clientId: { column: 'client_id' },
+  from: { column: 'timestamp', type: 'timestamp', operator: 'gte' },
+  to: { column: 'timestamp', type: 'timestamp', operator: 'lte' },
+  search: { column: 'metadata::text', operator: 'contains' }
+};
+
+// Sort fields accepted by the audit log queries
+const AUDIT_SORT_FIELDS = {
+  timestamp: 'timestamp',
+  eventType: 'event_type',
+  entityType: 'entity_type',
+  action: 'action',
+  userId: 'user_id',
+  sequenceNumber: 'sequence_number'
+};
+
+// Filters accepted by listReviewItems
+const REVIEW_FILTERS = {
+  status: { column: 'status' },
+  regulationId: { column: 'regulation_id' },
+  claimedBy: { column: 'claimed_by' }
+};
+
+// Sort fields accepted by listReviewItems
+const REVIEW_SORT_FIELDS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+};
+
+// Filters accepted by listBatchJobItems
+const BATCH_JOB_ITEM_FILTERS = {
+  status: { column: 'status' },
+  regulationId: { column: 'regulation_id' }
+};
+
+// Filters accepted by listValidationResults
+const VALIDATION_RESULT_FILTERS = {
+  regulationId: { column: 'regulation_id' },
+  status: { column: 'status' },
+  validationLevel: { column: 'validation_level', type: 'integer' },
+  from: { column: 'validation_timestamp', type: 'timestamp', operator: 'gte' },
+  to: { column: 'validation_timestamp', type: 'timestamp', operator: 'lte' }
+};
+
+// Sort fields accepted by listValidationResults
+const VALIDATION_RESULT_SORT_FIELDS = {
+  validationTimestamp: 'validation_timestamp',
+  certaintyLevel: 'certainty_level'
+};
+
+// Filters accepted by listValidationHistory and listRegulationComplianceStatus
+const COMPLIANCE_FILTERS = {
+  category: { column: 'r.category' },
+  jurisdiction: { column: 'r.jurisdiction' },
+  validationLevel: { column: 'v.validation_level', type: 'integer' },
+  from: { column: 'v.validation_timestamp', type: 'timestamp', operator: 'gte' },
+  to: { column: 'v.validation_timestamp', type: 'timestamp', operator: 'lte' }
+};
 
 // Keep connection pooled for Lambda container reuse
 let dbPool = null;
@@ -14,19 +105,27 @@ let dbConfig = null;
 
 /**
  * Get database connection with connection pooling
+ * 
+ * Row-level security limits every query of the client to the tenant of its
+ * scope (see setTenantScope). Without a scope the client acts for callers
+ * without a tenant.
+ * 
  * @param {string} secretArn - ARN of the Secrets Manager secret containing database credentials
+ * @param {Object} [scope] - Tenant scope of the client
+ * @param {string} [scope.tenantId] - Tenant the client acts for
+ * @param {boolean} [scope.allTenants] - Span all tenants (system tasks only)
  * @returns {Object} Database client with query methods
  */
-async function getDbConnection(secretArn) {
+async function getDbConnection(secretArn, scope = {}) {
   // If we already have a connection pool, return the client interface
   if (dbPool) {
-    return createDbClient(dbPool);
+    return createDbClient(dbPool, scope);
   }
   
   // If we have the config but no pool, create the pool
   if (dbConfig) {
     dbPool = new Pool(dbConfig);
-    return createDbClient(dbPool);
+    return createDbClient(dbPool, scope);
   }
   
   // Otherwise, retrieve the config from Secrets Manager and create the pool
@@ -59,19 +158,55 @@ async function getDbConnection(secretArn) {
     }
     
     console.log('Database connection successful');
-    return createDbClient(dbPool);
+    return createDbClient(dbPool, scope);
   } catch (error) {
     console.error('Error connecting to the database:', error);
     throw new Error(`Database connection failed: ${error.message}`);
   }
 }
 
+/**
+ * Set the tenant a pooled connection acts for
+ * 
+ * The row-level security policies read these settings. They are set on
+ * every checkout, so a connection never keeps the scope of its previous user.
+ * 
+ * @param {Object} client - Pooled connection
+ * @param {Object} scope - Tenant scope (see getDbConnection)
+ * @returns {Promise<void>}
+ */
+async function setTenantScope(client, scope) {
+  await client.query(
+    `SELECT set_config('app.tenant_id', $1, false), set_config('app.all_tenants', $2, false)`,
+    [scope.tenantId || '', scope.allTenants ? 'on' : 'off']
+  );
+}
+
+/**
+ * Serialize changes to the classification profiles of one scope
+ * 
+ * Creating and activating profile versions take the same transaction-level
+ * lock, so that version numbers are not reused and at most one version of a
+ * scope is active.
+ * 
+ * @param {Object} transaction - Transaction client
+ * @param {string|null} tenantId - Tenant identifier (null for global profiles)
+ * @param {string|null} category - Category (null for the tenant-wide profile)
+ * @returns {Promise<void>}
+ */
+async function lockClassificationProfileScope(transaction, tenantId, category) {
+  await transaction.query('SELECT pg_advisory_xact_lock(hashtext($1))', [
+    `classification_profiles:${tenantId || ''}:${category || ''}`
+  ]);
+}
+
 /**
  * Create a client interface with database operations
  * @param {Pool} pool - PostgreSQL connection pool
+ * @param {Object} [scope] - Tenant scope (see getDbConnection)
  * @returns {Object} Database client with query methods
  */
-function createDbClient(pool) {
+function createDbClient(pool, scope = {}) {
   return {
     /**
      * Execute a query with parameters
@@ -82,6 +217,7 @@ function createDbClient(pool) {
     async query(text, params) {
       const client = await pool.connect();
       try {
+        await setTenantScope(client, scope);
         const result = await client.query(text, params);
         return result;
       } finally {
@@ -96,6 +232,7 @@ function createDbClient(pool) {
     async beginTransaction() {
       const client = await pool.connect();
       try {
+        await setTenantScope(client, scope);
         await client.query('BEGIN');
         
         return {
@@ -168,7 +305,7 @@ function createDbClient(pool) {
         SELECT version_id, version_number, effective_date, is_current
         FROM regulation_versions
         WHERE regulation_id = $1
-        ORDER BY effective_date DESC
+        ${buildOrderByClause(null, VERSION_SORT_FIELDS, { field: 'effectiveDate', order: 'desc' }, ['version_id'])}
       `;
       
       const versionsResult = await this.query(versionsQuery, [regulationId]);
@@ -178,63 +315,140 @@ function createDbClient(pool) {
     },
     
     /**
-     * List regulations with filtering and pagination
-     * @param {Object} filters - Filter criteria
-     * @param {number} page - Page number (1-based)
-     * @param {number} limit - Items per page
-     * @returns {Promise<Object>} Paginated regulations and total count
+     * List all versions of a regulation, newest first
+     * @param {string} regulationId - Unique identifier for the regulation
+     * @returns {Promise<Array<Object>>} Version summaries (without content)
      */
-    async listRegulations(filters = {}, page = 1, limit = 20) {
-      const offset = (page - 1) * limit;
-      const params = [];
-      
-      // Build the WHERE clause based on filters
-      let whereClause = '';
-      const whereClauses = [];
+    async listRegulationVersions(regulationId) {
+      const query = `
+        SELECT version_id, version_number, effective_date, is_current, change_summary, change_type
+        FROM regulation_versions
+        WHERE regulation_id = $1
+        ORDER BY effective_date DESC
+      `;
       
-      if (filters.category) {
-        params.push(filters.category);
-        whereClauses.push(`r.category = $${params.length}`);
-      }
+      const result = await this.query(query, [regulationId]);
+      return result.rows;
+    },
+    
+    /**
+     * Get a single regulation version with its full content
+     * @param {string} regulationId - Unique identifier for the regulation
+     * @param {string} versionNumber - Semantic version number
+     * @returns {Promise<Object|null>} Version data or null if not found
+     */
+    async getRegulationVersion(regulationId, versionNumber) {
+      const query = `
+        SELECT *
+        FROM regulation_versions
+        WHERE regulation_id = $1 AND version_number = $2
+      `;
       
-      if (filters.jurisdiction) {
-        params.push(filters.jurisdiction);
-        whereClauses.push(`r.jurisdiction = $${params.length}`);
-      }
+      const result = await this.query(query, [regulationId, versionNumber]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * Record acceptance of a regulation version
+     * @param {Object} acceptance - Acceptance data
+     * @returns {Promise<Object>} Created acceptance
+     */
+    async createRegulationAcceptance(acceptance) {
+      const {
+        regulationId,
+        versionId,
+        previousVersion,
+        acceptedVersion,
+        authorityVersion,
+        acceptedBy,
+        acceptorRole,
+        acceptanceNotes,
+        frontendVersion,
+        isOverridden,
+        overrideReason,
+        metadata
+      } = acceptance;
       
-      if (filters.query) {
-        params.push(`%${filters.query}%`);
-        whereClauses.push(`(r.title ILIKE $${params.length} OR r.citation ILIKE $${params.length})`);
-      }
+      const query = `
+        INSERT INTO regulation_acceptances (
+          regulation_id,
+          version_id,
+          previous_version,
+          accepted_version,
+          authority_version,
+          accepted_at,
+          accepted_by,
+          acceptor_role,
+          acceptance_notes,
+          frontend_version,
+          is_overridden,
+          override_reason,
+          metadata,
+          created_at
+        )
+        VALUES ($1, $2, $3, $4, $5, NOW(), $6, $7, $8, $9, $10, $11, $12, NOW())
+        RETURNING *
+      `;
       
-      if (filters.tags && filters.tags.length > 0) {
-        params.push(filters.tags);
-        whereClauses.push(`r.tags && $${params.length}::text[]`);
-      }
+      const result = await this.query(query, [
+        regulationId,
+        versionId || null,
+        previousVersion,
+        acceptedVersion,
+        authorityVersion,
+        acceptedBy,
+        acceptorRole || null,
+        acceptanceNotes || null,
+        frontendVersion || null,
+        !!isOverridden,
+        overrideReason || null,
+        metadata ? JSON.stringify(metadata) : '{}'
+      ]);
       
-      if (filters.active !== undefined) {
-        params.push(filters.active);
-        whereClauses.push(`r.is_active = $${params.length}`);
-      }
+      return result.rows[0];
+    },
+    
+    /**
+     * Get the most recent acceptance for a regulation
+     * @param {string} regulationId - Unique identifier for the regulation
+     * @returns {Promise<Object|null>} Latest acceptance or null if never accepted
+     */
+    async getLatestRegulationAcceptance(regulationId) {
+      const query = `
+        SELECT *
+        FROM regulation_acceptances
+        WHERE regulation_id = $1
+        ORDER BY accepted_at DESC
+        LIMIT 1
+      `;
       
-      if (whereClauses.length > 0) {
-        whereClause = `WHERE ${whereClauses.join(' AND ')}`;
-      }
+      const result = await this.query(query, [regulationId]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * List regulations with filtering, sorting and pagination
+     * @param {Object} filters - Filter criteria (see REGULATION_FILTERS)
+     * @param {number} page - Page number (1-based)
+     * @param {number} limit - Items per page
+     * @param {Object} [sort] - Sort field (see REGULATION_SORT_FIELDS) and order
+     * @returns {Promise<Object>} Paginated regulations and total count
+     */
+    async listRegulations(filters = {}, page = 1, limit = 20, sort = {}) {
+      const where = buildWhereClause(filters, REGULATION_FILTERS);
+      const orderBy = buildOrderByClause(sort, REGULATION_SORT_FIELDS, { field: 'updatedAt', order: 'desc' }, ['r.regulation_id']);
       
       // Build the query
+      const params = where.params.slice();
       const query = `
         SELECT r.*, rv.version_number as current_version
         FROM regulations r
-        JOIN regulation_versions rv ON r.regulation_id = rv.regulation_id
-        ${whereClause}
-        AND rv.is_current = true
-        ORDER BY r.updated_at DESC
-        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        JOIN regulation_versions rv ON r.regulation_id = rv.regulation_id AND rv.is_current = true
+        ${where.clause}
+        ${orderBy}
+        ${buildPaginationClause({ limit, offset: (page - 1) * limit }, params, 100)}
       `;
       
-      // Add pagination parameters
-      params.push(limit, offset);
-      
       // Execute the query
       const result = await this.query(query, params);
       
@@ -242,10 +456,10 @@ function createDbClient(pool) {
       const countQuery = `
         SELECT COUNT(*) as total
         FROM regulations r
-        ${whereClause}
+        ${where.clause}
       `;
       
-      const countResult = await this.query(countQuery, params.slice(0, -2));
+      const countResult = await this.query(countQuery, where.params);
       const total = parseInt(countResult.rows[0].total, 10);
       
       return {
@@ -268,6 +482,7 @@ function createDbClient(pool) {
         issuedAt,
         expiresAt,
         validatedBy,
+        validationResultHash,
         cryptographicSignature,
         certificateUrl
       } = certificate;
@@ -292,7 +507,8 @@ function createDbClient(pool) {
       `;
       
       const metadata = {
-        certificateUrl
+        certificateUrl,
+        validationResultHash
       };
       
       const result = await this.query(query, [
@@ -303,7 +519,7 @@ function createDbClient(pool) {
         issuedAt,
         expiresAt,
         validatedBy,
-        cryptographicSignature,
+        JSON.stringify(cryptographicSignature),
         'active',
         JSON.stringify(metadata)
       ]);
@@ -312,7 +528,86 @@ function createDbClient(pool) {
     },
     
     /**
-     * Create an audit log entry
+     * Get certificate by ID
+     * @param {string} certificateId - Unique identifier for the certificate
+     * @returns {Promise<Object|null>} Certificate data or null if not found
+     */
+    async getCertificate(certificateId) {
+      const query = `
+        SELECT *
+        FROM attestation_certificates
+        WHERE certificate_id = $1
+      `;
+      
+      const result = await this.query(query, [certificateId]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * Revoke active certificates matching the given criteria
+     * @param {Object} criteria - Either a certificate ID or a regulation ID (and optional version)
+     * @param {string} [criteria.certificateId] - Certificate to revoke
+     * @param {string} [criteria.regulationId] - Revoke all certificates for this regulation
+     * @param {string} [criteria.regulationVersion] - Restrict to a single regulation version
+     * @param {Object} revocation - Revocation details
+     * @param {string} revocation.reasonCode - Revocation reason code
+     * @param {string} [revocation.notes] - Free-text explanation
+     * @param {string} [revocation.revokedBy] - User or system that revoked the certificates
+     * @returns {Promise<Array<Object>>} Revoked certificates
+     */
+    async revokeCertificates(criteria, revocation) {
+      const params = [revocation.reasonCode, revocation.notes || null, revocation.revokedBy || null];
+      const whereClauses = [`revocation_status = 'active'`];
+      
+      if (criteria.certificateId) {
+        params.push(criteria.certificateId);
+        whereClauses.push(`certificate_id = $${params.length}`);
+      } else if (criteria.regulationId) {
+        params.push(criteria.regulationId);
+        whereClauses.push(`regulation_id = $${params.length}`);
+        
+        if (criteria.regulationVersion) {
+          params.push(criteria.regulationVersion);
+          whereClauses.push(`regulation_version = $${params.length}`);
+        }
+      } else {
+        throw new Error('A certificate ID or regulation ID is required to revoke certificates');
+      }
+      
+      const query = `
+        UPDATE attestation_certificates
+        SET revocation_status = 'revoked',
+            revocation_reason = $1,
+            revocation_notes = $2,
+            revoked_by = $3,
+            revoked_at = NOW(),
+            updated_at = NOW()
+        WHERE ${whereClauses.join(' AND ')}
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, params);
+      return result.rows;
+    },
+    
+    /**
+     * List all revoked certificates, oldest revocation first
+     * @returns {Promise<Array<Object>>} Revoked certificates
+     */
+    async listRevokedCertificates() {
+      const query = `
+        SELECT certificate_id, regulation_id, regulation_version, revocation_reason, revoked_at
+        FROM attestation_certificates
+        WHERE revocation_status = 'revoked'
+        ${buildOrderByClause(null, { revokedAt: 'revoked_at' }, { field: 'revokedAt', order: 'asc' }, ['certificate_id'])}
+      `;
+      
+      const result = await this.query(query);
+      return result.rows;
+    },
+    
+    /**
+     * Create an audit log entry, appending it to the audit hash chain
      * @param {Object} auditEvent - Audit event data
      * @returns {Promise<Object>} Created audit log
      */
@@ -321,6 +616,7 @@ function createDbClient(pool) {
         eventType,
         entityType,
         entityId,
+        tenantId,
         userId,
         clientId,
         ipAddress,
@@ -330,40 +626,1636 @@ function createDbClient(pool) {
         metadata
       } = auditEvent;
       
-      const query = `
-        INSERT INTO audit_logs (
-          event_type,
-          entity_type,
-          entity_id,
-          user_id,
-          client_id,
-          ip_address,
+      const transaction = await this.beginTransaction();
+      try {
+        // Serialize writers so that each entry links to the one before it
+        await transaction.query('SELECT pg_advisory_xact_lock(hashtext($1))', ['audit_logs_chain']);
+        
+        // The head may belong to another tenant (see 012_audit_chain_head.sql)
+        const headResult = await transaction.query('SELECT sequence_number, entry_hash FROM audit_chain_head()');
+        const head = headResult.rows[0];
+        
+        const entry = {
+          sequenceNumber: head ? Number(head.sequence_number) + 1 : 1,
+          timestamp: new Date().toISOString(),
+          eventType,
+          entityType,
+          entityId,
+          tenantId,
+          userId,
+          clientId,
+          ipAddress,
           action,
-          timestamp,
-          previous_state,
-          new_state,
-          metadata
+          previousState,
+          newState,
+          metadata: metadata || {},
+          previousHash: head ? head.entry_hash : GENESIS_HASH
+        };
+        
+        const query = `
+          INSERT INTO audit_logs (
+            event_type,
+            entity_type,
+            entity_id,
+            user_id,
+            client_id,
+            ip_address,
+            action,
+            timestamp,
+            previous_state,
+            new_state,
+            metadata,
+            sequence_number,
+            previous_hash,
+            entry_hash,
+            tenant_id
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+          RETURNING *
+        `;
+        
+        const result = await transaction.query(query, [
+          eventType,
+          entityType,
+          entityId,
+          userId || null,
+          clientId || null,
+          ipAddress || null,
+          action,
+          entry.timestamp,
+          previousState ? JSON.stringify(previousState) : null,
+          newState ? JSON.stringify(newState) : null,
+          JSON.stringify(entry.metadata),
+          entry.sequenceNumber,
+          entry.previousHash,
+          computeEntryHash(entry),
+          tenantId || null
+        ]);
+        
+        await transaction.commit();
+        return result.rows[0];
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+    },
+    
+    /**
+     * Get the most recent entry of the audit hash chain
+     * @returns {Promise<Object>} Chain head with sequence_number and entry_hash
+     */
+    async getAuditChainHead() {
+      const result = await this.query('SELECT sequence_number, entry_hash FROM audit_chain_head()');
+      return result.rows[0];
+    },
+    
+    /**
+     * Get an audit hash chain entry by sequence number
+     * @param {number} sequenceNumber - Sequence number
+     * @returns {Promise<Object>} Audit log entry
+     */
+    async getAuditChainEntry(sequenceNumber) {
+      const query = `
+        SELECT *
+        FROM audit_logs
+        WHERE sequence_number = $1
+      `;
+      
+      const result = await this.query(query, [sequenceNumber]);
+      return result.rows[0];
+    },
+    
+    /**
+     * List audit hash chain entries in sequence order
+     * @param {number} afterSequence - Return entries after this sequence number
+     * @param {number} limit - Maximum number of entries
+     * @param {number} [toSequence] - Last sequence number to include
+     * @returns {Promise<Array>} Audit log entries
+     */
+    async listAuditChainEntries(afterSequence, limit, toSequence) {
+      const params = [afterSequence, limit];
+      let rangeClause = '';
+      
+      if (toSequence) {
+        params.push(toSequence);
+        rangeClause = `AND sequence_number <= $${params.length}`;
+      }
+      
+      const query = `
+        SELECT *
+        FROM audit_logs
+        WHERE sequence_number > $1
+        ${rangeClause}
+        ORDER BY sequence_number ASC
+        LIMIT $2
+      `;
+      
+      const result = await this.query(query, params);
+      return result.rows;
+    },
+    
+    /**
+     * Count audit log entries outside the audit hash chain
+     * @returns {Promise<Object>} Entries without a chain hash written before
+     *   (beforeChain) and since (sinceChainStart) the first chained entry
+     */
+    async countUnchainedAuditEvents() {
+      const query = `
+        WITH chain_start AS (
+          SELECT MIN(timestamp) AS started_at FROM audit_logs WHERE sequence_number IS NOT NULL
+        )
+        SELECT
+          COUNT(*) FILTER (WHERE started_at IS NULL OR timestamp < started_at) AS before_chain,
+          COUNT(*) FILTER (WHERE timestamp >= started_at) AS since_chain_start
+        FROM audit_logs, chain_start
+        WHERE sequence_number IS NULL OR entry_hash IS NULL
+      `;
+      
+      const result = await this.query(query);
+      return {
+        beforeChain: parseInt(result.rows[0].before_chain, 10),
+        sinceChainStart: parseInt(result.rows[0].since_chain_start, 10)
+      };
+    },
+    
+    /**
+     * Store a signed audit chain checkpoint
+     * @param {Object} checkpoint - Checkpoint data
+     * @returns {Promise<Object>} Created checkpoint
+     */
+    async createAuditCheckpoint(checkpoint) {
+      const {
+        sequenceNumber,
+        entryHash,
+        createdAt,
+        signature
+      } = checkpoint;
+      
+      const query = `
+        INSERT INTO audit_checkpoints (
+          sequence_number,
+          entry_hash,
+          signature,
+          created_at
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), $8, $9, $10)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (sequence_number) DO NOTHING
         RETURNING *
       `;
       
       const result = await this.query(query, [
-        eventType,
-        entityType,
-        entityId,
-        userId || null,
-        clientId || null,
-        ipAddress || null,
-        action,
-        previousState ? JSON.stringify(previousState) : null,
-        newState ? JSON.stringify(newState) : null,
-        metadata ? JSON.stringify(metadata) : '{}'
+        sequenceNumber,
+        entryHash,
+        JSON.stringify(signature),
+        createdAt
       ]);
       
+      return result.rows[0] || null;
+    },
+    
+    /**
+     * List audit chain checkpoints in sequence order
+     * @returns {Promise<Array>} Checkpoints
+     */
+    async listAuditCheckpoints() {
+      const query = `
+        SELECT *
+        FROM audit_checkpoints
+        ORDER BY sequence_number ASC
+      `;
+      
+      const result = await this.query(query);
+      return result.rows;
+    },
+    
+    /**
+     * List audit log entries for an entity
+     * @param {string} entityType - Type of entity
+     * @param {string} entityId - Entity identifier
+     * @param {Object} [options] - Query options
+     * @param {number} [options.limit] - Maximum number of entries
+     * @param {number} [options.offset] - Offset for pagination
+     * @param {Object} [options.sort] - Sort field (see AUDIT_SORT_FIELDS) and order
+     * @returns {Promise<Array>} Audit log entries
+     */
+    async listAuditEvents(entityType, entityId, options = {}) {
+      const where = buildWhereClause({ entityType, entityId }, AUDIT_FILTERS);
+      const params = where.params.slice();
+      
+      const query = `
+        SELECT *
+        FROM audit_logs
+        ${where.clause}
+        ${buildOrderByClause(options.sort, AUDIT_SORT_FIELDS, { field: 'timestamp', order: 'desc' }, ['audit_id'])}
+        ${buildPaginationClause({ limit: options.limit || 100, offset: options.offset }, params)}
+      `;
+      
+      const result = await this.query(query, params);
+      return result.rows;
+    },
+    
+    /**
+     * Query audit log entries, newest first
+     * @param {Object} filters - Filter criteria (see AUDIT_FILTERS); eventType may end in '*'
+     *   to match a prefix (e.g. 'certificate.*') and search matches metadata text
+     * @param {number} limit - Maximum number of entries
+     * @param {Object} [after] - Keyset cursor: entries strictly older than this one
+     * @param {string} after.timestamp - Timestamp of the last entry already returned
+     * @param {string} after.auditId - Identifier of the last entry already returned
+     * @returns {Promise<Array>} Audit log entries
+     */
+    async queryAuditEvents(filters, limit, after) {
+      const { eventType, ...rest } = filters;
+      const typedFilters = { ...rest };
+      if (typeof eventType === 'string' && eventType.endsWith('*')) {
+        typedFilters.eventTypePrefix = eventType.slice(0, -1);
+      } else {
+        typedFilters.eventType = eventType;
+      }
+      
+      const where = buildWhereClause(typedFilters, AUDIT_FILTERS);
+      const params = where.params;
+      const conditions = where.conditions.slice();
+      
+      if (after) {
+        params.push(after.timestamp, after.auditId);
+        conditions.push(`(timestamp, audit_id) < ($${params.length - 1}, $${params.length})`);
+      }
+      
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      
+      // The cursor timestamp is read back as text to keep microsecond precision
+      const query = `
+        SELECT *, timestamp::text AS cursor_timestamp
+        FROM audit_logs
+        ${whereClause}
+        ${buildOrderByClause(null, AUDIT_SORT_FIELDS, { field: 'timestamp', order: 'desc' }, ['audit_id'])}
+        ${buildPaginationClause({ limit }, params)}
+      `;
+      
+      const result = await this.query(query, params);
+      return result.rows;
+    },
+    
+    /**
+     * Get a single audit log entry
+     * @param {string} auditId - Audit log entry identifier
+     * @returns {Promise<Object>} Audit log entry
+     */
+    async getAuditEvent(auditId) {
+      const query = `
+        SELECT *
+        FROM audit_logs
+        WHERE audit_id = $1
+      `;
+      
+      const result = await this.query(query, [auditId]);
       return result.rows[0];
     },
     
+    /**
+     * Get the active classification profiles that apply to a tenant and category
+     * @param {string|null} tenantId - Tenant identifier
+     * @param {string|null} category - Regulation category
+     * @returns {Promise<Array<Object>>} Active global, category, tenant and tenant-category profiles
+     */
+    async getActiveClassificationProfiles(tenantId, category) {
+      const query = `
+        SELECT *
+        FROM classification_profiles
+        WHERE is_active = true
+          AND (tenant_id IS NULL OR tenant_id = $1)
+          AND (category IS NULL OR category = $2)
+      `;
+      
+      const result = await this.query(query, [tenantId, category]);
+      return result.rows;
+    },
+    
+    /**
+     * List classification profile versions for a tenant, newest first
+     * @param {string|null} tenantId - Tenant identifier (null for global profiles)
+     * @param {string} [category] - Only list profiles for this category
+     * @returns {Promise<Array<Object>>} Profile versions
+     */
+    async listClassificationProfiles(tenantId, category) {
+      const params = [tenantId];
+      let categoryCondition = '';
+      if (category) {
+        params.push(category);
+        categoryCondition = `AND category = $${params.length}`;
+      }
+      
+      const query = `
+        SELECT *
+        FROM classification_profiles
+        WHERE tenant_id IS NOT DISTINCT FROM $1
+        ${categoryCondition}
+        ORDER BY category NULLS FIRST, version DESC
+      `;
+      
+      const result = await this.query(query, params);
+      return result.rows;
+    },
+    
+    /**
+     * Get a classification profile version
+     * @param {string} profileId - Profile identifier
+     * @returns {Promise<Object|null>} Profile or null if not found
+     */
+    async getClassificationProfile(profileId) {
+      const query = `
+        SELECT *
+        FROM classification_profiles
+        WHERE profile_id = $1
+      `;
+      
+      const result = await this.query(query, [profileId]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * Create a new classification profile version for a scope
+     * @param {Object} profile - Profile data
+     * @returns {Promise<Object>} Created profile
+     */
+    async createClassificationProfile(profile) {
+      const { tenantId, category, settings, notes, createdBy, activate } = profile;
+      
+      const transaction = await this.beginTransaction();
+      try {
+        await lockClassificationProfileScope(transaction, tenantId, category);
+        
+        const versionResult = await transaction.query(`
+          SELECT COALESCE(MAX(version), 0) + 1 AS version
+          FROM classification_profiles
+          WHERE tenant_id IS NOT DISTINCT FROM $1 AND category IS NOT DISTINCT FROM $2
+        `, [tenantId || null, category || null]);
+        
+        if (activate) {
+          await transaction.query(`
+            UPDATE classification_profiles
+            SET is_active = false
+            WHERE tenant_id IS NOT DISTINCT FROM $1 AND category IS NOT DISTINCT FROM $2 AND is_active
+          `, [tenantId || null, category || null]);
+        }
+        
+        const result = await transaction.query(`
+          INSERT INTO classification_profiles (
+            tenant_id,
+            category,
+            version,
+            settings,
+            is_active,
+            notes,
+            created_by,
+            created_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+          RETURNING *
+        `, [
+          tenantId || null,
+          category || null,
+          versionResult.rows[0].version,
+          JSON.stringify(settings),
+          !!activate,
+          notes || null,
+          createdBy || null
+        ]);
+        
+        await transaction.commit();
+        return result.rows[0];
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+    },
+    
+    /**
+     * Make a classification profile version the active one for its scope
+     * @param {string} profileId - Profile identifier
+     * @returns {Promise<Object|null>} Activated profile or null if not found
+     */
+    async activateClassificationProfile(profileId) {
+      const transaction = await this.beginTransaction();
+      try {
+        const profileResult = await transaction.query(`
+          SELECT tenant_id, category
+          FROM classification_profiles
+          WHERE profile_id = $1
+        `, [profileId]);
+        
+        if (profileResult.rows.length === 0) {
+          await transaction.rollback();
+          return null;
+        }
+        
+        // The scope of a profile never changes, so it is safe to lock after reading it
+        const profile = profileResult.rows[0];
+        await lockClassificationProfileScope(transaction, profile.tenant_id, profile.category);
+        
+        await transaction.query(`
+          UPDATE classification_profiles
+          SET is_active = false
+          WHERE tenant_id IS NOT DISTINCT FROM $1 AND category IS NOT DISTINCT FROM $2 AND is_active
+        `, [profile.tenant_id, profile.category]);
+        
+        const result = await transaction.query(`
+          UPDATE classification_profiles
+          SET is_active = true
+          WHERE profile_id = $1
+          RETURNING *
+        `, [profileId]);
+        
+        await transaction.commit();
+        return result.rows[0];
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+    },
+    
+    /**
+     * Get the active decision tree for a regulation
+     * @param {string} regulationId - Unique identifier for the regulation
+     * @returns {Promise<Object|null>} Decision tree record or null if none is active
+     */
+    async getActiveDecisionTree(regulationId) {
+      const query = `
+        SELECT *
+        FROM regulation_decision_trees
+        WHERE regulation_id = $1 AND is_active = true
+      `;
+      
+      const result = await this.query(query, [regulationId]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * Add a validation result to the human review queue
+     * @param {Object} item - Review item data
+     * @returns {Promise<Object>} Created review item
+     */
+    async createReviewItem(item) {
+      const {
+        regulationId,
+        regulationVersion,
+        validationRequestId,
+        reason,
+        validationResult
+      } = item;
+      
+      const query = `
+        INSERT INTO review_queue (
+          regulation_id,
+          regulation_version,
+          validation_request_id,
+          status,
+          reason,
+          validation_result,
+          created_at,
+          updated_at
+        )
+        VALUES ($1, $2, $3, 'PENDING', $4, $5, NOW(), NOW())
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [
+        regulationId,
+        regulationVersion || null,
+        validationRequestId || null,
+        reason || null,
+        JSON.stringify(validationResult)
+      ]);
+      
+      return result.rows[0];
+    },
+    
+    /**
+     * Get a review item
+     * @param {string} reviewId - Review item identifier
+     * @returns {Promise<Object|null>} Review item or null if not found
+     */
+    async getReviewItem(reviewId) {
+      const query = `
+        SELECT *
+        FROM review_queue
+        WHERE review_id = $1
+      `;
+      
+      const result = await this.query(query, [reviewId]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * List review items with filtering, sorting and pagination
+     * @param {Object} filters - Filter criteria (see REVIEW_FILTERS)
+     * @param {number} page - Page number (1-based)
+     * @param {number} limit - Items per page
+     * @param {Object} [sort] - Sort field (see REVIEW_SORT_FIELDS) and order
+     * @returns {Promise<Object>} Paginated review items and total count
+     */
+    async listReviewItems(filters = {}, page = 1, limit = 20, sort = {}) {
+      const where = buildWhereClause(filters, REVIEW_FILTERS);
+      const params = where.params.slice();
+      const query = `
+        SELECT *
+        FROM review_queue
+        ${where.clause}
+        ${buildOrderByClause(sort, REVIEW_SORT_FIELDS, { field: 'createdAt', order: 'asc' }, ['review_id'])}
+        ${buildPaginationClause({ limit, offset: (page - 1) * limit }, params, 100)}
+      `;
+      
+      const result = await this.query(query, params);
+      
+      const countQuery = `
+        SELECT COUNT(*) as total
+        FROM review_queue
+        ${where.clause}
+      `;
+      
+      const countResult = await this.query(countQuery, where.params);
+      
+      return {
+        items: result.rows,
+        total: parseInt(countResult.rows[0].total, 10)
+      };
+    },
+    
+    /**
+     * Claim a review item for a reviewer
+     * 
+     * Succeeds for pending items, and for items the reviewer already holds.
+     * @param {string} reviewId - Review item identifier
+     * @param {string} reviewerId - Reviewer claiming the item
+     * @returns {Promise<Object|null>} Claimed item, or null if it cannot be claimed
+     */
+    async claimReviewItem(reviewId, reviewerId) {
+      const query = `
+        UPDATE review_queue
+        SET status = 'CLAIMED',
+            claimed_by = $2,
+            claimed_at = COALESCE(claimed_at, NOW()),
+            updated_at = NOW()
+        WHERE review_id = $1
+          AND (status = 'PENDING' OR (status = 'CLAIMED' AND claimed_by = $2))
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [reviewId, reviewerId]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * Record a reviewer's decision on a claimed review item
+     * @param {string} reviewId - Review item identifier
+     * @param {Object} decision - Decision data
+     * @returns {Promise<Object|null>} Decided item, or null if the reviewer does not hold the claim
+     */
+    async decideReviewItem(reviewId, decision) {
+      const {
+        decision: verdict,
+        decisionReason,
+        decidedBy,
+        validationResult
+      } = decision;
+      
+      const query = `
+        UPDATE review_queue
+        SET status = 'DECIDED',
+            decision = $2,
+            decision_reason = $3,
+            decided_by = $4,
+            decided_at = NOW(),
+            validation_result = $5,
+            updated_at = NOW()
+        WHERE review_id = $1 AND status = 'CLAIMED' AND claimed_by = $4
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [
+        reviewId,
+        verdict,
+        decisionReason,
+        decidedBy,
+        JSON.stringify(validationResult)
+      ]);
+      
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * Attach the certificate issued for an approved review item
+     * @param {string} reviewId - Review item identifier
+     * @param {string} certificateId - Certificate identifier
+     * @returns {Promise<Object|null>} Updated item or null if not found
+     */
+    async setReviewItemCertificate(reviewId, certificateId) {
+      const query = `
+        UPDATE review_queue
+        SET certificate_id = $2,
+            updated_at = NOW()
+        WHERE review_id = $1 AND status = 'DECIDED'
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [reviewId, certificateId]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * Append an annotation to a review item
+     * @param {string} reviewId - Review item identifier
+     * @param {Object} annotation - Annotation data
+     * @returns {Promise<Object|null>} Updated item or null if not found
+     */
+    async addReviewAnnotation(reviewId, annotation) {
+      const query = `
+        UPDATE review_queue
+        SET annotations = annotations || $2::jsonb,
+            updated_at = NOW()
+        WHERE review_id = $1
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [reviewId, JSON.stringify([annotation])]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * Store the result of a validation
+     * @param {Object} record - Validation record data
+     * @returns {Promise<Object>} Created validation record
+     */
+    async createValidationResult(record) {
+      const {
+        regulationId,
+        regulationVersion,
+        comparedVersion,
+        tenantId,
+        requestedBy,
+        requestId,
+        batchJobId,
+        validationLevel,
+        requestedLevel,
+        status,
+        isValid,
+        certaintyLevel,
+        validSections,
+        invalidSections,
+        warnings,
+        validatorId,
+        validationTimestamp,
+        executionTimeMs,
+        reviewId,
+        result: validationResult,
+        metadata
+      } = record;
+      
+      const query = `
+        INSERT INTO validation_results (
+          regulation_id,
+          regulation_version,
+          compared_version,
+          tenant_id,
+          requested_by,
+          request_id,
+          batch_job_id,
+          validation_level,
+          requested_level,
+          status,
+          is_valid,
+          certainty_level,
+          valid_sections,
+          invalid_sections,
+          warnings,
+          validator_id,
+          validation_timestamp,
+          execution_time_ms,
+          review_id,
+          result,
+          metadata,
+          created_at,
+          updated_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, NOW(), NOW())
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [
+        regulationId,
+        regulationVersion || null,
+        comparedVersion || null,
+        tenantId || null,
+        requestedBy || null,
+        requestId || null,
+        batchJobId || null,
+        validationLevel,
+        requestedLevel || null,
+        status,
+        !!isValid,
+        certaintyLevel === undefined ? null : certaintyLevel,
+        JSON.stringify(validSections || []),
+        JSON.stringify(invalidSections || []),
+        JSON.stringify(warnings || []),
+        validatorId || null,
+        validationTimestamp,
+        executionTimeMs === undefined ? null : executionTimeMs,
+        reviewId || null,
+        JSON.stringify(validationResult),
+        JSON.stringify(metadata || {})
+      ]);
+      
+      return result.rows[0];
+    },
+    
+    /**
+     * Get a stored validation result
+     * @param {string} validationId - Validation identifier
+     * @returns {Promise<Object|null>} Validation record or null if not found
+     */
+    async getValidationResult(validationId) {
+      const query = `
+        SELECT *
+        FROM validation_results
+        WHERE validation_id = $1
+      `;
+      
+      const result = await this.query(query, [validationId]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * List stored validation results of a tenant with filtering, sorting and pagination
+     * @param {string|null} tenantId - Tenant identifier (null for validations without a tenant)
+     * @param {Object} filters - Filter criteria (see VALIDATION_RESULT_FILTERS)
+     * @param {number} page - Page number (1-based)
+     * @param {number} limit - Items per page
+     * @param {Object} [sort] - Sort field (see VALIDATION_RESULT_SORT_FIELDS) and order
+     * @returns {Promise<Object>} Paginated validation records and total count
+     */
+    async listValidationResults(tenantId, filters = {}, page = 1, limit = 20, sort = {}) {
+      const where = buildWhereClause(filters, VALIDATION_RESULT_FILTERS, [tenantId || null]);
+      const clause = `WHERE ${['tenant_id IS NOT DISTINCT FROM $1'].concat(where.conditions).join(' AND ')}`;
+      const params = where.params.slice();
+      const query = `
+        SELECT *
+        FROM validation_results
+        ${clause}
+        ${buildOrderByClause(sort, VALIDATION_RESULT_SORT_FIELDS, { field: 'validationTimestamp', order: 'desc' }, ['validation_id'])}
+        ${buildPaginationClause({ limit, offset: (page - 1) * limit }, params, 100)}
+      `;
+      
+      const result = await this.query(query, params);
+      
+      const countQuery = `
+        SELECT COUNT(*) as total
+        FROM validation_results
+        ${clause}
+      `;
+      
+      const countResult = await this.query(countQuery, where.params);
+      
+      return {
+        items: result.rows,
+        total: parseInt(countResult.rows[0].total, 10)
+      };
+    },
+    
+    /**
+     * Link a stored validation to the certificate issued for it
+     * @param {string} validationId - Validation identifier
+     * @param {string} certificateId - Certificate identifier
+     * @returns {Promise<Object|null>} Updated validation record or null if not found
+     */
+    async setValidationCertificate(validationId, certificateId) {
+      const query = `
+        UPDATE validation_results
+        SET certificate_id = $2,
+            updated_at = NOW()
+        WHERE validation_id = $1
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [validationId, certificateId]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * Get the stored validation that was queued for a review
+     * @param {string} reviewId - Review item identifier
+     * @returns {Promise<Object|null>} Validation record or null if none was stored
+     */
+    async getValidationResultByReview(reviewId) {
+      const query = `
+        SELECT *
+        FROM validation_results
+        WHERE review_id = $1
+        ORDER BY created_at DESC
+        LIMIT 1
+      `;
+      
+      const result = await this.query(query, [reviewId]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * Record the outcome of a human review on the stored validation
+     * @param {string} validationId - Validation identifier
+     * @param {Object} outcome - Reviewed status, validity, certainty, result and certificate
+     * @returns {Promise<Object|null>} Updated validation record or null if not found
+     */
+    async recordValidationReview(validationId, outcome) {
+      const { status, isValid, certaintyLevel, result: validationResult, certificateId } = outcome;
+      
+      const query = `
+        UPDATE validation_results
+        SET status = $2,
+            is_valid = $3,
+            certainty_level = $4,
+            result = $5,
+            certificate_id = COALESCE($6, certificate_id),
+            updated_at = NOW()
+        WHERE validation_id = $1
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [
+        validationId,
+        status,
+        isValid,
+        certaintyLevel,
+        JSON.stringify(validationResult),
+        certificateId || null
+      ]);
+      
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * List the stored validations of a tenant in time order for trend analysis
+     * 
+     * Only the summary columns are loaded, with the category and jurisdiction
+     * of the validated regulation.
+     * 
+     * @param {string|null} tenantId - Caller's tenant
+     * @param {Object} filters - Filter criteria (see COMPLIANCE_FILTERS)
+     * @param {number} limit - Maximum number of validations
+     * @returns {Promise<Array<Object>>} Validation summaries, newest first
+     */
+    async listValidationHistory(tenantId, filters = {}, limit = 10000) {
+      const where = buildWhereClause(filters, COMPLIANCE_FILTERS, [tenantId || null]);
+      const params = where.params.slice();
+      const query = `
+        SELECT
+          v.validation_id,
+          v.regulation_id,
+          v.validation_level,
+          v.status,
+          v.is_valid,
+          v.certainty_level,
+          v.invalid_sections,
+          v.validation_timestamp,
+          r.category,
+          r.jurisdiction
+        FROM validation_results v
+        LEFT JOIN regulations r ON r.regulation_id = v.regulation_id
+        WHERE ${['v.tenant_id IS NOT DISTINCT FROM $1'].concat(where.conditions).join(' AND ')}
+        ORDER BY v.validation_timestamp DESC, v.validation_id DESC
+        ${buildPaginationClause({ limit, offset: 0 }, params, limit)}
+      `;
+      
+      const result = await this.query(query, params);
+      return result.rows;
+    },
+    
+    /**
+     * Get the latest validation of each regulation a tenant has validated
+     * 
+     * Each row also carries the time of the regulation's last valid
+     * validation and its number of validations, within the same filters.
+     * 
+     * @param {string|null} tenantId - Caller's tenant
+     * @param {Object} filters - Filter criteria (see COMPLIANCE_FILTERS)
+     * @returns {Promise<Array<Object>>} One row per regulation
+     */
+    async listRegulationComplianceStatus(tenantId, filters = {}) {
+      const where = buildWhereClause(filters, COMPLIANCE_FILTERS, [tenantId || null]);
+      const query = `
+        SELECT DISTINCT ON (v.regulation_id)
+          v.regulation_id,
+          v.validation_id,
+          v.status,
+          v.is_valid,
+          v.certainty_level,
+          v.validation_level,
+          v.validation_timestamp,
+          MAX(v.validation_timestamp) FILTER (WHERE v.is_valid) OVER (PARTITION BY v.regulation_id) AS last_valid_at,
+          COUNT(*) OVER (PARTITION BY v.regulation_id) AS validation_count,
+          r.title,
+          r.category,
+          r.jurisdiction
+        FROM validation_results v
+        LEFT JOIN regulations r ON r.regulation_id = v.regulation_id
+        WHERE ${['v.tenant_id IS NOT DISTINCT FROM $1'].concat(where.conditions).join(' AND ')}
+        ORDER BY v.regulation_id, v.validation_timestamp DESC, v.validation_id DESC
+      `;
+      
+      const result = await this.query(query, where.params);
+      return result.rows;
+    },
+    
+    /**
+     * Create a batch validation job with its items
+     * @param {Object} job - Job data
+     * @returns {Promise<Object>} Created job
+     */
+    async createBatchJob(job) {
+      const { tenantId, submittedBy, requestId, options, items } = job;
+      
+      const transaction = await this.beginTransaction();
+      try {
+        const result = await transaction.query(`
+          INSERT INTO batch_jobs (
+            tenant_id,
+            submitted_by,
+            request_id,
+            status,
+            options,
+            item_count,
+            created_at,
+            updated_at
+          )
+          VALUES ($1, $2, $3, 'QUEUED', $4, $5, NOW(), NOW())
+          RETURNING *
+        `, [
+          tenantId || null,
+          submittedBy || null,
+          requestId || null,
+          JSON.stringify(options || {}),
+          items.length
+        ]);
+        
+        const batchJob = result.rows[0];
+        
+        for (let index = 0; index < items.length; index++) {
+          const item = items[index];
+          await transaction.query(`
+            INSERT INTO batch_job_items (
+              job_id,
+              item_index,
+              regulation_id,
+              regulation_version,
+              regulation_content,
+              validation_level,
+              status,
+              updated_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, 'PENDING', NOW())
+          `, [
+            batchJob.job_id,
+            index,
+            item.regulationId,
+            item.regulationVersion || null,
+            JSON.stringify(item.regulationContent),
+            item.validationLevel || 1
+          ]);
+        }
+        
+        await transaction.commit();
+        return batchJob;
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+    },
+    
+    /**
+     * Get a batch validation job
+     * @param {string} jobId - Job identifier
+     * @returns {Promise<Object|null>} Job or null if not found
+     */
+    async getBatchJob(jobId) {
+      const query = `
+        SELECT *
+        FROM batch_jobs
+        WHERE job_id = $1
+      `;
+      
+      const result = await this.query(query, [jobId]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * Mark a batch validation job as running
+     * @param {string} jobId - Job identifier
+     * @returns {Promise<Object|null>} Updated job, or null if the job has already finished
+     */
+    async startBatchJob(jobId) {
+      const query = `
+        UPDATE batch_jobs
+        SET status = 'RUNNING',
+            started_at = COALESCE(started_at, NOW()),
+            updated_at = NOW()
+        WHERE job_id = $1 AND status IN ('QUEUED', 'RUNNING')
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [jobId]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * Record the end of a batch validation job
+     * @param {string} jobId - Job identifier
+     * @param {Object} outcome - Final status ('COMPLETED' or 'FAILED') with summary or error
+     * @returns {Promise<Object|null>} Finished job, or null if it had already finished
+     */
+    async finishBatchJob(jobId, outcome) {
+      const { status, summary, error } = outcome;
+      
+      const query = `
+        UPDATE batch_jobs
+        SET status = $2,
+            summary = $3,
+            error = $4,
+            completed_at = NOW(),
+            updated_at = NOW()
+        WHERE job_id = $1 AND status IN ('QUEUED', 'RUNNING')
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [
+        jobId,
+        status,
+        summary ? JSON.stringify(summary) : null,
+        error || null
+      ]);
+      
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * Count the items of a batch validation job by status
+     * @param {string} jobId - Job identifier
+     * @returns {Promise<Object>} Item counts keyed by status, and when the next retry is due
+     */
+    async getBatchJobProgress(jobId) {
+      const query = `
+        SELECT status, COUNT(*) AS count, MIN(next_attempt_at) AS next_attempt_at
+        FROM batch_job_items
+        WHERE job_id = $1
+        GROUP BY status
+      `;
+      
+      const result = await this.query(query, [jobId]);
+      
+      const progress = { PENDING: 0, RUNNING: 0, SUCCEEDED: 0, FAILED: 0, nextAttemptAt: null };
+      result.rows.forEach(row => {
+        progress[row.status] = parseInt(row.count, 10);
+        if (row.status === 'PENDING') {
+          progress.nextAttemptAt = row.next_attempt_at;
+        }
+      });
+      
+      return progress;
+    },
+    
+    /**
+     * Claim the next due items of a batch validation job
+     * 
+     * Claimed items are skipped by concurrent workers.
+     * @param {string} jobId - Job identifier
+     * @param {number} limit - Maximum number of items to claim
+     * @returns {Promise<Array<Object>>} Claimed items
+     */
+    async claimBatchJobItems(jobId, limit) {
+      const query = `
+        UPDATE batch_job_items
+        SET status = 'RUNNING',
+            attempts = attempts + 1,
+            started_at = NOW(),
+            updated_at = NOW()
+        WHERE item_id IN (
+          SELECT item_id
+          FROM batch_job_items
+          WHERE job_id = $1 AND status = 'PENDING' AND next_attempt_at <= NOW()
+          ORDER BY item_index
+          LIMIT $2
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [jobId, limit]);
+      return result.rows.sort((a, b) => a.item_index - b.item_index);
+    },
+    
+    /**
+     * Return items abandoned by a worker that stopped to the pending state
+     * @param {string} jobId - Job identifier
+     * @param {number} staleSeconds - Time after which a running item counts as abandoned
+     * @returns {Promise<number>} Number of items released
+     */
+    async releaseStaleBatchJobItems(jobId, staleSeconds) {
+      const query = `
+        UPDATE batch_job_items
+        SET status = 'PENDING',
+            next_attempt_at = NOW(),
+            updated_at = NOW()
+        WHERE job_id = $1 AND status = 'RUNNING'
+          AND updated_at < NOW() - make_interval(secs => $2)
+      `;
+      
+      const result = await this.query(query, [jobId, staleSeconds]);
+      return result.rowCount;
+    },
+    
+    /**
+     * Record the final outcome of a batch job item
+     * @param {string} itemId - Item identifier
+     * @param {Object} outcome - Final status ('SUCCEEDED' or 'FAILED') with result or error
+     * @returns {Promise<Object>} Updated item
+     */
+    async completeBatchJobItem(itemId, outcome) {
+      const { status, result: itemResult, error } = outcome;
+      
+      const query = `
+        UPDATE batch_job_items
+        SET status = $2,
+            result = $3,
+            error = $4,
+            completed_at = NOW(),
+            updated_at = NOW()
+        WHERE item_id = $1
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [
+        itemId,
+        status,
+        itemResult ? JSON.stringify(itemResult) : null,
+        error ? JSON.stringify(error) : null
+      ]);
+      
+      return result.rows[0];
+    },
+    
+    /**
+     * Return a failed batch job item to the queue for another attempt
+     * @param {string} itemId - Item identifier
+     * @param {Object} error - Error from the failed attempt
+     * @param {number} delaySeconds - Time to wait before the next attempt
+     * @returns {Promise<Object>} Updated item
+     */
+    async retryBatchJobItem(itemId, error, delaySeconds) {
+      const query = `
+        UPDATE batch_job_items
+        SET status = 'PENDING',
+            error = $2,
+            next_attempt_at = NOW() + make_interval(secs => $3),
+            updated_at = NOW()
+        WHERE item_id = $1
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [itemId, JSON.stringify(error), delaySeconds]);
+      return result.rows[0];
+    },
+    
+    /**
+     * List the items of a batch validation job with filtering and pagination
+     * @param {string} jobId - Job identifier
+     * @param {Object} filters - Filter criteria (see BATCH_JOB_ITEM_FILTERS)
+     * @param {number} page - Page number (1-based)
+     * @param {number} limit - Items per page
+     * @returns {Promise<Object>} Paginated items in submission order and total count
+     */
+    async listBatchJobItems(jobId, filters = {}, page = 1, limit = 20) {
+      const where = buildWhereClause(filters, BATCH_JOB_ITEM_FILTERS, [jobId]);
+      const clause = `WHERE ${['job_id = $1'].concat(where.conditions).join(' AND ')}`;
+      const params = where.params.slice();
+      const query = `
+        SELECT *
+        FROM batch_job_items
+        ${clause}
+        ORDER BY item_index
+        ${buildPaginationClause({ limit, offset: (page - 1) * limit }, params, 100)}
+      `;
+      
+      const result = await this.query(query, params);
+      
+      const countQuery = `
+        SELECT COUNT(*) as total
+        FROM batch_job_items
+        ${clause}
+      `;
+      
+      const countResult = await this.query(countQuery, where.params);
+      
+      return {
+        items: result.rows,
+        total: parseInt(countResult.rows[0].total, 10)
+      };
+    },
+    
+    /**
+     * List the outcomes of all items of a batch validation job
+     * @param {string} jobId - Job identifier
+     * @returns {Promise<Array<Object>>} Item outcomes with regulation category and jurisdiction, in submission order
+     */
+    async listBatchJobResults(jobId) {
+      const query = `
+        SELECT i.item_index, i.regulation_id, i.status, i.result, i.error, r.category, r.jurisdiction
+        FROM batch_job_items i
+        LEFT JOIN regulations r ON r.regulation_id = i.regulation_id
+        WHERE i.job_id = $1
+        ORDER BY i.item_index
+      `;
+      
+      const result = await this.query(query, [jobId]);
+      return result.rows;
+    },
+    
+    /**
+     * List the validators stored in the registry
+     * @returns {Promise<Array<Object>>} Validator configurations, including disabled ones
+     */
+    async listValidators() {
+      const result = await this.query(`
+        SELECT *
+        FROM validators
+        ORDER BY validator_id
+      `);
+      return result.rows;
+    },
+    
+    /**
+     * Get a stored validator configuration
+     * @param {string} validatorId - Validator identifier
+     * @returns {Promise<Object|null>} Validator configuration or null if not found
+     */
+    async getValidator(validatorId) {
+      const result = await this.query('SELECT * FROM validators WHERE validator_id = $1', [validatorId]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * Create or replace a stored validator configuration
+     * @param {Object} validator - Validator configuration
+     * @returns {Promise<Object>} Stored configuration
+     */
+    async upsertValidator(validator) {
+      const {
+        validatorId,
+        description,
+        functionArn,
+        levels,
+        jurisdictions,
+        categories,
+        capabilities,
+        timeoutMs,
+        enabled,
+        updatedBy
+      } = validator;
+      
+      const query = `
+        INSERT INTO validators (
+          validator_id,
+          description,
+          function_arn,
+          levels,
+          jurisdictions,
+          categories,
+          capabilities,
+          timeout_ms,
+          enabled,
+          updated_by,
+          created_at,
+          updated_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
+        ON CONFLICT (validator_id) DO UPDATE
+        SET description = EXCLUDED.description,
+            function_arn = EXCLUDED.function_arn,
+            levels = EXCLUDED.levels,
+            jurisdictions = EXCLUDED.jurisdictions,
+            categories = EXCLUDED.categories,
+            capabilities = EXCLUDED.capabilities,
+            timeout_ms = EXCLUDED.timeout_ms,
+            enabled = EXCLUDED.enabled,
+            updated_by = EXCLUDED.updated_by,
+            updated_at = NOW()
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [
+        validatorId,
+        description || null,
+        functionArn,
+        levels,
+        jurisdictions || [],
+        categories || [],
+        capabilities || [],
+        timeoutMs || null,
+        enabled !== false,
+        updatedBy || null
+      ]);
+      
+      return result.rows[0];
+    },
+    
+    /**
+     * List the health and circuit breaker state of all validators
+     * @returns {Promise<Array<Object>>} Health records
+     */
+    async listValidatorHealth() {
+      const result = await this.query('SELECT * FROM validator_health');
+      return result.rows;
+    },
+    
+    /**
+     * Record the result of a validator health check
+     * @param {string} validatorId - Validator identifier
+     * @param {Object} check - Check outcome with healthy flag and optional error
+     * @returns {Promise<Object>} Health record, with the status before the check as previous_status
+     */
+    async recordValidatorHealth(validatorId, check) {
+      const query = `
+        WITH previous AS (
+          SELECT health_status FROM validator_health WHERE validator_id = $1
+        )
+        INSERT INTO validator_health (validator_id, health_status, health_checked_at, health_error, updated_at)
+        VALUES ($1, $2, NOW(), $3, NOW())
+        ON CONFLICT (validator_id) DO UPDATE
+        SET health_status = EXCLUDED.health_status,
+            health_checked_at = EXCLUDED.health_checked_at,
+            health_error = EXCLUDED.health_error,
+            updated_at = NOW()
+        RETURNING validator_health.*, (SELECT health_status FROM previous) AS previous_status
+      `;
+      
+      const result = await this.query(query, [
+        validatorId,
+        check.healthy ? 'HEALTHY' : 'UNHEALTHY',
+        check.healthy ? null : check.error || null
+      ]);
+      
+      return result.rows[0];
+    },
+    
+    /**
+     * Record a successful validator call, closing its circuit
+     * @param {string} validatorId - Validator identifier
+     * @returns {Promise<Object>} Health record
+     */
+    async recordValidatorSuccess(validatorId) {
+      const query = `
+        INSERT INTO validator_health (validator_id, circuit_state, consecutive_failures, last_success_at, updated_at)
+        VALUES ($1, 'CLOSED', 0, NOW(), NOW())
+        ON CONFLICT (validator_id) DO UPDATE
+        SET circuit_state = 'CLOSED',
+            consecutive_failures = 0,
+            circuit_opened_at = NULL,
+            last_success_at = NOW(),
+            updated_at = NOW()
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [validatorId]);
+      return result.rows[0];
+    },
+    
+    /**
+     * Record a failed validator call
+     * 
+     * The circuit opens once the consecutive failures reach the threshold. A
+     * failure while the circuit is open (a half-open trial) restarts its cooldown.
+     * 
+     * @param {string} validatorId - Validator identifier
+     * @param {string} error - Failure message
+     * @param {number} failureThreshold - Consecutive failures that open the circuit
+     * @returns {Promise<Object>} Health record
+     */
+    async recordValidatorFailure(validatorId, error, failureThreshold) {
+      const query = `
+        INSERT INTO validator_health (
+          validator_id,
+          circuit_state,
+          consecutive_failures,
+          circuit_opened_at,
+          last_failure_at,
+          last_error,
+          updated_at
+        )
+        VALUES (
+          $1,
+          CASE WHEN $3 <= 1 THEN 'OPEN' ELSE 'CLOSED' END,
+          1,
+          CASE WHEN $3 <= 1 THEN NOW() END,
+          NOW(),
+          $2,
+          NOW()
+        )
+        ON CONFLICT (validator_id) DO UPDATE
+        SET circuit_state = CASE
+              WHEN validator_health.circuit_state = 'OPEN' OR validator_health.consecutive_failures + 1 >= $3 THEN 'OPEN'
+              ELSE 'CLOSED'
+            END,
+            circuit_opened_at = CASE
+              WHEN validator_health.circuit_state = 'OPEN' OR validator_health.consecutive_failures + 1 >= $3 THEN NOW()
+              ELSE validator_health.circuit_opened_at
+            END,
+            consecutive_failures = validator_health.consecutive_failures + 1,
+            last_failure_at = NOW(),
+            last_error = EXCLUDED.last_error,
+            updated_at = NOW()
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [validatorId, error, failureThreshold]);
+      return result.rows[0];
+    },
+    
+    /**
+     * Store a new API key
+     * @param {Object} apiKey - Key data, with the hash of the key rather than the key
+     * @returns {Promise<Object>} Stored key
+     */
+    async createApiKey(apiKey) {
+      const { tenantId, name, keyPrefix, keyHash, scopes, expiresAt, rotatedFrom, createdBy } = apiKey;
+      
+      const query = `
+        INSERT INTO api_keys (
+          tenant_id,
+          name,
+          key_prefix,
+          key_hash,
+          scopes,
+          expires_at,
+          rotated_from,
+          created_by,
+          created_at,
+          updated_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [
+        tenantId || null,
+        name,
+        keyPrefix,
+        keyHash,
+        scopes,
+        expiresAt || null,
+        rotatedFrom || null,
+        createdBy || null
+      ]);
+      
+      return result.rows[0];
+    },
+    
+    /**
+     * Get an API key
+     * @param {string} keyId - Key identifier
+     * @returns {Promise<Object|null>} Key or null if not found
+     */
+    async getApiKey(keyId) {
+      const result = await this.query('SELECT * FROM api_keys WHERE key_id = $1', [keyId]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * Get an API key by the public prefix of the key
+     * @param {string} keyPrefix - Key prefix
+     * @returns {Promise<Object|null>} Key or null if not found
+     */
+    async getApiKeyByPrefix(keyPrefix) {
+      const result = await this.query('SELECT * FROM api_keys WHERE key_prefix = $1', [keyPrefix]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * List the API keys of a tenant, newest first
+     * @param {string|null} tenantId - Tenant identifier
+     * @returns {Promise<Array<Object>>} Keys, including expired and revoked ones
+     */
+    async listApiKeys(tenantId) {
+      const query = `
+        SELECT *
+        FROM api_keys
+        WHERE tenant_id IS NOT DISTINCT FROM $1
+        ORDER BY created_at DESC, key_id
+      `;
+      
+      const result = await this.query(query, [tenantId || null]);
+      return result.rows;
+    },
+    
+    /**
+     * Replace an API key with a new one
+     * 
+     * The replaced key keeps working until previousExpiresAt, or until it
+     * expires if that is sooner.
+     * 
+     * @param {string} keyId - Key to replace
+     * @param {Object} replacement - New key data (see createApiKey)
+     * @param {Date} previousExpiresAt - End of the replaced key's overlap period
+     * @returns {Promise<Object|null>} Replaced (previous) and new (key) keys, or null if the
+     *   key is not found or revoked
+     */
+    async rotateApiKey(keyId, replacement, previousExpiresAt) {
+      const transaction = await this.beginTransaction();
+      try {
+        const previous = await transaction.query(`
+          UPDATE api_keys
+          SET expires_at = LEAST(COALESCE(expires_at, $2), $2),
+              updated_at = NOW()
+          WHERE key_id = $1 AND revoked_at IS NULL
+          RETURNING *
+        `, [keyId, previousExpiresAt]);
+        
+        if (previous.rows.length === 0) {
+          await transaction.rollback();
+          return null;
+        }
+        
+        const key = await transaction.query(`
+          INSERT INTO api_keys (
+            tenant_id,
+            name,
+            key_prefix,
+            key_hash,
+            scopes,
+            expires_at,
+            rotated_from,
+            created_by,
+            created_at,
+            updated_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+          RETURNING *
+        `, [
+          previous.rows[0].tenant_id,
+          replacement.name,
+          replacement.keyPrefix,
+          replacement.keyHash,
+          replacement.scopes,
+          replacement.expiresAt || null,
+          keyId,
+          replacement.createdBy || null
+        ]);
+        
+        await transaction.commit();
+        return { previous: previous.rows[0], key: key.rows[0] };
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+    },
+    
+    /**
+     * Revoke an API key
+     * @param {string} keyId - Key identifier
+     * @param {Object} revocation - Revocation details
+     * @param {string} [revocation.reason] - Free-text explanation
+     * @param {string} [revocation.revokedBy] - User or system that revoked the key
+     * @returns {Promise<Object|null>} Revoked key, or null if not found or already revoked
+     */
+    async revokeApiKey(keyId, revocation) {
+      const query = `
+        UPDATE api_keys
+        SET revoked_at = NOW(),
+            revoked_by = $2,
+            revocation_reason = $3,
+            updated_at = NOW()
+        WHERE key_id = $1 AND revoked_at IS NULL
+        RETURNING *
+      `;
+      
+      const result = await this.query(query, [keyId, revocation.revokedBy || null, revocation.reason || null]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    },
+    
+    /**
+     * Record that an API key was used
+     * 
+     * The time is only written once a minute per key, so that busy
+     * integrations do not turn every request into a write.
+     * 
+     * @param {string} keyId - Key identifier
+     * @returns {Promise<void>}
+     */
+    async recordApiKeyUse(keyId) {
+      await this.query(`
+        UPDATE api_keys
+        SET last_used_at = NOW()
+        WHERE key_id = $1
+          AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')
+      `, [keyId]);
+    },
+    
     /**
      * Perform a health check on the database
      * @returns {Promise<boolean>} True if database is healthy
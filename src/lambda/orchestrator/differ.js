@@ -0,0 +1,158 @@
+/**
+ * EdSteward.ai - Regulation Diff Module
+ * 
+ * This module compares two regulation versions section by section, reporting
+ * added, removed and changed clauses with word-level highlights.
+ */
+
+const { parseSections, normalizeText, tokenize } = require('./parser');
+
+// Above this many word comparisons a changed section is reported as a whole
+// rather than diffed word by word, to keep Lambda memory bounded
+const MAX_WORD_DIFF_CELLS = 4000000;
+
+/**
+ * Compare two regulation versions
+ * 
+ * @param {Object} fromVersion - Older version (regulation_versions row)
+ * @param {Object} toVersion - Newer version (regulation_versions row)
+ * @returns {Object} Structured diff with summary and differences
+ */
+function diffVersions(fromVersion, toVersion) {
+  const fromSections = parseSections(fromVersion.content);
+  const toSections = parseSections(toVersion.content);
+  
+  const fromById = new Map(fromSections.map(section => [section.id, section]));
+  const toById = new Map(toSections.map(section => [section.id, section]));
+  
+  const differences = [];
+  let unchangedCount = 0;
+  
+  // Walk the new version in order so differences read top to bottom
+  toSections.forEach(section => {
+    const previous = fromById.get(section.id);
+    
+    if (!previous) {
+      differences.push({
+        type: 'ADDITION',
+        sectionId: section.id,
+        heading: section.heading,
+        oldValue: null,
+        newValue: section.text
+      });
+    } else if (normalizeText(previous.text) !== normalizeText(section.text)) {
+      differences.push({
+        type: 'MODIFICATION',
+        sectionId: section.id,
+        heading: section.heading,
+        oldValue: previous.text,
+        newValue: section.text,
+        wordDiff: diffWords(previous.text, section.text)
+      });
+    } else {
+      unchangedCount++;
+    }
+  });
+  
+  fromSections.forEach(section => {
+    if (!toById.has(section.id)) {
+      differences.push({
+        type: 'DELETION',
+        sectionId: section.id,
+        heading: section.heading,
+        oldValue: section.text,
+        newValue: null
+      });
+    }
+  });
+  
+  const count = type => differences.filter(difference => difference.type === type).length;
+  
+  return {
+    fromVersion: fromVersion.version_number,
+    toVersion: toVersion.version_number,
+    changeType: toVersion.change_type || null,
+    changeSummary: toVersion.change_summary || null,
+    summary: {
+      added: count('ADDITION'),
+      removed: count('DELETION'),
+      changed: count('MODIFICATION'),
+      unchanged: unchangedCount
+    },
+    differences
+  };
+}
+
+/**
+ * Compute a word-level diff between two texts
+ * 
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array<Object>} Segments of type 'equal', 'insert' or 'delete'
+ */
+function diffWords(oldText, newText) {
+  const oldWords = tokenize(oldText);
+  const newWords = tokenize(newText);
+  
+  if (oldWords.length * newWords.length > MAX_WORD_DIFF_CELLS) {
+    return [
+      { type: 'delete', text: oldWords.join(' ') },
+      { type: 'insert', text: newWords.join(' ') }
+    ];
+  }
+  
+  // Longest common subsequence table, compared on normalized words
+  const a = oldWords.map(word => normalizeText(word));
+  const b = newWords.map(word => normalizeText(word));
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  
+  // Walk the table, merging consecutive words of the same type
+  const segments = [];
+  const push = (type, word) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += ` ${word}`;
+    } else {
+      segments.push({ type, text: word });
+    }
+  };
+  
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', newWords[j]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('delete', oldWords[i]);
+      i++;
+    } else {
+      push('insert', newWords[j]);
+      j++;
+    }
+  }
+  
+  while (i < a.length) {
+    push('delete', oldWords[i++]);
+  }
+  
+  while (j < b.length) {
+    push('insert', newWords[j++]);
+  }
+  
+  return segments;
+}
+
+module.exports = {
+  diffVersions,
+  diffWords
+};
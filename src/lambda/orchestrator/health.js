@@ -0,0 +1,222 @@
+/**
+ * EdSteward.ai - Validator Health Module
+ * 
+ * This module tracks whether deployed validators can be used. Each validator
+ * has a circuit breaker: after VALIDATOR_FAILURE_THRESHOLD consecutive
+ * failures its circuit opens and the router skips it until the cooldown has
+ * passed, when the next call is a trial (half-open) that closes or reopens
+ * it. Scheduled health checks ping every deployed validator, and validators
+ * that failed their latest check are skipped as well. The state is stored so
+ * that every orchestrator instance sees it.
+ */
+
+const AWS = require('aws-sdk');
+const lambda = new AWS.Lambda();
+
+// Consecutive failed calls that open a validator's circuit
+const VALIDATOR_FAILURE_THRESHOLD = parseInt(process.env.VALIDATOR_FAILURE_THRESHOLD || '3', 10);
+
+// Time an open circuit stays open before a trial call is allowed
+const VALIDATOR_CIRCUIT_COOLDOWN_SECONDS = parseInt(process.env.VALIDATOR_CIRCUIT_COOLDOWN_SECONDS || '60', 10);
+
+// Time allowed for a validation call when the validator sets no timeout of its own
+const VALIDATOR_TIMEOUT_MS = parseInt(process.env.VALIDATOR_TIMEOUT_MS || '10000', 10);
+
+// Time allowed for a health check ping
+const PING_TIMEOUT_MS = 5000;
+
+// Health checks older than this no longer count (checks run every few minutes)
+const HEALTH_CHECK_MAX_AGE_SECONDS = 900;
+
+// Health and circuit state by validator ID (see db.listValidatorHealth)
+const validatorStates = new Map();
+
+/**
+ * Replace the known validator states with stored ones
+ * 
+ * @param {Array<Object>} records - Health records
+ */
+function setValidatorStates(records) {
+  validatorStates.clear();
+  records.forEach(record => validatorStates.set(record.validator_id, record));
+}
+
+/**
+ * Get the known state of a validator
+ * 
+ * @param {string} validatorId - Validator identifier
+ * @returns {Object|null} Health record, or null if nothing is known
+ */
+function getValidatorState(validatorId) {
+  return validatorStates.get(validatorId) || null;
+}
+
+/**
+ * Get the circuit state of a validator
+ * 
+ * @param {Object|null} state - Health record
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string} 'CLOSED', 'OPEN' or 'HALF_OPEN' (open, with the cooldown passed)
+ */
+function getCircuitState(state, now = Date.now()) {
+  if (!state || state.circuit_state !== 'OPEN') {
+    return 'CLOSED';
+  }
+  
+  const openedAt = new Date(state.circuit_opened_at).getTime();
+  return now - openedAt >= VALIDATOR_CIRCUIT_COOLDOWN_SECONDS * 1000 ? 'HALF_OPEN' : 'OPEN';
+}
+
+/**
+ * Get the health status of a validator from its latest check
+ * 
+ * @param {Object|null} state - Health record
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string} 'HEALTHY', 'UNHEALTHY' or 'UNKNOWN' (never or not recently checked)
+ */
+function getHealthStatus(state, now = Date.now()) {
+  if (!state || !state.health_checked_at ||
+      now - new Date(state.health_checked_at).getTime() > HEALTH_CHECK_MAX_AGE_SECONDS * 1000) {
+    return 'UNKNOWN';
+  }
+  
+  return state.health_status;
+}
+
+/**
+ * Tell why a validator should not be called
+ * 
+ * In-process validators are always available.
+ * 
+ * @param {Object} validator - Registry entry
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string|null} 'CIRCUIT_OPEN' or 'UNHEALTHY', or null if the validator may be called
+ */
+function getUnavailableReason(validator, now = Date.now()) {
+  if (validator.local) {
+    return null;
+  }
+  
+  const state = getValidatorState(validator.validatorId);
+  if (getCircuitState(state, now) === 'OPEN') {
+    return 'CIRCUIT_OPEN';
+  }
+  
+  if (getHealthStatus(state, now) === 'UNHEALTHY') {
+    return 'UNHEALTHY';
+  }
+  
+  return null;
+}
+
+/**
+ * Record the outcome of a call to a deployed validator on its circuit
+ * 
+ * Failing to store the outcome is logged rather than failing the validation.
+ * 
+ * @param {Object} db - Database client
+ * @param {Object} validator - Registry entry
+ * @param {Error} [error] - Failure, if the call failed
+ * @returns {Promise<void>}
+ */
+async function recordValidatorOutcome(db, validator, error) {
+  if (validator.local) {
+    return;
+  }
+  
+  try {
+    const state = error
+      ? await db.recordValidatorFailure(validator.validatorId, error.message, VALIDATOR_FAILURE_THRESHOLD)
+      : await db.recordValidatorSuccess(validator.validatorId);
+    validatorStates.set(validator.validatorId, state);
+  } catch (stateError) {
+    console.error(`Error recording outcome for validator ${validator.validatorId}: ${stateError.message}`);
+  }
+}
+
+/**
+ * Invoke a validator function, giving up after a timeout
+ * 
+ * @param {string} functionArn - Validator function ARN
+ * @param {Object} payload - Invocation payload
+ * @param {number} [timeoutMs] - Time allowed (defaults to VALIDATOR_TIMEOUT_MS)
+ * @returns {Promise<Object>} Lambda invocation response
+ * @throws {Error} If the invocation fails or times out
+ */
+async function invokeValidatorFunction(functionArn, payload, timeoutMs = VALIDATOR_TIMEOUT_MS) {
+  const request = lambda.invoke({
+    FunctionName: functionArn,
+    InvocationType: 'RequestResponse', // Synchronous invocation
+    Payload: JSON.stringify(payload)
+  });
+  
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      if (typeof request.abort === 'function') {
+        request.abort();
+      }
+      reject(new Error(`Validator did not respond within ${timeoutMs} ms`));
+    }, timeoutMs);
+  });
+  
+  try {
+    return await Promise.race([request.promise(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Ping a deployed validator
+ * 
+ * @param {Object} validator - Registry entry with functionArn
+ * @returns {Promise<Object>} Check outcome with healthy flag and error
+ */
+async function pingValidator(validator) {
+  try {
+    const response = await invokeValidatorFunction(validator.functionArn, { action: 'ping' }, PING_TIMEOUT_MS);
+    return response.FunctionError
+      ? { healthy: false, error: `Validator execution failed: ${response.FunctionError}` }
+      : { healthy: true };
+  } catch (error) {
+    return { healthy: false, error: error.message };
+  }
+}
+
+/**
+ * Ping every enabled deployed validator and store the results
+ * 
+ * @param {Object} db - Database client
+ * @param {Array<Object>} registry - Registry entries
+ * @returns {Promise<Array<Object>>} Check outcomes with validatorId, status and previousStatus
+ */
+async function checkValidatorHealth(db, registry) {
+  const deployed = registry.filter(validator => !validator.local && validator.enabled);
+  
+  return Promise.all(deployed.map(async (validator) => {
+    const check = await pingValidator(validator);
+    const state = await db.recordValidatorHealth(validator.validatorId, check);
+    validatorStates.set(validator.validatorId, state);
+    
+    return {
+      validatorId: validator.validatorId,
+      status: state.health_status,
+      previousStatus: state.previous_status || 'UNKNOWN',
+      error: check.error
+    };
+  }));
+}
+
+module.exports = {
+  VALIDATOR_TIMEOUT_MS,
+  setValidatorStates,
+  getValidatorState,
+  getCircuitState,
+  getHealthStatus,
+  getUnavailableReason,
+  recordValidatorOutcome,
+  invokeValidatorFunction,
+  pingValidator,
+  checkValidatorHealth
+};
@@ -11,8 +11,52 @@ const { getDbConnection } = require('./db');
 const { validateRequest } = require('./validation');
 const { classifyRegulation } = require('./classifier');
 const { routeToValidator } = require('./router');
-const { aggregateResults } = require('./aggregator');
-const { createAuditEvent } = require('./audit');
+const { formatResultsForResponse } = require('./aggregator');
+const {
+  createAuditEvent,
+  queryAuditEvents,
+  getAuditEvent,
+  verifyAuditChain,
+  auditEventsToCsv,
+  auditEventsToNdjson
+} = require('./audit');
+const { signCertificate, hashValidationResult } = require('./signing');
+const {
+  formatCertificate,
+  verifyCertificate,
+  publishRevocationList,
+  getPublishedRevocationList,
+  REVOCATION_LIST_TTL_HOURS
+} = require('./certificates');
+const { getCertificateStatus, toVerifiableCredential, renderCertificatePdf } = require('./renderer');
+const { diffVersions } = require('./differ');
+const { checkVersion } = require('./versions');
+const { formatClassificationProfile } = require('./profiles');
+const {
+  dispatchBatchJob,
+  processBatchJob,
+  aggregateBatchJobResults,
+  formatBatchJob,
+  formatBatchJobItem
+} = require('./jobs');
+const {
+  MAX_ANALYTICS_RECORDS,
+  resolveCompliancePeriod,
+  computeComplianceTrends,
+  computeRegulationStaleness
+} = require('./analytics');
+const { getValidatorRegistry, invalidateValidatorRegistry, formatValidator } = require('./registry');
+const { checkValidatorHealth } = require('./health');
+const { resolveTenant } = require('./tenancy');
+const { authorizeRequest, matchRoute, getPrincipal, getGrantableScopes } = require('./authorization');
+const {
+  DEFAULT_ROTATION_OVERLAP_HOURS,
+  generateApiKey,
+  parseApiKey,
+  authenticateApiKey,
+  getApiKeyAuthorizerContext,
+  formatApiKey
+} = require('./apikeys');
 
 // Initialize AWS services
 const lambda = new AWS.Lambda();
@@ -24,10 +68,18 @@ const ENVIRONMENT = process.env.ENVIRONMENT || 'dev';
 const DB_SECRET_ARN = process.env.DB_SECRET_ARN;
 const DOCUMENTS_BUCKET_NAME = process.env.DOCUMENTS_BUCKET_NAME;
 const LEVEL1_VALIDATOR_ARN = process.env.LEVEL1_VALIDATOR_ARN;
-const VERSION_CONTROL_ARN = process.env.VERSION_CONTROL_ARN;
-const AUDIT_LOG_ARN = process.env.AUDIT_LOG_ARN;
+const REVIEW_APPROVAL_CERTAINTY_LEVEL = parseInt(process.env.REVIEW_APPROVAL_CERTAINTY_LEVEL || '3', 10);
+const PUBLIC_API_BASE_URL = process.env.PUBLIC_API_BASE_URL;
 const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
 
+// Items whose full results a batch job status response includes; the batch
+// job items request pages through the rest
+const BATCH_JOB_DETAIL_LIMIT = 100;
+
+// Integrations call the API under this resource with an API key; the rest of
+// the path names the route (e.g. /integrations/validate for POST /validate)
+const INTEGRATION_RESOURCE = '/integrations/{proxy+}';
+
 // Response headers
 const HEADERS = {
   'Content-Type': 'application/json',
@@ -40,8 +92,18 @@ const HEADERS = {
  * Lambda handler function
  */
 exports.handler = async (event, context) => {
-  console.log(`Request received: ${JSON.stringify(event)}`);
+  console.log(`Request received: ${JSON.stringify(event, redactApiKey)}`);
 
+  // Batch jobs run in asynchronous invocations of this function
+  if (event.action === 'processBatchJob') {
+    return await handleBatchJobEvent(event, context);
+  }
+  
+  // Validator health checks run on a schedule
+  if (event.action === 'checkValidatorHealth') {
+    return await handleValidatorHealthEvent(event, context);
+  }
+  
   try {
     // Handle OPTIONS request for CORS
     if (event.httpMethod === 'OPTIONS') {
@@ -51,16 +113,107 @@ exports.handler = async (event, context) => {
         body: JSON.stringify({ message: 'CORS preflight successful' })
       };
     }
+    
+    // Authenticate integrations against the stored API keys
+    if (event.resource === INTEGRATION_RESOURCE) {
+      const integration = await resolveIntegrationRequest(event, context);
+      if (integration.response) {
+        return integration.response;
+      }
+      event = integration.event;
+    }
+    
+    // Check that the caller holds the permission the route requires
+    const authorization = await authorizeRequest(event);
+    if (!authorization.allowed) {
+      return {
+        statusCode: 403,
+        headers: HEADERS,
+        body: JSON.stringify({
+          error: {
+            code: authorization.code,
+            message: authorization.reason,
+            requestId: context.awsRequestId
+          }
+        })
+      };
+    }
 
     // Handle different types of requests based on the path and method
     if (event.resource === '/validate' && event.httpMethod === 'POST') {
       return await handleValidationRequest(event, context);
     } else if (event.resource === '/validate/batch' && event.httpMethod === 'POST') {
       return await handleBatchValidationRequest(event, context);
+    } else if (event.resource === '/validate/batch/{jobId}' && event.httpMethod === 'GET') {
+      return await handleBatchJobRequest(event, context);
+    } else if (event.resource === '/validate/batch/{jobId}/items' && event.httpMethod === 'GET') {
+      return await handleBatchJobItemsRequest(event, context);
     } else if (event.resource === '/regulations' && event.httpMethod === 'GET') {
       return await handleRegulationsListRequest(event, context);
     } else if (event.resource === '/regulations/{regulationId}' && event.httpMethod === 'GET') {
       return await handleRegulationDetailRequest(event, context);
+    } else if (event.resource === '/versions/{regulationId}/check' && event.httpMethod === 'POST') {
+      return await handleVersionCheckRequest(event, context);
+    } else if (event.resource === '/versions/{regulationId}/accept' && event.httpMethod === 'POST') {
+      return await handleVersionAcceptanceRequest(event, context);
+    } else if (event.resource === '/certificates/{certificateId}' && event.httpMethod === 'GET') {
+      return await handleCertificateRequest(event, context);
+    } else if (event.resource === '/certificates/{certificateId}/verify' &&
+               (event.httpMethod === 'POST' || event.httpMethod === 'GET')) {
+      // GET is supported so that the QR code on printed certificates can be scanned
+      return await handleCertificateVerifyRequest(event, context);
+    } else if (event.resource === '/certificates/{certificateId}/revoke' && event.httpMethod === 'POST') {
+      return await handleCertificateRevokeRequest(event, context);
+    } else if (event.resource === '/certificates/revoke' && event.httpMethod === 'POST') {
+      return await handleBulkCertificateRevokeRequest(event, context);
+    } else if (event.resource === '/certificates/revocation-list' && event.httpMethod === 'GET') {
+      return await handleRevocationListRequest(event, context);
+    } else if (event.resource === '/validations/{validationId}' && event.httpMethod === 'GET') {
+      return await handleValidationResultRequest(event, context);
+    } else if (event.resource === '/regulations/{regulationId}/validations' && event.httpMethod === 'GET') {
+      return await handleRegulationValidationsListRequest(event, context);
+    } else if (event.resource === '/analytics/compliance' && event.httpMethod === 'GET') {
+      return await handleComplianceAnalyticsRequest(event, context);
+    } else if (event.resource === '/regulations/{regulationId}/versions' && event.httpMethod === 'GET') {
+      return await handleRegulationVersionsListRequest(event, context);
+    } else if (event.resource === '/regulations/{regulationId}/versions/{versionNumber}' && event.httpMethod === 'GET') {
+      return await handleRegulationVersionRequest(event, context);
+    } else if (event.resource === '/regulations/{regulationId}/diff' && event.httpMethod === 'GET') {
+      return await handleRegulationDiffRequest(event, context);
+    } else if (event.resource === '/audit-logs' && event.httpMethod === 'GET') {
+      return await handleAuditLogsRequest(event, context);
+    } else if (event.resource === '/audit-logs/verify' && event.httpMethod === 'GET') {
+      return await handleAuditChainVerifyRequest(event, context);
+    } else if (event.resource === '/audit-logs/{auditId}' && event.httpMethod === 'GET') {
+      return await handleAuditLogRequest(event, context);
+    } else if (event.resource === '/reviews' && event.httpMethod === 'GET') {
+      return await handleReviewsListRequest(event, context);
+    } else if (event.resource === '/reviews/{reviewId}' && event.httpMethod === 'GET') {
+      return await handleReviewRequest(event, context);
+    } else if (event.resource === '/reviews/{reviewId}/claim' && event.httpMethod === 'POST') {
+      return await handleReviewClaimRequest(event, context);
+    } else if (event.resource === '/reviews/{reviewId}/decision' && event.httpMethod === 'POST') {
+      return await handleReviewDecisionRequest(event, context);
+    } else if (event.resource === '/reviews/{reviewId}/annotations' && event.httpMethod === 'POST') {
+      return await handleReviewAnnotationRequest(event, context);
+    } else if (event.resource === '/classification-profiles' && event.httpMethod === 'GET') {
+      return await handleClassificationProfilesListRequest(event, context);
+    } else if (event.resource === '/classification-profiles' && event.httpMethod === 'POST') {
+      return await handleClassificationProfileCreateRequest(event, context);
+    } else if (event.resource === '/classification-profiles/{profileId}/activate' && event.httpMethod === 'POST') {
+      return await handleClassificationProfileActivateRequest(event, context);
+    } else if (event.resource === '/validators' && event.httpMethod === 'GET') {
+      return await handleValidatorsListRequest(event, context);
+    } else if (event.resource === '/validators/{validatorId}' && event.httpMethod === 'PUT') {
+      return await handleValidatorUpdateRequest(event, context);
+    } else if (event.resource === '/api-keys' && event.httpMethod === 'GET') {
+      return await handleApiKeysListRequest(event, context);
+    } else if (event.resource === '/api-keys' && event.httpMethod === 'POST') {
+      return await handleApiKeyCreateRequest(event, context);
+    } else if (event.resource === '/api-keys/{keyId}/rotate' && event.httpMethod === 'POST') {
+      return await handleApiKeyRotateRequest(event, context);
+    } else if (event.resource === '/api-keys/{keyId}/revoke' && event.httpMethod === 'POST') {
+      return await handleApiKeyRevokeRequest(event, context);
     } else if (event.resource === '/status' && event.httpMethod === 'GET') {
       return await handleStatusRequest(event, context);
     } else {
@@ -78,6 +231,37 @@ exports.handler = async (event, context) => {
       };
     }
   } catch (error) {
+    // Query parameters rejected by the query builder are client errors
+    if (error.code === 'INVALID_QUERY') {
+      return {
+        statusCode: 400,
+        headers: HEADERS,
+        body: JSON.stringify({
+          error: {
+            code: 'INVALID_PARAMETERS',
+            message: 'Invalid query parameters',
+            details: [{ field: error.field, message: error.message }],
+            requestId: context.awsRequestId
+          }
+        })
+      };
+    }
+    
+    // Credentials naming different tenants are refused outright
+    if (error.code === 'TENANT_MISMATCH') {
+      return {
+        statusCode: 403,
+        headers: HEADERS,
+        body: JSON.stringify({
+          error: {
+            code: 'TENANT_MISMATCH',
+            message: error.message,
+            requestId: context.awsRequestId
+          }
+        })
+      };
+    }
+    
     console.error('Error handling request:', error);
     
     // Create audit event for error
@@ -87,6 +271,7 @@ exports.handler = async (event, context) => {
         entityType: 'request',
         entityId: context.awsRequestId,
         action: 'error',
+        tenantId: getCallerTenantId(event),
         metadata: {
           error: error.message,
           stack: error.stack,
@@ -148,6 +333,7 @@ async function handleValidationRequest(event, context) {
     entityType: 'regulation',
     entityId: regulationId,
     action: 'validate',
+    tenantId: getCallerTenantId(event),
     metadata: {
       regulationVersion,
       validationLevel,
@@ -156,7 +342,7 @@ async function handleValidationRequest(event, context) {
   });
   
   // Retrieve regulation details from database
-  const db = await getDbConnection(DB_SECRET_ARN);
+  const db = await getTenantDbConnection(event);
   const regulation = await db.getRegulation(regulationId);
   
   if (!regulation) {
@@ -174,34 +360,62 @@ async function handleValidationRequest(event, context) {
   }
   
   // Classify regulation to determine appropriate validation approach
-  const classification = await classifyRegulation(regulation, validationLevel);
+  const classification = await classifyRegulation(regulation, validationLevel, {
+    tenantId: getCallerTenantId(event)
+  });
   
   // Route to appropriate validator based on classification
+  const validationStartedAt = Date.now();
   const validationResponse = await routeToValidator({
     classification,
     regulation,
     regulationContent,
+    regulationVersion,
     validationLevel,
-    options
+    options,
+    requestId,
+    tenantId: getCallerTenantId(event)
+  });
+  
+  // Store the result so that it can be retrieved later and certified
+  const validationRecord = await db.createValidationResult({
+    regulationId,
+    regulationVersion,
+    comparedVersion: getComparedVersion(validationResponse) || undefined,
+    tenantId: getCallerTenantId(event),
+    requestedBy: getCallerId(event),
+    requestId,
+    batchJobId: event.batchJobId,
+    validationLevel: validationResponse.validationLevel || validationLevel,
+    requestedLevel: validationLevel,
+    status: getValidationStatus(validationResponse),
+    isValid: validationResponse.isValid,
+    certaintyLevel: validationResponse.certaintyLevel,
+    validSections: validationResponse.details ? validationResponse.details.validatedSections : [],
+    invalidSections: validationResponse.details ? validationResponse.details.invalidSections : [],
+    warnings: validationResponse.details ? validationResponse.details.warnings : [],
+    validatorId: validationResponse.validator,
+    validationTimestamp: validationResponse.validationTimestamp || new Date().toISOString(),
+    executionTimeMs: Date.now() - validationStartedAt,
+    reviewId: validationResponse.review ? validationResponse.review.reviewId : undefined,
+    result: validationResponse,
+    metadata: {
+      classifiedLevel: classification.determinedLevel,
+      complexityScore: classification.complexityScore,
+      routing: validationResponse.routing,
+      options
+    }
   });
+  const validationId = validationRecord.validation_id;
   
   // Check for version changes if requested
   let versionStatus = null;
   if (options.checkVersionChanges) {
-    // Call version control service
-    const versionControlParams = {
-      FunctionName: VERSION_CONTROL_ARN,
-      InvocationType: 'RequestResponse',
-      Payload: JSON.stringify({
-        action: 'checkVersion',
-        regulationId,
-        clientVersion: regulationVersion,
-        timestamp: requestTimestamp
-      })
-    };
-    
-    const versionControlResponse = await lambda.invoke(versionControlParams).promise();
-    versionStatus = JSON.parse(versionControlResponse.Payload);
+    versionStatus = await checkVersion(db, {
+      regulationId,
+      clientVersion: regulationVersion,
+      lastCheckedTimestamp: options.lastCheckedTimestamp
+    });
   }
   
   // Prepare response
@@ -210,9 +424,17 @@ async function handleValidationRequest(event, context) {
     timestamp: new Date().toISOString(),
     status: 'success',
     data: {
+      validationId,
       regulationId,
       regulationVersion,
       authorityVersion: regulation.currentVersion,
+      classification: {
+        validationLevel: classification.validationLevel,
+        validatorType: classification.validatorType,
+        complexityScore: classification.complexityScore,
+        explanation: classification.explanation,
+        profile: classification.profile.sources
+      },
       validationResult: validationResponse
     }
   };
@@ -222,18 +444,23 @@ async function handleValidationRequest(event, context) {
     responsePayload.data.versionStatus = versionStatus;
   }
   
-  // Add attestation certificate if validation was successful
-  if (validationResponse.isValid && validationResponse.certaintyLevel >= 4) {
+  // Add attestation certificate if validation was successful; it attests to
+  // the version the content was compared against, never the claimed one
+  const comparedVersion = getComparedVersion(validationResponse);
+  if (validationResponse.isValid && validationResponse.certaintyLevel >= 4 && comparedVersion) {
     // Generate attestation certificate
     const certificateParams = {
       regulationId,
-      regulationVersion,
+      regulationVersion: comparedVersion,
       validationResult: validationResponse,
       validatedBy: context.functionName,
-      requestId
+      validationId,
+      requestId,
+      tenantId: getCallerTenantId(event)
     };
     
     const certificate = await generateCertificate(certificateParams);
+    await db.setValidationCertificate(validationId, certificate.certificateId);
     responsePayload.data.attestationCertificate = certificate;
   }
   
@@ -243,11 +470,25 @@ async function handleValidationRequest(event, context) {
     entityType: 'regulation',
     entityId: regulationId,
     action: 'validate',
+    tenantId: getCallerTenantId(event),
     metadata: {
       regulationVersion,
       validationLevel,
+      effectiveLevel: validationResponse.routing.effectiveLevel,
+      validatorId: validationResponse.routing.validatorId,
+      downgraded: validationResponse.routing.downgraded,
+      validationId,
       isValid: validationResponse.isValid,
       certaintyLevel: validationResponse.certaintyLevel,
+      reviewId: validationResponse.review ? validationResponse.review.reviewId : undefined,
+      consensus: validationResponse.consensus ? {
+        policy: validationResponse.consensus.policy,
+        agreed: validationResponse.consensus.agreed,
+        votes: validationResponse.consensus.votes
+      } : undefined,
+      classifiedLevel: classification.determinedLevel,
+      complexityScore: classification.complexityScore,
+      classificationProfile: classification.profile.sources,
       requestId
     }
   });
@@ -261,6 +502,9 @@ async function handleValidationRequest(event, context) {
 
 /**
  * Handle a batch validation request
+ * 
+ * The batch is stored as a job and validated in the background; the
+ * response gives the job ID to poll for progress and results.
  */
 async function handleBatchValidationRequest(event, context) {
   const requestTimestamp = new Date().toISOString();
@@ -289,102 +533,183 @@ async function handleBatchValidationRequest(event, context) {
   // Extract request parameters
   const { regulations, options = {} } = body;
   
+  // Store the batch as a job; its items are validated in the background
+  const db = await getTenantDbConnection(event);
+  const job = await db.createBatchJob({
+    tenantId: getCallerTenantId(event),
+    submittedBy: getCallerId(event),
+    requestId,
+    options,
+    items: regulations
+  });
+  
   // Create audit event for batch validation request
   await createAuditEvent({
     eventType: 'validation.batch.requested',
     entityType: 'batch',
-    entityId: requestId,
+    entityId: job.job_id,
     action: 'validate',
+    tenantId: getCallerTenantId(event),
+    userId: getCallerId(event),
     metadata: {
       regulationCount: regulations.length,
-      options
+      options,
+      requestId
     }
   });
   
-  // Process each regulation in parallel
-  const validationPromises = regulations.map(async (regulation) => {
-    try {
-      // Create individual validation request
-      const individualRequest = {
-        body: JSON.stringify({
-          regulationId: regulation.regulationId,
-          regulationVersion: regulation.regulationVersion,
-          regulationContent: regulation.regulationContent,
-          validationLevel: regulation.validationLevel || 1,
-          options
-        }),
-        resource: '/validate',
-        httpMethod: 'POST'
-      };
-      
-      // Process individual validation
-      const result = await handleValidationRequest(individualRequest, {
-        ...context,
-        awsRequestId: `${requestId}-${regulation.regulationId}`
-      });
-      
-      // Parse result
-      return JSON.parse(result.body);
-    } catch (error) {
-      console.error(`Error processing validation for ${regulation.regulationId}:`, error);
-      return {
-        regulationId: regulation.regulationId,
-        error: {
-          code: 'VALIDATION_FAILED',
-          message: error.message
+  try {
+    await dispatchBatchJob(context.functionName, job.job_id);
+  } catch (error) {
+    // A job that never starts would stay queued forever
+    await db.finishBatchJob(job.job_id, { status: 'FAILED', error: `Job could not be started: ${error.message}` });
+    throw error;
+  }
+  
+  return {
+    statusCode: 202,
+    headers: HEADERS,
+    body: JSON.stringify({
+      requestId,
+      timestamp: new Date().toISOString(),
+      status: 'accepted',
+      data: {
+        jobId: job.job_id,
+        status: job.status,
+        itemCount: job.item_count,
+        statusUrl: `/validate/batch/${job.job_id}`,
+        itemsUrl: `/validate/batch/${job.job_id}/items`
+      }
+    })
+  };
+}
+
+/**
+ * Process a batch validation job in an asynchronous invocation
+ * 
+ * Errors are thrown rather than returned so that Lambda retries the
+ * invocation; the job picks up where the failed invocation stopped.
+ */
+async function handleBatchJobEvent(event, context) {
+  // The job is looked up across tenants, then worked on within its own tenant
+  const systemDb = await getDbConnection(DB_SECRET_ARN, { allTenants: true });
+  const storedJob = await systemDb.getBatchJob(event.jobId);
+  const db = await getDbConnection(DB_SECRET_ARN, { tenantId: storedJob ? storedJob.tenant_id : null });
+  
+  const outcome = await processBatchJob(db, event.jobId, {
+    validateItem: (job, item) => validateBatchJobItem(job, item, context),
+    getRemainingTimeInMillis: () => context.getRemainingTimeInMillis(),
+    functionName: context.functionName
+  });
+  
+  if (outcome.status === 'COMPLETED') {
+    // Create audit event for batch validation completion
+    await createAuditEvent({
+      eventType: 'validation.batch.completed',
+      entityType: 'batch',
+      entityId: event.jobId,
+      action: 'validate',
+      tenantId: outcome.job.tenant_id,
+      userId: outcome.job.submitted_by,
+      metadata: {
+        regulationCount: outcome.job.item_count,
+        successCount: outcome.job.summary.successCount,
+        failureCount: outcome.job.summary.failureCount,
+        requestId: outcome.job.request_id
+      }
+    });
+  }
+  
+  return { jobId: event.jobId, status: outcome.status };
+}
+
+/**
+ * Validate one item of a batch job as an individual validation request
+ * 
+ * The request runs with the identity of the caller who submitted the job.
+ */
+async function validateBatchJobItem(job, item, context) {
+  const individualRequest = {
+    body: JSON.stringify({
+      regulationId: item.regulation_id,
+      regulationVersion: item.regulation_version,
+      regulationContent: item.regulation_content,
+      validationLevel: item.validation_level,
+      options: job.options
+    }),
+    resource: '/validate',
+    httpMethod: 'POST',
+    batchJobId: job.job_id,
+    requestContext: {
+      authorizer: {
+        claims: {
+          sub: job.submitted_by,
+          'custom:tenant_id': job.tenant_id
         }
-      };
+      }
     }
+  };
+  
+  return handleValidationRequest(individualRequest, {
+    ...context,
+    awsRequestId: `${job.job_id}-${item.item_index}`
   });
+}
+
+/**
+ * Handle a batch job status request
+ * 
+ * Reports progress and the summary of the items validated so far, with its
+ * severity, category and jurisdiction breakdowns and a summary line per
+ * item. Full item results are included with includeDetails=true, or when
+ * the job was submitted with options.includeDetails, for the first
+ * BATCH_JOB_DETAIL_LIMIT items.
+ */
+async function handleBatchJobRequest(event, context) {
+  const requestId = context.awsRequestId;
   
-  // Wait for all validations to complete
-  const results = await Promise.all(validationPromises);
+  // Extract path and query parameters
+  const jobId = event.pathParameters.jobId;
+  const queryParams = event.queryStringParameters || {};
   
-  // Aggregate results
-  const aggregatedResults = aggregateResults(results);
+  const db = await getTenantDbConnection(event);
+  const job = await db.getBatchJob(jobId);
   
-  // Create audit event for batch validation completion
-  await createAuditEvent({
-    eventType: 'validation.batch.completed',
-    entityType: 'batch',
-    entityId: requestId,
-    action: 'validate',
-    metadata: {
-      regulationCount: regulations.length,
-      successCount: aggregatedResults.summary.successCount,
-      failureCount: aggregatedResults.summary.failureCount,
-      requestId
-    }
-  });
+  if (!isBatchJobVisible(job, event)) {
+    return batchJobNotFoundResponse(jobId, requestId);
+  }
+  
+  const includeDetails = queryParams.includeDetails !== undefined
+    ? queryParams.includeDetails === 'true'
+    : Boolean(job.options && job.options.includeDetails);
+  
+  const progress = await db.getBatchJobProgress(jobId);
+  const aggregatedResults = aggregateBatchJobResults(await db.listBatchJobResults(jobId));
   
   return {
     statusCode: 200,
     headers: HEADERS,
     body: JSON.stringify({
-      requestId,
-      timestamp: new Date().toISOString(),
-      status: 'success',
-      data: results
+      ...formatResultsForResponse(aggregatedResults, requestId, includeDetails, BATCH_JOB_DETAIL_LIMIT),
+      data: formatBatchJob(job, progress)
     })
   };
 }
 
 /**
- * Handle a regulations list request
+ * Handle a batch job items request
  */
-async function handleRegulationsListRequest(event, context) {
+async function handleBatchJobItemsRequest(event, context) {
   const requestId = context.awsRequestId;
   
-  // Extract query parameters
+  // Extract path and query parameters
+  const jobId = event.pathParameters.jobId;
   const queryParams = event.queryStringParameters || {};
   const {
     page = 1,
     limit = 20,
-    category,
-    jurisdiction,
-    query,
-    tags,
-    active
+    status,
+    regulationId
   } = queryParams;
   
   // Validate parameters
@@ -405,36 +730,20 @@ async function handleRegulationsListRequest(event, context) {
     };
   }
   
-  // Build filter object
-  const filters = {};
-  if (category) filters.category = category;
-  if (jurisdiction) filters.jurisdiction = jurisdiction;
-  if (query) filters.query = query;
-  if (tags) filters.tags = tags.split(',');
-  if (active !== undefined) filters.active = active === 'true';
+  const db = await getTenantDbConnection(event);
+  const job = await db.getBatchJob(jobId);
   
-  // Create audit event for list request
-  await createAuditEvent({
-    eventType: 'regulations.listed',
-    entityType: 'regulations',
-    entityId: requestId,
-    action: 'list',
-    metadata: {
-      filters,
-      page: pageNum,
-      limit: limitNum
-    }
-  });
+  if (!isBatchJobVisible(job, event)) {
+    return batchJobNotFoundResponse(jobId, requestId);
+  }
   
-  // Retrieve regulations from database
-  const db = await getDbConnection(DB_SECRET_ARN);
-  const result = await db.listRegulations(filters, pageNum, limitNum);
+  const result = await db.listBatchJobItems(jobId, { status, regulationId }, pageNum, limitNum);
   
   return {
     statusCode: 200,
     headers: HEADERS,
     body: JSON.stringify({
-      data: result.regulations,
+      data: result.items.map(formatBatchJobItem),
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -446,28 +755,127 @@ async function handleRegulationsListRequest(event, context) {
 }
 
 /**
- * Handle a regulation detail request
+ * Check that a batch job exists and belongs to the caller's tenant
  */
-async function handleRegulationDetailRequest(event, context) {
+function isBatchJobVisible(job, event) {
+  return Boolean(job) && job.tenant_id === (getCallerTenantId(event) || null);
+}
+
+/**
+ * Build the response for a batch job that does not exist
+ */
+function batchJobNotFoundResponse(jobId, requestId) {
+  return {
+    statusCode: 404,
+    headers: HEADERS,
+    body: JSON.stringify({
+      error: {
+        code: 'BATCH_JOB_NOT_FOUND',
+        message: `Batch job with ID ${jobId} not found`,
+        requestId
+      }
+    })
+  };
+}
+
+/**
+ * Determine the stored status of a validation result
+ * 
+ * An invalid result that still validated some sections is PARTIAL.
+ */
+function getValidationStatus(validationResult) {
+  if (validationResult.status === 'PENDING_REVIEW') {
+    return 'PENDING_REVIEW';
+  }
+  
+  if (validationResult.isValid) {
+    return 'VALID';
+  }
+  
+  const details = validationResult.details || {};
+  return details.validatedSections && details.validatedSections.length > 0 ? 'PARTIAL' : 'INVALID';
+}
+
+/**
+ * Handle a stored validation result request
+ */
+async function handleValidationResultRequest(event, context) {
   const requestId = context.awsRequestId;
   
   // Extract path parameters
+  const validationId = event.pathParameters.validationId;
+  
+  const db = await getTenantDbConnection(event);
+  const validation = await db.getValidationResult(validationId);
+  
+  // Validations of other tenants are reported as missing
+  if (!validation || validation.tenant_id !== (getCallerTenantId(event) || null)) {
+    return {
+      statusCode: 404,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'VALIDATION_NOT_FOUND',
+          message: `Validation with ID ${validationId} not found`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      data: formatValidationResult(validation, true)
+    })
+  };
+}
+
+/**
+ * Handle a regulation validations list request
+ * 
+ * Lists the stored validations of a regulation for the caller's tenant,
+ * newest first. Full validator output is included with includeDetails=true.
+ */
+async function handleRegulationValidationsListRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract path and query parameters
   const regulationId = event.pathParameters.regulationId;
+  const queryParams = event.queryStringParameters || {};
+  const {
+    page = 1,
+    limit = 20,
+    status,
+    validationLevel,
+    from,
+    to,
+    sortBy,
+    sortOrder,
+    includeDetails
+  } = queryParams;
   
-  // Create audit event for detail request
-  await createAuditEvent({
-    eventType: 'regulation.viewed',
-    entityType: 'regulation',
-    entityId: regulationId,
-    action: 'view',
-    metadata: {
-      requestId
-    }
-  });
+  // Validate parameters
+  const pageNum = parseInt(page, 10);
+  const limitNum = Math.min(parseInt(limit, 10), 100); // Cap at 100
   
-  // Retrieve regulation details from database
-  const db = await getDbConnection(DB_SECRET_ARN);
-  const regulation = await db.getRegulationWithVersions(regulationId);
+  if (isNaN(pageNum) || pageNum < 1 || isNaN(limitNum) || limitNum < 1) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_PARAMETERS',
+          message: 'Invalid pagination parameters',
+          requestId
+        }
+      })
+    };
+  }
+  
+  const db = await getTenantDbConnection(event);
+  const regulation = await db.getRegulation(regulationId);
   
   if (!regulation) {
     return {
@@ -483,10 +891,2600 @@ async function handleRegulationDetailRequest(event, context) {
     };
   }
   
+  const filters = { regulationId, status, validationLevel, from, to };
+  const result = await db.listValidationResults(
+    getCallerTenantId(event) || null,
+    filters,
+    pageNum,
+    limitNum,
+    { field: sortBy, order: sortOrder }
+  );
+  
   return {
     statusCode: 200,
     headers: HEADERS,
-    body: JSON.stringify(regulation)
+    body: JSON.stringify({
+      regulationId,
+      data: result.items.map(validation => formatValidationResult(validation, includeDetails === 'true')),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: result.total,
+        pages: Math.ceil(result.total / limitNum)
+      }
+    })
+  };
+}
+
+/**
+ * Format a stored validation record for API responses
+ */
+function formatValidationResult(validation, includeDetails) {
+  const formatted = {
+    validationId: validation.validation_id,
+    regulationId: validation.regulation_id,
+    regulationVersion: validation.regulation_version,
+    comparedVersion: validation.compared_version,
+    requestId: validation.request_id,
+    batchJobId: validation.batch_job_id,
+    requestedBy: validation.requested_by,
+    validationLevel: validation.validation_level,
+    requestedLevel: validation.requested_level,
+    status: validation.status,
+    isValid: validation.is_valid,
+    certaintyLevel: validation.certainty_level,
+    details: {
+      validatedSections: validation.valid_sections,
+      invalidSections: validation.invalid_sections,
+      warnings: validation.warnings
+    },
+    validator: validation.validator_id,
+    validationTimestamp: validation.validation_timestamp,
+    executionTimeMs: validation.execution_time_ms,
+    certificateId: validation.certificate_id,
+    reviewId: validation.review_id,
+    createdAt: validation.created_at,
+    updatedAt: validation.updated_at
+  };
+  
+  if (includeDetails) {
+    formatted.validationResult = validation.result;
+  }
+  
+  return formatted;
+}
+
+/**
+ * Handle a compliance analytics request
+ * 
+ * Reports pass rates, average certainty and failing regulations over day,
+ * week or month windows of the caller's tenant's stored validations, and
+ * how long each regulation has gone without a valid validation.
+ */
+async function handleComplianceAnalyticsRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract query parameters
+  const queryParams = event.queryStringParameters || {};
+  const { category, jurisdiction, validationLevel } = queryParams;
+  const period = resolveCompliancePeriod(queryParams);
+  
+  // Validate parameters
+  const validationResult = validateRequest({ ...queryParams, ...period }, 'complianceAnalytics');
+  if (!validationResult.isValid) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_PARAMETERS',
+          message: 'Invalid compliance analytics parameters',
+          details: validationResult.errors,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const tenantId = getCallerTenantId(event) || null;
+  const filters = { category, jurisdiction, validationLevel };
+  const db = await getTenantDbConnection(event);
+  
+  // Load one more than the limit to tell whether the history was cut short
+  const history = await db.listValidationHistory(
+    tenantId,
+    { ...filters, from: period.from, to: period.to },
+    MAX_ANALYTICS_RECORDS + 1
+  );
+  const truncated = history.length > MAX_ANALYTICS_RECORDS;
+  const records = truncated ? history.slice(0, MAX_ANALYTICS_RECORDS) : history;
+  
+  // The last valid validation may predate the period, so only its end applies
+  const statuses = await db.listRegulationComplianceStatus(tenantId, { ...filters, to: period.to });
+  const trends = computeComplianceTrends(records, period);
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      data: {
+        period: {
+          ...period,
+          // With a truncated history the oldest windows are incomplete
+          completeFrom: truncated ? records[records.length - 1].validation_timestamp : period.from
+        },
+        filters,
+        truncated,
+        summary: trends.summary,
+        windows: trends.windows,
+        regulations: computeRegulationStaleness(statuses, period.to)
+      }
+    })
+  };
+}
+
+/**
+ * Handle a regulations list request
+ */
+async function handleRegulationsListRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract query parameters
+  const queryParams = event.queryStringParameters || {};
+  const {
+    page = 1,
+    limit = 20,
+    category,
+    jurisdiction,
+    query,
+    tags,
+    active,
+    sortBy,
+    sortOrder
+  } = queryParams;
+  
+  // Validate parameters
+  const pageNum = parseInt(page, 10);
+  const limitNum = Math.min(parseInt(limit, 10), 100); // Cap at 100
+  
+  if (isNaN(pageNum) || pageNum < 1 || isNaN(limitNum) || limitNum < 1) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_PARAMETERS',
+          message: 'Invalid pagination parameters',
+          requestId
+        }
+      })
+    };
+  }
+  
+  // Build filter object
+  const filters = {};
+  if (category) filters.category = category;
+  if (jurisdiction) filters.jurisdiction = jurisdiction;
+  if (query) filters.query = query;
+  if (tags) filters.tags = tags.split(',');
+  if (active !== undefined) filters.active = active === 'true';
+  
+  // Create audit event for list request
+  await createAuditEvent({
+    eventType: 'regulations.listed',
+    entityType: 'regulations',
+    entityId: requestId,
+    action: 'list',
+    tenantId: getCallerTenantId(event),
+    metadata: {
+      filters,
+      page: pageNum,
+      limit: limitNum,
+      sortBy,
+      sortOrder
+    }
+  });
+  
+  // Retrieve regulations from database
+  const db = await getTenantDbConnection(event);
+  const result = await db.listRegulations(filters, pageNum, limitNum, { field: sortBy, order: sortOrder });
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      data: result.regulations,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: result.total,
+        pages: Math.ceil(result.total / limitNum)
+      }
+    })
+  };
+}
+
+/**
+ * Handle a regulation detail request
+ */
+async function handleRegulationDetailRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract path parameters
+  const regulationId = event.pathParameters.regulationId;
+  
+  // Create audit event for detail request
+  await createAuditEvent({
+    eventType: 'regulation.viewed',
+    entityType: 'regulation',
+    entityId: regulationId,
+    action: 'view',
+    tenantId: getCallerTenantId(event),
+    metadata: {
+      requestId
+    }
+  });
+  
+  // Retrieve regulation details from database
+  const db = await getTenantDbConnection(event);
+  const regulation = await db.getRegulationWithVersions(regulationId);
+  
+  if (!regulation) {
+    return {
+      statusCode: 404,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'REGULATION_NOT_FOUND',
+          message: `Regulation with ID ${regulationId} not found`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify(regulation)
+  };
+}
+
+/**
+ * Handle a regulation versions list request
+ */
+async function handleRegulationVersionsListRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract path parameters
+  const regulationId = event.pathParameters.regulationId;
+  
+  const db = await getTenantDbConnection(event);
+  const versions = await db.listRegulationVersions(regulationId);
+  
+  if (versions.length === 0) {
+    return {
+      statusCode: 404,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'REGULATION_NOT_FOUND',
+          message: `Regulation with ID ${regulationId} not found`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      regulationId,
+      data: versions
+    })
+  };
+}
+
+/**
+ * Handle a regulation version detail request
+ */
+async function handleRegulationVersionRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract path parameters
+  const { regulationId, versionNumber } = event.pathParameters;
+  
+  // Create audit event for version view
+  await createAuditEvent({
+    eventType: 'regulation.version.viewed',
+    entityType: 'regulation',
+    entityId: regulationId,
+    action: 'view',
+    tenantId: getCallerTenantId(event),
+    userId: getCallerId(event),
+    metadata: {
+      versionNumber,
+      requestId
+    }
+  });
+  
+  const db = await getTenantDbConnection(event);
+  const version = await db.getRegulationVersion(regulationId, versionNumber);
+  
+  if (!version) {
+    return {
+      statusCode: 404,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'VERSION_NOT_FOUND',
+          message: `Version ${versionNumber} of regulation ${regulationId} not found`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify(version)
+  };
+}
+
+/**
+ * Handle a regulation diff request
+ * 
+ * Compares `from` to `to`; `to` defaults to the current version and `from`
+ * to the version immediately before `to`.
+ */
+async function handleRegulationDiffRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract path and query parameters
+  const regulationId = event.pathParameters.regulationId;
+  const queryParams = event.queryStringParameters || {};
+  
+  // Validate parameters
+  const validationResult = validateRequest(queryParams, 'versionDiff');
+  if (!validationResult.isValid) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_PARAMETERS',
+          message: 'Invalid version parameters',
+          details: validationResult.errors,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const db = await getTenantDbConnection(event);
+  const versions = await db.listRegulationVersions(regulationId);
+  
+  if (versions.length === 0) {
+    return {
+      statusCode: 404,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'REGULATION_NOT_FOUND',
+          message: `Regulation with ID ${regulationId} not found`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  // Resolve default versions (versions are ordered newest first)
+  const currentVersion = versions.find(version => version.is_current) || versions[0];
+  const toNumber = queryParams.to || currentVersion.version_number;
+  const toIndex = versions.findIndex(version => version.version_number === toNumber);
+  
+  if (toIndex < 0) {
+    return {
+      statusCode: 404,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'VERSION_NOT_FOUND',
+          message: `Version ${toNumber} of regulation ${regulationId} not found`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const fromNumber = queryParams.from ||
+    (toIndex + 1 < versions.length ? versions[toIndex + 1].version_number : null);
+  
+  if (!fromNumber) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_PARAMETERS',
+          message: `Version ${toNumber} has no previous version to compare against`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const [fromVersion, toVersion] = await Promise.all([
+    db.getRegulationVersion(regulationId, fromNumber),
+    db.getRegulationVersion(regulationId, toNumber)
+  ]);
+  
+  const missingVersion = !fromVersion ? fromNumber : !toVersion ? toNumber : null;
+  if (missingVersion) {
+    return {
+      statusCode: 404,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'VERSION_NOT_FOUND',
+          message: `Version ${missingVersion} of regulation ${regulationId} not found`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const diff = diffVersions(fromVersion, toVersion);
+  
+  // Create audit event for diff view
+  await createAuditEvent({
+    eventType: 'regulation.diff.viewed',
+    entityType: 'regulation',
+    entityId: regulationId,
+    action: 'view',
+    tenantId: getCallerTenantId(event),
+    userId: getCallerId(event),
+    metadata: {
+      fromVersion: fromNumber,
+      toVersion: toNumber,
+      summary: diff.summary,
+      requestId
+    }
+  });
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      regulationId,
+      ...diff
+    })
+  };
+}
+
+/**
+ * Handle a version check request
+ */
+async function handleVersionCheckRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Parse request body, taking the regulation from the path
+  const body = {
+    ...JSON.parse(event.body || '{}'),
+    regulationId: event.pathParameters.regulationId
+  };
+  
+  // Validate request format
+  const validationResult = validateRequest(body, 'versionCheck');
+  if (!validationResult.isValid) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Invalid request format',
+          details: validationResult.errors,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const { regulationId, currentVersion, lastCheckedTimestamp } = body;
+  
+  const db = await getTenantDbConnection(event);
+  const versionStatus = await checkVersion(db, {
+    regulationId,
+    clientVersion: currentVersion,
+    lastCheckedTimestamp
+  });
+  
+  if (!versionStatus) {
+    return {
+      statusCode: 404,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'REGULATION_NOT_FOUND',
+          message: `Regulation with ID ${regulationId} not found`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  // Create audit event for version check
+  await createAuditEvent({
+    eventType: 'version.checked',
+    entityType: 'regulation',
+    entityId: regulationId,
+    action: 'check',
+    tenantId: getCallerTenantId(event),
+    userId: getCallerId(event),
+    metadata: {
+      clientVersion: currentVersion,
+      authorityVersion: versionStatus.authorityVersion,
+      isStale: versionStatus.isStale,
+      requestId
+    }
+  });
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      requestId,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      data: versionStatus
+    })
+  };
+}
+
+/**
+ * Handle a version acceptance request
+ * 
+ * Accepting any version other than the authority's current version is an
+ * override and must carry an override reason.
+ */
+async function handleVersionAcceptanceRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Parse request body, taking the regulation from the path
+  const regulationId = event.pathParameters.regulationId;
+  const body = JSON.parse(event.body || '{}');
+  
+  // Validate request format
+  const validationResult = validateRequest(body, 'versionAcceptance');
+  if (!validationResult.isValid) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Invalid request format',
+          details: validationResult.errors,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const {
+    currentVersion,
+    acceptedVersion,
+    acceptedBy,
+    acceptorRole,
+    acceptanceNotes,
+    frontendVersion,
+    overrideReason
+  } = body;
+  
+  const db = await getTenantDbConnection(event);
+  const regulation = await db.getRegulation(regulationId);
+  
+  if (!regulation) {
+    return {
+      statusCode: 404,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'REGULATION_NOT_FOUND',
+          message: `Regulation with ID ${regulationId} not found`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const version = await db.getRegulationVersion(regulationId, acceptedVersion);
+  if (!version) {
+    return {
+      statusCode: 404,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'VERSION_NOT_FOUND',
+          message: `Version ${acceptedVersion} of regulation ${regulationId} not found`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const isOverride = acceptedVersion !== regulation.current_version;
+  if (isOverride && !overrideReason) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Invalid request format',
+          details: [{
+            field: 'overrideReason',
+            message: `Override reason is required when accepting a version other than the current version ${regulation.current_version}`
+          }],
+          requestId
+        }
+      })
+    };
+  }
+  
+  const acceptance = await db.createRegulationAcceptance({
+    regulationId,
+    versionId: version.version_id,
+    previousVersion: currentVersion,
+    acceptedVersion,
+    authorityVersion: regulation.current_version,
+    acceptedBy,
+    acceptorRole,
+    acceptanceNotes,
+    frontendVersion,
+    isOverridden: isOverride,
+    overrideReason: isOverride ? overrideReason : null,
+    metadata: {
+      requestId,
+      callerId: getCallerId(event)
+    }
+  });
+  
+  // Create audit event for the acceptance or override
+  await createAuditEvent({
+    eventType: isOverride ? 'version.acceptance.overridden' : 'version.accepted',
+    entityType: 'regulation',
+    entityId: regulationId,
+    action: isOverride ? 'override' : 'accept',
+    tenantId: getCallerTenantId(event),
+    userId: getCallerId(event),
+    previousState: { version: currentVersion },
+    newState: { version: acceptedVersion },
+    metadata: {
+      acceptanceId: acceptance.acceptance_id,
+      acceptedBy,
+      authorityVersion: regulation.current_version,
+      acceptorRole,
+      acceptanceNotes,
+      frontendVersion,
+      overrideReason: isOverride ? overrideReason : undefined,
+      requestId
+    }
+  });
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      requestId,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      data: {
+        acceptanceId: acceptance.acceptance_id,
+        regulationId,
+        previousVersion: currentVersion,
+        acceptedVersion,
+        authorityVersion: regulation.current_version,
+        acceptedBy,
+        acceptedAt: acceptance.accepted_at,
+        isOverridden: isOverride
+      }
+    })
+  };
+}
+
+/**
+ * Handle a certificate retrieval request
+ */
+async function handleCertificateRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract path parameters
+  const certificateId = event.pathParameters.certificateId;
+  
+  // Determine the requested format from the query string or Accept header
+  const queryParams = event.queryStringParameters || {};
+  const format = queryParams.format || getFormatFromAcceptHeader(event.headers);
+  
+  if (!['json', 'jsonld', 'pdf'].includes(format)) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_PARAMETERS',
+          message: 'Format must be one of: json, jsonld, pdf',
+          requestId
+        }
+      })
+    };
+  }
+  
+  // Retrieve certificate from database
+  const db = await getTenantDbConnection(event);
+  const certificateRecord = await db.getCertificate(certificateId);
+  
+  if (!certificateRecord) {
+    return {
+      statusCode: 404,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'CERTIFICATE_NOT_FOUND',
+          message: `Certificate with ID ${certificateId} not found`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const certificate = formatCertificate(certificateRecord);
+  const regulation = await db.getRegulation(certificate.regulationId);
+  
+  const baseUrl = getPublicBaseUrl(event);
+  const links = {
+    self: `${baseUrl}/certificates/${certificateId}`,
+    verifyUrl: `${baseUrl}/certificates/${certificateId}/verify`,
+    revocationListUrl: `${baseUrl}/certificates/revocation-list`
+  };
+  
+  // Create audit event for certificate retrieval
+  await createAuditEvent({
+    eventType: 'certificate.viewed',
+    entityType: 'certificate',
+    entityId: certificateId,
+    action: 'view',
+    tenantId: getCallerTenantId(event),
+    userId: getCallerId(event),
+    metadata: {
+      format,
+      requestId
+    }
+  });
+  
+  if (format === 'pdf') {
+    const pdf = await renderCertificatePdf(certificate, regulation, links);
+    
+    return {
+      statusCode: 200,
+      headers: {
+        ...HEADERS,
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${certificateId}.pdf"`
+      },
+      body: pdf.toString('base64'),
+      isBase64Encoded: true
+    };
+  }
+  
+  if (format === 'jsonld') {
+    return {
+      statusCode: 200,
+      headers: {
+        ...HEADERS,
+        'Content-Type': 'application/ld+json'
+      },
+      body: JSON.stringify(toVerifiableCredential(certificate, regulation, links))
+    };
+  }
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      requestId,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      data: {
+        ...certificate,
+        status: getCertificateStatus(certificate),
+        regulationInfo: regulation ? {
+          regulationId: regulation.regulation_id,
+          title: regulation.title,
+          category: regulation.category,
+          jurisdiction: regulation.jurisdiction,
+          currentVersion: regulation.current_version
+        } : null,
+        links
+      }
+    })
+  };
+}
+
+/**
+ * Map an Accept header to a certificate format
+ */
+function getFormatFromAcceptHeader(headers) {
+  const accept = headers ? (headers.Accept || headers.accept || '') : '';
+  
+  if (accept.includes('application/pdf')) {
+    return 'pdf';
+  } else if (accept.includes('application/ld+json')) {
+    return 'jsonld';
+  }
+  
+  return 'json';
+}
+
+/**
+ * Get the public base URL of the API, used in links handed to third parties
+ */
+function getPublicBaseUrl(event) {
+  if (PUBLIC_API_BASE_URL) {
+    return PUBLIC_API_BASE_URL.replace(/\/$/, '');
+  }
+  
+  const requestContext = event.requestContext || {};
+  return `https://${requestContext.domainName}/${requestContext.stage}`;
+}
+
+/**
+ * Handle a certificate verification request
+ */
+async function handleCertificateVerifyRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract path parameters
+  const certificateId = event.pathParameters.certificateId;
+  
+  // Anyone holding a certificate may verify it, so it is looked up across tenants
+  const db = await getDbConnection(DB_SECRET_ARN, { allTenants: true });
+  const certificateRecord = await db.getCertificate(certificateId);
+  
+  if (!certificateRecord) {
+    return {
+      statusCode: 404,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'CERTIFICATE_NOT_FOUND',
+          message: `Certificate with ID ${certificateId} not found`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  // Verify the certificate against the current state of its regulation
+  const certificate = formatCertificate(certificateRecord);
+  const regulation = await db.getRegulation(certificate.regulationId);
+  const verdict = await verifyCertificate(certificate, regulation);
+  
+  // Create audit event for verification
+  await createAuditEvent({
+    eventType: 'certificate.verified',
+    entityType: 'certificate',
+    entityId: certificateId,
+    action: 'verify',
+    tenantId: certificateRecord.tenant_id,
+    ipAddress: event.requestContext && event.requestContext.identity
+      ? event.requestContext.identity.sourceIp
+      : undefined,
+    metadata: {
+      isValid: verdict.isValid,
+      checks: verdict.checks,
+      requestId
+    }
+  });
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      requestId,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      data: verdict
+    })
+  };
+}
+
+/**
+ * Handle a single certificate revocation request
+ */
+async function handleCertificateRevokeRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract path parameters and parse request body
+  const certificateId = event.pathParameters.certificateId;
+  const body = JSON.parse(event.body || '{}');
+  
+  // Validate request format
+  const validationResult = validateRequest(body, 'certificateRevocation');
+  if (!validationResult.isValid) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Invalid request format',
+          details: validationResult.errors,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const db = await getTenantDbConnection(event);
+  const certificateRecord = await db.getCertificate(certificateId);
+  
+  if (!certificateRecord) {
+    return {
+      statusCode: 404,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'CERTIFICATE_NOT_FOUND',
+          message: `Certificate with ID ${certificateId} not found`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  if (certificateRecord.revocation_status !== 'active') {
+    return {
+      statusCode: 409,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'CERTIFICATE_ALREADY_REVOKED',
+          message: `Certificate with ID ${certificateId} is already ${certificateRecord.revocation_status}`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const revocation = await revokeCertificates(db, { certificateId }, body, event, requestId);
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      requestId,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      data: revocation
+    })
+  };
+}
+
+/**
+ * Handle a bulk certificate revocation request (by regulation and optional version)
+ */
+async function handleBulkCertificateRevokeRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Parse request body
+  const body = JSON.parse(event.body || '{}');
+  
+  // Validate request format
+  const validationResult = validateRequest(body, 'bulkCertificateRevocation');
+  if (!validationResult.isValid) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Invalid request format',
+          details: validationResult.errors,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const db = await getTenantDbConnection(event);
+  const revocation = await revokeCertificates(db, {
+    regulationId: body.regulationId,
+    regulationVersion: body.regulationVersion
+  }, body, event, requestId);
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      requestId,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      data: revocation
+    })
+  };
+}
+
+/**
+ * Handle a revocation list request
+ */
+async function handleRevocationListRequest(event, context) {
+  // Serve the published list, publishing one if none exists yet
+  let revocationList = await getPublishedRevocationList();
+  if (!revocationList) {
+    const db = await getDbConnection(DB_SECRET_ARN, { allTenants: true });
+    revocationList = await publishRevocationList(db);
+  }
+  
+  return {
+    statusCode: 200,
+    headers: {
+      ...HEADERS,
+      'Cache-Control': `public, max-age=${REVOCATION_LIST_TTL_HOURS * 3600}`
+    },
+    body: JSON.stringify(revocationList)
+  };
+}
+
+/**
+ * Revoke certificates, audit each revocation and republish the revocation list
+ */
+async function revokeCertificates(db, criteria, body, event, requestId) {
+  const revokedBy = getCallerId(event);
+  
+  const revoked = await db.revokeCertificates(criteria, {
+    reasonCode: body.reasonCode,
+    notes: body.notes,
+    revokedBy
+  });
+  
+  // Create audit event for each revoked certificate
+  for (const certificate of revoked) {
+    await createAuditEvent({
+      eventType: 'certificate.revoked',
+      entityType: 'certificate',
+      entityId: certificate.certificate_id,
+      action: 'revoke',
+      tenantId: getCallerTenantId(event),
+      userId: revokedBy,
+      previousState: { revocationStatus: 'active' },
+      newState: { revocationStatus: certificate.revocation_status },
+      metadata: {
+        regulationId: certificate.regulation_id,
+        regulationVersion: certificate.regulation_version,
+        reasonCode: body.reasonCode,
+        notes: body.notes,
+        requestId
+      }
+    });
+  }
+  
+  // Republish the revocation list so verifiers pick up the change; the
+  // list covers the certificates of every tenant
+  let revocationListIssuedAt = null;
+  if (revoked.length > 0) {
+    const systemDb = await getDbConnection(DB_SECRET_ARN, { allTenants: true });
+    const revocationList = await publishRevocationList(systemDb);
+    revocationListIssuedAt = revocationList.issuedAt;
+    
+    await createAuditEvent({
+      eventType: 'certificate.revocation_list.published',
+      entityType: 'revocation_list',
+      entityId: revocationList.issuedAt,
+      action: 'publish',
+      tenantId: getCallerTenantId(event),
+      userId: revokedBy,
+      metadata: {
+        entryCount: revocationList.revokedCertificates.length,
+        signingKeyId: revocationList.signature.keyId,
+        requestId
+      }
+    });
+  }
+  
+  return {
+    revokedCount: revoked.length,
+    revokedCertificates: revoked.map(certificate => formatCertificate(certificate)),
+    revocationListIssuedAt
+  };
+}
+
+/**
+ * Get the identifier of the authenticated caller, if any
+ */
+function getCallerId(event) {
+  const authorizer = (event.requestContext && event.requestContext.authorizer) || {};
+  
+  // Requests authenticated with an API key act as the key
+  return authorizer.claims ? authorizer.claims.sub : authorizer.principalId;
+}
+
+/**
+ * Get the authority version a validation compared the content against, or null
+ */
+function getComparedVersion(validationResult) {
+  return (validationResult.evidence && validationResult.evidence.comparedVersion) || null;
+}
+
+/**
+ * Get the tenant of the authenticated caller, or null for callers without one
+ */
+function getCallerTenantId(event) {
+  return resolveTenant(event).tenantId;
+}
+
+/**
+ * Get a database client limited to the caller's tenant
+ */
+async function getTenantDbConnection(event) {
+  return getDbConnection(DB_SECRET_ARN, { tenantId: getCallerTenantId(event) });
+}
+
+/**
+ * Keep API keys out of logged events (JSON.stringify replacer)
+ */
+function redactApiKey(name, value) {
+  return name.toLowerCase() === 'x-api-key' ? '[REDACTED]' : value;
+}
+
+/**
+ * Authenticate a request made through the integration resource
+ * 
+ * The X-Api-Key header is checked against the stored keys. An authenticated
+ * request is mapped onto the route its path names and acts for the key's
+ * tenant with the key's scopes, as if an API key authorizer had attached
+ * them. Failed attempts with a well-formed key are audited.
+ */
+async function resolveIntegrationRequest(event, context) {
+  const requestId = context.awsRequestId;
+  const headers = event.headers || {};
+  const key = Object.keys(headers)
+    .filter(name => name.toLowerCase() === 'x-api-key')
+    .map(name => headers[name])[0];
+  
+  const db = await getDbConnection(DB_SECRET_ARN, { allTenants: true });
+  const authentication = await authenticateApiKey(db, key);
+  
+  if (!authentication.authenticated) {
+    const keyPrefix = parseApiKey(key);
+    if (keyPrefix) {
+      await createAuditEvent({
+        eventType: 'api_key.authentication_failed',
+        entityType: 'api_key',
+        entityId: authentication.apiKey ? authentication.apiKey.key_id : keyPrefix,
+        action: 'authenticate',
+        tenantId: authentication.apiKey ? authentication.apiKey.tenant_id : undefined,
+        ipAddress: event.requestContext && event.requestContext.identity
+          ? event.requestContext.identity.sourceIp
+          : undefined,
+        metadata: {
+          keyPrefix,
+          reason: authentication.reason,
+          requestId
+        }
+      });
+    }
+    
+    return {
+      response: {
+        statusCode: 401,
+        headers: HEADERS,
+        body: JSON.stringify({
+          error: {
+            code: 'AUTHENTICATION_FAILED',
+            message: authentication.reason === 'EXPIRED' || authentication.reason === 'REVOKED'
+              ? `The API key is ${authentication.reason.toLowerCase()}`
+              : 'A valid API key is required in the X-Api-Key header',
+            requestId
+          }
+        })
+      }
+    };
+  }
+  
+  const route = matchRoute(event.httpMethod, `/${(event.pathParameters || {}).proxy || ''}`);
+  if (!route) {
+    return {
+      response: {
+        statusCode: 404,
+        headers: HEADERS,
+        body: JSON.stringify({
+          error: {
+            code: 'RESOURCE_NOT_FOUND',
+            message: 'The requested resource was not found',
+            requestId
+          }
+        })
+      }
+    };
+  }
+  
+  return {
+    event: {
+      ...event,
+      resource: route.resource,
+      pathParameters: route.pathParameters,
+      requestContext: {
+        ...event.requestContext,
+        authorizer: getApiKeyAuthorizerContext(authentication.apiKey)
+      }
+    }
+  };
+}
+
+/**
+ * Handle an audit log query request
+ * 
+ * Only the events of the caller's tenant are returned, newest first and
+ * paged with an opaque cursor. CSV and NDJSON exports return the next cursor
+ * in the X-Next-Cursor header.
+ */
+async function handleAuditLogsRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract query parameters
+  const queryParams = event.queryStringParameters || {};
+  const {
+    eventType,
+    entityType,
+    entityId,
+    userId,
+    clientId,
+    from,
+    to,
+    q,
+    cursor,
+    format = 'json'
+  } = queryParams;
+  
+  // Validate parameters
+  const validationResult = validateRequest(queryParams, 'auditQuery');
+  if (!validationResult.isValid) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_PARAMETERS',
+          message: 'Invalid audit log query parameters',
+          details: validationResult.errors,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const limit = queryParams.limit ? parseInt(queryParams.limit, 10) : (format === 'json' ? 50 : 1000);
+  
+  // Build filter object
+  const filters = {};
+  if (eventType) filters.eventType = eventType;
+  if (entityType) filters.entityType = entityType;
+  if (entityId) filters.entityId = entityId;
+  if (userId) filters.userId = userId;
+  if (clientId) filters.clientId = clientId;
+  if (from) filters.from = from;
+  if (to) filters.to = to;
+  if (q) filters.search = q;
+  
+  const result = await queryAuditEvents(filters, { limit, cursor, tenantId: getCallerTenantId(event) });
+  
+  // Reading the audit trail is itself audited
+  await createAuditEvent({
+    eventType: 'audit_logs.queried',
+    entityType: 'audit_logs',
+    entityId: requestId,
+    action: format === 'json' ? 'query' : 'export',
+    tenantId: getCallerTenantId(event),
+    userId: getCallerId(event),
+    metadata: {
+      filters,
+      format,
+      limit,
+      returned: result.events.length
+    }
+  });
+  
+  if (format === 'csv' || format === 'ndjson') {
+    const exportHeaders = {
+      ...HEADERS,
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="audit-logs-${requestId}.${format}"`,
+      'Access-Control-Expose-Headers': 'X-Next-Cursor'
+    };
+    
+    if (result.nextCursor) {
+      exportHeaders['X-Next-Cursor'] = result.nextCursor;
+    }
+    
+    return {
+      statusCode: 200,
+      headers: exportHeaders,
+      body: format === 'csv' ? auditEventsToCsv(result.events) : auditEventsToNdjson(result.events)
+    };
+  }
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      data: result.events,
+      pagination: {
+        limit,
+        nextCursor: result.nextCursor,
+        hasMore: result.nextCursor !== null
+      }
+    })
+  };
+}
+
+/**
+ * Handle an audit chain verification request
+ * 
+ * The chain spans all tenants, so only platform operators verify it. A
+ * request verifies a bounded range; see verifyChain.
+ */
+async function handleAuditChainVerifyRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract and validate query parameters
+  const queryParams = event.queryStringParameters || {};
+  const validationResult = validateRequest(queryParams, 'auditChainVerification');
+  if (!validationResult.isValid) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_PARAMETERS',
+          message: 'Invalid audit chain verification parameters',
+          details: validationResult.errors,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const report = await verifyAuditChain({
+    fromSequence: queryParams.fromSequence ? parseInt(queryParams.fromSequence, 10) : undefined,
+    toSequence: queryParams.toSequence ? parseInt(queryParams.toSequence, 10) : undefined
+  });
+  
+  if (!report.isValid) {
+    console.error(`Audit chain verification failed: ${JSON.stringify(report.firstBrokenLink)}`);
+  }
+  
+  if (report.unchainedEntries.sinceChainStart > 0) {
+    console.warn(`${report.unchainedEntries.sinceChainStart} audit entries written since the chain started are not chained`);
+  }
+  
+  // Create audit event for verification
+  await createAuditEvent({
+    eventType: 'audit_chain.verified',
+    entityType: 'audit_logs',
+    entityId: requestId,
+    action: 'verify',
+    tenantId: getCallerTenantId(event),
+    userId: getCallerId(event),
+    metadata: {
+      isValid: report.isValid,
+      range: report.range,
+      entriesVerified: report.entriesVerified,
+      firstBrokenLink: report.firstBrokenLink,
+      unchainedEntries: report.unchainedEntries
+    }
+  });
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      requestId,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      data: report
+    })
+  };
+}
+
+/**
+ * Handle an audit log entry request
+ */
+async function handleAuditLogRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract path parameters
+  const auditId = event.pathParameters.auditId;
+  
+  const auditEvent = await getAuditEvent(auditId, getCallerTenantId(event));
+  
+  if (!auditEvent) {
+    return {
+      statusCode: 404,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'AUDIT_LOG_NOT_FOUND',
+          message: `Audit log entry with ID ${auditId} not found`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  // Reading the audit trail is itself audited
+  await createAuditEvent({
+    eventType: 'audit_log.viewed',
+    entityType: 'audit_log',
+    entityId: auditId,
+    action: 'view',
+    tenantId: getCallerTenantId(event),
+    userId: getCallerId(event),
+    metadata: {
+      requestId
+    }
+  });
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      data: auditEvent
+    })
+  };
+}
+
+/**
+ * Handle a review queue list request
+ */
+async function handleReviewsListRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract query parameters
+  const queryParams = event.queryStringParameters || {};
+  const {
+    page = 1,
+    limit = 20,
+    status,
+    regulationId,
+    claimedBy,
+    sortBy,
+    sortOrder
+  } = queryParams;
+  
+  // Validate parameters
+  const pageNum = parseInt(page, 10);
+  const limitNum = Math.min(parseInt(limit, 10), 100); // Cap at 100
+  
+  if (isNaN(pageNum) || pageNum < 1 || isNaN(limitNum) || limitNum < 1) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_PARAMETERS',
+          message: 'Invalid pagination parameters',
+          requestId
+        }
+      })
+    };
+  }
+  
+  const filters = { status, regulationId, claimedBy };
+  
+  const db = await getTenantDbConnection(event);
+  const result = await db.listReviewItems(filters, pageNum, limitNum, { field: sortBy, order: sortOrder });
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      data: result.items.map(formatReviewItem),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: result.total,
+        pages: Math.ceil(result.total / limitNum)
+      }
+    })
+  };
+}
+
+/**
+ * Handle a review item request
+ */
+async function handleReviewRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract path parameters
+  const reviewId = event.pathParameters.reviewId;
+  
+  const db = await getTenantDbConnection(event);
+  const reviewItem = await db.getReviewItem(reviewId);
+  
+  if (!reviewItem) {
+    return reviewNotFoundResponse(reviewId, requestId);
+  }
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      data: formatReviewItem(reviewItem)
+    })
+  };
+}
+
+/**
+ * Handle a review claim request
+ */
+async function handleReviewClaimRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract path parameters
+  const reviewId = event.pathParameters.reviewId;
+  const reviewerId = getCallerId(event);
+  
+  if (!reviewerId) {
+    return {
+      statusCode: 401,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Reviews can only be claimed by an authenticated reviewer',
+          requestId
+        }
+      })
+    };
+  }
+  
+  const db = await getTenantDbConnection(event);
+  const reviewItem = await db.getReviewItem(reviewId);
+  
+  if (!reviewItem) {
+    return reviewNotFoundResponse(reviewId, requestId);
+  }
+  
+  // The claim is conditional, so concurrent claims cannot both succeed
+  const claimed = await db.claimReviewItem(reviewId, reviewerId);
+  
+  if (!claimed) {
+    return {
+      statusCode: 409,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'REVIEW_NOT_CLAIMABLE',
+          message: `Review ${reviewId} is ${reviewItem.status.toLowerCase()} and cannot be claimed`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  await createAuditEvent({
+    eventType: 'review.claimed',
+    entityType: 'review',
+    entityId: reviewId,
+    action: 'claim',
+    tenantId: getCallerTenantId(event),
+    userId: reviewerId,
+    previousState: { status: reviewItem.status, claimedBy: reviewItem.claimed_by },
+    newState: { status: claimed.status, claimedBy: claimed.claimed_by },
+    metadata: {
+      regulationId: claimed.regulation_id,
+      requestId
+    }
+  });
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      requestId,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      data: formatReviewItem(claimed)
+    })
+  };
+}
+
+/**
+ * Handle a review decision request
+ * 
+ * The reviewer's decision replaces the validator's verdict in the stored
+ * validation result. The certainty of a decision is set by the deployment
+ * (REVIEW_APPROVAL_CERTAINTY_LEVEL); reviewers may lower it but not raise
+ * it. Approvals at certainty level 4 or above are issued an attestation
+ * certificate once the decision is recorded, as a validator result would be.
+ * A validation is never decided by the caller who requested it.
+ */
+async function handleReviewDecisionRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract path parameters and parse request body
+  const reviewId = event.pathParameters.reviewId;
+  const body = JSON.parse(event.body || '{}');
+  const reviewerId = getCallerId(event);
+  
+  // Validate request format
+  const validationResult = validateRequest(body, 'reviewDecision');
+  if (!validationResult.isValid) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Invalid request format',
+          details: validationResult.errors,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const db = await getTenantDbConnection(event);
+  const reviewItem = await db.getReviewItem(reviewId);
+  
+  if (!reviewItem) {
+    return reviewNotFoundResponse(reviewId, requestId);
+  }
+  
+  if (!reviewerId || reviewItem.status !== 'CLAIMED' || reviewItem.claimed_by !== reviewerId) {
+    return {
+      statusCode: 409,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'REVIEW_NOT_CLAIMED',
+          message: `Review ${reviewId} must be claimed by the reviewer before a decision is recorded`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  // The stored validation that was queued for this review
+  const validationRecord = await db.getValidationResultByReview(reviewId);
+  
+  if (validationRecord && validationRecord.requested_by === reviewerId) {
+    return {
+      statusCode: 403,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'REVIEW_SELF_DECISION',
+          message: `Review ${reviewId} cannot be decided by the requester of its validation`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const { decision, reason } = body;
+  const certaintyLevel = Math.min(body.certaintyLevel || REVIEW_APPROVAL_CERTAINTY_LEVEL, REVIEW_APPROVAL_CERTAINTY_LEVEL);
+  const decidedAt = new Date().toISOString();
+  const isApproved = decision === 'APPROVE';
+  
+  // Feed the decision back into the validation result
+  const reviewedResult = {
+    ...reviewItem.validation_result,
+    isValid: isApproved,
+    certaintyLevel,
+    status: isApproved ? 'APPROVED' : 'REJECTED',
+    review: {
+      reviewId,
+      status: 'DECIDED'
+    },
+    humanReview: {
+      reviewId,
+      decision,
+      reason,
+      decidedBy: reviewerId,
+      decidedAt,
+      validatorResult: {
+        isValid: reviewItem.validation_result.isValid,
+        certaintyLevel: reviewItem.validation_result.certaintyLevel
+      }
+    }
+  };
+  
+  // Record the decision first, so that a review decided concurrently is not issued a certificate
+  let decided = await db.decideReviewItem(reviewId, {
+    decision,
+    decisionReason: reason,
+    decidedBy: reviewerId,
+    validationResult: reviewedResult
+  });
+  
+  if (!decided) {
+    return {
+      statusCode: 409,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'REVIEW_NOT_CLAIMED',
+          message: `Review ${reviewId} is no longer claimed by the reviewer`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  let certificate = null;
+  const comparedVersion = getComparedVersion(reviewedResult);
+  if (isApproved && certaintyLevel >= 4 && comparedVersion) {
+    certificate = await generateCertificate({
+      regulationId: reviewItem.regulation_id,
+      regulationVersion: comparedVersion,
+      validationResult: reviewedResult,
+      validatedBy: context.functionName,
+      validationId: validationRecord ? validationRecord.validation_id : undefined,
+      requestId: reviewItem.validation_request_id || requestId,
+      tenantId: getCallerTenantId(event)
+    });
+    
+    decided = await db.setReviewItemCertificate(reviewId, certificate.certificateId) || decided;
+  }
+  
+  if (validationRecord) {
+    await db.recordValidationReview(validationRecord.validation_id, {
+      status: isApproved ? 'VALID' : 'INVALID',
+      isValid: isApproved,
+      certaintyLevel,
+      result: reviewedResult,
+      certificateId: certificate ? certificate.certificateId : null
+    });
+  }
+  
+  await createAuditEvent({
+    eventType: 'review.decided',
+    entityType: 'review',
+    entityId: reviewId,
+    action: decision.toLowerCase(),
+    tenantId: getCallerTenantId(event),
+    userId: reviewerId,
+    previousState: {
+      status: reviewItem.status,
+      isValid: reviewItem.validation_result.isValid,
+      certaintyLevel: reviewItem.validation_result.certaintyLevel
+    },
+    newState: {
+      status: decided.status,
+      decision,
+      isValid: reviewedResult.isValid,
+      certaintyLevel
+    },
+    metadata: {
+      regulationId: reviewItem.regulation_id,
+      regulationVersion: reviewItem.regulation_version,
+      validationRequestId: reviewItem.validation_request_id,
+      validationId: validationRecord ? validationRecord.validation_id : undefined,
+      reason,
+      requestedCertaintyLevel: body.certaintyLevel,
+      certificateId: certificate ? certificate.certificateId : undefined,
+      requestId
+    }
+  });
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      requestId,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      data: {
+        review: formatReviewItem(decided),
+        attestationCertificate: certificate || undefined
+      }
+    })
+  };
+}
+
+/**
+ * Handle a review annotation request
+ */
+async function handleReviewAnnotationRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract path parameters and parse request body
+  const reviewId = event.pathParameters.reviewId;
+  const body = JSON.parse(event.body || '{}');
+  
+  // Validate request format
+  const validationResult = validateRequest(body, 'reviewAnnotation');
+  if (!validationResult.isValid) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Invalid request format',
+          details: validationResult.errors,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const annotation = {
+    note: body.note,
+    sectionId: body.sectionId,
+    createdBy: getCallerId(event),
+    createdAt: new Date().toISOString()
+  };
+  
+  const db = await getTenantDbConnection(event);
+  const annotated = await db.addReviewAnnotation(reviewId, annotation);
+  
+  if (!annotated) {
+    return reviewNotFoundResponse(reviewId, requestId);
+  }
+  
+  await createAuditEvent({
+    eventType: 'review.annotated',
+    entityType: 'review',
+    entityId: reviewId,
+    action: 'annotate',
+    tenantId: getCallerTenantId(event),
+    userId: annotation.createdBy,
+    metadata: {
+      sectionId: annotation.sectionId,
+      requestId
+    }
+  });
+  
+  return {
+    statusCode: 201,
+    headers: HEADERS,
+    body: JSON.stringify({
+      requestId,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      data: formatReviewItem(annotated)
+    })
+  };
+}
+
+/**
+ * Build the response for a review item that does not exist
+ */
+function reviewNotFoundResponse(reviewId, requestId) {
+  return {
+    statusCode: 404,
+    headers: HEADERS,
+    body: JSON.stringify({
+      error: {
+        code: 'REVIEW_NOT_FOUND',
+        message: `Review with ID ${reviewId} not found`,
+        requestId
+      }
+    })
+  };
+}
+
+/**
+ * Format a review queue record for API responses
+ */
+function formatReviewItem(reviewItem) {
+  return {
+    reviewId: reviewItem.review_id,
+    regulationId: reviewItem.regulation_id,
+    regulationVersion: reviewItem.regulation_version,
+    validationRequestId: reviewItem.validation_request_id,
+    status: reviewItem.status,
+    reason: reviewItem.reason,
+    validationResult: reviewItem.validation_result,
+    claimedBy: reviewItem.claimed_by,
+    claimedAt: reviewItem.claimed_at,
+    decision: reviewItem.decision,
+    decisionReason: reviewItem.decision_reason,
+    decidedBy: reviewItem.decided_by,
+    decidedAt: reviewItem.decided_at,
+    certificateId: reviewItem.certificate_id,
+    annotations: reviewItem.annotations,
+    createdAt: reviewItem.created_at,
+    updatedAt: reviewItem.updated_at
+  };
+}
+
+/**
+ * Check that a classification profile change targets the caller's own scope
+ * 
+ * Global profiles apply to every tenant, so they are only changed by platform
+ * operators, who act without a tenant, and only when they ask for it with
+ * "global": true.
+ * 
+ * @param {string|null} tenantId - Caller's tenant
+ * @param {boolean} [global] - Whether the request targets the global profiles
+ * @param {string} requestId - Request identifier
+ * @returns {Object|null} Error response, or null if the scope is allowed
+ */
+function checkClassificationProfileScope(tenantId, global, requestId) {
+  if (!tenantId && global === true) {
+    return null;
+  }
+  
+  if (tenantId && !global) {
+    return null;
+  }
+  
+  return {
+    statusCode: 403,
+    headers: HEADERS,
+    body: JSON.stringify({
+      error: {
+        code: 'PROFILE_SCOPE_FORBIDDEN',
+        message: tenantId
+          ? 'Global classification profiles cannot be changed by tenant callers'
+          : 'Platform operators must set global to true to change global classification profiles',
+        requestId
+      }
+    })
+  };
+}
+
+/**
+ * Handle a classification profile list request
+ * 
+ * Lists the profile versions of the caller's tenant, or the global profiles
+ * for platform operators.
+ */
+async function handleClassificationProfilesListRequest(event, context) {
+  const queryParams = event.queryStringParameters || {};
+  
+  const db = await getTenantDbConnection(event);
+  const profiles = await db.listClassificationProfiles(getCallerTenantId(event) || null, queryParams.category);
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      data: profiles.map(formatClassificationProfile)
+    })
+  };
+}
+
+/**
+ * Handle a classification profile creation request
+ * 
+ * Each request creates a new version of the profile for the caller's tenant
+ * (or the global profile, see checkClassificationProfileScope) and the
+ * optional category; earlier versions are kept for the audit trail.
+ */
+async function handleClassificationProfileCreateRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Parse request body
+  const body = JSON.parse(event.body || '{}');
+  
+  // Validate request format
+  const validationResult = validateRequest(body, 'classificationProfile');
+  if (!validationResult.isValid) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Invalid request format',
+          details: validationResult.errors,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const tenantId = getCallerTenantId(event) || null;
+  const { category, settings, notes, activate = true } = body;
+  
+  const scopeError = checkClassificationProfileScope(tenantId, body.global, requestId);
+  if (scopeError) {
+    return scopeError;
+  }
+  
+  const db = await getTenantDbConnection(event);
+  const profile = await db.createClassificationProfile({
+    tenantId,
+    category,
+    settings,
+    notes,
+    createdBy: getCallerId(event),
+    activate
+  });
+  
+  await createAuditEvent({
+    eventType: 'classification_profile.created',
+    entityType: 'classification_profile',
+    entityId: profile.profile_id,
+    action: 'create',
+    tenantId,
+    userId: getCallerId(event),
+    newState: {
+      version: profile.version,
+      settings,
+      isActive: profile.is_active
+    },
+    metadata: {
+      tenantId,
+      category,
+      requestId
+    }
+  });
+  
+  return {
+    statusCode: 201,
+    headers: HEADERS,
+    body: JSON.stringify({
+      requestId,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      data: formatClassificationProfile(profile)
+    })
+  };
+}
+
+/**
+ * Handle a classification profile activation request (e.g. to roll back to an earlier version)
+ */
+async function handleClassificationProfileActivateRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract path parameters and parse request body
+  const profileId = event.pathParameters.profileId;
+  const body = JSON.parse(event.body || '{}');
+  const tenantId = getCallerTenantId(event) || null;
+  
+  const scopeError = checkClassificationProfileScope(tenantId, body.global, requestId);
+  if (scopeError) {
+    return scopeError;
+  }
+  
+  const db = await getTenantDbConnection(event);
+  const existing = await db.getClassificationProfile(profileId);
+  
+  // Profiles of other tenants are reported as missing
+  if (!existing || existing.tenant_id !== tenantId) {
+    return {
+      statusCode: 404,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'PROFILE_NOT_FOUND',
+          message: `Classification profile with ID ${profileId} not found`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const profile = await db.activateClassificationProfile(profileId);
+  
+  await createAuditEvent({
+    eventType: 'classification_profile.activated',
+    entityType: 'classification_profile',
+    entityId: profileId,
+    action: 'activate',
+    tenantId,
+    userId: getCallerId(event),
+    previousState: { isActive: existing.is_active },
+    newState: { isActive: true, version: profile.version },
+    metadata: {
+      tenantId,
+      category: profile.category,
+      requestId
+    }
+  });
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      requestId,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      data: formatClassificationProfile(profile)
+    })
+  };
+}
+
+/**
+ * Handle a validator registry list request
+ * 
+ * Lists stored, environment and in-process validators with their health
+ * and circuit breaker state.
+ */
+async function handleValidatorsListRequest(event, context) {
+  const db = await getDbConnection(DB_SECRET_ARN);
+  
+  // Read the current state rather than a cached registry
+  invalidateValidatorRegistry();
+  const registry = await getValidatorRegistry(db);
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      data: registry.map(formatValidator)
+    })
+  };
+}
+
+/**
+ * Handle a validator configuration request
+ * 
+ * Creates or replaces the stored configuration of a validator. A stored
+ * validator takes the place of an environment one with the same ID.
+ * Validators serve every tenant, so only platform operators configure them,
+ * and only with functions under the allowed prefixes.
+ */
+async function handleValidatorUpdateRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract path parameters and parse request body
+  const validatorId = event.pathParameters.validatorId;
+  const body = JSON.parse(event.body || '{}');
+  
+  // Validate request format
+  const validationResult = validateRequest({ ...body, validatorId }, 'validatorConfig');
+  if (!validationResult.isValid) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Invalid request format',
+          details: validationResult.errors,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const db = await getDbConnection(DB_SECRET_ARN);
+  const existing = await db.getValidator(validatorId);
+  const stored = await db.upsertValidator({
+    validatorId,
+    description: body.description,
+    functionArn: body.functionArn,
+    levels: body.levels,
+    jurisdictions: body.jurisdictions,
+    categories: body.categories,
+    capabilities: body.capabilities,
+    timeoutMs: body.timeoutMs,
+    enabled: body.enabled,
+    updatedBy: getCallerId(event)
+  });
+  
+  invalidateValidatorRegistry();
+  const registry = await getValidatorRegistry(db);
+  
+  await createAuditEvent({
+    eventType: existing ? 'validator.updated' : 'validator.registered',
+    entityType: 'validator',
+    entityId: validatorId,
+    action: existing ? 'update' : 'create',
+    tenantId: getCallerTenantId(event),
+    userId: getCallerId(event),
+    previousState: existing ? {
+      functionArn: existing.function_arn,
+      levels: existing.levels,
+      jurisdictions: existing.jurisdictions,
+      categories: existing.categories,
+      enabled: existing.enabled
+    } : undefined,
+    newState: {
+      functionArn: stored.function_arn,
+      levels: stored.levels,
+      jurisdictions: stored.jurisdictions,
+      categories: stored.categories,
+      enabled: stored.enabled
+    },
+    metadata: {
+      requestId
+    }
+  });
+  
+  return {
+    statusCode: existing ? 200 : 201,
+    headers: HEADERS,
+    body: JSON.stringify({
+      requestId,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      data: formatValidator(registry.find(validator => validator.validatorId === validatorId))
+    })
+  };
+}
+
+/**
+ * Handle a scheduled validator health check
+ * 
+ * Pings every enabled deployed validator; changes of health status are audited.
+ */
+async function handleValidatorHealthEvent(event, context) {
+  const db = await getDbConnection(DB_SECRET_ARN);
+  
+  invalidateValidatorRegistry();
+  const checks = await checkValidatorHealth(db, await getValidatorRegistry(db));
+  
+  for (const check of checks.filter(check => check.status !== check.previousStatus)) {
+    await createAuditEvent({
+      eventType: 'validator.health_changed',
+      entityType: 'validator',
+      entityId: check.validatorId,
+      action: 'health_check',
+      previousState: { status: check.previousStatus },
+      newState: { status: check.status },
+      metadata: {
+        error: check.error,
+        requestId: context.awsRequestId
+      }
+    });
+  }
+  
+  return {
+    checked: checks.length,
+    unhealthy: checks.filter(check => check.status === 'UNHEALTHY').map(check => check.validatorId)
+  };
+}
+
+/**
+ * Handle an API key list request
+ * 
+ * Lists the keys of the caller's tenant, including expired and revoked ones.
+ * Keys themselves are never returned after they are issued.
+ */
+async function handleApiKeysListRequest(event, context) {
+  const db = await getTenantDbConnection(event);
+  const apiKeys = await db.listApiKeys(getCallerTenantId(event));
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      data: apiKeys.map(formatApiKey)
+    })
+  };
+}
+
+/**
+ * Handle an API key issuance request
+ * 
+ * Issues a key bound to the caller's tenant, with scopes among those the
+ * caller's own permissions cover. The key is only returned in this response.
+ */
+async function handleApiKeyCreateRequest(event, context) {
+  const requestId = context.awsRequestId;
+  const body = JSON.parse(event.body || '{}');
+  
+  // Validate request format
+  const validationResult = validateRequest(body, 'apiKey');
+  if (!validationResult.isValid) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Invalid request format',
+          details: validationResult.errors,
+          requestId
+        }
+      })
+    };
+  }
+  
+  // A key never grants more than its issuer holds
+  const scopeError = checkGrantableScopes(event, body.scopes, requestId);
+  if (scopeError) {
+    return scopeError;
+  }
+  
+  const tenantId = getCallerTenantId(event);
+  const db = await getTenantDbConnection(event);
+  const { key, keyPrefix, keyHash } = generateApiKey();
+  const apiKey = await db.createApiKey({
+    tenantId,
+    name: body.name.trim(),
+    keyPrefix,
+    keyHash,
+    scopes: body.scopes,
+    expiresAt: body.expiresAt,
+    createdBy: getCallerId(event)
+  });
+  
+  await createAuditEvent({
+    eventType: 'api_key.issued',
+    entityType: 'api_key',
+    entityId: apiKey.key_id,
+    action: 'create',
+    tenantId,
+    userId: getCallerId(event),
+    newState: {
+      name: apiKey.name,
+      keyPrefix: apiKey.key_prefix,
+      scopes: apiKey.scopes,
+      expiresAt: apiKey.expires_at
+    },
+    metadata: {
+      requestId
+    }
+  });
+  
+  return {
+    statusCode: 201,
+    headers: HEADERS,
+    body: JSON.stringify({
+      requestId,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      data: {
+        ...formatApiKey(apiKey),
+        key
+      }
+    })
+  };
+}
+
+/**
+ * Handle an API key rotation request
+ * 
+ * Issues a replacement with the same name and scopes. The replaced key keeps
+ * working for the overlap period so integrations can switch over. Without
+ * an expiry time in the request, a replacement for an expiring key gets the
+ * same lifetime as the key it replaces.
+ */
+async function handleApiKeyRotateRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract path parameters and parse request body
+  const keyId = event.pathParameters.keyId;
+  const body = JSON.parse(event.body || '{}');
+  
+  // Validate request format
+  const validationResult = validateRequest(body, 'apiKeyRotation');
+  if (!validationResult.isValid) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Invalid request format',
+          details: validationResult.errors,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const db = await getTenantDbConnection(event);
+  const existing = await db.getApiKey(keyId);
+  if (!existing) {
+    return apiKeyNotFoundResponse(keyId, requestId);
+  }
+  
+  // Keys issued with scopes that can no longer be granted are not renewed
+  const scopeError = checkGrantableScopes(event, existing.scopes, requestId);
+  if (scopeError) {
+    return scopeError;
+  }
+  
+  const now = Date.now();
+  const overlapHours = body.overlapHours !== undefined ? body.overlapHours : DEFAULT_ROTATION_OVERLAP_HOURS;
+  const lifetime = existing.expires_at
+    ? new Date(existing.expires_at).getTime() - new Date(existing.created_at).getTime()
+    : null;
+  const { key, keyPrefix, keyHash } = generateApiKey();
+  
+  const rotation = await db.rotateApiKey(keyId, {
+    name: existing.name,
+    keyPrefix,
+    keyHash,
+    scopes: existing.scopes,
+    expiresAt: body.expiresAt || (lifetime ? new Date(now + lifetime) : null),
+    createdBy: getCallerId(event)
+  }, new Date(now + overlapHours * 60 * 60 * 1000));
+  
+  if (!rotation) {
+    return {
+      statusCode: 409,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'API_KEY_REVOKED',
+          message: `API key ${keyId} has been revoked and cannot be rotated`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  await createAuditEvent({
+    eventType: 'api_key.rotated',
+    entityType: 'api_key',
+    entityId: keyId,
+    action: 'rotate',
+    tenantId: getCallerTenantId(event),
+    userId: getCallerId(event),
+    previousState: {
+      keyPrefix: existing.key_prefix,
+      expiresAt: existing.expires_at
+    },
+    newState: {
+      keyPrefix: rotation.previous.key_prefix,
+      expiresAt: rotation.previous.expires_at,
+      replacementKeyId: rotation.key.key_id,
+      replacementKeyPrefix: rotation.key.key_prefix,
+      replacementExpiresAt: rotation.key.expires_at
+    },
+    metadata: {
+      overlapHours,
+      requestId
+    }
+  });
+  
+  return {
+    statusCode: 201,
+    headers: HEADERS,
+    body: JSON.stringify({
+      requestId,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      data: {
+        ...formatApiKey(rotation.key),
+        key,
+        previous: formatApiKey(rotation.previous)
+      }
+    })
+  };
+}
+
+/**
+ * Handle an API key revocation request
+ * 
+ * A revoked key stops working immediately and cannot be rotated.
+ */
+async function handleApiKeyRevokeRequest(event, context) {
+  const requestId = context.awsRequestId;
+  
+  // Extract path parameters and parse request body
+  const keyId = event.pathParameters.keyId;
+  const body = JSON.parse(event.body || '{}');
+  
+  // Validate request format
+  const validationResult = validateRequest(body, 'apiKeyRevocation');
+  if (!validationResult.isValid) {
+    return {
+      statusCode: 400,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Invalid request format',
+          details: validationResult.errors,
+          requestId
+        }
+      })
+    };
+  }
+  
+  const db = await getTenantDbConnection(event);
+  const existing = await db.getApiKey(keyId);
+  if (!existing) {
+    return apiKeyNotFoundResponse(keyId, requestId);
+  }
+  
+  const revoked = await db.revokeApiKey(keyId, {
+    reason: body.reason,
+    revokedBy: getCallerId(event)
+  });
+  
+  if (!revoked) {
+    return {
+      statusCode: 409,
+      headers: HEADERS,
+      body: JSON.stringify({
+        error: {
+          code: 'API_KEY_REVOKED',
+          message: `API key ${keyId} has already been revoked`,
+          requestId
+        }
+      })
+    };
+  }
+  
+  await createAuditEvent({
+    eventType: 'api_key.revoked',
+    entityType: 'api_key',
+    entityId: keyId,
+    action: 'revoke',
+    tenantId: getCallerTenantId(event),
+    userId: getCallerId(event),
+    previousState: {
+      keyPrefix: existing.key_prefix,
+      expiresAt: existing.expires_at
+    },
+    newState: {
+      revokedAt: revoked.revoked_at
+    },
+    metadata: {
+      reason: body.reason,
+      requestId
+    }
+  });
+  
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      requestId,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      data: formatApiKey(revoked)
+    })
+  };
+}
+
+/**
+ * Build the response for an API key that does not exist in the caller's tenant
+ */
+function apiKeyNotFoundResponse(keyId, requestId) {
+  return {
+    statusCode: 404,
+    headers: HEADERS,
+    body: JSON.stringify({
+      error: {
+        code: 'API_KEY_NOT_FOUND',
+        message: `API key with ID ${keyId} not found`,
+        requestId
+      }
+    })
+  };
+}
+
+/**
+ * Check that the caller may issue an API key with the given scopes
+ * 
+ * @returns {Object|null} 403 response for scopes beyond the caller's own permissions, or null
+ */
+function checkGrantableScopes(event, scopes, requestId) {
+  const grantable = getGrantableScopes(getPrincipal(event));
+  const refused = scopes.filter(scope => !grantable.includes(scope));
+  
+  if (refused.length === 0) {
+    return null;
+  }
+  
+  return {
+    statusCode: 403,
+    headers: HEADERS,
+    body: JSON.stringify({
+      error: {
+        code: 'SCOPE_NOT_GRANTABLE',
+        message: `API keys cannot be issued with scopes: ${refused.join(', ')}`,
+        requestId
+      }
+    })
   };
 }
 
@@ -553,7 +3551,7 @@ async function handleStatusRequest(event, context) {
  * Generate attestation certificate
  */
 async function generateCertificate(params) {
-  const { regulationId, regulationVersion, validationResult, validatedBy, requestId } = params;
+  const { regulationId, regulationVersion, validationResult, validatedBy, validationId, requestId, tenantId } = params;
   
   // Set expiration date (90 days from now)
   const now = new Date();
@@ -563,18 +3561,30 @@ async function generateCertificate(params) {
   // Generate certificate ID
   const certificateId = `cert-${regulationId}-${regulationVersion}-${Date.now()}`;
   
+  // Sign the certificate over its canonical fields
+  const validationResultHash = hashValidationResult(validationResult);
+  const cryptographicSignature = await signCertificate({
+    certificateId,
+    regulationId,
+    regulationVersion,
+    validationResultHash,
+    issuedAt: now.toISOString(),
+    expiresAt: expiresAt.toISOString()
+  });
+  
   // Create certificate record in database
-  const db = await getDbConnection(DB_SECRET_ARN);
+  const db = await getDbConnection(DB_SECRET_ARN, { tenantId });
   
   const certificate = {
     certificateId,
-    validationId: requestId,
+    validationId: validationId || requestId,
     regulationId,
     regulationVersion,
     issuedAt: now.toISOString(),
     expiresAt: expiresAt.toISOString(),
     validatedBy,
-    cryptographicSignature: 'placeholder', // Would be replaced with actual signature generation
+    validationResultHash,
+    cryptographicSignature,
     certificateUrl: `/api/certificates/${certificateId}`
   };
   
@@ -586,11 +3596,13 @@ async function generateCertificate(params) {
     entityType: 'certificate',
     entityId: certificateId,
     action: 'issue',
+    tenantId,
     metadata: {
       regulationId,
       regulationVersion,
-      validationId: requestId,
-      expiresAt: expiresAt.toISOString()
+      validationId: validationId || requestId,
+      expiresAt: expiresAt.toISOString(),
+      signingKeyId: cryptographicSignature.keyId
     }
   });
   
@@ -0,0 +1,154 @@
+/**
+ * EdSteward.ai - Interpretation Provider Module
+ * 
+ * This module gives Level 3 validation access to an interpretation provider
+ * that judges whether differently worded client text means the same as the
+ * authoritative text. Providers are pluggable: a Lambda-hosted model in
+ * production, or a local deterministic stub for development and tests.
+ */
+
+const AWS = require('aws-sdk');
+const { textSimilarity } = require('./comparator');
+
+// Environment variables
+const INTERPRETATION_PROVIDER = process.env.INTERPRETATION_PROVIDER || 'none';
+const INTERPRETATION_PROVIDER_ARN = process.env.INTERPRETATION_PROVIDER_ARN;
+
+// Similarity at which the stub provider treats two sections as equivalent
+const STUB_EQUIVALENCE_THRESHOLD = 0.9;
+
+// Providers a validation request may name for a consensus validator; the stub
+// judges by word overlap alone, so only a deployment can opt into it
+const SELECTABLE_INTERPRETATION_PROVIDERS = ['none', 'lambda'];
+
+let activeProvider;
+
+/**
+ * Create an interpretation provider
+ * 
+ * @param {Object} config - Provider configuration
+ * @param {string} config.provider - 'none', 'stub' or 'lambda'
+ * @param {string} [config.functionArn] - Provider Lambda ARN (lambda provider)
+ * @returns {Object|null} Provider with name and interpret(request), or null for 'none'
+ */
+function createInterpretationProvider(config) {
+  switch (config.provider) {
+    case 'none':
+      return null;
+    case 'stub':
+      return createStubProvider();
+    case 'lambda':
+      return createLambdaProvider(config);
+    default:
+      throw new Error(`Unknown interpretation provider: ${config.provider}`);
+  }
+}
+
+/**
+ * Create a deterministic provider that judges equivalence by word overlap
+ * 
+ * @returns {Object} Stub provider
+ */
+function createStubProvider() {
+  return {
+    name: 'stub',
+    
+    async interpret(request) {
+      const sectionFindings = request.sections.map(section => {
+        const similarity = textSimilarity(section.clientText || '', section.authorityText || '');
+        const isEquivalent = similarity >= STUB_EQUIVALENCE_THRESHOLD;
+        
+        return {
+          sectionId: section.sectionId,
+          isEquivalent,
+          confidence: Math.round((isEquivalent ? similarity : 1 - similarity) * 100) / 100,
+          rationale: `Word overlap with the authoritative text is ${Math.round(similarity * 100)}%`
+        };
+      });
+      
+      const isEquivalent = sectionFindings.every(finding => finding.isEquivalent);
+      const confidence = sectionFindings.length > 0
+        ? Math.min(...sectionFindings.map(finding => finding.confidence))
+        : 1;
+      
+      return {
+        isEquivalent,
+        confidence,
+        rationale: isEquivalent
+          ? 'All sections are worded closely enough to be equivalent'
+          : 'One or more sections differ substantially from the authoritative text',
+        sectionFindings
+      };
+    }
+  };
+}
+
+/**
+ * Create a provider backed by a Lambda function
+ * 
+ * @param {Object} config - Provider configuration
+ * @param {string} config.functionArn - Provider Lambda ARN
+ * @returns {Object} Lambda provider
+ */
+function createLambdaProvider(config) {
+  if (!config.functionArn) {
+    throw new Error('Lambda interpretation provider requires INTERPRETATION_PROVIDER_ARN');
+  }
+  
+  const lambda = new AWS.Lambda();
+  
+  return {
+    name: 'lambda',
+    
+    async interpret(request) {
+      const response = await lambda.invoke({
+        FunctionName: config.functionArn,
+        InvocationType: 'RequestResponse',
+        Payload: JSON.stringify({ action: 'interpret', ...request })
+      }).promise();
+      
+      if (response.FunctionError) {
+        throw new Error(`Interpretation provider failed: ${response.FunctionError}`);
+      }
+      
+      const result = JSON.parse(response.Payload);
+      if (typeof result.isEquivalent !== 'boolean' || typeof result.confidence !== 'number') {
+        throw new Error('Interpretation provider returned a malformed result');
+      }
+      
+      return result;
+    }
+  };
+}
+
+/**
+ * Get the configured interpretation provider
+ * 
+ * @returns {Object|null} Provider, or null if none is configured
+ */
+function getInterpretationProvider() {
+  if (activeProvider === undefined) {
+    activeProvider = createInterpretationProvider({
+      provider: INTERPRETATION_PROVIDER,
+      functionArn: INTERPRETATION_PROVIDER_ARN
+    });
+  }
+  
+  return activeProvider;
+}
+
+/**
+ * Replace the active interpretation provider (e.g. with the stub in tests)
+ * 
+ * @param {Object|null} provider - Provider to use
+ */
+function setInterpretationProvider(provider) {
+  activeProvider = provider;
+}
+
+module.exports = {
+  SELECTABLE_INTERPRETATION_PROVIDERS,
+  createInterpretationProvider,
+  getInterpretationProvider,
+  setInterpretationProvider
+};
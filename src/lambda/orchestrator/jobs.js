@@ -0,0 +1,278 @@
+/**
+ * EdSteward.ai - Batch Job Module
+ * 
+ * This module runs batch validations as background jobs. A submitted batch
+ * is stored as a job with one item per regulation; the orchestrator then
+ * invokes itself asynchronously to work through the items with bounded
+ * concurrency, retrying failed items with a backoff. A worker that runs low
+ * on time hands the job on to a fresh invocation.
+ */
+
+const AWS = require('aws-sdk');
+const { aggregateResults, summarizeResult } = require('./aggregator');
+const lambda = new AWS.Lambda();
+
+// Items validated at the same time by one worker
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '5', 10);
+
+// Attempts per item before it is recorded as failed
+const BATCH_MAX_ATTEMPTS = parseInt(process.env.BATCH_MAX_ATTEMPTS || '3', 10);
+
+// Delay before the first retry of an item; doubled for each further attempt
+const RETRY_BASE_DELAY_SECONDS = 5;
+
+// Workers stop taking new items when less time than this remains
+const TIME_MARGIN_MS = 10000;
+
+// Longest wait between checks for items that are not yet due
+const POLL_INTERVAL_MS = 2000;
+
+// Running items not updated for this long were abandoned by a stopped worker
+// (no Lambda invocation runs longer than 15 minutes)
+const STALE_ITEM_SECONDS = 900;
+
+/**
+ * Start processing a batch job in a new asynchronous invocation
+ * 
+ * @param {string} functionName - Orchestrator function name
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<void>}
+ */
+async function dispatchBatchJob(functionName, jobId) {
+  await lambda.invoke({
+    FunctionName: functionName,
+    InvocationType: 'Event', // Asynchronous invocation; the job runs after the response is sent
+    Payload: JSON.stringify({
+      action: 'processBatchJob',
+      jobId
+    })
+  }).promise();
+}
+
+/**
+ * Wait for a number of milliseconds
+ * 
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Process one claimed batch job item
+ * 
+ * Client errors (4xx) are final. Other failures are retried with an
+ * exponential backoff until the item runs out of attempts.
+ * 
+ * @param {Object} db - Database client
+ * @param {Object} job - Batch job
+ * @param {Object} item - Claimed item
+ * @param {Function} validateItem - Validates an item; resolves to an API response
+ * @returns {Promise<Object>} Updated item
+ */
+async function processBatchJobItem(db, job, item, validateItem) {
+  try {
+    const response = await validateItem(job, item);
+    const body = JSON.parse(response.body);
+    
+    if (response.statusCode < 400) {
+      return await db.completeBatchJobItem(item.item_id, { status: 'SUCCEEDED', result: body });
+    }
+    
+    if (response.statusCode < 500) {
+      return await db.completeBatchJobItem(item.item_id, {
+        status: 'FAILED',
+        error: { ...body.error, attempts: item.attempts }
+      });
+    }
+    
+    throw new Error(body.error ? body.error.message : `Validation failed with status ${response.statusCode}`);
+  } catch (error) {
+    console.error(`Error validating batch item ${item.item_index} of job ${job.job_id}:`, error);
+    
+    const itemError = {
+      code: 'VALIDATION_FAILED',
+      message: error.message,
+      attempts: item.attempts
+    };
+    
+    if (item.attempts < BATCH_MAX_ATTEMPTS) {
+      return db.retryBatchJobItem(item.item_id, itemError, RETRY_BASE_DELAY_SECONDS * 2 ** (item.attempts - 1));
+    }
+    
+    return db.completeBatchJobItem(item.item_id, { status: 'FAILED', error: itemError });
+  }
+}
+
+/**
+ * Convert a finished batch job item to a result for aggregation
+ * 
+ * @param {Object} outcome - Item outcome (see db.listBatchJobResults)
+ * @returns {Object} Validation response, or object with regulationId and error
+ */
+function toBatchResult(outcome) {
+  const result = outcome.result || {
+    regulationId: outcome.regulation_id,
+    error: outcome.error
+  };
+  
+  return {
+    ...result,
+    category: outcome.category,
+    jurisdiction: outcome.jurisdiction
+  };
+}
+
+/**
+ * Aggregate the item outcomes of a batch job
+ * 
+ * Items still waiting to be validated are left out.
+ * 
+ * @param {Array<Object>} outcomes - Item outcomes (see db.listBatchJobResults)
+ * @returns {Object} Aggregated results (see aggregator.aggregateResults)
+ */
+function aggregateBatchJobResults(outcomes) {
+  return aggregateResults(outcomes
+    .filter(outcome => outcome.status === 'SUCCEEDED' || outcome.status === 'FAILED')
+    .map(toBatchResult));
+}
+
+/**
+ * Aggregate the item outcomes of a batch job and mark it completed
+ * 
+ * @param {Object} db - Database client
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<Object|null>} Completed job, or null if another worker completed it first
+ */
+async function completeBatchJob(db, jobId) {
+  const { summary } = aggregateBatchJobResults(await db.listBatchJobResults(jobId));
+  
+  return db.finishBatchJob(jobId, { status: 'COMPLETED', summary });
+}
+
+/**
+ * Work through the items of a batch job
+ * 
+ * Runs until every item has succeeded or failed, or until the invocation
+ * runs low on time, in which case the job is handed on to a new invocation.
+ * 
+ * @param {Object} db - Database client
+ * @param {string} jobId - Job identifier
+ * @param {Object} worker - Worker environment
+ * @param {Function} worker.validateItem - Validates an item; resolves to an API response
+ * @param {Function} worker.getRemainingTimeInMillis - Time left in the invocation
+ * @param {string} worker.functionName - Orchestrator function name, for continuations
+ * @returns {Promise<Object>} Outcome: 'COMPLETED' with the job, 'CONTINUED' or 'SKIPPED'
+ */
+async function processBatchJob(db, jobId, worker) {
+  const job = await db.startBatchJob(jobId);
+  if (!job) {
+    console.log(`Batch job ${jobId} is missing or already finished`);
+    return { status: 'SKIPPED' };
+  }
+  
+  await db.releaseStaleBatchJobItems(jobId, STALE_ITEM_SECONDS);
+  
+  const hasTime = () => worker.getRemainingTimeInMillis() > TIME_MARGIN_MS;
+  
+  // Each lane validates one item at a time, so at most BATCH_CONCURRENCY run at once
+  const runLane = async () => {
+    while (hasTime()) {
+      const [item] = await db.claimBatchJobItems(jobId, 1);
+      if (!item) {
+        return;
+      }
+      await processBatchJobItem(db, job, item, worker.validateItem);
+    }
+  };
+  
+  while (true) {
+    await Promise.all(Array.from({ length: BATCH_CONCURRENCY }, runLane));
+    
+    const progress = await db.getBatchJobProgress(jobId);
+    if (progress.PENDING === 0 && progress.RUNNING === 0) {
+      const completed = await completeBatchJob(db, jobId);
+      return completed ? { status: 'COMPLETED', job: completed } : { status: 'SKIPPED' };
+    }
+    
+    if (!hasTime()) {
+      break;
+    }
+    
+    // Remaining items are waiting for a retry or held by another worker
+    const untilDue = progress.nextAttemptAt ? new Date(progress.nextAttemptAt).getTime() - Date.now() : POLL_INTERVAL_MS;
+    await sleep(Math.max(0, Math.min(untilDue, POLL_INTERVAL_MS, worker.getRemainingTimeInMillis() - TIME_MARGIN_MS)));
+  }
+  
+  console.log(`Batch job ${jobId} continues in a new invocation`);
+  await dispatchBatchJob(worker.functionName, jobId);
+  return { status: 'CONTINUED' };
+}
+
+/**
+ * Format a batch job record for API responses
+ * 
+ * @param {Object} job - Job record
+ * @param {Object} progress - Item counts by status (see db.getBatchJobProgress)
+ * @returns {Object} Formatted job
+ */
+function formatBatchJob(job, progress) {
+  const finished = progress.SUCCEEDED + progress.FAILED;
+  
+  return {
+    jobId: job.job_id,
+    status: job.status,
+    submittedBy: job.submitted_by,
+    requestId: job.request_id,
+    options: job.options,
+    itemCount: job.item_count,
+    progress: {
+      pending: progress.PENDING,
+      running: progress.RUNNING,
+      succeeded: progress.SUCCEEDED,
+      failed: progress.FAILED,
+      percentComplete: job.item_count > 0 ? Math.floor((finished / job.item_count) * 100) : 100
+    },
+    error: job.error,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    completedAt: job.completed_at,
+    updatedAt: job.updated_at
+  };
+}
+
+/**
+ * Format a batch job item record for API responses
+ * 
+ * @param {Object} item - Item record
+ * @returns {Object} Formatted item
+ */
+function formatBatchJobItem(item) {
+  return {
+    itemId: item.item_id,
+    index: item.item_index,
+    regulationId: item.regulation_id,
+    regulationVersion: item.regulation_version,
+    validationLevel: item.validation_level,
+    status: item.status,
+    attempts: item.attempts,
+    nextAttemptAt: item.status === 'PENDING' ? item.next_attempt_at : undefined,
+    summary: item.status === 'SUCCEEDED' || item.status === 'FAILED'
+      ? summarizeResult(toBatchResult(item)).summary
+      : undefined,
+    result: item.result,
+    error: item.error,
+    startedAt: item.started_at,
+    completedAt: item.completed_at
+  };
+}
+
+module.exports = {
+  dispatchBatchJob,
+  processBatchJob,
+  processBatchJobItem,
+  aggregateBatchJobResults,
+  formatBatchJob,
+  formatBatchJobItem
+};
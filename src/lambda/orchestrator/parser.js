@@ -0,0 +1,159 @@
+/**
+ * EdSteward.ai - Regulation Text Parser Module
+ * 
+ * This module splits regulation text into numbered sections and clauses so
+ * that versions can be compared and validated section by section.
+ */
+
+// Top-level section markers: "§ 99.31", "Section 4.2", "Article IV", "1.", "2.3.1"
+// (bare numbers need a dot so that "30 days ..." is not taken for a heading)
+const SECTION_MARKER = /^\s*(§+\s*\d+(?:\.\d+)*[a-z]?|section\s+\d+(?:\.\d+)*[a-z]?|article\s+[ivxlc\d]+|\d+(?:\.\d+)+\.?|\d+\.)(?=\s|$)/i;
+
+// Clause markers nested under a section: "(a)", "(1)", "(iv)"
+const CLAUSE_MARKER = /^\s*(\((?:[a-z]{1,2}|\d+|[ivxlc]+)\))(?=\s|$)/i;
+
+/**
+ * Parse regulation text into sections
+ * 
+ * Each section carries a stable identifier derived from its numbering so
+ * that the same section can be matched across versions. Text without any
+ * numbering is split into paragraphs instead.
+ * 
+ * @param {string} text - Regulation text
+ * @returns {Array<Object>} Sections with id, heading and text
+ */
+function parseSections(text) {
+  if (!text) {
+    return [];
+  }
+  
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const hasMarkers = lines.some(line => SECTION_MARKER.test(line) || CLAUSE_MARKER.test(line));
+  
+  if (!hasMarkers) {
+    return parseParagraphs(text);
+  }
+  
+  const sections = [];
+  let current = null;
+  let currentSectionId = null;
+  let currentLetterClauseId = null;
+  
+  lines.forEach(line => {
+    const sectionMatch = line.match(SECTION_MARKER);
+    const clauseMatch = !sectionMatch && line.match(CLAUSE_MARKER);
+    
+    if (sectionMatch) {
+      currentSectionId = normalizeMarker(sectionMatch[1]);
+      currentLetterClauseId = null;
+      current = startSection(sections, currentSectionId, line);
+    } else if (clauseMatch) {
+      const marker = normalizeMarker(clauseMatch[1]);
+      let clauseId;
+      
+      // Numbered clauses nest under the preceding lettered clause: (a)(1), (a)(2)
+      if (/^\(\d+\)$/.test(marker) && currentLetterClauseId) {
+        clauseId = `${currentLetterClauseId}${marker}`;
+      } else {
+        clauseId = `${currentSectionId || ''}${marker}`;
+        currentLetterClauseId = clauseId;
+      }
+      
+      current = startSection(sections, clauseId, line);
+    } else if (current) {
+      current.lines.push(line);
+    } else if (line.trim()) {
+      // Text before the first numbered section
+      current = startSection(sections, 'preamble', line);
+    }
+  });
+  
+  return sections.map(section => ({
+    id: section.id,
+    heading: section.heading,
+    text: section.lines.join('\n').trim()
+  }));
+}
+
+/**
+ * Split unnumbered text into paragraphs
+ * 
+ * @param {string} text - Regulation text
+ * @returns {Array<Object>} Paragraph sections
+ */
+function parseParagraphs(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(paragraph => paragraph.length > 0)
+    .map((paragraph, index) => ({
+      id: `¶${index + 1}`,
+      heading: paragraph.split('\n')[0].slice(0, 120),
+      text: paragraph
+    }));
+}
+
+/**
+ * Start a new section, de-duplicating repeated identifiers
+ * 
+ * @param {Array<Object>} sections - Sections parsed so far
+ * @param {string} id - Section identifier
+ * @param {string} line - First line of the section
+ * @returns {Object} New section
+ */
+function startSection(sections, id, line) {
+  const duplicates = sections.filter(section => section.id === id || section.id.startsWith(`${id}#`)).length;
+  const section = {
+    id: duplicates > 0 ? `${id}#${duplicates + 1}` : id,
+    heading: line.trim().slice(0, 120),
+    lines: [line]
+  };
+  
+  sections.push(section);
+  return section;
+}
+
+/**
+ * Normalize a section marker into an identifier
+ * 
+ * @param {string} marker - Raw marker text (e.g. "Section 4.2", "§ 99.31", "(a)")
+ * @returns {string} Normalized identifier (e.g. "4.2", "99.31", "(a)")
+ */
+function normalizeMarker(marker) {
+  return marker
+    .toLowerCase()
+    .replace(/^(section|article|§+)\s*/, '')
+    .replace(/\.$/, '')
+    .replace(/\s+/g, '');
+}
+
+/**
+ * Normalize text for comparison: case, whitespace and punctuation insensitive
+ * 
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[^\p{L}\p{N}%$§]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Split text into word tokens
+ * 
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Words
+ */
+function tokenize(text) {
+  return (text || '').split(/\s+/).filter(word => word.length > 0);
+}
+
+module.exports = {
+  parseSections,
+  normalizeText,
+  tokenize
+};
@@ -0,0 +1,383 @@
+/**
+ * EdSteward.ai - Pattern Validator Module
+ * 
+ * This module is the in-process Level 2 validator. It extracts structured
+ * requirements from each numbered section of the authoritative text
+ * (deadlines, percentages, dollar amounts and shall/must/may provisions) and
+ * checks that each one is present and numerically consistent in the
+ * client's content.
+ */
+
+const { parseSections, normalizeText, tokenize } = require('./parser');
+const { textSimilarity, loadAuthorityVersion, isUnknownVersion } = require('./comparator');
+
+// Written numbers commonly used for deadlines
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fourteen: 14, fifteen: 15, twenty: 20, thirty: 30,
+  'forty-five': 45, sixty: 60, ninety: 90, 'one hundred twenty': 120, 'one hundred eighty': 180
+};
+
+const NUMBER_PATTERN = `(\\d+|${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')})`;
+const DEADLINE_PATTERN = new RegExp(`\\b${NUMBER_PATTERN}\\s*(?:\\(\\d+\\)\\s*)?(calendar\\s+|business\\s+|working\\s+)?(day|week|month|year)s?\\b`, 'gi');
+const PERCENTAGE_PATTERN = /(\d+(?:\.\d+)?)\s*(?:%|percent\b)/gi;
+const AMOUNT_PATTERN = /\$\s?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(?:\s+(thousand|million|billion)\b)?/gi;
+const OBLIGATION_PATTERN = /\b(shall not|must not|may not|shall|must|may|is required to|are required to)\b/i;
+
+const AMOUNT_MULTIPLIERS = { thousand: 1e3, million: 1e6, billion: 1e9 };
+
+// Similarity at which a client sentence is taken to state the same obligation
+const OBLIGATION_MATCH_THRESHOLD = 0.8;
+
+// Similarity at which a client sentence is taken to restate an obligation with a different modal verb
+const OBLIGATION_RELATED_THRESHOLD = 0.6;
+
+// Section text similarity below which a valid result is reported with reduced certainty
+const PROSE_SIMILARITY_THRESHOLD = 0.9;
+
+// Section text similarity a section without extractable requirements needs to be
+// accepted, since only its wording can be compared
+const UNSTRUCTURED_SECTION_THRESHOLD = 0.8;
+
+/**
+ * Extract structured requirements from a block of regulation text
+ * 
+ * @param {string} text - Section text
+ * @returns {Array<Object>} Requirements with type, value, unit and source text
+ */
+function extractRequirements(text) {
+  const requirements = [];
+  
+  matchAll(DEADLINE_PATTERN, text).forEach(match => {
+    const amount = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : NUMBER_WORDS[match[1].toLowerCase()];
+    const qualifier = match[2] ? `${match[2].trim().toLowerCase()} ` : '';
+    requirements.push({
+      type: 'DEADLINE',
+      value: amount,
+      unit: `${qualifier}${match[3].toLowerCase()}s`,
+      text: match[0]
+    });
+  });
+  
+  matchAll(PERCENTAGE_PATTERN, text).forEach(match => {
+    requirements.push({
+      type: 'PERCENTAGE',
+      value: parseFloat(match[1]),
+      unit: '%',
+      text: match[0]
+    });
+  });
+  
+  matchAll(AMOUNT_PATTERN, text).forEach(match => {
+    const base = parseFloat(`${match[1].replace(/,/g, '')}${match[2] || ''}`);
+    const multiplier = match[3] ? AMOUNT_MULTIPLIERS[match[3].toLowerCase()] : 1;
+    requirements.push({
+      type: 'AMOUNT',
+      value: base * multiplier,
+      unit: 'USD',
+      text: match[0]
+    });
+  });
+  
+  splitSentences(text).forEach(sentence => {
+    const match = sentence.match(OBLIGATION_PATTERN);
+    if (match) {
+      requirements.push({
+        type: 'OBLIGATION',
+        value: match[1].toLowerCase(),
+        unit: null,
+        text: sentence
+      });
+    }
+  });
+  
+  return requirements;
+}
+
+/**
+ * Collect all matches of a global regular expression
+ * 
+ * @param {RegExp} pattern - Global pattern
+ * @param {string} text - Text to search
+ * @returns {Array<Array>} Match arrays
+ */
+function matchAll(pattern, text) {
+  return Array.from((text || '').matchAll(pattern));
+}
+
+/**
+ * Split text into sentences
+ * 
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Trimmed sentences
+ */
+function splitSentences(text) {
+  return (text || '')
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.;:!?])\s+(?=[A-Z(§])/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Check authoritative requirements against the client's requirements for one section
+ * 
+ * @param {Array<Object>} expected - Requirements extracted from the authority
+ * @param {Array<Object>} actual - Requirements extracted from the client
+ * @returns {Array<Object>} Requirement checks with status PRESENT, INCONSISTENT or MISSING
+ */
+function checkRequirements(expected, actual) {
+  const unused = actual.slice();
+  const take = predicate => {
+    const index = unused.findIndex(predicate);
+    return index === -1 ? null : unused.splice(index, 1)[0];
+  };
+  
+  // Exact numeric matches first, so that an inconsistent value is not paired
+  // with a requirement that does appear elsewhere in the section
+  const numeric = expected.filter(requirement => requirement.type !== 'OBLIGATION');
+  const exact = numeric.map(requirement => take(candidate =>
+    candidate.type === requirement.type &&
+    candidate.unit === requirement.unit &&
+    candidate.value === requirement.value
+  ));
+  
+  const numericChecks = numeric.map((requirement, index) => {
+    if (exact[index]) {
+      return buildCheck(requirement, exact[index], 'PRESENT');
+    }
+    
+    const differing = take(candidate => candidate.type === requirement.type && candidate.unit === requirement.unit);
+    return differing
+      ? buildCheck(requirement, differing, 'INCONSISTENT')
+      : buildCheck(requirement, null, 'MISSING');
+  });
+  
+  const obligationChecks = expected
+    .filter(requirement => requirement.type === 'OBLIGATION')
+    .map(requirement => {
+      let best = null;
+      let bestSimilarity = 0;
+      unused.forEach(candidate => {
+        if (candidate.type !== 'OBLIGATION') {
+          return;
+        }
+        const similarity = textSimilarity(stripModal(candidate.text), stripModal(requirement.text));
+        if (similarity > bestSimilarity) {
+          best = candidate;
+          bestSimilarity = similarity;
+        }
+      });
+      
+      if (best && bestSimilarity >= OBLIGATION_MATCH_THRESHOLD && best.value === requirement.value) {
+        unused.splice(unused.indexOf(best), 1);
+        return buildCheck(requirement, best, 'PRESENT');
+      } else if (best && bestSimilarity >= OBLIGATION_RELATED_THRESHOLD) {
+        unused.splice(unused.indexOf(best), 1);
+        return buildCheck(requirement, best, 'INCONSISTENT');
+      }
+      
+      return buildCheck(requirement, null, 'MISSING');
+    });
+  
+  return numericChecks.concat(obligationChecks);
+}
+
+/**
+ * Remove the modal verb from an obligation so that only its subject matter is compared
+ * 
+ * @param {string} sentence - Obligation sentence
+ * @returns {string} Sentence without its modal verb
+ */
+function stripModal(sentence) {
+  return sentence.replace(OBLIGATION_PATTERN, ' ');
+}
+
+/**
+ * Build a requirement check result
+ * 
+ * @param {Object} requirement - Authoritative requirement
+ * @param {Object|null} found - Matching client requirement
+ * @param {string} status - PRESENT, INCONSISTENT or MISSING
+ * @returns {Object} Requirement check
+ */
+function buildCheck(requirement, found, status) {
+  return {
+    type: requirement.type,
+    status,
+    expected: {
+      value: requirement.value,
+      unit: requirement.unit,
+      text: requirement.text
+    },
+    found: found ? {
+      value: found.value,
+      unit: found.unit,
+      text: found.text
+    } : null
+  };
+}
+
+/**
+ * Validate the structure and requirements of client content section by section
+ * 
+ * A section without extractable requirements is UNVERIFIED unless its wording
+ * closely matches the authoritative section. Sections the authority does not
+ * have are reported as UNEXPECTED after the authoritative ones.
+ * 
+ * @param {string} clientText - Text held by the client
+ * @param {string} authorityText - Authoritative regulation text
+ * @returns {Object} Section results and requirement summary
+ */
+function compareRequirements(clientText, authorityText) {
+  const authoritySections = parseSections(authorityText);
+  const clientSections = parseSections(clientText);
+  const clientById = new Map(clientSections.map(section => [section.id, section]));
+  const authorityIds = new Set(authoritySections.map(section => section.id));
+  
+  const sections = authoritySections.map(section => {
+    const clientSection = clientById.get(section.id);
+    const expected = extractRequirements(section.text);
+    
+    if (!clientSection) {
+      return {
+        sectionId: section.id,
+        heading: section.heading,
+        status: 'MISSING',
+        similarity: 0,
+        requirements: expected.map(requirement => buildCheck(requirement, null, 'MISSING'))
+      };
+    }
+    
+    const requirements = checkRequirements(expected, extractRequirements(clientSection.text));
+    const similarity = Math.round(textSimilarity(clientSection.text, section.text) * 10000) / 10000;
+    
+    let status = requirements.every(check => check.status === 'PRESENT') ? 'VALID' : 'INVALID';
+    if (expected.length === 0 && similarity < UNSTRUCTURED_SECTION_THRESHOLD) {
+      status = 'UNVERIFIED';
+    }
+    
+    return {
+      sectionId: section.id,
+      heading: section.heading,
+      status,
+      similarity,
+      requirements
+    };
+  });
+  
+  // Sections the client has that the authority does not
+  clientSections
+    .filter(section => !authorityIds.has(section.id))
+    .forEach(section => {
+      sections.push({
+        sectionId: section.id,
+        heading: section.heading,
+        status: 'UNEXPECTED',
+        similarity: 0,
+        requirements: []
+      });
+    });
+  
+  const checks = [].concat(...sections.map(section => section.requirements));
+  const count = status => checks.filter(check => check.status === status).length;
+  
+  return {
+    sections,
+    requirementSummary: {
+      total: checks.length,
+      present: count('PRESENT'),
+      inconsistent: count('INCONSISTENT'),
+      missing: count('MISSING')
+    }
+  };
+}
+
+/**
+ * Validate client content against the authoritative requirements
+ * 
+ * @param {Object} db - Database client
+ * @param {Object} regulation - Regulation data
+ * @param {Object} regulationContent - Regulation content to validate
+ * @param {string} [regulationVersion] - Version the client claims to hold
+ * @returns {Promise<Object>} Level 2 validation result
+ */
+async function validatePatterns(db, regulation, regulationContent, regulationVersion) {
+  const clientText = (regulationContent && regulationContent.text) || '';
+  const validationTimestamp = new Date().toISOString();
+  const authority = await loadAuthorityVersion(db, regulation, regulationVersion);
+  
+  if (!authority || !authority.content) {
+    return {
+      isValid: false,
+      certaintyLevel: 1,
+      validationTimestamp,
+      validationLevel: 2,
+      validator: 'in-process-level2',
+      evidence: {
+        authorityContentAvailable: false
+      },
+      details: {
+        validatedSections: [],
+        invalidSections: [],
+        warnings: ['Authoritative content is unavailable; requirements could not be checked']
+      }
+    };
+  }
+  
+  const comparison = compareRequirements(clientText, authority.content);
+  const invalidSections = comparison.sections.filter(section => section.status !== 'VALID');
+  const unknownVersion = isUnknownVersion(authority, regulationVersion);
+  const isValid = comparison.sections.length > 0 && invalidSections.length === 0 && normalizeText(clientText).length > 0 &&
+    !unknownVersion;
+  
+  const warnings = [];
+  const divergentSections = comparison.sections.filter(section =>
+    section.status === 'VALID' && section.similarity < PROSE_SIMILARITY_THRESHOLD
+  );
+  if (isValid && divergentSections.length > 0) {
+    warnings.push(`Wording differs beyond the extracted requirements in sections: ${divergentSections.map(section => section.sectionId).join(', ')}`);
+  }
+  if (authority.version_number !== regulationVersion) {
+    warnings.push(`Version ${regulationVersion || '(none)'} is unknown; compared against current version ${authority.version_number}`);
+  }
+  
+  return {
+    isValid,
+    // Requirements are checked mechanically, but prose outside them is only
+    // compared loosely; another version than the claimed one proves nothing
+    certaintyLevel: unknownVersion || (isValid && divergentSections.length > 0) ? 3 : 4,
+    validationTimestamp,
+    validationLevel: 2,
+    validator: 'in-process-level2',
+    evidence: {
+      authorityContentAvailable: true,
+      comparedVersion: authority.version_number,
+      requirementSummary: comparison.requirementSummary,
+      sections: comparison.sections,
+      metrics: {
+        contentLength: clientText.length,
+        wordCount: tokenize(clientText).length
+      }
+    },
+    details: {
+      validatedSections: comparison.sections
+        .filter(section => section.status === 'VALID')
+        .map(section => section.sectionId),
+      invalidSections: invalidSections.map(section => ({
+        sectionId: section.sectionId,
+        status: section.status,
+        requirements: section.requirements.filter(check => check.status !== 'PRESENT')
+      })),
+      warnings
+    }
+  };
+}
+
+module.exports = {
+  extractRequirements,
+  splitSentences,
+  checkRequirements,
+  compareRequirements,
+  validatePatterns
+};
@@ -0,0 +1,194 @@
+/**
+ * EdSteward.ai - Classification Profile Module
+ * 
+ * This module resolves the classification profile (factor weights, level
+ * thresholds and score adjustments) used to classify a regulation. Profiles
+ * are stored in the database and versioned; a tenant or category profile
+ * overrides the settings of the broader profiles beneath it.
+ */
+
+/**
+ * Profile used when no stored profile applies
+ */
+const DEFAULT_CLASSIFICATION_PROFILE = {
+  weights: {
+    textComplexity: 0.3,
+    contentSize: 0.2,
+    changeFrequency: 0.3,
+    structuralComplexity: 0.2
+  },
+  thresholds: {
+    level2: 30,
+    level3: 70
+  },
+  changeWindowYears: 3,
+  categoryAdjustments: {},
+  jurisdictionAdjustments: {}
+};
+
+// Profile scopes from broadest to most specific
+const PROFILE_SCOPES = ['global', 'category', 'tenant', 'tenantCategory'];
+
+/**
+ * Determine the scope of a stored profile
+ * 
+ * @param {Object} profile - Profile record
+ * @returns {string} 'global', 'category', 'tenant' or 'tenantCategory'
+ */
+function getProfileScope(profile) {
+  if (profile.tenant_id && profile.category) {
+    return 'tenantCategory';
+  } else if (profile.tenant_id) {
+    return 'tenant';
+  } else if (profile.category) {
+    return 'category';
+  }
+  
+  return 'global';
+}
+
+/**
+ * Apply profile settings over a base profile
+ * 
+ * Weights and thresholds are replaced as a whole, so that a merged profile
+ * always has weights summing to 1 and ordered thresholds; adjustment maps are
+ * merged key by key.
+ * 
+ * @param {Object} base - Base profile settings
+ * @param {Object} settings - Overriding settings
+ * @returns {Object} Merged settings
+ */
+function mergeProfileSettings(base, settings) {
+  return {
+    weights: settings.weights ? { ...settings.weights } : base.weights,
+    thresholds: settings.thresholds ? { ...settings.thresholds } : base.thresholds,
+    changeWindowYears: settings.changeWindowYears !== undefined ? settings.changeWindowYears : base.changeWindowYears,
+    categoryAdjustments: { ...base.categoryAdjustments, ...(settings.categoryAdjustments || {}) },
+    jurisdictionAdjustments: { ...base.jurisdictionAdjustments, ...(settings.jurisdictionAdjustments || {}) }
+  };
+}
+
+/**
+ * Resolve the classification profile for a tenant and category
+ * 
+ * @param {Object} db - Database client
+ * @param {Object} scope - Classification scope
+ * @param {string} [scope.tenantId] - Tenant identifier
+ * @param {string} [scope.category] - Regulation category
+ * @returns {Promise<Object>} Effective settings and the stored profiles they came from
+ */
+async function resolveClassificationProfile(db, scope) {
+  const { tenantId, category } = scope;
+  const profiles = await db.getActiveClassificationProfiles(tenantId || null, category || null);
+  
+  const applied = profiles
+    .map(profile => ({ profile, scope: getProfileScope(profile) }))
+    .sort((a, b) => PROFILE_SCOPES.indexOf(a.scope) - PROFILE_SCOPES.indexOf(b.scope));
+  
+  const settings = applied.reduce(
+    (merged, { profile }) => mergeProfileSettings(merged, profile.settings),
+    DEFAULT_CLASSIFICATION_PROFILE
+  );
+  
+  return {
+    settings,
+    sources: applied.map(({ profile, scope: profileScope }) => ({
+      profileId: profile.profile_id,
+      version: profile.version,
+      scope: profileScope,
+      tenantId: profile.tenant_id,
+      category: profile.category
+    }))
+  };
+}
+
+/**
+ * Check stored profile settings
+ * 
+ * Settings may override any subset of the profile, but weights and
+ * thresholds must be given in full.
+ * 
+ * @param {Object} settings - Profile settings
+ * @returns {Array<Object>} Validation errors (empty if valid)
+ */
+function validateProfileSettings(settings) {
+  const errors = [];
+  
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return [{ field: 'settings', message: 'Settings must be an object' }];
+  }
+  
+  const allowed = Object.keys(DEFAULT_CLASSIFICATION_PROFILE);
+  Object.keys(settings)
+    .filter(key => !allowed.includes(key))
+    .forEach(key => errors.push({ field: `settings.${key}`, message: `Unknown setting: ${key}` }));
+  
+  if (settings.weights !== undefined) {
+    const factors = Object.keys(DEFAULT_CLASSIFICATION_PROFILE.weights);
+    const weights = settings.weights || {};
+    const invalid = factors.filter(factor => typeof weights[factor] !== 'number' || weights[factor] < 0 || weights[factor] > 1);
+    const extra = Object.keys(weights).filter(factor => !factors.includes(factor));
+    
+    if (invalid.length > 0 || extra.length > 0) {
+      errors.push({ field: 'settings.weights', message: `Weights must give a number between 0 and 1 for each of: ${factors.join(', ')}` });
+    } else if (Math.abs(factors.reduce((sum, factor) => sum + weights[factor], 0) - 1) > 0.001) {
+      errors.push({ field: 'settings.weights', message: 'Weights must sum to 1' });
+    }
+  }
+  
+  if (settings.thresholds !== undefined) {
+    const { level2, level3 } = settings.thresholds || {};
+    if (typeof level2 !== 'number' || typeof level3 !== 'number' ||
+        level2 < 0 || level3 > 100 || level2 >= level3) {
+      errors.push({ field: 'settings.thresholds', message: 'Thresholds must give level2 and level3 with 0 <= level2 < level3 <= 100' });
+    }
+  }
+  
+  if (settings.changeWindowYears !== undefined &&
+      (!Number.isInteger(settings.changeWindowYears) || settings.changeWindowYears < 1 || settings.changeWindowYears > 20)) {
+    errors.push({ field: 'settings.changeWindowYears', message: 'Change window must be an integer between 1 and 20 years' });
+  }
+  
+  ['categoryAdjustments', 'jurisdictionAdjustments'].forEach(field => {
+    if (settings[field] === undefined) {
+      return;
+    }
+    
+    const adjustments = settings[field];
+    if (!adjustments || typeof adjustments !== 'object' || Array.isArray(adjustments) ||
+        Object.values(adjustments).some(value => typeof value !== 'number' || value < -100 || value > 100)) {
+      errors.push({ field: `settings.${field}`, message: 'Adjustments must map names to numbers between -100 and 100' });
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Format a profile record for API responses
+ * 
+ * @param {Object} profile - Profile record
+ * @returns {Object} Formatted profile
+ */
+function formatClassificationProfile(profile) {
+  return {
+    profileId: profile.profile_id,
+    tenantId: profile.tenant_id,
+    category: profile.category,
+    scope: getProfileScope(profile),
+    version: profile.version,
+    settings: profile.settings,
+    isActive: profile.is_active,
+    notes: profile.notes,
+    createdBy: profile.created_by,
+    createdAt: profile.created_at
+  };
+}
+
+module.exports = {
+  DEFAULT_CLASSIFICATION_PROFILE,
+  resolveClassificationProfile,
+  mergeProfileSettings,
+  validateProfileSettings,
+  formatClassificationProfile
+};
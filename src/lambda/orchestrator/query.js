@@ -0,0 +1,225 @@
+/**
+ * EdSteward.ai - Query Builder Module
+ * 
+ * This module builds the dynamic parts of SQL queries (WHERE and ORDER BY)
+ * from whitelisted filter and sort definitions. Column names and sort
+ * directions only ever come from these definitions; caller-supplied values
+ * are type-checked and always passed as query parameters.
+ */
+
+const SORT_ORDERS = {
+  asc: 'ASC',
+  desc: 'DESC'
+};
+
+const MAX_STRING_LENGTH = 1000;
+
+/**
+ * Create an error for a rejected query parameter
+ * 
+ * @param {string} field - Offending parameter
+ * @param {string} message - Error description
+ * @returns {Error} Error with code 'INVALID_QUERY'
+ */
+function createQueryError(field, message) {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  error.field = field;
+  return error;
+}
+
+/**
+ * Escape LIKE/ILIKE wildcards in a value
+ * 
+ * @param {string} value - Raw value
+ * @returns {string} Value matching itself literally in a LIKE pattern
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Check and coerce a filter value to its declared type
+ * 
+ * @param {string} field - Filter name
+ * @param {*} value - Caller-supplied value
+ * @param {string} type - 'string', 'integer', 'boolean', 'timestamp' or 'string[]'
+ * @returns {*} Typed value
+ * @throws {Error} INVALID_QUERY if the value does not match the type
+ */
+function coerceValue(field, value, type) {
+  switch (type) {
+    case 'string':
+      if (typeof value !== 'string' || value.length > MAX_STRING_LENGTH) {
+        throw createQueryError(field, `${field} must be a string of at most ${MAX_STRING_LENGTH} characters`);
+      }
+      return value;
+    case 'integer': {
+      const number = typeof value === 'string' && /^-?\d+$/.test(value) ? parseInt(value, 10) : value;
+      if (!Number.isSafeInteger(number)) {
+        throw createQueryError(field, `${field} must be an integer`);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw createQueryError(field, `${field} must be a boolean`);
+      }
+      return value;
+    case 'timestamp':
+      if (typeof value !== 'string' || isNaN(Date.parse(value))) {
+        throw createQueryError(field, `${field} must be an ISO 8601 timestamp`);
+      }
+      return new Date(value).toISOString();
+    case 'string[]':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.length > MAX_STRING_LENGTH)) {
+        throw createQueryError(field, `${field} must be a list of strings`);
+      }
+      return value;
+    default:
+      throw new Error(`Unknown filter type: ${type}`);
+  }
+}
+
+/**
+ * Build a WHERE clause from filters and their definitions
+ * 
+ * Each definition names the column, the value type and the comparison:
+ * 'eq' (default), 'gte', 'lte', 'lt', 'prefix' (LIKE 'value%'),
+ * 'contains' (ILIKE '%value%' on one column, or any of several columns) or
+ * 'overlaps' (array &&).
+ * 
+ * @param {Object} filters - Caller-supplied filter values (undefined values are skipped)
+ * @param {Object} definitions - Whitelisted filter definitions keyed by filter name
+ * @param {Array} [params] - Existing query parameters to append to
+ * @returns {Object} { clause, conditions, params } where clause is '' or 'WHERE ...'
+ * @throws {Error} INVALID_QUERY for unknown filters or mistyped values
+ */
+function buildWhereClause(filters, definitions, params = []) {
+  const conditions = [];
+  
+  Object.keys(filters || {}).forEach(field => {
+    const rawValue = filters[field];
+    if (rawValue === undefined || rawValue === null || rawValue === '') {
+      return;
+    }
+    
+    const definition = Object.prototype.hasOwnProperty.call(definitions, field) ? definitions[field] : null;
+    if (!definition) {
+      throw createQueryError(field, `Unknown filter: ${field}`);
+    }
+    
+    const value = coerceValue(field, rawValue, definition.type || 'string');
+    const placeholder = () => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    
+    switch (definition.operator || 'eq') {
+      case 'eq':
+        conditions.push(`${definition.column} = ${placeholder()}`);
+        break;
+      case 'gte':
+        conditions.push(`${definition.column} >= ${placeholder()}`);
+        break;
+      case 'lte':
+        conditions.push(`${definition.column} <= ${placeholder()}`);
+        break;
+      case 'lt':
+        conditions.push(`${definition.column} < ${placeholder()}`);
+        break;
+      case 'prefix':
+        params.push(`${escapeLike(value)}%`);
+        conditions.push(`${definition.column} LIKE $${params.length}`);
+        break;
+      case 'contains':
+        params.push(`%${escapeLike(value)}%`);
+        conditions.push(`${definition.columns
+          ? `(${definition.columns.map(column => `${column} ILIKE $${params.length}`).join(' OR ')})`
+          : `${definition.column} ILIKE $${params.length}`}`);
+        break;
+      case 'overlaps':
+        conditions.push(`${definition.column} && ${placeholder()}::text[]`);
+        break;
+      default:
+        throw new Error(`Unknown filter operator: ${definition.operator}`);
+    }
+  });
+  
+  return {
+    clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    conditions,
+    params
+  };
+}
+
+/**
+ * Build an ORDER BY clause from a sort specification
+ * 
+ * @param {Object} [sort] - Caller-supplied sort
+ * @param {string} [sort.field] - Sort field name (a key of sortable)
+ * @param {string} [sort.order] - 'asc' or 'desc'
+ * @param {Object} sortable - Whitelisted sort fields mapped to column expressions
+ * @param {Object} defaultSort - Sort used for missing values ({ field, order })
+ * @param {Array<string>} [tiebreakers] - Column expressions appended for a stable order
+ * @returns {string} ORDER BY clause
+ * @throws {Error} INVALID_QUERY for unknown fields or orders
+ */
+function buildOrderByClause(sort, sortable, defaultSort, tiebreakers = []) {
+  const field = (sort && sort.field) || defaultSort.field;
+  const order = ((sort && sort.order) || defaultSort.order || 'asc');
+  
+  if (typeof field !== 'string' || !Object.prototype.hasOwnProperty.call(sortable, field)) {
+    throw createQueryError('sortBy', `Sort field must be one of: ${Object.keys(sortable).join(', ')}`);
+  }
+  
+  if (typeof order !== 'string' || !Object.prototype.hasOwnProperty.call(SORT_ORDERS, order.toLowerCase())) {
+    throw createQueryError('sortOrder', 'Sort order must be one of: asc, desc');
+  }
+  
+  const direction = SORT_ORDERS[order.toLowerCase()];
+  const column = sortable[field];
+  const terms = [`${column} ${direction}`].concat(
+    tiebreakers
+      .filter(tiebreaker => tiebreaker !== column)
+      .map(tiebreaker => `${tiebreaker} ${direction}`)
+  );
+  
+  return `ORDER BY ${terms.join(', ')}`;
+}
+
+/**
+ * Build LIMIT/OFFSET placeholders for typed pagination values
+ * 
+ * @param {Object} pagination - Pagination values
+ * @param {number|string} pagination.limit - Maximum rows (1 to maxLimit)
+ * @param {number|string} [pagination.offset] - Rows to skip
+ * @param {Array} params - Query parameters to append to
+ * @param {number} [maxLimit] - Largest accepted limit
+ * @returns {string} LIMIT/OFFSET clause
+ * @throws {Error} INVALID_QUERY for out-of-range values
+ */
+function buildPaginationClause(pagination, params, maxLimit = 1000) {
+  const limit = coerceValue('limit', pagination.limit, 'integer');
+  const offset = coerceValue('offset', pagination.offset || 0, 'integer');
+  
+  if (limit < 1 || limit > maxLimit) {
+    throw createQueryError('limit', `limit must be between 1 and ${maxLimit}`);
+  }
+  
+  if (offset < 0) {
+    throw createQueryError('offset', 'offset must not be negative');
+  }
+  
+  params.push(limit, offset);
+  return `LIMIT $${params.length - 1} OFFSET $${params.length}`;
+}
+
+module.exports = {
+  SORT_ORDERS,
+  createQueryError,
+  escapeLike,
+  buildWhereClause,
+  buildOrderByClause,
+  buildPaginationClause
+};
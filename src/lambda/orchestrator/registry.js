@@ -0,0 +1,409 @@
+/**
+ * EdSteward.ai - Validator Registry Module
+ * 
+ * This module keeps the validators the router can send a regulation to.
+ * Each validator supports one or more validation levels (validator types
+ * text, pattern and context) and may be limited to jurisdictions and
+ * categories. Validators are stored in the validators table or configured
+ * through the environment: generic level validators from
+ * LEVEL1/2/3_VALIDATOR_ARN and specialised ones from VALIDATOR_REGISTRY.
+ * In-process validators back up every level.
+ */
+
+const { setValidatorStates, getValidatorState, getCircuitState, getHealthStatus } = require('./health');
+
+// Validator types in level order: 'text' is level 1, 'context' is level 3
+const VALIDATOR_TYPES = ['text', 'pattern', 'context'];
+
+// Environment variables
+const LEVEL1_VALIDATOR_ARN = process.env.LEVEL1_VALIDATOR_ARN;
+const LEVEL2_VALIDATOR_ARN = process.env.LEVEL2_VALIDATOR_ARN;
+const LEVEL3_VALIDATOR_ARN = process.env.LEVEL3_VALIDATOR_ARN;
+const VALIDATOR_REGISTRY = process.env.VALIDATOR_REGISTRY;
+
+// Function ARN prefixes stored validators may use, comma separated (such as
+// arn:aws:lambda:us-east-1:123456789012:function:edsteward-prod-)
+const VALIDATOR_FUNCTION_PREFIXES = (process.env.VALIDATOR_FUNCTION_PREFIXES || '')
+  .split(',')
+  .map(prefix => prefix.trim())
+  .filter(Boolean);
+
+// Stored validators are reloaded after this long, picking up configuration and health changes
+const REGISTRY_CACHE_SECONDS = 60;
+
+// Registry in use, and when it was loaded
+let activeRegistry = null;
+let loadedAt = 0;
+
+// Registry set with setValidatorRegistry, used instead of loading one
+let fixedRegistry = null;
+
+/**
+ * Get the validator type for a validation level
+ * 
+ * @param {number} level - Validation level (1-3)
+ * @returns {string} Validator type
+ */
+function getValidatorType(level) {
+  return VALIDATOR_TYPES[Math.min(Math.max(level, 1), VALIDATOR_TYPES.length) - 1];
+}
+
+/**
+ * Get the validation level of a validator type
+ * 
+ * @param {string} validatorType - 'text', 'pattern' or 'context'
+ * @returns {number} Validation level (1-3), or 0 for unknown types
+ */
+function getValidatorLevel(validatorType) {
+  return VALIDATOR_TYPES.indexOf(validatorType) + 1;
+}
+
+/**
+ * Check whether a function may be registered as a stored validator
+ * 
+ * Stored validators receive the regulations of every tenant, so they are
+ * limited to functions under VALIDATOR_FUNCTION_PREFIXES. Without any
+ * configured prefix no function is allowed.
+ * 
+ * @param {string} functionArn - Lambda function ARN
+ * @returns {boolean} True if the function is under an allowed prefix
+ */
+function isAllowedValidatorFunction(functionArn) {
+  return typeof functionArn === 'string' &&
+    VALIDATOR_FUNCTION_PREFIXES.some(prefix => functionArn.startsWith(prefix));
+}
+
+/**
+ * Check a specialised validator entry
+ * 
+ * @param {Object} entry - Registry entry
+ * @returns {Array<string>} Problems with the entry
+ */
+function checkRegistryEntry(entry) {
+  const problems = [];
+  
+  if (!entry || typeof entry !== 'object') {
+    return ['entry must be an object'];
+  }
+  
+  if (typeof entry.validatorId !== 'string' || entry.validatorId.length === 0) {
+    problems.push('validatorId is required');
+  }
+  
+  if (!VALIDATOR_TYPES.includes(entry.validatorType)) {
+    problems.push(`validatorType must be one of: ${VALIDATOR_TYPES.join(', ')}`);
+  }
+  
+  if (typeof entry.functionArn !== 'string' || entry.functionArn.length === 0) {
+    problems.push('functionArn is required');
+  }
+  
+  ['jurisdictions', 'categories'].forEach(field => {
+    if (entry[field] !== undefined &&
+        (!Array.isArray(entry[field]) || entry[field].some(value => typeof value !== 'string'))) {
+      problems.push(`${field} must be an array of strings`);
+    }
+  });
+  
+  return problems;
+}
+
+/**
+ * Build a validator registry
+ * 
+ * Invalid specialised entries are logged and left out, so that a
+ * configuration mistake cannot stop the generic validators from working.
+ * Stored validators whose function is no longer allowed are left out too.
+ * A stored validator replaces an environment one with the same ID.
+ * 
+ * @param {Object} config - Registry configuration
+ * @param {Object} [config.levelArns] - Generic validator function ARNs keyed by level
+ * @param {Array<Object>} [config.validators] - Specialised validators with validatorId,
+ *   validatorType, functionArn and optional jurisdictions and categories
+ * @param {Array<Object>} [config.stored] - Stored validators (see db.listValidators)
+ * @returns {Array<Object>} Registry entries
+ */
+function createValidatorRegistry(config = {}) {
+  const registry = [];
+  const stored = (config.stored || []).filter(row => {
+    if (!isAllowedValidatorFunction(row.function_arn)) {
+      console.error(`Ignoring stored validator ${row.validator_id}: ${row.function_arn} is not under an allowed prefix`);
+      return false;
+    }
+    return true;
+  });
+  const storedIds = new Set(stored.map(row => row.validator_id));
+  const addConfigured = entry => {
+    if (!storedIds.has(entry.validatorId)) {
+      registry.push(entry);
+    }
+  };
+  
+  stored.forEach(row => {
+    registry.push({
+      validatorId: row.validator_id,
+      description: row.description,
+      source: 'stored',
+      levels: row.levels,
+      functionArn: row.function_arn,
+      jurisdictions: row.jurisdictions || [],
+      categories: row.categories || [],
+      capabilities: row.capabilities || [],
+      timeoutMs: row.timeout_ms,
+      enabled: row.enabled,
+      local: false
+    });
+  });
+  
+  (config.validators || []).forEach((entry, index) => {
+    const problems = checkRegistryEntry(entry);
+    if (problems.length > 0) {
+      console.error(`Ignoring validator registry entry ${index}: ${problems.join('; ')}`);
+      return;
+    }
+    
+    addConfigured({
+      validatorId: entry.validatorId,
+      source: 'environment',
+      levels: [getValidatorLevel(entry.validatorType)],
+      functionArn: entry.functionArn,
+      jurisdictions: entry.jurisdictions || [],
+      categories: entry.categories || [],
+      capabilities: [],
+      timeoutMs: null,
+      enabled: true,
+      local: false
+    });
+  });
+  
+  VALIDATOR_TYPES.forEach((validatorType, index) => {
+    const level = index + 1;
+    const functionArn = config.levelArns && config.levelArns[level];
+    
+    if (functionArn) {
+      addConfigured({
+        validatorId: `level${level}`,
+        source: 'environment',
+        levels: [level],
+        functionArn,
+        jurisdictions: [],
+        categories: [],
+        capabilities: [],
+        timeoutMs: null,
+        enabled: true,
+        local: false
+      });
+    }
+    
+    registry.push({
+      validatorId: `in-process-level${level}`,
+      source: 'in-process',
+      levels: [level],
+      functionArn: null,
+      jurisdictions: [],
+      categories: [],
+      capabilities: [],
+      timeoutMs: null,
+      enabled: true,
+      local: true
+    });
+  });
+  
+  return registry;
+}
+
+/**
+ * Read the specialised validators configured in the environment
+ * 
+ * @returns {Array<Object>} Validator entries from VALIDATOR_REGISTRY
+ */
+function getConfiguredValidators() {
+  if (!VALIDATOR_REGISTRY) {
+    return [];
+  }
+  
+  try {
+    const validators = JSON.parse(VALIDATOR_REGISTRY);
+    return Array.isArray(validators) ? validators : [];
+  } catch (error) {
+    console.error(`Ignoring VALIDATOR_REGISTRY: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Get the validator registry with the stored validators and their health
+ * 
+ * The registry is cached for REGISTRY_CACHE_SECONDS. If the stored
+ * validators cannot be read, the environment configuration is used alone
+ * and reloading is tried again on the next call.
+ * 
+ * @param {Object} db - Database client
+ * @returns {Promise<Array<Object>>} Registry entries
+ */
+async function getValidatorRegistry(db) {
+  if (fixedRegistry) {
+    return fixedRegistry;
+  }
+  
+  if (activeRegistry && Date.now() - loadedAt < REGISTRY_CACHE_SECONDS * 1000) {
+    return activeRegistry;
+  }
+  
+  const config = {
+    levelArns: {
+      1: LEVEL1_VALIDATOR_ARN,
+      2: LEVEL2_VALIDATOR_ARN,
+      3: LEVEL3_VALIDATOR_ARN
+    },
+    validators: getConfiguredValidators()
+  };
+  
+  try {
+    const [stored, states] = await Promise.all([db.listValidators(), db.listValidatorHealth()]);
+    setValidatorStates(states);
+    activeRegistry = createValidatorRegistry({ ...config, stored });
+    loadedAt = Date.now();
+    return activeRegistry;
+  } catch (error) {
+    console.error(`Error loading stored validators: ${error.message}`);
+    return activeRegistry || createValidatorRegistry(config);
+  }
+}
+
+/**
+ * Reload the registry on next use (e.g. after a stored validator changes)
+ */
+function invalidateValidatorRegistry() {
+  activeRegistry = null;
+}
+
+/**
+ * Replace the validator registry (e.g. with local validators only in tests)
+ * 
+ * @param {Array<Object>|null} registry - Registry entries (see createValidatorRegistry),
+ *   or null to load it again
+ */
+function setValidatorRegistry(registry) {
+  fixedRegistry = registry;
+}
+
+/**
+ * Rate how closely a validator's scope fits a regulation
+ * 
+ * @param {Object} entry - Registry entry
+ * @param {Object} scope - Regulation jurisdiction and category
+ * @returns {number} -1 if the validator does not cover the regulation, otherwise
+ *   2 for a jurisdiction match, plus 1 for a category match
+ */
+function rateScope(entry, scope) {
+  let rating = 0;
+  
+  if (entry.jurisdictions.length > 0) {
+    if (!entry.jurisdictions.includes(scope.jurisdiction)) {
+      return -1;
+    }
+    rating += 2;
+  }
+  
+  if (entry.categories.length > 0) {
+    if (!entry.categories.includes(scope.category)) {
+      return -1;
+    }
+    rating += 1;
+  }
+  
+  return rating;
+}
+
+/**
+ * List the validators to try for a regulation, in order
+ * 
+ * Validators of the requested type come first: the most specific deployed
+ * validators, then generic ones, then the in-process one. Validators of
+ * lower levels follow, in case none of the requested type can validate. A
+ * validator supporting several levels appears once for each.
+ * 
+ * @param {Array<Object>} registry - Registry entries
+ * @param {Object} request - Routing request
+ * @param {string} request.validatorType - Validator type chosen by classification
+ * @param {string} [request.jurisdiction] - Regulation jurisdiction
+ * @param {string} [request.category] - Regulation category
+ * @returns {Array<Object>} Registry entries covering the regulation, each with the
+ *   level and validatorType to use it at
+ */
+function resolveValidators(registry, request) {
+  const targetLevel = getValidatorLevel(request.validatorType) || 1;
+  const candidates = [];
+  
+  registry.forEach(entry => {
+    const rating = rateScope(entry, request);
+    if (!entry.enabled || rating < 0) {
+      return;
+    }
+    
+    entry.levels
+      .filter(level => level <= targetLevel)
+      .forEach(level => candidates.push({
+        validator: { ...entry, level, validatorType: getValidatorType(level) },
+        rating
+      }));
+  });
+  
+  return candidates
+    .sort((a, b) =>
+      (b.validator.level - a.validator.level) ||
+      (Number(a.validator.local) - Number(b.validator.local)) ||
+      (b.rating - a.rating))
+    .map(({ validator }) => validator);
+}
+
+/**
+ * Format a registry entry for API responses
+ * 
+ * @param {Object} validator - Registry entry
+ * @returns {Object} Formatted validator with health and circuit state
+ */
+function formatValidator(validator) {
+  const state = validator.local ? null : getValidatorState(validator.validatorId);
+  
+  return {
+    validatorId: validator.validatorId,
+    description: validator.description,
+    source: validator.source,
+    functionArn: validator.functionArn,
+    levels: validator.levels,
+    validatorTypes: validator.levels.map(getValidatorType),
+    jurisdictions: validator.jurisdictions,
+    categories: validator.categories,
+    capabilities: validator.capabilities,
+    timeoutMs: validator.timeoutMs,
+    enabled: validator.enabled,
+    health: validator.local ? undefined : {
+      status: getHealthStatus(state),
+      checkedAt: state ? state.health_checked_at : null,
+      error: state ? state.health_error : null
+    },
+    circuit: validator.local ? undefined : {
+      state: getCircuitState(state),
+      consecutiveFailures: state ? state.consecutive_failures : 0,
+      openedAt: state ? state.circuit_opened_at : null,
+      lastSuccessAt: state ? state.last_success_at : null,
+      lastFailureAt: state ? state.last_failure_at : null,
+      lastError: state ? state.last_error : null
+    }
+  };
+}
+
+module.exports = {
+  VALIDATOR_TYPES,
+  getValidatorType,
+  getValidatorLevel,
+  isAllowedValidatorFunction,
+  createValidatorRegistry,
+  getValidatorRegistry,
+  invalidateValidatorRegistry,
+  setValidatorRegistry,
+  resolveValidators,
+  formatValidator
+};
@@ -0,0 +1,178 @@
+/**
+ * EdSteward.ai - Certificate Renderer Module
+ * 
+ * This module renders attestation certificates into the formats handed to
+ * compliance officers and accreditors: a W3C Verifiable Credential (JSON-LD)
+ * and a printable PDF with a QR code linking to the verify endpoint.
+ */
+
+const { SIGNED_CERTIFICATE_FIELDS } = require('./signing');
+
+// W3C Verifiable Credentials context and EdSteward.ai term definitions
+const VC_CONTEXT = [
+  'https://www.w3.org/2018/credentials/v1',
+  {
+    edsteward: 'https://edsteward.ai/vocab#',
+    RegulatoryAttestationCredential: 'edsteward:RegulatoryAttestationCredential',
+    regulationId: 'edsteward:regulationId',
+    regulationVersion: 'edsteward:regulationVersion',
+    regulationTitle: 'edsteward:regulationTitle',
+    validationId: 'edsteward:validationId',
+    validationResultHash: 'edsteward:validationResultHash',
+    validatedBy: 'edsteward:validatedBy',
+    EdStewardCertificateSignature2024: 'edsteward:CertificateSignature2024',
+    signedFields: 'edsteward:signedFields'
+  }
+];
+
+/**
+ * Get the verification status of a certificate as shown to readers
+ * 
+ * @param {Object} certificate - Certificate (as returned by formatCertificate)
+ * @returns {string} 'ACTIVE', 'REVOKED' or 'EXPIRED'
+ */
+function getCertificateStatus(certificate) {
+  if (certificate.revocationStatus !== 'active') {
+    return 'REVOKED';
+  }
+  
+  if (!certificate.expiresAt || new Date(certificate.expiresAt) <= new Date()) {
+    return 'EXPIRED';
+  }
+  
+  return 'ACTIVE';
+}
+
+/**
+ * Render a certificate as a W3C Verifiable Credential
+ * 
+ * @param {Object} certificate - Certificate (as returned by formatCertificate)
+ * @param {Object|null} regulation - Regulation record
+ * @param {Object} links - Public URLs
+ * @param {string} links.verifyUrl - Certificate verify endpoint
+ * @param {string} links.revocationListUrl - Revocation list endpoint
+ * @returns {Object} Verifiable Credential
+ */
+function toVerifiableCredential(certificate, regulation, links) {
+  const signature = certificate.cryptographicSignature || {};
+  
+  return {
+    '@context': VC_CONTEXT,
+    id: `urn:edsteward:certificate:${certificate.certificateId}`,
+    type: ['VerifiableCredential', 'RegulatoryAttestationCredential'],
+    issuer: {
+      id: 'https://edsteward.ai',
+      name: 'EdSteward.ai'
+    },
+    issuanceDate: certificate.issuedAt,
+    expirationDate: certificate.expiresAt,
+    credentialSubject: {
+      id: `urn:edsteward:regulation:${certificate.regulationId}`,
+      regulationId: certificate.regulationId,
+      regulationVersion: certificate.regulationVersion,
+      regulationTitle: regulation ? regulation.title : undefined,
+      validationId: certificate.validationId,
+      validationResultHash: certificate.validationResultHash,
+      validatedBy: certificate.validatedBy
+    },
+    credentialStatus: {
+      id: `${links.revocationListUrl}#${certificate.certificateId}`,
+      type: 'EdStewardRevocationList2024',
+      statusListCredential: links.revocationListUrl
+    },
+    // The signature covers the canonical certificate fields (see
+    // signing.buildSigningPayload), not this credential document
+    proof: {
+      type: 'EdStewardCertificateSignature2024',
+      signedFields: SIGNED_CERTIFICATE_FIELDS,
+      created: certificate.issuedAt,
+      proofPurpose: 'assertionMethod',
+      verificationMethod: signature.keyId,
+      algorithm: signature.algorithm,
+      proofValue: signature.value,
+      service: links.verifyUrl
+    }
+  };
+}
+
+/**
+ * Render a certificate as a printable PDF
+ * 
+ * @param {Object} certificate - Certificate (as returned by formatCertificate)
+ * @param {Object|null} regulation - Regulation record
+ * @param {Object} links - Public URLs
+ * @param {string} links.verifyUrl - Certificate verify endpoint, encoded in the QR code
+ * @returns {Promise<Buffer>} PDF document
+ */
+async function renderCertificatePdf(certificate, regulation, links) {
+  // Loaded on first use, so that a bundle without the PDF libraries only fails PDF requests
+  const PDFDocument = require('pdfkit');
+  const QRCode = require('qrcode');
+  
+  const qrCode = await QRCode.toBuffer(links.verifyUrl, { type: 'png', width: 160, margin: 1 });
+  const signature = certificate.cryptographicSignature || {};
+  
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+    const chunks = [];
+    
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    
+    // Header
+    doc.fontSize(22).text('Attestation Certificate', { align: 'center' });
+    doc.moveDown(0.3);
+    doc.fontSize(11).fillColor('#555555').text('Issued by EdSteward.ai', { align: 'center' });
+    doc.fillColor('#000000').moveDown(1.5);
+    
+    // Certificate details
+    const details = [
+      ['Certificate ID', certificate.certificateId],
+      ['Status', getCertificateStatus(certificate)],
+      ['Regulation', regulation ? `${regulation.title} (${certificate.regulationId})` : certificate.regulationId],
+      ['Regulation version', certificate.regulationVersion],
+      ['Validation ID', certificate.validationId],
+      ['Validated by', certificate.validatedBy],
+      ['Issued at', certificate.issuedAt],
+      ['Expires at', certificate.expiresAt]
+    ];
+    
+    details.forEach(([label, value]) => {
+      doc.fontSize(10).font('Helvetica-Bold').text(label, { continued: true });
+      doc.font('Helvetica').text(`: ${value || 'N/A'}`);
+      doc.moveDown(0.2);
+    });
+    
+    // Signature block
+    doc.moveDown(1);
+    doc.fontSize(10).font('Helvetica-Bold').text('Digital signature');
+    doc.font('Helvetica').fontSize(8);
+    doc.text(`Key ID: ${signature.keyId || 'N/A'}`);
+    doc.text(`Algorithm: ${signature.algorithm || 'N/A'}`);
+    doc.text(`Validation result hash: ${certificate.validationResultHash || 'N/A'}`);
+    doc.text(`Signature: ${signature.value || 'N/A'}`, { width: 500 });
+    
+    // Verification QR code
+    doc.moveDown(1.5);
+    const qrTop = doc.y;
+    doc.image(qrCode, 50, qrTop, { width: 120 });
+    doc.fontSize(10).text(
+      'Scan the code or visit the address below to verify that this certificate is genuine, ' +
+      'has not been revoked and still covers the current regulation version.',
+      185,
+      qrTop + 20,
+      { width: 360 }
+    );
+    doc.moveDown(0.5);
+    doc.fontSize(8).fillColor('#1a4d8f').text(links.verifyUrl, 185, doc.y, { width: 360, link: links.verifyUrl });
+    
+    doc.end();
+  });
+}
+
+module.exports = {
+  getCertificateStatus,
+  toVerifiableCredential,
+  renderCertificatePdf
+};
@@ -5,55 +5,120 @@
  * validation services based on the regulation classification.
  */
 
-const AWS = require('aws-sdk');
-const lambda = new AWS.Lambda();
+const { getDbConnection } = require('./db');
+const { validateContent } = require('./comparator');
+const { validatePatterns } = require('./patterns');
+const { validateInContext, queueForReview } = require('./context');
+const { SELECTABLE_INTERPRETATION_PROVIDERS, createInterpretationProvider } = require('./interpretation');
+const { mergeValidationResults } = require('./aggregator');
+const { getValidatorRegistry, getValidatorType, resolveValidators } = require('./registry');
+const {
+  getUnavailableReason,
+  recordValidatorOutcome,
+  invokeValidatorFunction,
+  pingValidator
+} = require('./health');
 
 // Environment variables - these would be set in the Lambda configuration
-const LEVEL1_VALIDATOR_ARN = process.env.LEVEL1_VALIDATOR_ARN;
-const LEVEL2_VALIDATOR_ARN = process.env.LEVEL2_VALIDATOR_ARN;
-const LEVEL3_VALIDATOR_ARN = process.env.LEVEL3_VALIDATOR_ARN;
+const INTERPRETATION_PROVIDER_ARN = process.env.INTERPRETATION_PROVIDER_ARN;
+const DB_SECRET_ARN = process.env.DB_SECRET_ARN;
+
+// Highest certainty of a result validated below the level its classification called for
+const DOWNGRADED_CERTAINTY_CAP = 3;
 
 /**
  * Route a validation request to the appropriate validator
  * 
+ * The classification decides the validator type. The most specific
+ * registered validator for the regulation's jurisdiction and category is
+ * tried first; if it fails, equivalent validators and then lower levels
+ * follow. Validators with an open circuit or a failed health check are
+ * skipped. The result records the level it was actually validated at.
+ * 
  * @param {Object} params - Routing parameters
- * @param {Object} params.classification - Regulation classification
+ * @param {Object} params.classification - Regulation classification with validationLevel and validatorType
  * @param {Object} params.regulation - Regulation data
  * @param {Object} params.regulationContent - Regulation content to validate
- * @param {number} params.validationLevel - Requested validation level
+ * @param {string} [params.regulationVersion] - Version the client claims to hold
+ * @param {number} params.validationLevel - Level requested by the caller
  * @param {Object} params.options - Validation options
- * @returns {Promise<Object>} Validation result
+ * @param {Object} [params.options.consensus] - Run several validators and merge their results (see routeToConsensus)
+ * @param {string} [params.requestId] - Validation request identifier
+ * @param {string} [params.tenantId] - Tenant the validation is for
+ * @returns {Promise<Object>} Validation result with routing details
  */
 async function routeToValidator(params) {
-  const { classification, regulation, regulationContent, validationLevel, options } = params;
-  
-  console.log(`Routing validation request for regulation ${regulation.regulation_id} to level ${validationLevel} validator`);
-  
-  // Determine which validator to use based on the classification
-  let validatorArn;
-  switch (validationLevel) {
-    case 1:
-      validatorArn = LEVEL1_VALIDATOR_ARN;
-      break;
-    case 2:
-      validatorArn = LEVEL2_VALIDATOR_ARN || LEVEL1_VALIDATOR_ARN; // Fallback to Level 1 if Level 2 not available
-      break;
-    case 3:
-      validatorArn = LEVEL3_VALIDATOR_ARN || LEVEL2_VALIDATOR_ARN || LEVEL1_VALIDATOR_ARN; // Fallback hierarchy
-      break;
-    default:
-      validatorArn = LEVEL1_VALIDATOR_ARN;
+  const { classification, regulation, options } = params;
+  
+  if (options && options.consensus) {
+    return routeToConsensus(params);
   }
   
-  // If no validator is available, perform a basic validation
-  if (!validatorArn) {
-    console.log('No validator available, performing basic validation');
-    return performBasicValidation(regulation, regulationContent, options);
+  const db = await getDbConnection(DB_SECRET_ARN, { tenantId: params.tenantId });
+  const validators = resolveValidators(await getValidatorRegistry(db), {
+    validatorType: classification.validatorType,
+    jurisdiction: regulation.jurisdiction,
+    category: regulation.category
+  });
+  const fallbacks = [];
+  
+  for (const validator of validators) {
+    const unavailable = getUnavailableReason(validator);
+    if (unavailable) {
+      console.log(`Skipping validator ${validator.validatorId}: ${unavailable}`);
+      fallbacks.push({
+        validatorId: validator.validatorId,
+        validationLevel: validator.level,
+        skipped: unavailable
+      });
+      continue;
+    }
+    
+    console.log(`Routing validation request for regulation ${regulation.regulation_id} to ${validator.validatorId}`);
+    
+    try {
+      const result = validator.local
+        ? await performLocalValidation({ ...params, validationLevel: validator.level })
+        : await invokeValidator(validator, params);
+      await recordValidatorOutcome(db, validator);
+      
+      return applyRouting(result, params, {
+        effectiveLevel: validator.level,
+        validatorType: validator.validatorType,
+        validatorId: validator.validatorId,
+        fallbacks
+      });
+    } catch (error) {
+      console.error(`Validator ${validator.validatorId} failed: ${error.message}`);
+      await recordValidatorOutcome(db, validator, error);
+      fallbacks.push({
+        validatorId: validator.validatorId,
+        validationLevel: validator.level,
+        error: error.message
+      });
+    }
   }
   
+  throw new Error(`No validator could validate regulation ${regulation.regulation_id}`);
+}
+
+/**
+ * Invoke a deployed validator function
+ * 
+ * A response without a validity verdict and certainty counts as a failure,
+ * so that it is never mistaken for a passed validation.
+ * 
+ * @param {Object} validator - Registry entry with functionArn and optional timeoutMs
+ * @param {Object} params - Routing parameters (see routeToValidator)
+ * @returns {Promise<Object>} Validation result
+ */
+async function invokeValidator(validator, params) {
+  const { regulation, regulationContent, options } = params;
+  
   // Prepare the payload for the validator
   const payload = {
     action: 'validate',
+    tenantId: params.tenantId,
     regulationId: regulation.regulation_id,
     regulationTitle: regulation.title,
     regulationCategory: regulation.category,
@@ -63,106 +128,253 @@ async function routeToValidator(params) {
     options
   };
   
-  // Invoke the validator Lambda function
-  try {
-    const invokeParams = {
-      FunctionName: validatorArn,
-      InvocationType: 'RequestResponse', // Synchronous invocation
-      Payload: JSON.stringify(payload)
-    };
-    
-    console.log(`Invoking validator: ${validatorArn}`);
-    const response = await lambda.invoke(invokeParams).promise();
-    
-    // Check for Lambda execution errors
-    if (response.FunctionError) {
-      console.error(`Validator execution error: ${response.FunctionError}`);
-      console.error(`Error payload: ${response.Payload}`);
-      throw new Error(`Validator execution failed: ${response.FunctionError}`);
+  console.log(`Invoking validator: ${validator.functionArn}`);
+  const response = await invokeValidatorFunction(validator.functionArn, payload, validator.timeoutMs || undefined);
+  
+  // Check for Lambda execution errors
+  if (response.FunctionError) {
+    console.error(`Validator execution error: ${response.FunctionError}`);
+    console.error(`Error payload: ${response.Payload}`);
+    throw new Error(`Validator execution failed: ${response.FunctionError}`);
+  }
+  
+  // Parse validation result
+  const result = JSON.parse(response.Payload);
+  console.log(`Validation result received: ${JSON.stringify(result)}`);
+  
+  if (!result || typeof result.isValid !== 'boolean' || typeof result.certaintyLevel !== 'number') {
+    throw new Error('Validator returned an incomplete result');
+  }
+  
+  return result;
+}
+
+/**
+ * Record how a validation was routed on its result
+ * 
+ * A result validated below the level its classification called for is
+ * flagged as downgraded, warned about and kept below certificate certainty.
+ * 
+ * @param {Object} result - Validation result
+ * @param {Object} params - Routing parameters (see routeToValidator)
+ * @param {Object} route - Effective level, validator type and ID, and validators that failed first
+ * @returns {Object} Validation result with routing details
+ */
+function applyRouting(result, params, route) {
+  const targetLevel = params.classification.validationLevel;
+  const downgraded = route.effectiveLevel < targetLevel;
+  
+  result.routing = {
+    requestedLevel: params.validationLevel,
+    classifiedLevel: params.classification.determinedLevel,
+    targetLevel,
+    ...route,
+    downgraded
+  };
+  
+  if (downgraded) {
+    result.details = result.details || { validatedSections: [], invalidSections: [], warnings: [] };
+    result.details.warnings = (result.details.warnings || []).concat(
+      `Validated at level ${route.effectiveLevel} instead of level ${targetLevel} as called for by the classification`
+    );
+    result.certaintyLevel = Math.min(result.certaintyLevel, DOWNGRADED_CERTAINTY_CAP);
+  }
+  
+  return result;
+}
+
+/**
+ * Run several validators in parallel and merge their results
+ * 
+ * Each validator is routed like a single validation at its own level; a
+ * Level 3 validator may name the interpretation provider to consult. If any
+ * validator is uncertain, one review is queued for the merged result. The
+ * merged result counts as downgraded when no validator reached the level
+ * the classification called for.
+ * Validators that fail are reported in the merged result rather than
+ * failing the validation, unless none of them succeed.
+ * 
+ * @param {Object} params - Routing parameters (see routeToValidator)
+ * @param {Object} params.options.consensus - Consensus configuration
+ * @param {Array<Object>} params.options.consensus.validators - Validators, each with level, optional provider and weight
+ * @param {string} [params.options.consensus.policy] - 'unanimous' (default), 'majority' or 'weighted'
+ * @returns {Promise<Object>} Merged validation result
+ */
+async function routeToConsensus(params) {
+  const { consensus, ...memberOptions } = params.options;
+  const validators = consensus.validators;
+  
+  console.log(`Running consensus validation with ${validators.length} validators (${consensus.policy || 'unanimous'})`);
+  
+  const outcomes = await Promise.all(validators.map(async (validator) => {
+    try {
+      if (validator.provider && !SELECTABLE_INTERPRETATION_PROVIDERS.includes(validator.provider)) {
+        throw new Error(`Interpretation provider ${validator.provider} cannot be selected by a request`);
+      }
+      
+      const result = await routeToValidator({
+        ...params,
+        classification: {
+          ...params.classification,
+          validationLevel: validator.level,
+          validatorType: getValidatorType(validator.level)
+        },
+        options: {
+          ...memberOptions,
+          interpretationProvider: validator.provider,
+          deferReview: true
+        }
+      });
+      
+      return { validator, result };
+    } catch (error) {
+      console.error(`Consensus validator at level ${validator.level} failed: ${error.message}`);
+      return { validator, error };
     }
-    
-    // Parse validation result
-    const result = JSON.parse(response.Payload);
-    console.log(`Validation result received: ${JSON.stringify(result)}`);
-    
-    return result;
-  } catch (error) {
-    console.error(`Error invoking validator: ${error.message}`);
-    
-    // Fallback to basic validation in case of errors
-    console.log('Falling back to basic validation due to error');
-    return performBasicValidation(regulation, regulationContent, options);
+  }));
+  
+  const succeeded = outcomes.filter(outcome => outcome.result);
+  if (succeeded.length === 0) {
+    throw new Error('No consensus validator returned a result');
+  }
+  
+  const merged = mergeValidationResults(succeeded.map(outcome => outcome.result), {
+    policy: consensus.policy,
+    weights: succeeded.map(outcome => outcome.validator.weight),
+    failures: outcomes
+      .filter(outcome => outcome.error)
+      .map(outcome => ({
+        validationLevel: outcome.validator.level,
+        provider: outcome.validator.provider,
+        error: outcome.error.message
+      }))
+  });
+  
+  // Members defer their reviews, so that a reviewer decides on the merged result once
+  if (merged.status === 'PENDING_REVIEW') {
+    const db = await getDbConnection(DB_SECRET_ARN, { tenantId: params.tenantId });
+    merged.review = await queueForReview(db, {
+      regulationId: params.regulation.regulation_id,
+      regulationVersion: params.regulationVersion || params.regulation.current_version,
+      validationRequestId: params.requestId,
+      tenantId: params.tenantId,
+      reason: merged.consensus.reviewReasons.join('; '),
+      validationResult: merged
+    });
   }
+  
+  return applyRouting(merged, params, {
+    effectiveLevel: merged.validationLevel,
+    validatorType: 'consensus',
+    validatorId: 'consensus',
+    members: succeeded.map(outcome => outcome.result.routing)
+  });
 }
 
 /**
- * Perform a basic validation when no validator is available or as a fallback
+ * Validate in process at the closest level available locally
+ * 
+ * @param {Object} params - Routing parameters (see routeToValidator)
+ * @returns {Promise<Object>} Validation result
+ */
+async function performLocalValidation(params) {
+  const { regulation, regulationContent, regulationVersion, validationLevel, options, requestId, tenantId } = params;
+  
+  if (validationLevel >= 3) {
+    return performContextValidation(regulation, regulationContent, options, regulationVersion, requestId, tenantId);
+  }
+  
+  if (validationLevel === 2) {
+    return performPatternValidation(regulation, regulationContent, options, regulationVersion, tenantId);
+  }
+  
+  return performBasicValidation(regulation, regulationContent, options, regulationVersion, tenantId);
+}
+
+/**
+ * Perform a Level 3 contextual validation in process
+ * 
+ * Results the validator is not certain about are queued for human review.
  * 
  * @param {Object} regulation - Regulation data
  * @param {Object} regulationContent - Regulation content to validate
  * @param {Object} options - Validation options
- * @returns {Object} Basic validation result
+ * @param {string} [regulationVersion] - Version the client claims to hold
+ * @param {string} [requestId] - Validation request identifier
+ * @param {string} [tenantId] - Tenant the validation is for
+ * @returns {Promise<Object>} Contextual validation result
  */
-function performBasicValidation(regulation, regulationContent, options) {
-  console.log('Performing basic validation');
+async function performContextValidation(regulation, regulationContent, options, regulationVersion, requestId, tenantId) {
+  console.log('Performing contextual validation');
   
-  // Extract content text
-  const contentText = regulationContent.text || '';
-  
-  // Perform very basic validation (text existence check)
-  const isValid = contentText.length > 0;
-  
-  // Determine certainty level (very low for basic validation)
-  const certaintyLevel = isValid ? 2 : 1;
-  
-  return {
-    isValid,
-    certaintyLevel,
-    validationTimestamp: new Date().toISOString(),
-    validationLevel: 1,
-    evidence: {
-      textExists: contentText.length > 0,
-      // Basic text metrics for evidence
-      metrics: {
-        contentLength: contentText.length,
-        wordCount: contentText.split(/\s+/).length,
-        hasPunctuation: /[.,;:!?]/.test(contentText)
-      }
-    }
-  };
+  const db = await getDbConnection(DB_SECRET_ARN, { tenantId });
+  
+  // A consensus validator may name its own interpretation provider
+  const provider = options && options.interpretationProvider
+    ? createInterpretationProvider({ provider: options.interpretationProvider, functionArn: INTERPRETATION_PROVIDER_ARN })
+    : undefined;
+  
+  const result = await validateInContext(db, {
+    regulation,
+    regulationContent,
+    regulationVersion,
+    requestId,
+    tenantId,
+    provider,
+    deferReview: Boolean(options && options.deferReview)
+  });
+  
+  // Record that this result did not come from a dedicated validator
+  result.evidence.fallback = true;
+  
+  return result;
 }
 
 /**
- * Route a batch of validation requests
+ * Perform a Level 2 pattern validation in process
  * 
- * @param {Array<Object>} batch - Batch of validation requests
- * @returns {Promise<Array<Object>>} Batch validation results
+ * @param {Object} regulation - Regulation data
+ * @param {Object} regulationContent - Regulation content to validate
+ * @param {Object} options - Validation options
+ * @param {string} [regulationVersion] - Version the client claims to hold
+ * @param {string} [tenantId] - Tenant the validation is for
+ * @returns {Promise<Object>} Pattern validation result
  */
-async function routeBatchValidation(batch) {
-  // Process each validation request in parallel
-  const validationPromises = batch.map(item => routeToValidator(item));
-  return Promise.all(validationPromises);
+async function performPatternValidation(regulation, regulationContent, options, regulationVersion, tenantId) {
+  console.log('Performing pattern validation');
+  
+  const db = await getDbConnection(DB_SECRET_ARN, { tenantId });
+  const result = await validatePatterns(db, regulation, regulationContent, regulationVersion);
+  
+  // Record that this result did not come from a dedicated validator
+  result.evidence.fallback = true;
+  
+  return result;
 }
 
 /**
- * Determine the best routing strategy based on the request
+ * Perform a basic validation when no validator is available or as a fallback
  * 
- * @param {Object} request - Validation request
- * @returns {string} Routing strategy ('direct', 'batch', or 'sequential')
+ * Runs the in-process Level 1 comparison against the authoritative text, so
+ * a fallback result is never more permissive than a real Level 1 validator.
+ * 
+ * @param {Object} regulation - Regulation data
+ * @param {Object} regulationContent - Regulation content to validate
+ * @param {Object} options - Validation options
+ * @param {string} [regulationVersion] - Version the client claims to hold
+ * @param {string} [tenantId] - Tenant the validation is for
+ * @returns {Promise<Object>} Basic validation result
  */
-function determineRoutingStrategy(request) {
-  // If it's a single validation request
-  if (!request.batch) {
-    return 'direct';
-  }
+async function performBasicValidation(regulation, regulationContent, options, regulationVersion, tenantId) {
+  console.log('Performing basic validation');
   
-  // If it's a small batch, process in parallel
-  if (request.batch.length <= 10) {
-    return 'batch';
-  }
+  const db = await getDbConnection(DB_SECRET_ARN, { tenantId });
+  const result = await validateContent(db, regulation, regulationContent, regulationVersion);
+  
+  // Record that this result did not come from a dedicated validator
+  result.evidence.fallback = true;
   
-  // For larger batches, process sequentially to avoid Lambda throttling
-  return 'sequential';
+  return result;
 }
 
 /**
@@ -176,25 +388,19 @@ async function isValidatorAvailable(validatorArn) {
     return false;
   }
   
-  try {
-    // Call the validator with a ping action to check availability
-    const invokeParams = {
-      FunctionName: validatorArn,
-      InvocationType: 'RequestResponse',
-      Payload: JSON.stringify({ action: 'ping' })
-    };
-    
-    const response = await lambda.invoke(invokeParams).promise();
-    return !response.FunctionError;
-  } catch (error) {
-    console.error(`Error checking validator availability: ${error.message}`);
-    return false;
+  const check = await pingValidator({ functionArn: validatorArn });
+  if (!check.healthy) {
+    console.error(`Error checking validator availability: ${check.error}`);
   }
+  
+  return check.healthy;
 }
 
 module.exports = {
   routeToValidator,
-  routeBatchValidation,
-  determineRoutingStrategy,
+  routeToConsensus,
+  performBasicValidation,
+  performPatternValidation,
+  performContextValidation,
   isValidatorAvailable
 };
@@ -0,0 +1,361 @@
+/**
+ * EdSteward.ai - Certificate Signing Module
+ *
+ * This module is responsible for signing attestation certificates and verifying
+ * their signatures. Signing is delegated to a pluggable signer so that a local
+ * PEM key can be used in development and tests while production uses a
+ * KMS-backed key.
+ */
+
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+
+// Environment variables
+const CERT_SIGNING_PROVIDER = process.env.CERT_SIGNING_PROVIDER || 'local';
+const CERT_SIGNING_KEY_ID = process.env.CERT_SIGNING_KEY_ID;
+const CERT_SIGNING_PRIVATE_KEY = process.env.CERT_SIGNING_PRIVATE_KEY;
+const CERT_SIGNING_PUBLIC_KEYS = process.env.CERT_SIGNING_PUBLIC_KEYS;
+
+// Fields covered by a certificate signature, in canonical order
+const SIGNED_CERTIFICATE_FIELDS = [
+  'certificateId',
+  'regulationId',
+  'regulationVersion',
+  'validationResultHash',
+  'issuedAt',
+  'expiresAt',
+  'keyId'
+];
+
+// Keep the signer for Lambda container reuse
+let activeSigner = null;
+
+/**
+ * Serialize a value as JSON with object keys sorted, so that the same
+ * logical value always produces the same bytes
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON string
+ */
+function canonicalize(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item)).join(',')}]`;
+  }
+
+  if (typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Compute the SHA-256 hash of a validation result
+ *
+ * @param {Object} validationResult - Validation result returned by a validator
+ * @returns {string} Hex-encoded hash
+ */
+function hashValidationResult(validationResult) {
+  return crypto.createHash('sha256').update(canonicalize(validationResult)).digest('hex');
+}
+
+/**
+ * Build the canonical payload that is signed for a certificate
+ *
+ * @param {Object} fields - Certificate fields
+ * @param {string} fields.certificateId - Certificate identifier
+ * @param {string} fields.regulationId - Regulation identifier
+ * @param {string} fields.regulationVersion - Validated regulation version
+ * @param {string} fields.validationResultHash - Hash of the validation result
+ * @param {string} fields.issuedAt - Issue timestamp (ISO 8601)
+ * @param {string} fields.expiresAt - Expiry timestamp (ISO 8601)
+ * @param {string} fields.keyId - Identifier of the signing key
+ * @returns {string} Canonical payload
+ */
+function buildSigningPayload(fields) {
+  const payload = {};
+  SIGNED_CERTIFICATE_FIELDS.forEach(field => {
+    payload[field] = fields[field] === undefined ? null : fields[field];
+  });
+
+  return canonicalize(payload);
+}
+
+/**
+ * Create a signer backed by a local PEM private key
+ *
+ * @param {Object} config - Signer configuration
+ * @param {string} config.keyId - Identifier embedded in every signature
+ * @param {string} config.privateKey - PEM-encoded private key
+ * @param {Object} [config.publicKeys] - Map of key ID to PEM public key, for rotated keys
+ * @returns {Object} Signer
+ */
+function createLocalSigner(config) {
+  if (!config.privateKey) {
+    throw new Error('Local certificate signer requires a PEM private key');
+  }
+
+  const privateKey = crypto.createPrivateKey(config.privateKey);
+  const keyId = config.keyId || `local-${crypto.createHash('sha256')
+    .update(crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' }))
+    .digest('hex')
+    .slice(0, 16)}`;
+
+  // Public keys known to this signer, including the current one
+  const publicKeys = {};
+  Object.entries(config.publicKeys || {}).forEach(([id, pem]) => {
+    publicKeys[id] = crypto.createPublicKey(pem);
+  });
+  publicKeys[keyId] = crypto.createPublicKey(privateKey);
+
+  const { algorithm, digest } = getLocalAlgorithm(privateKey.asymmetricKeyType);
+
+  return {
+    provider: 'local',
+    keyId,
+    algorithm,
+
+    async sign(data) {
+      return crypto.sign(digest, Buffer.from(data), privateKey);
+    },
+
+    async verify(data, signature, signatureKeyId) {
+      const publicKey = publicKeys[signatureKeyId];
+      if (!publicKey) {
+        throw new Error(`Unknown signing key: ${signatureKeyId}`);
+      }
+
+      const keyAlgorithm = getLocalAlgorithm(publicKey.asymmetricKeyType);
+      return crypto.verify(keyAlgorithm.digest, Buffer.from(data), publicKey, signature);
+    }
+  };
+}
+
+/**
+ * Map a Node.js key type to a signature algorithm name and digest
+ *
+ * @param {string} keyType - Asymmetric key type ('rsa', 'ec', 'ed25519', ...)
+ * @returns {Object} Algorithm name and digest (null for EdDSA)
+ */
+function getLocalAlgorithm(keyType) {
+  switch (keyType) {
+    case 'rsa':
+      return { algorithm: 'RSASSA_PKCS1_V1_5_SHA_256', digest: 'sha256' };
+    case 'ec':
+      return { algorithm: 'ECDSA_SHA_256', digest: 'sha256' };
+    case 'ed25519':
+      return { algorithm: 'ED25519', digest: null };
+    default:
+      throw new Error(`Unsupported signing key type: ${keyType}`);
+  }
+}
+
+/**
+ * Create a signer backed by an AWS KMS asymmetric key
+ *
+ * @param {Object} config - Signer configuration
+ * @param {string} config.keyId - KMS key ID or ARN
+ * @param {string} [config.algorithm] - KMS signing algorithm
+ * @returns {Object} Signer
+ */
+function createKmsSigner(config) {
+  if (!config.keyId) {
+    throw new Error('KMS certificate signer requires a key ID');
+  }
+
+  const kms = new AWS.KMS();
+  const algorithm = config.algorithm || 'ECDSA_SHA_256';
+
+  return {
+    provider: 'kms',
+    keyId: config.keyId,
+    algorithm,
+
+    async sign(data) {
+      const response = await kms.sign({
+        KeyId: config.keyId,
+        Message: Buffer.from(data),
+        MessageType: 'RAW',
+        SigningAlgorithm: algorithm
+      }).promise();
+
+      return Buffer.from(response.Signature);
+    },
+
+    async verify(data, signature, signatureKeyId, signatureAlgorithm) {
+      // Verify against the key recorded in the signature so that certificates
+      // signed before a rotation remain verifiable
+      const response = await kms.verify({
+        KeyId: signatureKeyId,
+        Message: Buffer.from(data),
+        MessageType: 'RAW',
+        Signature: signature,
+        SigningAlgorithm: signatureAlgorithm || algorithm
+      }).promise();
+
+      return response.SignatureValid === true;
+    }
+  };
+}
+
+/**
+ * Create a signer from configuration
+ *
+ * @param {Object} config - Signer configuration
+ * @param {string} config.provider - Signer provider ('local' or 'kms')
+ * @returns {Object} Signer
+ */
+function createSigner(config) {
+  switch (config.provider) {
+    case 'local':
+      return createLocalSigner(config);
+    case 'kms':
+      return createKmsSigner(config);
+    default:
+      throw new Error(`Unknown certificate signing provider: ${config.provider}`);
+  }
+}
+
+/**
+ * Get the signer configured for this environment
+ *
+ * @returns {Object} Signer
+ */
+function getSigner() {
+  if (!activeSigner) {
+    activeSigner = createSigner({
+      provider: CERT_SIGNING_PROVIDER,
+      keyId: CERT_SIGNING_KEY_ID,
+      privateKey: CERT_SIGNING_PRIVATE_KEY,
+      publicKeys: CERT_SIGNING_PUBLIC_KEYS ? JSON.parse(CERT_SIGNING_PUBLIC_KEYS) : {}
+    });
+  }
+
+  return activeSigner;
+}
+
+/**
+ * Replace the active signer (e.g. with a custom provider or a test key)
+ *
+ * @param {Object} signer - Signer implementing keyId, algorithm, sign() and verify()
+ */
+function setSigner(signer) {
+  activeSigner = signer;
+}
+
+/**
+ * Sign a certificate
+ *
+ * @param {Object} fields - Certificate fields (see buildSigningPayload, without keyId)
+ * @returns {Promise<Object>} Signature envelope with key ID, algorithm and value
+ */
+async function signCertificate(fields) {
+  const signer = getSigner();
+  const payload = buildSigningPayload({ ...fields, keyId: signer.keyId });
+  const signature = await signer.sign(payload);
+
+  return {
+    keyId: signer.keyId,
+    algorithm: signer.algorithm,
+    value: signature.toString('base64')
+  };
+}
+
+/**
+ * Verify a certificate signature
+ *
+ * @param {Object} fields - Certificate fields (see buildSigningPayload, without keyId)
+ * @param {Object} signature - Signature envelope produced by signCertificate
+ * @returns {Promise<boolean>} True if the signature is valid
+ */
+async function verifyCertificateSignature(fields, signature) {
+  if (!signature || !signature.keyId || !signature.value) {
+    return false;
+  }
+
+  const signer = getSigner();
+  const payload = buildSigningPayload({ ...fields, keyId: signature.keyId });
+
+  try {
+    return await signer.verify(
+      payload,
+      Buffer.from(signature.value, 'base64'),
+      signature.keyId,
+      signature.algorithm
+    );
+  } catch (error) {
+    console.error(`Error verifying certificate signature: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Sign an arbitrary JSON document (e.g. a revocation list)
+ *
+ * The key ID is included in the signed content so it cannot be swapped out.
+ *
+ * @param {Object} document - Document to sign
+ * @returns {Promise<Object>} Signature envelope with key ID, algorithm and value
+ */
+async function signDocument(document) {
+  const signer = getSigner();
+  const payload = canonicalize({ document, keyId: signer.keyId });
+  const signature = await signer.sign(payload);
+
+  return {
+    keyId: signer.keyId,
+    algorithm: signer.algorithm,
+    value: signature.toString('base64')
+  };
+}
+
+/**
+ * Verify the signature of a JSON document signed with signDocument
+ *
+ * @param {Object} document - Signed document
+ * @param {Object} signature - Signature envelope
+ * @returns {Promise<boolean>} True if the signature is valid
+ */
+async function verifyDocumentSignature(document, signature) {
+  if (!signature || !signature.keyId || !signature.value) {
+    return false;
+  }
+
+  const signer = getSigner();
+  const payload = canonicalize({ document, keyId: signature.keyId });
+
+  try {
+    return await signer.verify(
+      payload,
+      Buffer.from(signature.value, 'base64'),
+      signature.keyId,
+      signature.algorithm
+    );
+  } catch (error) {
+    console.error(`Error verifying document signature: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  SIGNED_CERTIFICATE_FIELDS,
+  canonicalize,
+  hashValidationResult,
+  buildSigningPayload,
+  createSigner,
+  getSigner,
+  setSigner,
+  signCertificate,
+  verifyCertificateSignature,
+  signDocument,
+  verifyDocumentSignature
+};
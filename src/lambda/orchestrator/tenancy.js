@@ -0,0 +1,54 @@
+/**
+ * EdSteward.ai - Tenancy Module
+ * 
+ * This module resolves the tenant (institution) a request acts for. Users
+ * carry their tenant in the custom:tenant_id claim of their Cognito token;
+ * requests authenticated with an API key carry the tenant the key is bound
+ * to in the authorizer context. Database clients are scoped to the resolved
+ * tenant, and row-level security keeps every query within it (see
+ * database/migrations/010_tenant_isolation.sql).
+ */
+
+/**
+ * Create an error for a request whose credentials name different tenants
+ * 
+ * @param {string} message - Error message
+ * @returns {Error} Error with code TENANT_MISMATCH
+ */
+function createTenantError(message) {
+  const error = new Error(message);
+  error.code = 'TENANT_MISMATCH';
+  return error;
+}
+
+/**
+ * Resolve the tenant of a request
+ * 
+ * @param {Object} event - API Gateway event
+ * @returns {Object} Tenant ID (null for callers without a tenant) and source
+ *   ('token', 'api-key', or null without a tenant)
+ * @throws {Error} TENANT_MISMATCH if the token and the API key belong to different tenants
+ */
+function resolveTenant(event) {
+  const authorizer = (event.requestContext && event.requestContext.authorizer) || {};
+  const tokenTenantId = authorizer.claims ? authorizer.claims['custom:tenant_id'] || null : null;
+  const keyTenantId = authorizer.tenantId || null;
+  
+  if (tokenTenantId && keyTenantId && tokenTenantId !== keyTenantId) {
+    throw createTenantError('The access token and API key belong to different tenants');
+  }
+  
+  if (tokenTenantId) {
+    return { tenantId: tokenTenantId, source: 'token' };
+  }
+  
+  if (keyTenantId) {
+    return { tenantId: keyTenantId, source: 'api-key' };
+  }
+  
+  return { tenantId: null, source: null };
+}
+
+module.exports = {
+  resolveTenant
+};
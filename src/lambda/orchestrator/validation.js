@@ -5,6 +5,22 @@
  * they meet the required format and structure before processing.
  */
 
+const { REVOCATION_REASONS } = require('./certificates');
+const { validateProfileSettings } = require('./profiles');
+const { CONSENSUS_POLICIES } = require('./aggregator');
+const { ANALYTICS_INTERVALS, MAX_ANALYTICS_WINDOWS, countComplianceWindows } = require('./analytics');
+const { API_KEY_SCOPES } = require('./authorization');
+const { MAX_ROTATION_OVERLAP_HOURS } = require('./apikeys');
+const { SELECTABLE_INTERPRETATION_PROVIDERS } = require('./interpretation');
+const { isAllowedValidatorFunction } = require('./registry');
+const { MAX_VERIFY_ENTRIES } = require('./chain');
+
+// Most validators a single consensus validation may run
+const MAX_CONSENSUS_VALIDATORS = 5;
+
+// Most regulations in one batch validation job
+const MAX_BATCH_SIZE = 500;
+
 /**
  * Validate a request against the MCP protocol specification
  * 
@@ -31,6 +47,32 @@ function validateRequest(request, requestType) {
       return validateVersionCheckRequest(request);
     case 'versionAcceptance':
       return validateVersionAcceptanceRequest(request);
+    case 'versionDiff':
+      return validateVersionDiffRequest(request);
+    case 'certificateRevocation':
+      return validateCertificateRevocationRequest(request);
+    case 'bulkCertificateRevocation':
+      return validateBulkCertificateRevocationRequest(request);
+    case 'auditQuery':
+      return validateAuditQueryRequest(request);
+    case 'auditChainVerification':
+      return validateAuditChainVerificationRequest(request);
+    case 'complianceAnalytics':
+      return validateComplianceAnalyticsRequest(request);
+    case 'reviewDecision':
+      return validateReviewDecisionRequest(request);
+    case 'reviewAnnotation':
+      return validateReviewAnnotationRequest(request);
+    case 'classificationProfile':
+      return validateClassificationProfileRequest(request);
+    case 'validatorConfig':
+      return validateValidatorConfigRequest(request);
+    case 'apiKey':
+      return validateApiKeyRequest(request);
+    case 'apiKeyRotation':
+      return validateApiKeyRotationRequest(request);
+    case 'apiKeyRevocation':
+      return validateApiKeyRevocationRequest(request);
     default:
       return {
         isValid: false,
@@ -82,6 +124,10 @@ function validateValidationRequest(request) {
         });
       }
     }
+    
+    if (request.options.consensus !== undefined) {
+      errors.push(...validateConsensusOptions(request.options.consensus));
+    }
   }
   
   // Check semantic version format
@@ -98,6 +144,62 @@ function validateValidationRequest(request) {
   };
 }
 
+/**
+ * Validate consensus options of a validation request
+ * 
+ * @param {Object} consensus - Consensus options
+ * @returns {Array<Object>} Validation errors (empty if valid)
+ */
+function validateConsensusOptions(consensus) {
+  const errors = [];
+  
+  if (!consensus || typeof consensus !== 'object' || Array.isArray(consensus)) {
+    return [{ field: 'options.consensus', message: 'Consensus options must be an object' }];
+  }
+  
+  if (consensus.policy !== undefined && !CONSENSUS_POLICIES.includes(consensus.policy)) {
+    errors.push({ 
+      field: 'options.consensus.policy', 
+      message: `Consensus policy must be one of: ${CONSENSUS_POLICIES.join(', ')}` 
+    });
+  }
+  
+  const validators = consensus.validators;
+  if (!Array.isArray(validators) || validators.length < 2 || validators.length > MAX_CONSENSUS_VALIDATORS) {
+    errors.push({ 
+      field: 'options.consensus.validators', 
+      message: `Consensus requires between 2 and ${MAX_CONSENSUS_VALIDATORS} validators` 
+    });
+    return errors;
+  }
+  
+  validators.forEach((validator, index) => {
+    const field = `options.consensus.validators[${index}]`;
+    
+    if (!validator || ![1, 2, 3].includes(validator.level)) {
+      errors.push({ field: `${field}.level`, message: 'Validator level must be 1, 2, or 3' });
+      return;
+    }
+    
+    if (validator.provider !== undefined) {
+      if (validator.level !== 3) {
+        errors.push({ field: `${field}.provider`, message: 'Only Level 3 validators use an interpretation provider' });
+      } else if (!SELECTABLE_INTERPRETATION_PROVIDERS.includes(validator.provider)) {
+        errors.push({ 
+          field: `${field}.provider`, 
+          message: `Interpretation provider must be one of: ${SELECTABLE_INTERPRETATION_PROVIDERS.join(', ')}` 
+        });
+      }
+    }
+    
+    if (validator.weight !== undefined && (typeof validator.weight !== 'number' || validator.weight <= 0)) {
+      errors.push({ field: `${field}.weight`, message: 'Validator weight must be a positive number' });
+    }
+  });
+  
+  return errors;
+}
+
 /**
  * Validate a batch validation request
  * 
@@ -129,13 +231,18 @@ function validateBatchValidationRequest(request) {
   }
   
   // Check maximum batch size
-  if (request.regulations.length > 50) {
+  if (request.regulations.length > MAX_BATCH_SIZE) {
     errors.push({ 
       field: 'regulations', 
-      message: 'Batch size cannot exceed 50 regulations' 
+      message: `Batch size cannot exceed ${MAX_BATCH_SIZE} regulations` 
     });
   }
   
+  // Options shared by the batch are checked once
+  if (request.options && request.options.consensus !== undefined) {
+    errors.push(...validateConsensusOptions(request.options.consensus));
+  }
+  
   // Validate each regulation in the batch
   request.regulations.forEach((regulation, index) => {
     const validationResult = validateValidationRequest(regulation);
@@ -235,6 +342,328 @@ function validateVersionAcceptanceRequest(request) {
     });
   }
   
+  // Optional fields with validation
+  ['acceptanceNotes', 'frontendVersion', 'acceptorRole', 'overrideReason'].forEach(field => {
+    if (request[field] !== undefined && typeof request[field] !== 'string') {
+      errors.push({ field, message: `${field} must be a string` });
+    }
+  });
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors.length > 0 ? errors : undefined
+  };
+}
+
+/**
+ * Validate a version diff request
+ * 
+ * @param {Object} request - Version diff request (query parameters)
+ * @returns {Object} Validation result
+ */
+function validateVersionDiffRequest(request) {
+  const errors = [];
+  
+  // Both versions are optional, but must be semantic versions when given
+  ['from', 'to'].forEach(field => {
+    if (request[field] && !isValidSemanticVersion(request[field])) {
+      errors.push({ 
+        field, 
+        message: `${field === 'from' ? 'From' : 'To'} version must be in semantic versioning format (e.g., 1.2.3)` 
+      });
+    }
+  });
+  
+  if (request.from && request.to && request.from === request.to) {
+    errors.push({ field: 'to', message: 'From and to versions must differ' });
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors.length > 0 ? errors : undefined
+  };
+}
+
+/**
+ * Validate a certificate revocation request
+ * 
+ * @param {Object} request - Certificate revocation request
+ * @returns {Object} Validation result
+ */
+function validateCertificateRevocationRequest(request) {
+  const errors = [];
+  
+  // Required fields
+  if (!request.reasonCode) {
+    errors.push({ field: 'reasonCode', message: 'Revocation reason code is required' });
+  } else if (!REVOCATION_REASONS.includes(request.reasonCode)) {
+    errors.push({ 
+      field: 'reasonCode', 
+      message: `Revocation reason code must be one of: ${REVOCATION_REASONS.join(', ')}` 
+    });
+  }
+  
+  // Optional fields with validation
+  if (request.notes !== undefined && typeof request.notes !== 'string') {
+    errors.push({ field: 'notes', message: 'Notes must be a string' });
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors.length > 0 ? errors : undefined
+  };
+}
+
+/**
+ * Validate a bulk certificate revocation request (by regulation and optional version)
+ * 
+ * @param {Object} request - Bulk certificate revocation request
+ * @returns {Object} Validation result
+ */
+function validateBulkCertificateRevocationRequest(request) {
+  const errors = [];
+  
+  // Required fields
+  if (!request.regulationId) {
+    errors.push({ field: 'regulationId', message: 'Regulation ID is required' });
+  }
+  
+  // Check semantic version format
+  if (request.regulationVersion && !isValidSemanticVersion(request.regulationVersion)) {
+    errors.push({ 
+      field: 'regulationVersion', 
+      message: 'Regulation version must be in semantic versioning format (e.g., 1.2.3)' 
+    });
+  }
+  
+  // Reason and notes follow the single-certificate rules
+  const revocationResult = validateCertificateRevocationRequest(request);
+  if (!revocationResult.isValid) {
+    errors.push(...revocationResult.errors);
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors.length > 0 ? errors : undefined
+  };
+}
+
+/**
+ * Validate an audit log query
+ * 
+ * @param {Object} request - Audit log query parameters
+ * @returns {Object} Validation result
+ */
+function validateAuditQueryRequest(request) {
+  const errors = [];
+  
+  // Date range
+  ['from', 'to'].forEach(field => {
+    if (request[field] && !isValidISODate(request[field])) {
+      errors.push({ 
+        field, 
+        message: `${field === 'from' ? 'From' : 'To'} date must be in ISO 8601 format` 
+      });
+    }
+  });
+  
+  if (request.from && request.to && isValidISODate(request.from) && isValidISODate(request.to) &&
+      new Date(request.from) > new Date(request.to)) {
+    errors.push({ field: 'from', message: 'From date must not be after to date' });
+  }
+  
+  // Pagination
+  if (request.limit !== undefined) {
+    const limit = Number(request.limit);
+    const maxLimit = request.format && request.format !== 'json' ? 1000 : 100;
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+      errors.push({ field: 'limit', message: `Limit must be an integer between 1 and ${maxLimit}` });
+    }
+  }
+  
+  // Export format
+  if (request.format && !['json', 'csv', 'ndjson'].includes(request.format)) {
+    errors.push({ field: 'format', message: 'Format must be one of: json, csv, ndjson' });
+  }
+  
+  // Event type filters allow a single trailing wildcard (e.g. 'certificate.*')
+  if (request.eventType && request.eventType.indexOf('*') !== -1 &&
+      request.eventType.indexOf('*') !== request.eventType.length - 1) {
+    errors.push({ field: 'eventType', message: 'Event type wildcard is only allowed at the end' });
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors.length > 0 ? errors : undefined
+  };
+}
+
+/**
+ * Validate an audit chain verification request
+ * 
+ * @param {Object} request - Audit chain verification parameters
+ * @returns {Object} Validation result
+ */
+function validateAuditChainVerificationRequest(request) {
+  const errors = [];
+  
+  // Optional sequence range
+  ['fromSequence', 'toSequence'].forEach(field => {
+    if (request[field] !== undefined) {
+      const value = Number(request[field]);
+      if (!Number.isInteger(value) || value < 1) {
+        errors.push({ field, message: `${field} must be a positive integer` });
+      }
+    }
+  });
+  
+  if (errors.length === 0 && request.fromSequence !== undefined && request.toSequence !== undefined &&
+      Number(request.fromSequence) > Number(request.toSequence)) {
+    errors.push({ field: 'fromSequence', message: 'fromSequence must not be greater than toSequence' });
+  } else if (errors.length === 0 && request.fromSequence !== undefined && request.toSequence !== undefined &&
+      Number(request.toSequence) - Number(request.fromSequence) + 1 > MAX_VERIFY_ENTRIES) {
+    errors.push({ field: 'toSequence', message: `At most ${MAX_VERIFY_ENTRIES} entries can be verified at once` });
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors.length > 0 ? errors : undefined
+  };
+}
+
+/**
+ * Validate a compliance analytics request
+ * 
+ * @param {Object} request - Analytics parameters with the resolved period
+ * @returns {Object} Validation result
+ */
+function validateComplianceAnalyticsRequest(request) {
+  const errors = [];
+  
+  if (!ANALYTICS_INTERVALS.includes(request.interval)) {
+    errors.push({ field: 'interval', message: `Interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}` });
+  }
+  
+  ['from', 'to'].forEach(field => {
+    if (!isValidISODate(request[field])) {
+      errors.push({ 
+        field, 
+        message: `${field === 'from' ? 'From' : 'To'} date must be in ISO 8601 format` 
+      });
+    }
+  });
+  
+  if (errors.length === 0) {
+    if (new Date(request.from) > new Date(request.to)) {
+      errors.push({ field: 'from', message: 'From date must not be after to date' });
+    } else if (countComplianceWindows(request.from, request.to, request.interval) > MAX_ANALYTICS_WINDOWS) {
+      errors.push({
+        field: 'interval',
+        message: `Period spans more than ${MAX_ANALYTICS_WINDOWS} ${request.interval}s; use a shorter period or longer interval`
+      });
+    }
+  }
+  
+  if (request.validationLevel !== undefined && !['1', '2', '3'].includes(String(request.validationLevel))) {
+    errors.push({ field: 'validationLevel', message: 'Validation level must be 1, 2, or 3' });
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors.length > 0 ? errors : undefined
+  };
+}
+
+/**
+ * Validate a review decision
+ * 
+ * @param {Object} request - Review decision request
+ * @returns {Object} Validation result
+ */
+function validateReviewDecisionRequest(request) {
+  const errors = [];
+  
+  // Required fields
+  if (!['APPROVE', 'REJECT'].includes(request.decision)) {
+    errors.push({ field: 'decision', message: 'Decision must be one of: APPROVE, REJECT' });
+  }
+  
+  if (!request.reason || typeof request.reason !== 'string') {
+    errors.push({ field: 'reason', message: 'Decision reason is required' });
+  }
+  
+  // Optional fields with validation
+  if (request.certaintyLevel !== undefined &&
+      (!Number.isInteger(request.certaintyLevel) || request.certaintyLevel < 1 || request.certaintyLevel > 5)) {
+    errors.push({ field: 'certaintyLevel', message: 'Certainty level must be an integer between 1 and 5' });
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors.length > 0 ? errors : undefined
+  };
+}
+
+/**
+ * Validate a review annotation
+ * 
+ * @param {Object} request - Review annotation request
+ * @returns {Object} Validation result
+ */
+function validateReviewAnnotationRequest(request) {
+  const errors = [];
+  
+  // Required fields
+  if (!request.note || typeof request.note !== 'string') {
+    errors.push({ field: 'note', message: 'Annotation note is required' });
+  } else if (request.note.length > 5000) {
+    errors.push({ field: 'note', message: 'Annotation note must be at most 5000 characters' });
+  }
+  
+  // Optional fields with validation
+  if (request.sectionId !== undefined && typeof request.sectionId !== 'string') {
+    errors.push({ field: 'sectionId', message: 'Section ID must be a string' });
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors.length > 0 ? errors : undefined
+  };
+}
+
+/**
+ * Validate a classification profile request
+ * 
+ * @param {Object} request - Classification profile request
+ * @returns {Object} Validation result
+ */
+function validateClassificationProfileRequest(request) {
+  const errors = [];
+  
+  // Settings are checked against the profile definition
+  if (request.settings === undefined) {
+    errors.push({ field: 'settings', message: 'Profile settings are required' });
+  } else {
+    errors.push(...validateProfileSettings(request.settings));
+  }
+  
+  // Optional fields with validation
+  if (request.category !== undefined && (typeof request.category !== 'string' || !request.category)) {
+    errors.push({ field: 'category', message: 'Category must be a non-empty string' });
+  }
+  
+  if (request.notes !== undefined && typeof request.notes !== 'string') {
+    errors.push({ field: 'notes', message: 'Notes must be a string' });
+  }
+  
+  if (request.activate !== undefined && typeof request.activate !== 'boolean') {
+    errors.push({ field: 'activate', message: 'Activate must be a boolean' });
+  }
+  
+  if (request.global !== undefined && typeof request.global !== 'boolean') {
+    errors.push({ field: 'global', message: 'Global must be a boolean' });
+  }
+  
   return {
     isValid: errors.length === 0,
     errors: errors.length > 0 ? errors : undefined
@@ -317,28 +746,152 @@ function validateHeaders(headers) {
 }
 
 /**
- * Validate API key if required
+ * Validate a validator configuration
  * 
- * @param {string} apiKey - API key from request
+ * @param {Object} request - Validator configuration with validatorId from the path
  * @returns {Object} Validation result
  */
-function validateApiKey(apiKey) {
-  // This is a placeholder for actual API key validation
-  // In a real implementation, this would check against stored keys
+function validateValidatorConfigRequest(request) {
+  const errors = [];
   
-  if (!apiKey) {
-    return {
-      isValid: false,
-      errors: [{ field: 'x-api-key', message: 'API key is required' }]
-    };
+  // In-process validators are built in and cannot be replaced
+  if (typeof request.validatorId !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9_-]{0,99}$/.test(request.validatorId)) {
+    errors.push({ field: 'validatorId', message: 'Validator ID must be up to 100 letters, digits, hyphens or underscores' });
+  } else if (request.validatorId.startsWith('in-process-')) {
+    errors.push({ field: 'validatorId', message: 'Validator IDs starting with in-process- are reserved' });
+  }
+  
+  if (typeof request.functionArn !== 'string' || !/^arn:aws[a-z-]*:lambda:[^:]+:\d{12}:function:[^:]+(:[^:]+)?$/.test(request.functionArn)) {
+    errors.push({ field: 'functionArn', message: 'Function ARN must be a Lambda function ARN' });
+  } else if (!isAllowedValidatorFunction(request.functionArn)) {
+    errors.push({ field: 'functionArn', message: 'Function ARN is not under an allowed validator prefix' });
+  }
+  
+  if (!Array.isArray(request.levels) || request.levels.length === 0 ||
+      request.levels.some(level => ![1, 2, 3].includes(level)) ||
+      new Set(request.levels).size !== request.levels.length) {
+    errors.push({ field: 'levels', message: 'Levels must be a non-empty list of distinct levels 1, 2 or 3' });
+  }
+  
+  ['jurisdictions', 'categories', 'capabilities'].forEach(field => {
+    if (request[field] !== undefined &&
+        (!Array.isArray(request[field]) || request[field].some(value => typeof value !== 'string' || value.length === 0))) {
+      errors.push({ field, message: `${field} must be a list of non-empty strings` });
+    }
+  });
+  
+  if (request.timeoutMs !== undefined &&
+      (!Number.isInteger(request.timeoutMs) || request.timeoutMs < 100 || request.timeoutMs > 60000)) {
+    errors.push({ field: 'timeoutMs', message: 'Timeout must be an integer between 100 and 60000 milliseconds' });
   }
   
-  // Simulate valid API key check
-  const isValidKey = apiKey.length >= 20;
+  if (request.enabled !== undefined && typeof request.enabled !== 'boolean') {
+    errors.push({ field: 'enabled', message: 'Enabled must be a boolean' });
+  }
+  
+  if (request.description !== undefined && typeof request.description !== 'string') {
+    errors.push({ field: 'description', message: 'Description must be a string' });
+  }
   
   return {
-    isValid: isValidKey,
-    errors: isValidKey ? undefined : [{ field: 'x-api-key', message: 'Invalid API key' }]
+    isValid: errors.length === 0,
+    errors: errors.length > 0 ? errors : undefined
+  };
+}
+
+/**
+ * Validate an API key expiry time
+ * 
+ * @param {*} expiresAt - Expiry time from the request
+ * @param {Array<Object>} errors - Errors to add to
+ */
+function validateApiKeyExpiry(expiresAt, errors) {
+  if (expiresAt === undefined) {
+    return;
+  }
+  
+  if (typeof expiresAt !== 'string' || !isValidISODate(expiresAt)) {
+    errors.push({ field: 'expiresAt', message: 'Expiry time must be in ISO 8601 format' });
+  } else if (new Date(expiresAt).getTime() <= Date.now()) {
+    errors.push({ field: 'expiresAt', message: 'Expiry time must be in the future' });
+  }
+}
+
+/**
+ * Validate an API key issuance request
+ * 
+ * @param {Object} request - API key request
+ * @returns {Object} Validation result
+ */
+function validateApiKeyRequest(request) {
+  const errors = [];
+  
+  if (typeof request.name !== 'string' || request.name.trim().length === 0) {
+    errors.push({ field: 'name', message: 'Name is required' });
+  } else if (request.name.length > 255) {
+    errors.push({ field: 'name', message: 'Name must be at most 255 characters' });
+  }
+  
+  if (!Array.isArray(request.scopes) || request.scopes.length === 0) {
+    errors.push({ field: 'scopes', message: 'At least one scope is required' });
+  } else if (request.scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+    errors.push({ field: 'scopes', message: `Scopes must be among: ${API_KEY_SCOPES.join(', ')}` });
+  } else if (new Set(request.scopes).size !== request.scopes.length) {
+    errors.push({ field: 'scopes', message: 'Scopes must not repeat' });
+  }
+  
+  validateApiKeyExpiry(request.expiresAt, errors);
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors.length > 0 ? errors : undefined
+  };
+}
+
+/**
+ * Validate an API key rotation request
+ * 
+ * @param {Object} request - Rotation request
+ * @returns {Object} Validation result
+ */
+function validateApiKeyRotationRequest(request) {
+  const errors = [];
+  
+  if (request.overlapHours !== undefined &&
+      (!Number.isInteger(request.overlapHours) || request.overlapHours < 0 ||
+       request.overlapHours > MAX_ROTATION_OVERLAP_HOURS)) {
+    errors.push({
+      field: 'overlapHours',
+      message: `Overlap must be a whole number of hours between 0 and ${MAX_ROTATION_OVERLAP_HOURS}`
+    });
+  }
+  
+  validateApiKeyExpiry(request.expiresAt, errors);
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors.length > 0 ? errors : undefined
+  };
+}
+
+/**
+ * Validate an API key revocation request
+ * 
+ * @param {Object} request - Revocation request
+ * @returns {Object} Validation result
+ */
+function validateApiKeyRevocationRequest(request) {
+  const errors = [];
+  
+  if (request.reason !== undefined && typeof request.reason !== 'string') {
+    errors.push({ field: 'reason', message: 'Reason must be a string' });
+  } else if (request.reason && request.reason.length > 1000) {
+    errors.push({ field: 'reason', message: 'Reason must be at most 1000 characters' });
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors.length > 0 ? errors : undefined
   };
 }
 
@@ -424,9 +977,16 @@ module.exports = {
   validateBatchValidationRequest,
   validateVersionCheckRequest,
   validateVersionAcceptanceRequest,
+  validateVersionDiffRequest,
+  validateCertificateRevocationRequest,
+  validateBulkCertificateRevocationRequest,
+  validateAuditQueryRequest,
+  validateAuditChainVerificationRequest,
+  validateReviewDecisionRequest,
+  validateReviewAnnotationRequest,
+  validateClassificationProfileRequest,
   validateProtocolVersion,
   validateHeaders,
-  validateApiKey,
   validateMCPPayload,
   createErrorResponse
 };
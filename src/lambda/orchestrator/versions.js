@@ -0,0 +1,163 @@
+/**
+ * EdSteward.ai - Version Control Module
+ * 
+ * This module determines whether a client's copy of a regulation is stale and
+ * records client acceptance of new regulation versions.
+ */
+
+// Semantic versions handled here: MAJOR.MINOR.PATCH
+const SEMANTIC_VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+
+/**
+ * Check whether a value is a semantic version
+ * 
+ * @param {*} version - Value to check
+ * @returns {boolean} True for MAJOR.MINOR.PATCH strings
+ */
+function isSemanticVersion(version) {
+  return typeof version === 'string' && SEMANTIC_VERSION_PATTERN.test(version);
+}
+
+/**
+ * Split a semantic version into its numeric parts
+ * 
+ * @param {string} version - Version (MAJOR.MINOR.PATCH)
+ * @returns {Array<number>} Major, minor and patch numbers
+ * @throws {Error} INVALID_VERSION if the version is not a semantic version
+ */
+function parseVersion(version) {
+  if (!isSemanticVersion(version)) {
+    const error = new Error(`Invalid semantic version: ${version}`);
+    error.code = 'INVALID_VERSION';
+    throw error;
+  }
+  
+  return version.split('.').map(part => parseInt(part, 10));
+}
+
+/**
+ * Compare two semantic versions
+ * 
+ * @param {string} a - First version (MAJOR.MINOR.PATCH)
+ * @param {string} b - Second version (MAJOR.MINOR.PATCH)
+ * @returns {number} Negative if a < b, zero if equal, positive if a > b
+ * @throws {Error} INVALID_VERSION if either version is not a semantic version
+ */
+function compareVersions(a, b) {
+  const partsA = parseVersion(a);
+  const partsB = parseVersion(b);
+  
+  for (let i = 0; i < 3; i++) {
+    if (partsA[i] !== partsB[i]) {
+      return partsA[i] - partsB[i];
+    }
+  }
+  
+  return 0;
+}
+
+/**
+ * Determine the kind of change between two semantic versions
+ * 
+ * @param {string} fromVersion - Older version
+ * @param {string} toVersion - Newer version
+ * @returns {string|null} 'MAJOR', 'MINOR', 'PATCH', or null if unchanged
+ * @throws {Error} INVALID_VERSION if either version is not a semantic version
+ */
+function getChangeType(fromVersion, toVersion) {
+  const [majorA, minorA, patchA] = parseVersion(fromVersion);
+  const [majorB, minorB, patchB] = parseVersion(toVersion);
+  
+  if (majorA !== majorB) {
+    return 'MAJOR';
+  } else if (minorA !== minorB) {
+    return 'MINOR';
+  } else if (patchA !== patchB) {
+    return 'PATCH';
+  }
+  
+  return null;
+}
+
+/**
+ * Check a client's regulation version against the authoritative version
+ * 
+ * Versions that are not semantic versions cannot be ordered: when either
+ * the client's or the current version is one, the client is only current if
+ * it holds the current version, and no newer versions are listed.
+ * 
+ * @param {Object} db - Database client
+ * @param {Object} params - Check parameters
+ * @param {string} params.regulationId - Regulation identifier
+ * @param {string} params.clientVersion - Version the client currently holds
+ * @param {string} [params.lastCheckedTimestamp] - When the client last checked (ISO 8601)
+ * @returns {Promise<Object|null>} Version status, or null if the regulation does not exist
+ */
+async function checkVersion(db, params) {
+  const { regulationId, clientVersion, lastCheckedTimestamp } = params;
+  
+  const versions = await db.listRegulationVersions(regulationId);
+  if (versions.length === 0) {
+    return null;
+  }
+  
+  const current = versions.find(version => version.is_current) || versions[0];
+  const authorityVersion = current.version_number;
+  const comparable = isSemanticVersion(clientVersion) && isSemanticVersion(authorityVersion);
+  const comparison = comparable
+    ? compareVersions(clientVersion, authorityVersion)
+    : (clientVersion === authorityVersion ? 0 : -1);
+  const clientVersionKnown = versions.some(version => version.version_number === clientVersion);
+  
+  // Versions published after the client's version, oldest first; stored
+  // versions that are not semantic versions cannot be ordered and are left out
+  const newerVersions = versions
+    .filter(version => comparable && isSemanticVersion(version.version_number))
+    .filter(version => compareVersions(version.version_number, clientVersion) > 0 &&
+                       compareVersions(version.version_number, authorityVersion) <= 0)
+    .sort((a, b) => compareVersions(a.version_number, b.version_number))
+    .map(version => ({
+      versionNumber: version.version_number,
+      effectiveDate: version.effective_date,
+      changeType: version.change_type || getChangeType(clientVersion, version.version_number),
+      changeSummary: version.change_summary || null
+    }));
+  
+  // Versions that became effective since the client last checked
+  const changedSinceLastCheck = lastCheckedTimestamp
+    ? newerVersions.filter(version => version.effectiveDate && new Date(version.effectiveDate) > new Date(lastCheckedTimestamp))
+    : newerVersions;
+  
+  const lastAcceptance = await db.getLatestRegulationAcceptance(regulationId);
+  const authorityVersionAccepted = !!lastAcceptance && lastAcceptance.accepted_version === authorityVersion;
+  const isStale = comparison < 0;
+  
+  return {
+    regulationId,
+    clientVersion,
+    authorityVersion,
+    isCurrent: comparison === 0,
+    isStale,
+    clientVersionKnown,
+    comparable,
+    changeType: isStale && comparable ? getChangeType(clientVersion, authorityVersion) : null,
+    versionsBehind: newerVersions.length,
+    newerVersions,
+    hasChangesSinceLastCheck: changedSinceLastCheck.length > 0,
+    requiresAcceptance: isStale && !authorityVersionAccepted,
+    lastAcceptance: lastAcceptance ? {
+      acceptedVersion: lastAcceptance.accepted_version,
+      acceptedBy: lastAcceptance.accepted_by,
+      acceptedAt: lastAcceptance.accepted_at,
+      isOverridden: lastAcceptance.is_overridden
+    } : null,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  isSemanticVersion,
+  compareVersions,
+  getChangeType,
+  checkVersion
+};
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * EdSteward.ai - Classifier Calibration Tool
+ * 
+ * Backtests the regulation classifier against historical validations and
+ * reports confusion matrices and suggested level thresholds.
+ * 
+ * Usage:
+ *   node calibrate-classifier.js --fixture history.json [--profile settings.json] [--json]
+ *   DB_SECRET_ARN=... node calibrate-classifier.js [--from ISO] [--to ISO] [--limit N]
+ *     [--tenant ID] [--category NAME] [--profile settings.json] [--json]
+ * 
+ * A fixture is a JSON array of validations (or { "validations": [...] }),
+ * each with regulation, content, versions, timestamp, validationLevel,
+ * certaintyLevel and optional reviewDecision.
+ */
+
+const fs = require('fs');
+const {
+  runCalibration,
+  loadValidationHistory,
+  formatCalibrationReport
+} = require('../lambda/orchestrator/calibration');
+const {
+  DEFAULT_CLASSIFICATION_PROFILE,
+  resolveClassificationProfile,
+  mergeProfileSettings,
+  validateProfileSettings
+} = require('../lambda/orchestrator/profiles');
+
+/**
+ * Parse command-line arguments
+ * 
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options keyed by flag name
+ */
+function parseArguments(argv) {
+  const options = {};
+  
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (!flag.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${flag}`);
+    }
+    
+    const name = flag.slice(2);
+    if (name === 'json' || name === 'help') {
+      options[name] = true;
+    } else if (i + 1 < argv.length) {
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`Missing value for ${flag}`);
+    }
+  }
+  
+  return options;
+}
+
+/**
+ * Read a JSON file
+ * 
+ * @param {string} path - File path
+ * @returns {*} Parsed JSON
+ */
+function readJson(path) {
+  return JSON.parse(fs.readFileSync(path, 'utf8'));
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+  
+  if (options.help) {
+    console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0]);
+    return;
+  }
+  
+  let db = null;
+  let records;
+  
+  if (options.fixture) {
+    const fixture = readJson(options.fixture);
+    records = Array.isArray(fixture) ? fixture : fixture.validations;
+  } else {
+    // Only load the database client (and its AWS dependencies) when it is needed
+    const { getDbConnection } = require('../lambda/orchestrator/db');
+    
+    // Backtest against one tenant's history, or against every tenant's without --tenant
+    db = await getDbConnection(process.env.DB_SECRET_ARN,
+      options.tenant ? { tenantId: options.tenant } : { allTenants: true });
+    records = await loadValidationHistory(db, {
+      from: options.from,
+      to: options.to,
+      limit: options.limit ? parseInt(options.limit, 10) : undefined
+    });
+  }
+  
+  // Start from the stored profile (the global one without --tenant and --category)
+  // when reading from the database, then apply any local overrides
+  let settings = DEFAULT_CLASSIFICATION_PROFILE;
+  if (db) {
+    const profile = await resolveClassificationProfile(db, {
+      tenantId: options.tenant,
+      category: options.category
+    });
+    settings = profile.settings;
+  }
+  
+  if (options.profile) {
+    const overrides = readJson(options.profile);
+    const errors = validateProfileSettings(overrides);
+    if (errors.length > 0) {
+      throw new Error(`Invalid profile: ${errors.map(error => `${error.field}: ${error.message}`).join('; ')}`);
+    }
+    settings = mergeProfileSettings(settings, overrides);
+  }
+  
+  const report = runCalibration(records, settings);
+  console.log(options.json ? JSON.stringify(report, null, 2) : formatCalibrationReport(report));
+  
+  if (db) {
+    await db.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`Calibration failed: ${error.message}`);
+  process.exit(1);
+});